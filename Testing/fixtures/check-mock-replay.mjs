@@ -0,0 +1,53 @@
+/**
+ * northstar.LM - Mock LLM replay fixture check
+ *
+ * Run from the repository root: node Testing/fixtures/check-mock-replay.mjs
+ * Replays the recorded session in ./rlm through the full RLM pipeline
+ * (decompose → sub-queries → synthesis) with no network, and asserts every
+ * prompt is found in the recording and the answer matches the recorded run.
+ * A MockLLMMissError here means a prompt changed and the session needs
+ * re-recording (see README "Offline RLM Runs").
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { RLMPipeline, MOCK_LLM_MODES } from '../../js/rlm/index.js';
+
+function readFixture(name) {
+    return JSON.parse(readFileSync(new URL(`./rlm/${name}`, import.meta.url), 'utf8'));
+}
+
+const QUERY = 'What is driving cost increases across these meetings?';
+const EXPECTED_RESPONSE = [
+    'Two things are pushing costs up:',
+    '',
+    '- **Marketing** is 15% over plan, almost entirely because of the spring trade show [1]. A travel freeze for the rest of the quarter was proposed to offset it [1].',
+    '- **Hosting** costs rise 8% from July under the vendor renewal [2]. Lee is asking the vendor for a two-year rate [2].',
+    '',
+    '*Sources: Q2 Budget Review, Vendor Sync*'
+].join('\n');
+
+// Keyword retrieval only: embeddings would need a live provider
+const pipeline = new RLMPipeline({ enableEmbeddings: false });
+const agents = readFixture('cost-review.agents.json');
+const recording = readFixture('cost-review.recording.json');
+const mock = pipeline.createMockLLM({ mode: MOCK_LLM_MODES.REPLAY, recordings: recording, missPolicy: 'error' });
+
+// Two runs from a clean pipeline: the second proves replay is repeatable,
+// not an answer served from the query cache or shaped by the first run's memory
+for (let run = 1; run <= 2; run++) {
+    pipeline.reset();
+    pipeline.clearCache();
+    pipeline.loadAgents(agents);
+    mock.resetCursors();
+    const result = await pipeline.process(QUERY, mock.llmCall, {});
+    assert.equal(result.response, EXPECTED_RESPONSE, `run ${run}: replayed answer differs from the recording`);
+    assert.equal(result.metadata?.cached, undefined, `run ${run}: answer came from the query cache`);
+}
+
+const stats = mock.getStats();
+assert.equal(stats.misses, 0);
+assert.equal(stats.hits, recording.entryCount * 2);
+assert.ok(mock.callLog.every(call => call.source === 'recording'));
+
+console.log('Mock LLM replay fixtures: OK');
@@ -0,0 +1,29 @@
+/**
+ * northstar.LM - Office document fixture check
+ *
+ * Run from the repository root: node Testing/fixtures/check-office-documents.mjs
+ * Extracts the fixtures in ./office and asserts the text the analysis gets,
+ * including the row numbers used for attribution.
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { extractOfficeDocument } from '../../js/office-documents.js';
+
+function readFixture(name) {
+    return new File([readFileSync(new URL(`./office/${name}`, import.meta.url))], name);
+}
+
+// Row 2 is self-closing and row 4 has no cells (openpyxl writes both for
+// blank rows); neither may shift the data rows after them
+const sheet = await extractOfficeDocument(readFixture('empty-rows.xlsx'));
+assert.equal(sheet.kind, 'xlsx');
+assert.deepEqual(sheet.stats, { sheets: 1, rows: 3, truncatedSheets: 0 });
+assert.equal(sheet.text, [
+    '--- Sheet: Actions ---',
+    'Columns: Owner | Task | Due',
+    'Row 3: Owner: Dana; Task: Send board deck; Due: 2024-05-01',
+    'Row 5: Owner: Lee; Task: Book venue'
+].join('\n'));
+
+console.log('Office document fixtures: OK');
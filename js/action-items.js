@@ -0,0 +1,439 @@
+/**
+ * northstar.LM - Action Item Tracker
+ *
+ * Turns the free-text action items of each meeting agent into structured
+ * records that can be tracked across meetings:
+ *   1. every line is parsed into task, owner and due date
+ *   2. mentions of the same task in several meetings merge into one record
+ *      (token overlap on the task, compatible owners)
+ *   3. records pick up the user's saved status and are checked for staleness
+ *
+ * An open item is stale when it was carried over through several
+ * consecutive meetings, dropped out of the last few meetings without being
+ * closed, or is past its due date as of the latest meeting.
+ *
+ * Record ids hash the normalized task of a mention, so a saved status
+ * survives re-parsing; every mention's id is checked when statuses load.
+ */
+
+export const ACTION_TRACKER_CONFIG = {
+    similarityThreshold: 0.6,  // Token overlap needed to treat two mentions as one task
+    carryOverMeetings: 3,      // Open in this many consecutive meetings -> stale
+    silentMeetings: 2,         // Open and unmentioned for this many later meetings -> stale
+    maxTaskLength: 300         // Longer lines are truncated before parsing
+};
+
+export const ACTION_STATUSES = [
+    { id: 'open', label: 'Open' },
+    { id: 'in-progress', label: 'In progress' },
+    { id: 'done', label: 'Done' },
+    { id: 'dropped', label: 'Dropped' }
+];
+
+const CLOSED_STATUSES = new Set(['done', 'dropped']);
+
+const EMPTY_LINE_PATTERN = /^(?:no (?:specific |clear )?action items?|none(?: identified)?|n\/a)\b/i;
+const DONE_MARKER_PATTERN = /\((?:done|completed|complete|closed)\)|\[(?:done|completed)\]/i;
+const OWNER_LABEL_PATTERN = /[([]?\s*\b(?:owner|assignee|assigned to|responsible)\s*:\s*([^,;)\]]+?)\s*(?=[,;)\]]|$)[)\]]?/i;
+const DUE_LABEL_PATTERN = /[([]?\s*\b(?:due(?: date)?|deadline)\s*:?\s+([^,;)\]]+?)\s*(?=[,;)\]]|$)[)\]]?/i;
+const LEADING_OWNER_PATTERN = /^([A-Z][\w.'&-]*(?:\s+[A-Z][\w.'&-]*){0,3})\s*(?::|\s[–—-])\s+(.+)$/;
+const WILL_OWNER_PATTERN = /^([A-Z][\w.'-]*(?:\s+[A-Z][\w.'-]*)?)\s+(?:will|is to|needs to|agreed to)\s+(.+)$/;
+const MENTION_OWNER_PATTERN = /(?:^|\s)@([A-Za-z][\w.-]*)/;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_WORDS = '(?:(?:next\\s+)?(?:mon|tues?|wed(?:nes)?|thu(?:rs)?|fri|sat(?:ur)?|sun)(?:day)?'
+    + '|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?'
+    + '|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|\\d{4}-\\d{2}-\\d{2}'
+    + '|tomorrow|today|eod|eow|eom|next week|end of (?:the )?(?:day|week|month|quarter|year)|q[1-4](?:\\s+\\d{4})?)';
+const INLINE_DUE_PATTERN = new RegExp(`\\b(?:by|before|no later than|until)\\s+(${DATE_WORDS})\\b`, 'i');
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'to', 'of', 'for', 'on', 'in', 'with', 'by', 'at', 'from', 'about',
+    'this', 'that', 'these', 'those', 'our', 'their', 'his', 'her', 'its', 'we', 'they', 'it', 'be',
+    'will', 'should', 'need', 'needs', 'all', 'any', 'up', 'out', 'as', 'is', 'are', 'team'
+]);
+
+// ============================================
+// Parsing
+// ============================================
+
+function cleanLine(line) {
+    return line
+        .replace(/^\s*(?:[-•*▸–]|\d+[.)])\s+/, '')
+        .replace(/\*\*|__/g, '')
+        .trim();
+}
+
+/**
+ * Parse one agent's action items text into items
+ * @param {string} text - Newline-separated action items (markdown list)
+ * @returns {Array<{task: string, owner: string|null, due: string|null, done: boolean}>}
+ */
+export function parseActionItems(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const items = [];
+    for (const rawLine of text.split('\n')) {
+        let line = cleanLine(rawLine);
+        if (!line || line.startsWith('#') || EMPTY_LINE_PATTERN.test(line)) continue;
+        if (line.length > ACTION_TRACKER_CONFIG.maxTaskLength) {
+            line = line.slice(0, ACTION_TRACKER_CONFIG.maxTaskLength);
+        }
+
+        let done = false;
+        const checkbox = line.match(/^(?:\[([ xX])\]|([☐☑✅✓✔]))\s*/);
+        if (checkbox) {
+            done = (checkbox[1] && checkbox[1] !== ' ') || (checkbox[2] && checkbox[2] !== '☐');
+            line = line.slice(checkbox[0].length);
+        }
+        if (DONE_MARKER_PATTERN.test(line)) {
+            done = true;
+            line = line.replace(DONE_MARKER_PATTERN, '');
+        }
+
+        let owner = null;
+        let due = null;
+
+        const ownerLabel = line.match(OWNER_LABEL_PATTERN);
+        if (ownerLabel) {
+            owner = ownerLabel[1];
+            line = line.replace(ownerLabel[0], ' ');
+        }
+        const dueLabel = line.match(DUE_LABEL_PATTERN);
+        if (dueLabel) {
+            due = dueLabel[1];
+            line = line.replace(dueLabel[0], ' ');
+        }
+
+        line = line.replace(/\(\s*\)|\[\s*\]/g, '').replace(/\s{2,}/g, ' ').trim();
+
+        if (!owner) {
+            const leading = line.match(LEADING_OWNER_PATTERN) || line.match(WILL_OWNER_PATTERN);
+            if (leading) {
+                owner = leading[1];
+                line = leading[2];
+            } else {
+                const mention = line.match(MENTION_OWNER_PATTERN);
+                if (mention) owner = mention[1];
+            }
+        }
+        if (!due) {
+            const inline = line.match(INLINE_DUE_PATTERN);
+            if (inline) due = inline[1];
+        }
+
+        const task = line.replace(/^[:\-–—\s]+|[\s.;,]+$/g, '');
+        if (!task) continue;
+
+        items.push({
+            task: task.charAt(0).toUpperCase() + task.slice(1),
+            owner: owner ? owner.trim() : null,
+            due: due ? due.trim() : null,
+            done: Boolean(done)
+        });
+    }
+    return items;
+}
+
+// ============================================
+// Due dates
+// ============================================
+
+function endOfWeek(date) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + ((5 - result.getDay() + 7) % 7));
+    return result;
+}
+
+/**
+ * Resolve a due phrase against the meeting it was raised in
+ * @param {string} due - Due phrase, e.g. "Friday", "March 3", "3/15", "EOW"
+ * @param {Date|null} meetingDate - Date of the meeting (relative phrases need it)
+ * @returns {Date|null}
+ */
+export function resolveDueDate(due, meetingDate = null) {
+    if (!due) return null;
+    const phrase = due.toLowerCase().replace(/\./g, '').trim();
+    const base = meetingDate ? new Date(meetingDate) : null;
+
+    const iso = phrase.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+
+    const numeric = phrase.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+    if (numeric) {
+        let year = numeric[3] ? Number(numeric[3]) : base?.getFullYear();
+        if (!year) return null;
+        if (year < 100) year += 2000;
+        return new Date(year, Number(numeric[1]) - 1, Number(numeric[2]));
+    }
+
+    const named = phrase.match(/^([a-z]+)\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?$/);
+    if (named && MONTHS.includes(named[1].slice(0, 3))) {
+        const year = named[3] ? Number(named[3]) : base?.getFullYear();
+        if (!year) return null;
+        const date = new Date(year, MONTHS.indexOf(named[1].slice(0, 3)), Number(named[2]));
+        // "Jan 5" raised in December means next January
+        if (!named[3] && base && date < base && base - date > 1000 * 60 * 60 * 24 * 180) {
+            date.setFullYear(year + 1);
+        }
+        return date;
+    }
+
+    const quarter = phrase.match(/^q([1-4])(?:\s+(\d{4}))?$/);
+    if (quarter) {
+        const year = quarter[2] ? Number(quarter[2]) : base?.getFullYear();
+        return year ? new Date(year, Number(quarter[1]) * 3, 0) : null;
+    }
+
+    if (!base) return null;
+
+    // "next Friday" is read as the coming Friday
+    const weekday = phrase.match(/^(?:next\s+)?([a-z]+)$/);
+    const dayIndex = weekday ? WEEKDAYS.findIndex(day => day.startsWith(weekday[1].slice(0, 3))) : -1;
+    if (dayIndex >= 0 && !/^(today|tomorrow)$/.test(phrase)) {
+        const date = new Date(base);
+        const ahead = (dayIndex - date.getDay() + 7) % 7 || 7;
+        date.setDate(date.getDate() + ahead);
+        return date;
+    }
+
+    const date = new Date(base);
+    if (phrase === 'today' || phrase === 'eod' || phrase.startsWith('end of day') || phrase.startsWith('end of the day')) return date;
+    if (phrase === 'tomorrow') {
+        date.setDate(date.getDate() + 1);
+        return date;
+    }
+    if (phrase === 'eow' || /^end of (the )?week$/.test(phrase)) return endOfWeek(date);
+    if (phrase === 'next week') {
+        date.setDate(date.getDate() + 7);
+        return endOfWeek(date);
+    }
+    if (phrase === 'eom' || /^end of (the )?month$/.test(phrase)) return new Date(date.getFullYear(), date.getMonth() + 1, 0);
+    if (/^end of (the )?quarter$/.test(phrase)) return new Date(date.getFullYear(), Math.ceil((date.getMonth() + 1) / 3) * 3, 0);
+    if (/^end of (the )?year$/.test(phrase)) return new Date(date.getFullYear(), 11, 31);
+    return null;
+}
+
+// ============================================
+// Deduplication
+// ============================================
+
+function stem(token) {
+    if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+    if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+/**
+ * Content tokens of a task, with due phrases, stop words and suffixes removed
+ * @param {string} task - Task text
+ * @returns {Array<string>}
+ */
+export function taskTokens(task) {
+    return [...new Set((task || '')
+        .toLowerCase()
+        .replace(INLINE_DUE_PATTERN, ' ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(token => token && !STOP_WORDS.has(token))
+        .map(stem))];
+}
+
+/**
+ * Overlap of two token lists: the larger of Jaccard similarity and, when
+ * both have at least three tokens, containment of the shorter in the longer
+ * @param {Array<string>} a - Tokens
+ * @param {Array<string>} b - Tokens
+ * @returns {number} 0-1
+ */
+export function taskSimilarity(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const setB = new Set(b);
+    const shared = a.filter(token => setB.has(token)).length;
+    const jaccard = shared / (a.length + b.length - shared);
+    const shorter = Math.min(a.length, b.length);
+    const containment = shorter >= 3 ? shared / shorter : 0;
+    return Math.max(jaccard, containment * 0.9);
+}
+
+function normalizeOwner(owner) {
+    return owner ? owner.toLowerCase().replace(/[^a-z0-9\s]/g, '').trim() : '';
+}
+
+function ownersCompatible(a, b) {
+    const left = normalizeOwner(a);
+    const right = normalizeOwner(b);
+    if (!left || !right) return true;
+    // "Dana" and "Dana Lee" are the same owner
+    return left === right || left.split(' ')[0] === right.split(' ')[0];
+}
+
+/**
+ * Stable id for a task (FNV-1a of its sorted content tokens)
+ * @param {string} task - Task text
+ * @returns {string}
+ */
+export function getActionItemId(task) {
+    const key = taskTokens(task).sort().join(' ');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `ai-${hash.toString(36)}`;
+}
+
+// ============================================
+// Tracker
+// ============================================
+
+function sortMeetings(meetings) {
+    // Dated meetings in date order; undated ones keep their load order at the end
+    return meetings
+        .map((meeting, order) => ({ ...meeting, order }))
+        .sort((a, b) => {
+            const aTime = a.date ? a.date.getTime() : Infinity;
+            const bTime = b.date ? b.date.getTime() : Infinity;
+            return (aTime - bTime) || (a.order - b.order);
+        });
+}
+
+function findSavedStatus(ids, savedStatuses) {
+    let best = null;
+    for (const id of ids) {
+        const saved = savedStatuses?.[id];
+        if (saved && (!best || (saved.updatedAt || 0) > (best.updatedAt || 0))) best = saved;
+    }
+    return best;
+}
+
+/**
+ * Build tracked records from every meeting's action items
+ * @param {Array<Object>} meetings - { id, name, date: Date|null, actionItems: string }
+ * @param {Object} savedStatuses - { [itemId]: { status, updatedAt } } from storage
+ * @param {Object} options - Overrides for ACTION_TRACKER_CONFIG
+ * @returns {{items: Array<Object>, meetings: Array<Object>, summary: Object}}
+ */
+export function buildActionItemTracker(meetings, savedStatuses = {}, options = {}) {
+    const config = { ...ACTION_TRACKER_CONFIG, ...options };
+    const ordered = sortMeetings(meetings || []);
+    const records = [];
+
+    ordered.forEach((meeting, meetingIndex) => {
+        for (const parsed of parseActionItems(meeting.actionItems)) {
+            const tokens = taskTokens(parsed.task);
+            const mention = {
+                id: getActionItemId(parsed.task),
+                meetingId: meeting.id,
+                meetingName: meeting.name,
+                meetingDate: meeting.date,
+                meetingIndex,
+                task: parsed.task,
+                owner: parsed.owner,
+                due: parsed.due,
+                done: parsed.done,
+                tokens
+            };
+
+            let match = null;
+            let matchScore = 0;
+            for (const record of records) {
+                if (!ownersCompatible(record.owner, parsed.owner)) continue;
+                const score = Math.max(...record.mentions.map(existing => taskSimilarity(existing.tokens, tokens)));
+                if (score >= config.similarityThreshold && score > matchScore) {
+                    match = record;
+                    matchScore = score;
+                }
+            }
+
+            if (match) {
+                match.mentions.push(mention);
+                // Later meetings carry the most current owner and deadline
+                if (parsed.owner) match.owner = parsed.owner;
+                if (parsed.due) {
+                    match.due = parsed.due;
+                    match.dueDate = resolveDueDate(parsed.due, meeting.date);
+                }
+            } else {
+                records.push({
+                    id: mention.id,
+                    task: parsed.task,
+                    owner: parsed.owner,
+                    due: parsed.due,
+                    dueDate: resolveDueDate(parsed.due, meeting.date),
+                    mentions: [mention]
+                });
+            }
+        }
+    });
+
+    const latestMeetingIndex = ordered.length - 1;
+    const latestDate = ordered.reduce((latest, meeting) => (meeting.date && (!latest || meeting.date > latest) ? meeting.date : latest), null);
+
+    const items = records.map(record => {
+        const meetingIndexes = [...new Set(record.mentions.map(mention => mention.meetingIndex))].sort((a, b) => a - b);
+        const lastMention = record.mentions[record.mentions.length - 1];
+        const ids = [...new Set(record.mentions.map(mention => mention.id))];
+        const saved = findSavedStatus(ids, savedStatuses);
+        const status = saved?.status || (lastMention.done ? 'done' : 'open');
+
+        // Consecutive meetings ending at the latest mention
+        let streak = 1;
+        for (let i = meetingIndexes.length - 1; i > 0 && meetingIndexes[i] - meetingIndexes[i - 1] === 1; i--) {
+            streak++;
+        }
+        const meetingsSince = latestMeetingIndex - meetingIndexes[meetingIndexes.length - 1];
+
+        const staleReasons = [];
+        if (!CLOSED_STATUSES.has(status)) {
+            if (streak >= config.carryOverMeetings) {
+                staleReasons.push(`Carried over ${streak} consecutive meetings`);
+            }
+            if (meetingsSince >= config.silentMeetings) {
+                staleReasons.push(`Not mentioned in the last ${meetingsSince} meetings`);
+            }
+            if (record.dueDate && latestDate && record.dueDate < latestDate) {
+                staleReasons.push('Past due');
+            }
+        }
+
+        return {
+            id: record.id,
+            ids,
+            task: record.task,
+            owner: record.owner,
+            due: record.due,
+            dueDate: record.dueDate,
+            status,
+            statusUpdatedAt: saved?.updatedAt || null,
+            meetings: meetingIndexes.map(index => ({
+                id: ordered[index].id,
+                name: ordered[index].name,
+                date: ordered[index].date
+            })),
+            firstSeen: ordered[meetingIndexes[0]].date,
+            lastSeen: ordered[meetingIndexes[meetingIndexes.length - 1]].date,
+            mentionCount: record.mentions.length,
+            consecutiveMeetings: streak,
+            meetingsSinceLastMention: meetingsSince,
+            stale: staleReasons.length > 0,
+            staleReasons
+        };
+    });
+
+    const summary = { total: items.length, stale: 0, duplicates: 0 };
+    for (const status of ACTION_STATUSES) summary[status.id] = 0;
+    for (const item of items) {
+        summary[item.status] = (summary[item.status] || 0) + 1;
+        if (item.stale) summary.stale++;
+        if (item.meetings.length > 1) summary.duplicates++;
+    }
+
+    return {
+        items,
+        meetings: ordered.map(({ id, name, date }) => ({ id, name, date })),
+        summary
+    };
+}
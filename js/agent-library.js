@@ -0,0 +1,346 @@
+/**
+ * northstar.LM - Agent Library (IndexedDB)
+ *
+ * Durable storage for the Agent Orchestrator workspace. sessionStorage
+ * only lives as long as the tab; the library survives restarts:
+ * - agents:   every agent loaded into the orchestrator, deduplicated by
+ *             the agent id from its export payload
+ * - sessions: workspace snapshots (agents, chat history, memory index,
+ *             insights) that can be reopened later
+ * - meta:     small key/value records (last session, migration flags)
+ */
+
+export const LIBRARY_DB_NAME = 'northstar.LM_library';
+export const LIBRARY_DB_VERSION = 1;
+
+const STORES = {
+    AGENTS: 'agents',
+    SESSIONS: 'sessions',
+    META: 'meta'
+};
+
+// Workspace-only fields that should not travel with a library agent
+const WORKSPACE_AGENT_FIELDS = ['id', 'index', 'enabled', 'position', 'groupId'];
+
+/**
+ * Error raised when the browser refuses a write because storage is full
+ */
+export class LibraryQuotaError extends Error {
+    constructor(estimate = null) {
+        const usage = estimate?.usage ? ` (${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used)` : '';
+        super(`Browser storage is full${usage}. Delete old sessions or agents from the Library to keep saving.`);
+        this.name = 'LibraryQuotaError';
+        this.estimate = estimate;
+    }
+}
+
+/**
+ * Error raised when IndexedDB cannot be used (private mode, file://, blocked)
+ */
+export class LibraryUnavailableError extends Error {
+    constructor(reason) {
+        super(`Agent library unavailable: ${reason}`);
+        this.name = 'LibraryUnavailableError';
+    }
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 MB';
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Stable library key for an agent (same export loaded twice -> same entry)
+ * @param {Object} agent - Orchestrator agent
+ * @returns {string}
+ */
+export function getLibraryAgentKey(agent) {
+    if (agent?.libraryId) return agent.libraryId;
+    if (agent?.payload?.agent?.id) return agent.payload.agent.id;
+    return `${agent?.filename || 'agent'}::${agent?.title || agent?.displayName || ''}`;
+}
+
+function matchesQuery(haystack, query) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+    const text = haystack.filter(Boolean).join(' ').toLowerCase();
+    return terms.every(term => text.includes(term));
+}
+
+/**
+ * IndexedDB-backed agent and session library
+ */
+export class AgentLibrary {
+    constructor(options = {}) {
+        this.dbName = options.dbName || LIBRARY_DB_NAME;
+        this.idb = options.indexedDB || globalThis.indexedDB || null;
+        this.db = null;
+        this.opening = null;
+    }
+
+    /**
+     * Open (and upgrade) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+        if (!this.idb) {
+            return Promise.reject(new LibraryUnavailableError('IndexedDB is not supported in this browser'));
+        }
+
+        this.opening = new Promise((resolve, reject) => {
+            let request;
+            try {
+                request = this.idb.open(this.dbName, LIBRARY_DB_VERSION);
+            } catch (error) {
+                reject(new LibraryUnavailableError(error.message));
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORES.AGENTS)) {
+                    const agents = db.createObjectStore(STORES.AGENTS, { keyPath: 'libraryId' });
+                    agents.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains(STORES.SESSIONS)) {
+                    const sessions = db.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
+                    sessions.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains(STORES.META)) {
+                    db.createObjectStore(STORES.META, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgraded the schema: release so it can proceed
+                this.db.onversionchange = () => this.close();
+                resolve(this.db);
+            };
+            request.onerror = () => reject(new LibraryUnavailableError(request.error?.message || 'open failed'));
+            request.onblocked = () => reject(new LibraryUnavailableError('database upgrade blocked by another tab'));
+        }).finally(() => {
+            this.opening = null;
+        });
+
+        return this.opening;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // ---------- Agents ----------
+
+    /**
+     * Save agents to the library (upsert by library key)
+     * @param {Array} agents - Orchestrator agents
+     * @returns {Promise<Array>} Saved library entries
+     */
+    async putAgents(agents) {
+        const now = new Date().toISOString();
+        const entries = (agents || []).map(agent => {
+            const libraryId = getLibraryAgentKey(agent);
+            const stored = { ...agent, libraryId };
+            WORKSPACE_AGENT_FIELDS.forEach(field => delete stored[field]);
+            return {
+                libraryId,
+                title: agent.displayName || agent.title || 'Untitled Meeting',
+                date: agent.date || null,
+                sourceType: agent.sourceType || null,
+                meetingType: agent.meetingType || null,
+                topicTags: agent.topicTags || [],
+                people: agent.sotMetadata?.keyEntities?.people || [],
+                summaryPreview: String(agent.summary || '').substring(0, 240),
+                savedAt: now,
+                updatedAt: now,
+                agent: stored
+            };
+        });
+        await this._write(STORES.AGENTS, store => {
+            entries.forEach(entry => {
+                // Keep the original savedAt when an agent is saved again
+                const lookup = store.get(entry.libraryId);
+                lookup.onsuccess = () => {
+                    if (lookup.result?.savedAt) entry.savedAt = lookup.result.savedAt;
+                    store.put(entry);
+                };
+            });
+        });
+        return entries;
+    }
+
+    async getAgent(libraryId) {
+        return this._get(STORES.AGENTS, libraryId);
+    }
+
+    /**
+     * List library agents, newest first
+     * @param {Object} options - { query: free-text search, limit }
+     * @returns {Promise<Array>} Library entries
+     */
+    async listAgents({ query = '', limit = Infinity } = {}) {
+        const entries = await this._getAll(STORES.AGENTS);
+        return entries
+            .filter(entry => matchesQuery([
+                entry.title,
+                entry.date,
+                entry.sourceType,
+                entry.meetingType,
+                entry.summaryPreview,
+                ...(entry.topicTags || []),
+                ...(entry.people || [])
+            ], query))
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+            .slice(0, limit);
+    }
+
+    async deleteAgent(libraryId) {
+        await this._write(STORES.AGENTS, store => store.delete(libraryId));
+    }
+
+    // ---------- Sessions ----------
+
+    /**
+     * Save a workspace snapshot
+     * @param {Object} session - { id, name, customName, snapshot }
+     * @returns {Promise<Object>} Saved session record
+     */
+    async putSession(session) {
+        const now = new Date().toISOString();
+        const existing = await this._get(STORES.SESSIONS, session.id);
+        const agents = session.snapshot?.agents || [];
+        const record = {
+            id: session.id,
+            name: session.name || existing?.name || 'Untitled session',
+            customName: Boolean(session.customName ?? existing?.customName),
+            createdAt: existing?.createdAt || session.createdAt || now,
+            updatedAt: now,
+            agentCount: agents.length,
+            agentTitles: agents.map(agent => agent.displayName || agent.title).filter(Boolean),
+            chatCount: session.snapshot?.chatHistory?.length || 0,
+            snapshot: session.snapshot || {}
+        };
+        await this._write(STORES.SESSIONS, store => store.put(record));
+        return record;
+    }
+
+    async getSession(id) {
+        return this._get(STORES.SESSIONS, id);
+    }
+
+    /**
+     * List sessions, most recently updated first (snapshots omitted)
+     * @param {Object} options - { query: free-text search }
+     * @returns {Promise<Array>}
+     */
+    async listSessions({ query = '' } = {}) {
+        const sessions = await this._getAll(STORES.SESSIONS);
+        return sessions
+            .filter(session => matchesQuery([session.name, ...(session.agentTitles || [])], query))
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+            .map(({ snapshot, ...summary }) => summary);
+    }
+
+    async deleteSession(id) {
+        await this._write(STORES.SESSIONS, store => store.delete(id));
+    }
+
+    // ---------- Meta ----------
+
+    async getMeta(key) {
+        const record = await this._get(STORES.META, key);
+        return record ? record.value : null;
+    }
+
+    async setMeta(key, value) {
+        await this._write(STORES.META, store => store.put({ key, value }));
+    }
+
+    // ---------- Quota ----------
+
+    /**
+     * Storage usage for the origin (null when the Storage API is missing)
+     * @returns {Promise<{usage: number, quota: number}|null>}
+     */
+    async getStorageEstimate() {
+        if (!globalThis.navigator?.storage?.estimate) return null;
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Ask the browser not to evict the library under storage pressure
+     * @returns {Promise<boolean>} Whether storage is persistent
+     */
+    async requestPersistence() {
+        if (!globalThis.navigator?.storage?.persist) return false;
+        try {
+            if (await navigator.storage.persisted()) return true;
+            return await navigator.storage.persist();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // ---------- Internals ----------
+
+    async _get(storeName, key) {
+        if (key === undefined || key === null) return null;
+        const db = await this.open();
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        return (await requestToPromise(store.get(key))) || null;
+    }
+
+    async _getAll(storeName) {
+        const db = await this.open();
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        return (await requestToPromise(store.getAll())) || [];
+    }
+
+    async _write(storeName, operation) {
+        const db = await this.open();
+        try {
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, 'readwrite');
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+                operation(tx.objectStore(storeName));
+            });
+        } catch (error) {
+            if (error?.name === 'QuotaExceededError') {
+                throw new LibraryQuotaError(await this.getStorageEstimate());
+            }
+            throw error;
+        }
+    }
+}
+
+let libraryInstance = null;
+
+/**
+ * Get the shared agent library
+ * @returns {AgentLibrary}
+ */
+export function getAgentLibrary() {
+    if (!libraryInstance) {
+        libraryInstance = new AgentLibrary();
+    }
+    return libraryInstance;
+}
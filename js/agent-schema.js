@@ -0,0 +1,375 @@
+/**
+ * northstar.LM - Agent Export Schema
+ *
+ * Versioned schema for the JSON payload embedded in exported agent files
+ * ("## Export Payload (JSON)"):
+ * - Extracts the payload from agent markdown, reporting malformed JSON
+ * - Upgrades older payloads step by step (v1 -> v2 -> v3 -> v4)
+ * - Validates the result and reports each problem by field path
+ *
+ * Version history:
+ *   1 - Markdown-only agents (no JSON payload); rebuilt from the sections
+ *   2 - Export payload with agent/source/analysis/sotMetadata blocks
+ *   3 - Adds analysis.transcriptSegments and analysis.speakers
+ *   4 - Adds analysis.decisions
+ */
+
+export const AGENT_SCHEMA_ID = 'northstar-agent-md';
+export const AGENT_SCHEMA_VERSION = 4;
+export const AGENT_PAYLOAD_SECTION = 'Export Payload (JSON)';
+
+const MAX_REPORTED_ISSUES = 5;
+
+const DEFAULT_KEY_ENTITIES = { people: [], projects: [], organizations: [], products: [] };
+const DEFAULT_CONTENT_SIGNALS = {
+    riskMentions: 0, decisionsMade: 0, actionsAssigned: 0,
+    questionsRaised: 0, conflictIndicators: 0
+};
+
+/**
+ * Error raised when an agent file cannot be read or fails validation
+ */
+export class AgentSchemaError extends Error {
+    /**
+     * @param {Array<{path: string, message: string}>} issues - Problems found
+     * @param {string} fileName - Agent file the issues belong to
+     */
+    constructor(issues, fileName = '') {
+        const shown = issues.slice(0, MAX_REPORTED_ISSUES).map(issue => issue.path ? `${issue.path}: ${issue.message}` : issue.message);
+        const more = issues.length > MAX_REPORTED_ISSUES ? ` (+${issues.length - MAX_REPORTED_ISSUES} more)` : '';
+        super(`${fileName ? `${fileName}: ` : ''}${shown.join('; ')}${more}`);
+        this.name = 'AgentSchemaError';
+        this.issues = issues;
+        this.fileName = fileName;
+    }
+}
+
+// ============================================
+// Payload Extraction
+// ============================================
+
+/**
+ * Read the export payload JSON block from agent markdown
+ * @param {string} content - Agent file markdown
+ * @param {string} fileName - For error messages
+ * @returns {Object|null} Parsed payload, or null when the file has none
+ * @throws {AgentSchemaError} When the block exists but is not valid JSON
+ */
+export function extractAgentPayload(content, fileName = '') {
+    const safeName = AGENT_PAYLOAD_SECTION.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`## ${safeName}[\\s\\S]*?\\n\`\`\`json\\s*\\n([\\s\\S]*?)\\n\`\`\``, 'i');
+    const match = String(content || '').match(regex);
+    if (!match || !match[1]) return null;
+    try {
+        return JSON.parse(match[1].trim());
+    } catch (error) {
+        throw new AgentSchemaError([{ path: AGENT_PAYLOAD_SECTION, message: `invalid JSON (${error.message})` }], fileName);
+    }
+}
+
+/**
+ * Build a version 1 payload from the markdown sections of an old agent file
+ * @param {Object} sections - { frontmatter, title, summary, keyPoints, actionItems, sentiment, transcript }
+ * @returns {Object} Version 1 payload (run through migrateAgentPayload before use)
+ */
+export function buildLegacyAgentPayload(sections = {}) {
+    const frontmatter = sections.frontmatter || {};
+    const name = sections.title || unquote(frontmatter.agent_name) || 'Untitled Meeting';
+    const created = unquote(frontmatter.created) || null;
+    return {
+        schema: AGENT_SCHEMA_ID,
+        schemaVersion: 1,
+        agent: {
+            id: unquote(frontmatter.agent_id) || `legacy-${hashString(`${name}|${created}|${sections.summary || sections.transcript || ''}`)}`,
+            name,
+            created,
+            sourceType: unquote(frontmatter.source_type) || 'agent'
+        },
+        analysis: {
+            summary: sections.summary || '',
+            keyPoints: sections.keyPoints || '',
+            actionItems: sections.actionItems || '',
+            sentiment: sections.sentiment || '',
+            transcript: sections.transcript || ''
+        }
+    };
+}
+
+function unquote(value) {
+    if (typeof value !== 'string') return value || null;
+    return value.trim().replace(/^"(.*)"$/, '$1') || null;
+}
+
+function hashString(text) {
+    // FNV-1a: stable ids for legacy agents so re-imports deduplicate
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+// ============================================
+// Migrations
+// ============================================
+
+// MIGRATIONS[n] upgrades a version n payload to version n + 1
+const MIGRATIONS = {
+    1: payload => {
+        const agent = payload.agent || {};
+        const sourceType = agent.sourceType || payload.source?.inputMode || 'agent';
+        return {
+            ...payload,
+            schemaVersion: 2,
+            exportedAt: payload.exportedAt || agent.created || null,
+            agent: {
+                app: 'northstar.LM',
+                ...agent,
+                sourceType
+            },
+            source: payload.source || { inputMode: sourceType },
+            processing: payload.processing || {},
+            analysis: {
+                summary: '',
+                keyPoints: '',
+                actionItems: '',
+                sentiment: '',
+                transcript: '',
+                ...payload.analysis
+            },
+            sotMetadata: payload.sotMetadata || {},
+            chatHistory: payload.chatHistory || [],
+            artifacts: payload.artifacts || {},
+            attachments: payload.attachments || {}
+        };
+    },
+    2: payload => {
+        const analysis = payload.analysis || {};
+        const sot = payload.sotMetadata || {};
+        return {
+            ...payload,
+            schemaVersion: 3,
+            analysis: {
+                ...analysis,
+                transcriptSegments: Array.isArray(analysis.transcriptSegments) ? analysis.transcriptSegments : [],
+                speakers: Array.isArray(analysis.speakers) ? analysis.speakers : []
+            },
+            sotMetadata: {
+                ...sot,
+                meetingType: sot.meetingType || 'general',
+                keyEntities: { ...DEFAULT_KEY_ENTITIES, ...sot.keyEntities },
+                temporalContext: sot.temporalContext || null,
+                topicTags: Array.isArray(sot.topicTags) ? sot.topicTags : [],
+                contentSignals: sot.contentSignals || { ...DEFAULT_CONTENT_SIGNALS },
+                suggestedPerspective: sot.suggestedPerspective || null
+            }
+        };
+    },
+    3: payload => {
+        const analysis = payload.analysis || {};
+        return {
+            ...payload,
+            schemaVersion: 4,
+            analysis: {
+                ...analysis,
+                decisions: Array.isArray(analysis.decisions) ? analysis.decisions : []
+            }
+        };
+    }
+};
+
+/**
+ * Upgrade a payload to the current schema version
+ * @param {Object} payload - Export payload (any supported version)
+ * @param {string} fileName - For error messages
+ * @returns {{payload: Object, fromVersion: number, migrated: boolean}}
+ * @throws {AgentSchemaError} For unknown schemas or versions newer than this app
+ */
+export function migrateAgentPayload(payload, fileName = '') {
+    if (!isPlainObject(payload)) {
+        throw new AgentSchemaError([{ path: AGENT_PAYLOAD_SECTION, message: 'must be a JSON object' }], fileName);
+    }
+    if (payload.schema !== undefined && payload.schema !== AGENT_SCHEMA_ID) {
+        throw new AgentSchemaError([{ path: 'schema', message: `expected "${AGENT_SCHEMA_ID}", got "${payload.schema}"` }], fileName);
+    }
+
+    // Payloads written before schemaVersion existed are treated as version 1
+    const fromVersion = payload.schemaVersion === undefined ? 1 : payload.schemaVersion;
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        throw new AgentSchemaError([{ path: 'schemaVersion', message: `must be a positive integer, got ${JSON.stringify(payload.schemaVersion)}` }], fileName);
+    }
+    if (fromVersion > AGENT_SCHEMA_VERSION) {
+        throw new AgentSchemaError([{
+            path: 'schemaVersion',
+            message: `file uses schema v${fromVersion} but this app reads up to v${AGENT_SCHEMA_VERSION}; reload to get the latest version`
+        }], fileName);
+    }
+
+    let migrated = { schema: AGENT_SCHEMA_ID, ...payload, schemaVersion: fromVersion };
+    for (let version = fromVersion; version < AGENT_SCHEMA_VERSION; version++) {
+        migrated = MIGRATIONS[version](migrated);
+    }
+    return { payload: migrated, fromVersion, migrated: fromVersion !== AGENT_SCHEMA_VERSION };
+}
+
+// ============================================
+// Validation
+// ============================================
+
+const SEGMENT_FIELDS = { start: 'number', end: 'number', text: 'string' };
+const SPEAKER_FIELDS = { id: 'string', name: 'string' };
+const DECISION_FIELDS = { decision: 'string', participants: 'array' };
+
+// Field rules for the current version. `items` checks array entries:
+// a type name, or an object of field -> type for arrays of records.
+const FIELD_RULES = [
+    { path: 'schema', type: 'string', required: true },
+    { path: 'schemaVersion', type: 'integer', required: true },
+    { path: 'exportedAt', type: 'date', nullable: true },
+    { path: 'agent', type: 'object', required: true },
+    { path: 'agent.id', type: 'string', required: true, nonEmpty: true },
+    { path: 'agent.name', type: 'string', required: true, nonEmpty: true },
+    { path: 'agent.created', type: 'date', nullable: true },
+    { path: 'agent.sourceType', type: 'string', nullable: true },
+    { path: 'source', type: 'object', nullable: true },
+    { path: 'processing', type: 'object', nullable: true },
+    { path: 'analysis', type: 'object', required: true },
+    { path: 'analysis.summary', type: 'string', required: true },
+    { path: 'analysis.keyPoints', type: 'string', required: true },
+    { path: 'analysis.actionItems', type: 'string', required: true },
+    { path: 'analysis.sentiment', type: 'string', required: true },
+    { path: 'analysis.transcript', type: 'string', required: true },
+    { path: 'analysis.transcriptSegments', type: 'array', required: true, items: SEGMENT_FIELDS },
+    { path: 'analysis.speakers', type: 'array', required: true, items: SPEAKER_FIELDS },
+    { path: 'analysis.decisions', type: 'array', required: true, items: DECISION_FIELDS },
+    { path: 'sotMetadata', type: 'object', required: true },
+    { path: 'sotMetadata.meetingType', type: 'string', required: true },
+    { path: 'sotMetadata.keyEntities', type: 'object', required: true },
+    { path: 'sotMetadata.keyEntities.people', type: 'array', items: 'string' },
+    { path: 'sotMetadata.keyEntities.projects', type: 'array', items: 'string' },
+    { path: 'sotMetadata.keyEntities.organizations', type: 'array', items: 'string' },
+    { path: 'sotMetadata.keyEntities.products', type: 'array', items: 'string' },
+    { path: 'sotMetadata.topicTags', type: 'array', required: true, items: 'string' },
+    { path: 'sotMetadata.temporalContext', type: 'object', nullable: true },
+    { path: 'sotMetadata.contentSignals', type: 'object', nullable: true },
+    { path: 'kpis', type: 'object', nullable: true },
+    { path: 'chatHistory', type: 'array', nullable: true },
+    { path: 'artifacts', type: 'object', nullable: true },
+    { path: 'attachments', type: 'object', nullable: true }
+];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), object);
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'object': return isPlainObject(value);
+        case 'array': return Array.isArray(value);
+        case 'date': return typeof value === 'string' && !isNaN(Date.parse(value));
+        default: return true;
+    }
+}
+
+function checkItems(items, rule, issues) {
+    items.forEach((item, index) => {
+        const itemPath = `${rule.path}[${index}]`;
+        if (typeof rule.items === 'string') {
+            if (!matchesType(item, rule.items)) {
+                issues.push({ path: itemPath, message: `expected ${rule.items}, got ${describe(item)}` });
+            }
+            return;
+        }
+        if (!isPlainObject(item)) {
+            issues.push({ path: itemPath, message: `expected object, got ${describe(item)}` });
+            return;
+        }
+        Object.entries(rule.items).forEach(([field, type]) => {
+            if (!matchesType(item[field], type)) {
+                issues.push({ path: `${itemPath}.${field}`, message: `expected ${type}, got ${describe(item[field])}` });
+            }
+        });
+    });
+}
+
+/**
+ * Validate a current-version payload
+ * @param {Object} payload - Export payload (already migrated)
+ * @returns {{valid: boolean, issues: Array<{path: string, message: string}>}}
+ */
+export function validateAgentPayload(payload) {
+    const issues = [];
+    if (!isPlainObject(payload)) {
+        return { valid: false, issues: [{ path: '', message: 'payload must be a JSON object' }] };
+    }
+
+    FIELD_RULES.forEach(rule => {
+        const parentPath = rule.path.split('.').slice(0, -1).join('.');
+        // Skip children of a missing/invalid parent: the parent is already reported
+        if (parentPath && !isPlainObject(getPath(payload, parentPath))) return;
+
+        const value = getPath(payload, rule.path);
+        if (value === undefined || value === null) {
+            if (rule.required && !(value === null && rule.nullable)) {
+                issues.push({ path: rule.path, message: 'is required' });
+            }
+            return;
+        }
+        if (!matchesType(value, rule.type)) {
+            issues.push({ path: rule.path, message: `expected ${rule.type}, got ${describe(value)}` });
+            return;
+        }
+        if (rule.nonEmpty && !String(value).trim()) {
+            issues.push({ path: rule.path, message: 'must not be empty' });
+        }
+        if (rule.items && Array.isArray(value)) {
+            checkItems(value, rule, issues);
+        }
+    });
+
+    if (payload.schema !== AGENT_SCHEMA_ID) {
+        issues.push({ path: 'schema', message: `expected "${AGENT_SCHEMA_ID}"` });
+    }
+    if (payload.schemaVersion !== AGENT_SCHEMA_VERSION) {
+        issues.push({ path: 'schemaVersion', message: `expected ${AGENT_SCHEMA_VERSION} after migration, got ${payload.schemaVersion}` });
+    }
+    const analysis = payload.analysis;
+    if (isPlainObject(analysis) && !String(analysis.summary || '').trim() && !String(analysis.transcript || '').trim()) {
+        issues.push({ path: 'analysis', message: 'needs a summary or a transcript' });
+    }
+
+    return { valid: issues.length === 0, issues };
+}
+
+/**
+ * Migrate and validate an agent payload in one step
+ * @param {Object} payload - Export payload (any supported version)
+ * @param {string} fileName - For error messages
+ * @returns {{payload: Object, fromVersion: number, migrated: boolean}}
+ * @throws {AgentSchemaError} Listing every invalid field
+ */
+export function loadAgentPayload(payload, fileName = '') {
+    const result = migrateAgentPayload(payload, fileName);
+    const { valid, issues } = validateAgentPayload(result.payload);
+    if (!valid) {
+        throw new AgentSchemaError(issues, fileName);
+    }
+    if (result.migrated) {
+        console.log(`[Schema] Upgraded ${fileName || 'agent'} from v${result.fromVersion} to v${AGENT_SCHEMA_VERSION}`);
+    }
+    return result;
+}
@@ -7,6 +7,32 @@
 // RLM Pipeline Import
 // ============================================
 import { getRLMPipeline } from './rlm/index.js';
+import { getLLMProvider, loadProviderConfig, saveProviderConfig, providerRequiresApiKey, PROVIDER_PRESETS } from './llm-provider.js';
+import { decodeAudioFile, transcribeInSegments, CHUNKING_CONFIG, trimToSpeech, encodeWav } from './audio-chunker.js';
+import {
+    normalizeSegments,
+    findActiveSegmentIndex,
+    findSegmentForText,
+    applySpeakerTurns,
+    buildSpeakerRoster,
+    formatSpeakerTranscript,
+    isGenericSpeakerName,
+    replaceSpeakerName
+} from './transcript-segments.js';
+import {
+    AGENT_SCHEMA_ID,
+    AGENT_SCHEMA_VERSION,
+    AgentSchemaError,
+    extractAgentPayload,
+    buildLegacyAgentPayload,
+    loadAgentPayload
+} from './agent-schema.js';
+import { normalizeDecisions, parseDecisionsResponse } from './decision-log.js';
+import { parseActionItems } from './action-items.js';
+import { RealtimeVoiceSession, REALTIME_CONFIG } from './realtime-voice.js';
+import { LiveMeetingCapture } from './live-capture.js';
+import { isTranscriptFile, importTranscriptFile, TRANSCRIPT_FORMAT_LABELS } from './transcript-import.js';
+import { isOfficeDocument, isLegacyOfficeDocument, extractOfficeDocument, OFFICE_KIND_LABELS } from './office-documents.js';
 
 // RLM Pipeline Instance (initialized in init())
 let rlmPipeline = null;
@@ -41,7 +67,9 @@ const state = {
     selectedImageFile: null,
     selectedImageBase64: null, // Base64-encoded image for Vision API
     selectedVideoFile: null,
-    inputMode: 'audio', // 'audio', 'pdf', 'image', 'video', 'text', or 'url'
+    importedTranscript: null, // Parsed platform transcript: { format, text, segments, speakers, durationSeconds }
+    officeDocument: null, // Extracted DOCX/PPTX/XLSX: { kind, text, stats }
+    inputMode: 'audio', // 'audio', 'pdf', 'image', 'video', 'transcript', 'document', 'text', 'url', or 'live'
     isProcessing: false,
     results: null,
     metrics: null,
@@ -49,10 +77,14 @@ const state = {
     chatMode: 'direct', // 'direct' or 'rlm' - default to Direct for single-meeting chat
     isRecording: false, // Voice recording state
     voiceResponseEnabled: true, // Whether to speak responses aloud
+    voiceHandsFree: false, // Push-to-talk: tap once, stop when the speaker stops (local VAD)
     voiceMode: 'push-to-talk', // 'push-to-talk' or 'realtime'
     realtimeActive: false, // Whether real-time session is active
     realtimeSessionCost: 0, // Running cost of real-time session
+    parallelTranscription: false, // Transcribe long-recording segments in parallel
+    speakerLabelling: true, // Label speakers on timestamped transcripts before analysis
     sourceUrl: null,
+    liveRecording: null, // Finished live capture awaiting analysis: { text, segments, file, durationSeconds, metrics, ... }
     exportMeta: {
         agentId: null,
         source: {
@@ -60,12 +92,15 @@ const state = {
             pdf: null,
             image: null,
             video: null,
+            transcript: null,
+            document: null,
             url: null
         },
         processing: {
             inputMode: null,
             analysis: null,
             transcriptionMethod: null,
+            audio: null,
             pdf: {
                 totalPages: null,
                 usedVisionOcr: false,
@@ -103,12 +138,19 @@ function isCorsError(error) {
 }
 
 function buildCorsErrorMessage() {
-    return 'Browser blocked this request due to CORS. When running from GitHub Pages, you must route OpenAI API calls through your own backend/proxy so the response includes Access-Control-Allow-Origin.';
+    return 'Browser blocked this request due to CORS. When running from GitHub Pages, you must route OpenAI API calls through your own backend/proxy (set its base URL under Settings → Model Provider) so the response includes Access-Control-Allow-Origin.';
 }
 
-async function fetchOpenAI(url, options) {
+/**
+ * Send a request through the configured LLM provider
+ * @param {string} operation - Adapter method: 'chat', 'chatStream', 'transcribe', 'speech' or 'image'
+ * @param {Object|FormData} payload - OpenAI-shaped request payload
+ * @param {Object} options - Extra adapter options (e.g. signal)
+ * @returns {Promise<Response>}
+ */
+async function fetchOpenAI(operation, payload, options = {}) {
     try {
-        return await fetch(url, options);
+        return await getLLMProvider()[operation](payload, { apiKey: state.apiKey, ...options });
     } catch (error) {
         if (isCorsError(error)) {
             throw new Error(buildCorsErrorMessage());
@@ -149,14 +191,23 @@ const PROMPTS = {
 
   "keyPoints": "List of main points discussed, separated by newlines. Start each point with a dash (-). These should be the most important ideas, findings, or topics.",
 
-  "actionItems": "List of specific tasks or action items assigned or discussed, separated by newlines. Start each item with a dash (-). If none found, respond with 'No specific action items identified.'",
+  "actionItems": "List of specific tasks or action items assigned or discussed, separated by newlines. Start each item with a dash (-). When the transcript labels speakers (lines like '[0:42] Name: ...'), name the owner as the speaker who committed to the task, e.g. '- Dana: send the revised deck'. If none found, respond with 'No specific action items identified.'",
+
+  "decisions": [
+    {
+      "decision": "One decision the group actually made or agreed on, as a single sentence (e.g. 'Move the beta launch to May 12'). Not proposals or open questions.",
+      "rationale": "Why it was decided, as stated in the meeting, or null",
+      "participants": ["People who made or agreed to the decision (speaker names when the transcript labels speakers)"],
+      "reverses": "The earlier decision this one changes or cancels, if the meeting says so, or null"
+    }
+  ],
 
   "sentiment": "Overall sentiment: exactly one of 'Positive', 'Negative', or 'Neutral'.",
 
   "meetingType": "Classify the meeting type. Choose exactly one: 'planning', 'review', 'standup', 'brainstorm', 'decision', 'retrospective', 'report', 'general'.",
 
   "keyEntities": {
-    "people": ["Names of individuals mentioned (max 10)"],
+    "people": ["Names of individuals mentioned or speaking (max 10)"],
     "projects": ["Project or initiative names mentioned (max 5)"],
     "organizations": ["Teams, departments, or companies mentioned (max 5)"],
     "products": ["Products, features, or tools mentioned (max 5)"]
@@ -182,6 +233,8 @@ const PROMPTS = {
   "suggestedPerspective": "Based on content focus, suggest the most appropriate analysis perspective. Choose one: 'analyst' (data-heavy), 'advocate' (opportunity-focused), 'critic' (risk-heavy), 'synthesizer' (pattern-finding), 'historian' (timeline-focused), 'pragmatist' (action-heavy), 'stakeholder' (people-focused)."
 }
 
+When the input is split by markers such as "--- Slide 4: Pricing ---", "--- Sheet: Budget ---", "--- Table 2 ---" or "--- Page 3 ---", end each key point and action item drawn from it with its source in parentheses, e.g. "(Slide 4)" or "(Budget, Row 12)".
+
 Ensure your response is valid JSON only, no additional text.`,
     summarySystem: `You are a highly skilled AI trained in language comprehension and summarization.
 Read the following text and summarize it into a concise abstract paragraph.
@@ -198,6 +251,18 @@ If no action items are found, respond with "No specific action items identified.
     sentimentSystem: `You are an AI trained in sentiment analysis. 
 Analyze the overall sentiment of the following text. 
 Respond with exactly one word: "Positive", "Negative", or "Neutral".`,
+    liveNotesSystem: `You keep running notes while a meeting is still in progress.
+You receive the notes so far and the newest stretch of the transcript. Update the notes with what the new stretch adds:
+- Keep earlier points unless the new transcript changes or settles them
+- Merge duplicates; keep each line short
+- Name the owner of an action item when the speaker commits to it ("I'll send the deck" -> "- Speaker: send the deck")
+Respond with JSON only:
+{"keyPoints": "- point\n- point", "actionItems": "- item\n- item, or an empty string if none yet"}`,
+    decisionsSystem: `You are an AI trained in identifying decisions in meetings.
+Review the following text and list every decision the participants actually made or agreed on (not proposals, options or open questions).
+Respond with a JSON array only, one object per decision:
+[{"decision": "single sentence", "rationale": "why, as stated, or null", "participants": ["names of who decided or agreed"], "reverses": "earlier decision this one changes, if stated, or null"}]
+If no decisions were made, respond with [].`,
     visionOcrSystem: `You are an expert at analyzing images of documents, meeting notes, whiteboards, diagrams, and other visual content.
 
 Your task is to extract and transcribe ALL text content visible in the image, and describe any relevant visual elements (diagrams, charts, drawings, etc.) that provide context.
@@ -209,6 +274,27 @@ Format your response as follows:
 
 Be thorough and capture every piece of text visible in the image.`,
     audioBriefingSystem: 'You create professional executive audio briefings.',
+    speakerDiarizationSystem: `You label who is speaking in a meeting transcript.
+
+The transcript is given as numbered lines: "[index] (m:ss) text". Lines are short Whisper segments, so one speaker usually holds several consecutive lines.
+
+Use conversational cues to find speaker turns: questions and answers, greetings and hand-offs ("Thanks, Priya"), self-references ("I'll take that"), changes in topic or register, and timing gaps.
+
+Respond with JSON only:
+{
+  "speakers": [
+    { "id": "S1", "name": "Real name if the transcript reveals it (e.g. someone is addressed by name and answers), otherwise null" }
+  ],
+  "turns": [
+    { "from": 0, "to": 4, "speaker": "S1" }
+  ]
+}
+
+Rules:
+- Reuse the ids of KNOWN SPEAKERS when the same person continues speaking
+- Turns cover every line index in order; "from" and "to" are inclusive
+- Only give a name when the evidence is clear; never invent names
+- Prefer fewer speakers over splitting one person into several`,
     agendaSystem: `You are a meeting facilitator creating concise agendas.
 
 CRITICAL RULES:
@@ -365,6 +451,12 @@ let generatedAudioBase64 = null;
 let generatedImageUrl = null;
 let generatedImageBase64 = null; // Store base64 for DOCX embedding
 
+// Source recording loaded into the custom player for transcript playback
+let recordingSourceFile = null;
+let recordingAudioUrl = null;
+let audioPlayerSource = 'briefing'; // 'briefing' | 'recording'
+let activeTranscriptIndex = -1;
+
 // ============================================
 // DOM Elements (initialized in init())
 // ============================================
@@ -390,6 +482,19 @@ async function init() {
         textTab: document.getElementById('text-tab'),
         urlTab: document.getElementById('url-tab'),
         importTab: document.getElementById('import-tab'),
+        liveTab: document.getElementById('live-tab'),
+
+        // Live Meeting Capture
+        liveRecordBtn: document.getElementById('live-record-btn'),
+        liveDiscardBtn: document.getElementById('live-discard-btn'),
+        liveSystemAudioToggle: document.getElementById('live-system-audio-toggle'),
+        liveTimer: document.getElementById('live-timer'),
+        liveSpeechIndicator: document.getElementById('live-speech-indicator'),
+        liveStatus: document.getElementById('live-status'),
+        livePanels: document.getElementById('live-panels'),
+        liveTranscript: document.getElementById('live-transcript'),
+        liveKeyPoints: document.getElementById('live-key-points'),
+        liveActionItems: document.getElementById('live-action-items'),
 
         // Unified Upload
         unifiedDropZone: document.getElementById('unified-drop-zone'),
@@ -425,6 +530,8 @@ async function init() {
         resultKeypoints: document.getElementById('result-keypoints'),
         resultActions: document.getElementById('result-actions'),
         resultAgenda: document.getElementById('result-agenda'),
+        transcriptSection: document.getElementById('transcript-section'),
+        resultTranscript: document.getElementById('result-transcript'),
         agendaSection: document.getElementById('agenda-section'),
 
         // Export Dropdown
@@ -448,6 +555,9 @@ async function init() {
         generateAudioBtn: document.getElementById('generate-audio-btn'),
         audioPlayerContainer: document.getElementById('audio-player-container'),
         audioPlayer: document.getElementById('audio-player'),
+        audioPlayerTitle: document.getElementById('audio-player-title'),
+        audioPlayerIcon: document.getElementById('audio-player-icon'),
+        audioSourceToggle: document.getElementById('audio-source-toggle'),
         downloadAudioBtn: document.getElementById('download-audio-btn'),
         audioPlayBtn: document.getElementById('audio-play-btn'),
         audioProgressBar: document.getElementById('audio-progress-bar'),
@@ -475,6 +585,7 @@ async function init() {
         // Voice Chat
         voiceInputBtn: document.getElementById('voice-input-btn'),
         voiceResponseToggle: document.getElementById('voice-response-toggle'),
+        voiceHandsFreeToggle: document.getElementById('voice-handsfree-toggle'),
         voiceRecordingStatus: document.getElementById('voice-recording-status'),
         voiceStatusText: document.getElementById('voice-status-text'),
         voiceVolumeBar: document.getElementById('voice-volume-bar'),
@@ -528,6 +639,11 @@ async function init() {
         settingsVoice: document.getElementById('settings-voice'),
         settingsShowMetrics: document.getElementById('settings-show-metrics'),
         settingsDebugMode: document.getElementById('settings-debug-mode'),
+        settingsParallelTranscription: document.getElementById('settings-parallel-transcription'),
+        settingsSpeakerLabelling: document.getElementById('settings-speaker-labelling'),
+        settingsProvider: document.getElementById('settings-provider'),
+        settingsProviderBaseUrl: document.getElementById('settings-provider-base-url'),
+        settingsProviderModel: document.getElementById('settings-provider-model'),
 
         // Floating Chat Widget
         chatWidget: document.getElementById('chat-widget'),
@@ -613,6 +729,24 @@ function setupEventListeners() {
         elements.agentFileInput.addEventListener('change', handleAgentFileSelect);
     }
 
+    // Live Meeting Capture
+    if (elements.liveRecordBtn) {
+        elements.liveRecordBtn.addEventListener('click', toggleLiveCapture);
+    }
+    if (elements.liveDiscardBtn) {
+        elements.liveDiscardBtn.addEventListener('click', () => {
+            if (confirm('Discard this recording? Nothing transcribed so far is kept.')) {
+                discardLiveCapture();
+            }
+        });
+    }
+    window.addEventListener('beforeunload', (e) => {
+        if (liveCapture) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
+
     // Text Input
     elements.textInput.addEventListener('input', updateAnalyzeButton);
     
@@ -677,6 +811,7 @@ function setupEventListeners() {
 
     // Custom Audio Player Controls
     initAudioPlayerControls();
+    initTranscriptViewer();
 
     // Infographic (from dedicated section, if exists)
     if (elements.generateInfographicBtn) {
@@ -708,22 +843,31 @@ function setupEventListeners() {
         }
     });
 
-    // Voice Input - Push-to-talk
+    // Voice Input - Push-to-talk (hold), or tap once in hands-free mode
     if (elements.voiceInputBtn) {
-        elements.voiceInputBtn.addEventListener('mousedown', startVoiceRecording);
-        elements.voiceInputBtn.addEventListener('mouseup', stopVoiceRecording);
+        elements.voiceInputBtn.addEventListener('mousedown', onVoiceButtonPress);
+        elements.voiceInputBtn.addEventListener('mouseup', onVoiceButtonRelease);
         elements.voiceInputBtn.addEventListener('mouseleave', () => {
-            if (state.isRecording) stopVoiceRecording();
+            if (state.isRecording && !state.voiceHandsFree) stopVoiceRecording();
         });
 
         // Touch support for mobile
         elements.voiceInputBtn.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            startVoiceRecording();
+            onVoiceButtonPress();
         });
         elements.voiceInputBtn.addEventListener('touchend', (e) => {
             e.preventDefault();
-            stopVoiceRecording();
+            onVoiceButtonRelease();
+        });
+    }
+
+    // Hands-free toggle
+    if (elements.voiceHandsFreeToggle) {
+        elements.voiceHandsFreeToggle.addEventListener('change', (e) => {
+            state.voiceHandsFree = e.target.checked;
+            localStorage.setItem('settings_voice_handsfree', state.voiceHandsFree.toString());
+            updateVoiceModeUI();
         });
     }
 
@@ -837,6 +981,18 @@ function setupEventListeners() {
     if (elements.settingsDebugMode) {
         elements.settingsDebugMode.addEventListener('change', saveSettings);
     }
+    if (elements.settingsSpeakerLabelling) {
+        elements.settingsSpeakerLabelling.addEventListener('change', saveSettings);
+    }
+    if (elements.settingsParallelTranscription) {
+        elements.settingsParallelTranscription.addEventListener('change', saveSettings);
+    }
+    if (elements.settingsProvider) {
+        elements.settingsProvider.addEventListener('change', handleProviderChange);
+    }
+    [elements.settingsProviderBaseUrl, elements.settingsProviderModel].forEach(input => {
+        input?.addEventListener('change', saveProviderSettings);
+    });
     // Close settings panel with Escape key
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && elements.settingsPanel && elements.settingsPanel.classList.contains('visible')) {
@@ -1105,7 +1261,7 @@ function switchTab(tab) {
     // Map 'upload' tab to actual input mode based on selected file, or default to 'audio'
     if (tab === 'upload') {
         // Keep current inputMode if a file is selected, otherwise reset
-        if (!state.selectedFile && !state.selectedPdfFile && !state.selectedImageFile && !state.selectedVideoFile) {
+        if (!state.selectedFile && !state.selectedPdfFile && !state.selectedImageFile && !state.selectedVideoFile && !state.importedTranscript && !state.officeDocument) {
             state.inputMode = 'audio'; // Default mode for upload tab
         }
     } else if (tab === 'import') {
@@ -1123,6 +1279,7 @@ function switchTab(tab) {
     if (elements.textTab) elements.textTab.classList.toggle('active', tab === 'text');
     if (elements.urlTab) elements.urlTab.classList.toggle('active', tab === 'url');
     if (elements.importTab) elements.importTab.classList.toggle('active', tab === 'import');
+    if (elements.liveTab) elements.liveTab.classList.toggle('active', tab === 'live');
 
     updateAnalyzeButton();
 }
@@ -1157,6 +1314,22 @@ function handleUnifiedFileSelect(e) {
     const extension = file.name.split('.').pop().toLowerCase();
     const mimeType = file.type;
 
+    // Platform transcripts (and plain-text notes) are parsed, not transcribed
+    if (isTranscriptFile(file)) {
+        handleTranscriptFileSelect(file);
+        return;
+    }
+
+    if (isOfficeDocument(file)) {
+        handleOfficeFileSelect(file);
+        return;
+    }
+
+    if (isLegacyOfficeDocument(file)) {
+        showError(`${file.name} is in an older Office format. Save it as .docx, .pptx or .xlsx and try again.`);
+        return;
+    }
+
     // Detect file type and set appropriate state
     if (['mp3', 'wav', 'm4a', 'ogg', 'oga', 'flac', 'mpga'].includes(extension) ||
         mimeType.startsWith('audio/')) {
@@ -1191,10 +1364,101 @@ function handleUnifiedFileSelect(e) {
         showImagePreview(file);
     }
     else {
-        showError('Unsupported file type. Please upload audio, video, PDF, or image.');
+        showError('Unsupported file type. Please upload audio, video, PDF, an Office document (DOCX, PPTX, XLSX), image, or a transcript (VTT, SRT, TXT, DOCX).');
+        return;
+    }
+
+    updateAnalyzeButton();
+}
+
+/**
+ * Parse a VTT/SRT/TXT transcript so its speakers and timestamps skip
+ * Whisper and speaker labelling; plain-text notes go to the Text tab
+ */
+async function handleTranscriptFileSelect(file) {
+    hideError();
+    let transcript;
+    try {
+        transcript = await importTranscriptFile(file);
+    } catch (error) {
+        console.error('[Transcript Import] Could not read file:', error);
+        showError(`Could not read ${file.name}: ${error.message}`);
+        return;
+    }
+
+    if (!transcript) {
+        if (file.name.toLowerCase().endsWith('.txt')) {
+            elements.textInput.value = await file.text();
+            switchTab('text');
+            return;
+        }
+        showError(`${file.name} is not a recognized meeting transcript.`);
+        return;
+    }
+
+    selectImportedTranscript(file, transcript);
+}
+
+function selectImportedTranscript(file, transcript) {
+    console.log(`[Transcript Import] ${TRANSCRIPT_FORMAT_LABELS[transcript.format]}: ${transcript.segments.length} segments, ${transcript.speakers.length} speakers`);
+    state.inputMode = 'transcript';
+    state.importedTranscript = transcript;
+    state.exportMeta.source.transcript = { ...getFileMeta(file), format: transcript.format };
+
+    const speakerNote = transcript.speakers.length > 0
+        ? ` · ${transcript.speakers.length} speaker${transcript.speakers.length === 1 ? '' : 's'}`
+        : '';
+    showUnifiedFileInfo(file, '💬', `${TRANSCRIPT_FORMAT_LABELS[transcript.format]}${speakerNote}`);
+    updateAnalyzeButton();
+}
+
+/**
+ * Extract the text of a Word, PowerPoint or Excel file up front, so empty
+ * or damaged files are reported before analysis starts. A Word file is
+ * only taken as a Teams/Meet transcript when it has cue timings or is
+ * made up of timestamped speaker turns.
+ */
+async function handleOfficeFileSelect(file) {
+    hideError();
+    if (file.name.toLowerCase().endsWith('.docx')) {
+        try {
+            const transcript = await importTranscriptFile(file);
+            if (transcript) {
+                selectImportedTranscript(file, transcript);
+                return;
+            }
+        } catch (error) {
+            console.warn('[Office Import] Transcript check failed, reading as a document:', error);
+        }
+    }
+
+    let extracted;
+    try {
+        extracted = await extractOfficeDocument(file);
+    } catch (error) {
+        console.error('[Office Import] Could not read file:', error);
+        showError(`Could not read ${file.name}: ${error.message}`);
         return;
     }
 
+    if (!extracted.text.replace(/^--- .* ---$/gm, '').trim()) {
+        showError(`No text found in ${file.name}. Slides or pages made of images can be exported to PDF and analyzed with Vision OCR.`);
+        return;
+    }
+
+    console.log(`[Office Import] ${OFFICE_KIND_LABELS[extracted.kind]}: ${extracted.text.length} chars`, extracted.stats);
+    state.inputMode = 'document';
+    state.officeDocument = extracted;
+    state.exportMeta.source.document = { ...getFileMeta(file), kind: extracted.kind, ...extracted.stats };
+
+    const { stats } = extracted;
+    const details = {
+        docx: stats.tables ? `${stats.tables} table${stats.tables === 1 ? '' : 's'}` : null,
+        pptx: `${stats.slides} slide${stats.slides === 1 ? '' : 's'}`,
+        xlsx: `${stats.sheets} sheet${stats.sheets === 1 ? '' : 's'}`
+    }[extracted.kind];
+    const icons = { docx: '📝', pptx: '📊', xlsx: '📈' };
+    showUnifiedFileInfo(file, icons[extracted.kind], `${OFFICE_KIND_LABELS[extracted.kind]}${details ? ` · ${details}` : ''}`);
     updateAnalyzeButton();
 }
 
@@ -1224,10 +1488,14 @@ function clearUnifiedFile() {
     state.selectedImageFile = null;
     state.selectedImageBase64 = null;
     state.selectedVideoFile = null;
+    state.importedTranscript = null;
+    state.officeDocument = null;
     state.exportMeta.source.audio = null;
     state.exportMeta.source.pdf = null;
     state.exportMeta.source.image = null;
     state.exportMeta.source.video = null;
+    state.exportMeta.source.transcript = null;
+    state.exportMeta.source.document = null;
 
     if (elements.unifiedFileInfo) elements.unifiedFileInfo.classList.add('hidden');
     if (elements.unifiedDropZone) elements.unifiedDropZone.style.display = 'block';
@@ -1629,39 +1897,32 @@ async function analyzeImageBasedPdf(pdf, totalPages) {
 // Image Analysis with Vision API
 // ============================================
 async function analyzeImageWithVision(base64Image) {
-    const response = await fetchOpenAI('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${state.apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            model: GPT_52_MODEL,
-            messages: [
-                {
-                    role: 'system',
-                        content: PROMPTS.visionOcrSystem
-                },
-                {
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'text',
-                            text: 'Please analyze this image and extract all text content and relevant visual information. This appears to be meeting-related content that needs to be analyzed.'
-                        },
-                        {
-                            type: 'image_url',
-                            image_url: {
-                                url: base64Image,
-                                detail: 'high'
-                            }
+    const response = await fetchOpenAI('chat', {
+        model: GPT_52_MODEL,
+        messages: [
+            {
+                role: 'system',
+                    content: PROMPTS.visionOcrSystem
+            },
+            {
+                role: 'user',
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Please analyze this image and extract all text content and relevant visual information. This appears to be meeting-related content that needs to be analyzed.'
+                    },
+                    {
+                        type: 'image_url',
+                        image_url: {
+                            url: base64Image,
+                            detail: 'high'
                         }
-                    ]
-                }
-            ],
-            max_completion_tokens: 4000,
-            temperature: 0.3
-        })
+                    }
+                ]
+            }
+        ],
+        max_completion_tokens: 4000,
+        temperature: 0.3
     });
 
     if (!response.ok) {
@@ -1691,7 +1952,7 @@ async function analyzeImageWithVision(base64Image) {
 function updateAnalyzeButton() {
     let canAnalyze = false;
 
-    if (state.apiKey) {
+    if (state.apiKey || !providerRequiresApiKey()) {
         if (state.inputMode === 'audio' && state.selectedFile) {
             canAnalyze = true;
         } else if (state.inputMode === 'pdf' && state.selectedPdfFile) {
@@ -1700,10 +1961,16 @@ function updateAnalyzeButton() {
             canAnalyze = true;
         } else if (state.inputMode === 'video' && state.selectedVideoFile) {
             canAnalyze = true;
+        } else if (state.inputMode === 'transcript' && state.importedTranscript) {
+            canAnalyze = true;
+        } else if (state.inputMode === 'document' && state.officeDocument) {
+            canAnalyze = true;
         } else if (state.inputMode === 'text' && elements.textInput.value.trim()) {
             canAnalyze = true;
         } else if (state.inputMode === 'url' && state.urlContent) {
             canAnalyze = true;
+        } else if (state.inputMode === 'live' && state.liveRecording && !liveCapture) {
+            canAnalyze = true;
         }
     }
 
@@ -1746,6 +2013,7 @@ async function startAnalysis() {
             jsonRecovered: false
         },
         transcriptionMethod: null,
+        audio: null,
         pdf: {
             totalPages: null,
             usedVisionOcr: false,
@@ -1754,13 +2022,18 @@ async function startAnalysis() {
         }
     };
     
+    releaseRecordingForPlayback();
+
     try {
         let transcriptionText;
+        let transcriptSegments = [];
+        let speakers = [];
 
         if (state.inputMode === 'audio') {
             state.exportMeta.processing.transcriptionMethod = 'whisper-1';
             updateProgress(5, 'Transcribing audio with Whisper...');
-            transcriptionText = await transcribeAudio(state.selectedFile);
+            ({ text: transcriptionText, segments: transcriptSegments } = await transcribeAudio(state.selectedFile));
+            recordingSourceFile = state.selectedFile;
         } else if (state.inputMode === 'pdf') {
             state.exportMeta.processing.transcriptionMethod = 'pdf.js';
             updateProgress(5, 'Extracting text from PDF...');
@@ -1789,7 +2062,48 @@ async function startAnalysis() {
         } else if (state.inputMode === 'video') {
             state.exportMeta.processing.transcriptionMethod = 'whisper-1';
             updateProgress(5, 'Transcribing video audio with Whisper...');
-            transcriptionText = await transcribeAudio(state.selectedVideoFile);
+            ({ text: transcriptionText, segments: transcriptSegments } = await transcribeAudio(state.selectedVideoFile));
+            recordingSourceFile = state.selectedVideoFile;
+        } else if (state.inputMode === 'transcript') {
+            const transcript = state.importedTranscript;
+            state.exportMeta.processing.transcriptionMethod = `transcript-import:${transcript.format}`;
+            updateProgress(5, `Reading ${TRANSCRIPT_FORMAT_LABELS[transcript.format]}...`);
+            transcriptionText = transcript.text;
+            transcriptSegments = transcript.segments;
+            speakers = transcript.speakers;
+            state.exportMeta.processing.audio = {
+                durationSeconds: Math.round(transcript.durationSeconds),
+                imported: true
+            };
+        } else if (state.inputMode === 'document') {
+            const officeDocument = state.officeDocument;
+            state.exportMeta.processing.transcriptionMethod = `office-${officeDocument.kind}`;
+            updateProgress(5, `Reading ${OFFICE_KIND_LABELS[officeDocument.kind]} document...`);
+            transcriptionText = officeDocument.text;
+        } else if (state.inputMode === 'live') {
+            const recording = state.liveRecording;
+            if (!recording?.text) {
+                throw new Error('Nothing was transcribed from the recording. Check the microphone and record again.');
+            }
+            state.exportMeta.processing.transcriptionMethod = 'whisper-1-live';
+            updateProgress(5, 'Using the live transcript...');
+            transcriptionText = recording.text;
+            transcriptSegments = recording.segments;
+            recordingSourceFile = recording.file;
+            state.exportMeta.processing.audio = {
+                durationSeconds: Math.round(recording.durationSeconds),
+                chunked: true,
+                live: true,
+                segmentCount: recording.windows,
+                failedSegments: recording.failedWindows,
+                includesSystemAudio: recording.includesSystemAudio
+            };
+
+            // Whisper minutes and running-notes tokens were spent while recording
+            currentMetrics.whisperMinutes += recording.metrics.whisperMinutes;
+            currentMetrics.gptInputTokens += recording.metrics.gptInputTokens;
+            currentMetrics.gptOutputTokens += recording.metrics.gptOutputTokens;
+            currentMetrics.apiCalls.push(...recording.metrics.apiCalls);
         } else if (state.inputMode === 'url') {
             state.exportMeta.processing.transcriptionMethod = 'url-extract';
             transcriptionText = state.urlContent;
@@ -1802,8 +2116,19 @@ async function startAnalysis() {
             transcriptionText = elements.textInput.value.trim();
         }
 
+        // Label speakers so the analysis can attribute commitments (imported transcripts may name them already)
+        if (transcriptSegments.length > 0 && speakers.length === 0 && state.speakerLabelling) {
+            updateProgress(28, 'Identifying speakers...');
+            try {
+                ({ segments: transcriptSegments, speakers } = await identifySpeakers(transcriptSegments));
+            } catch (error) {
+                console.warn('[Speakers] Speaker labelling failed, analyzing unlabelled transcript:', error.message);
+            }
+        }
+
         updateProgress(30, 'Analyzing meeting content...');
-        const analysis = await analyzeMeetingBatch(transcriptionText);
+        const analysisInput = formatSpeakerTranscript(transcriptSegments, speakers) || transcriptionText;
+        const analysis = await analyzeMeetingBatch(analysisInput);
         const analysisMeta = analysis._meta || {};
         state.exportMeta.processing.analysis = {
             ...state.exportMeta.processing.analysis,
@@ -1816,6 +2141,7 @@ async function startAnalysis() {
         const summary = analysis.summary;
         const keyPoints = analysis.keyPoints;
         const actionItems = analysis.actionItems;
+        const decisions = analysis.decisions || [];
         const sentiment = analysis.sentiment;
 
         updateProgress(100, 'Complete!');
@@ -1825,10 +2151,19 @@ async function startAnalysis() {
         
         state.results = {
             transcription: transcriptionText,
+            transcriptSegments,
+            speakers,
             summary,
             keyPoints,
             actionItems,
-            sentiment
+            decisions,
+            sentiment,
+            meetingType: analysis.meetingType,
+            keyEntities: withSpeakerPeople(analysis.keyEntities, speakers),
+            temporalContext: analysis.temporalContext,
+            topicTags: analysis.topicTags,
+            contentSignals: analysis.contentSignals,
+            suggestedPerspective: analysis.suggestedPerspective
         };
         state.metrics = metrics;
         
@@ -1929,19 +2264,88 @@ async function callAPIWithRetry(fn, maxRetries = 3, operation = 'API call') {
 // ============================================
 // OpenAI API Calls
 // ============================================
+
+/**
+ * Transcribe an audio/video file, chunking recordings over the upload limit
+ * @param {File} file - Audio or video file
+ * @returns {Promise<{text: string, segments: Array<{start: number, end: number, text: string}>}>}
+ */
 async function transcribeAudio(file) {
+    let decoded = null;
+    try {
+        decoded = await decodeAudioFile(file);
+    } catch (error) {
+        if (file.size > CHUNKING_CONFIG.maxUploadBytes) {
+            throw new Error(`This recording is larger than 25 MB and could not be decoded for chunked transcription (${error.message}). Try converting it to MP3 or WAV.`);
+        }
+        console.warn('[Transcription] Could not decode audio, estimating duration from file size:', error.message);
+    }
+
+    // Small files go up in one request; real duration comes from the decoded audio
+    if (file.size <= CHUNKING_CONFIG.maxUploadBytes || !decoded) {
+        const durationMinutes = decoded
+            ? decoded.durationSeconds / 60
+            : Math.max(0.1, file.size / (1024 * 1024)); // Rough estimate: ~1MB per minute
+        state.exportMeta.processing.audio = {
+            durationSeconds: decoded ? Math.round(decoded.durationSeconds) : null,
+            chunked: false,
+            segmentCount: 1
+        };
+        return await transcribeAudioSegment(file, 'Audio Transcription', durationMinutes);
+    }
+
+    const concurrency = state.parallelTranscription ? 3 : 1;
+    const result = await transcribeInSegments(
+        file,
+        (blob, segment) => transcribeAudioSegment(
+            blob,
+            `Audio Transcription (part ${segment.index + 1})`,
+            (segment.endTime - segment.startTime) / 60,
+            `segment-${segment.index + 1}.wav`
+        ),
+        {
+            decoded,
+            concurrency,
+            onProgress: ({ completed, total }) => {
+                const percent = 5 + Math.round((completed / total) * 25);
+                const part = Math.min(completed + 1, total);
+                updateProgress(percent, completed < total
+                    ? `Transcribing audio with Whisper (part ${part} of ${total})...`
+                    : 'Stitching transcript segments...');
+            }
+        }
+    );
+
+    state.exportMeta.processing.audio = {
+        durationSeconds: Math.round(result.durationSeconds),
+        chunked: true,
+        segmentCount: result.segments.length,
+        segmentSeconds: CHUNKING_CONFIG.maxSegmentSeconds,
+        overlapSeconds: CHUNKING_CONFIG.overlapSeconds,
+        concurrency
+    };
+
+    return { text: result.text, segments: result.transcriptSegments };
+}
+
+/**
+ * Transcribe one audio blob with retry and record its Whisper minutes
+ * @param {Blob} blob - Audio file or WAV segment (under the upload limit)
+ * @param {string} callName - Metrics label
+ * @param {number} durationMinutes - Audio length billed for this call
+ * @param {string} filename - Upload filename (defaults to the File name)
+ * @param {Object} metrics - Metrics to record the call in (live capture keeps its own)
+ * @returns {Promise<{text: string, segments: Array}>} Text plus segment timestamps relative to the blob
+ */
+async function transcribeAudioSegment(blob, callName, durationMinutes, filename = blob.name, metrics = currentMetrics) {
     return await callAPIWithRetry(async () => {
         const formData = new FormData();
-        formData.append('file', file);
+        formData.append('file', blob, filename || 'audio');
         formData.append('model', 'whisper-1');
+        formData.append('response_format', 'verbose_json');
+        formData.append('timestamp_granularities[]', 'segment');
 
-        const response = await fetchOpenAI('https://api.openai.com/v1/audio/transcriptions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${state.apiKey}`
-            },
-            body: formData
-        });
+        const response = await fetchOpenAI('transcribe', formData);
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
@@ -1952,20 +2356,18 @@ async function transcribeAudio(file) {
 
         const data = await response.json();
 
-        // Estimate audio duration from file size (rough estimate: ~1MB per minute for common formats)
-        const estimatedMinutes = Math.max(0.1, file.size / (1024 * 1024));
-        currentMetrics.whisperMinutes += estimatedMinutes;
-        currentMetrics.apiCalls.push({
-            name: 'Audio Transcription',
+        metrics.whisperMinutes += durationMinutes;
+        metrics.apiCalls.push({
+            name: callName,
             model: 'whisper-1',
-            duration: estimatedMinutes.toFixed(2) + ' min'
+            duration: durationMinutes.toFixed(2) + ' min'
         });
 
-        return data.text;
-    }, 3, 'Audio transcription');
+        return { text: data.text || '', segments: normalizeSegments(data.segments) };
+    }, 3, callName);
 }
 
-async function callChatAPI(systemPrompt, userContent, callName = 'API Call', useCache = true) {
+async function callChatAPI(systemPrompt, userContent, callName = 'API Call', useCache = true, metrics = currentMetrics) {
     // Check cache first (only for deterministic calls with temperature=0)
     if (useCache) {
         const cached = getCachedResponse(systemPrompt, userContent);
@@ -1976,20 +2378,13 @@ async function callChatAPI(systemPrompt, userContent, callName = 'API Call', use
     }
 
     const result = await callAPIWithRetry(async () => {
-        const response = await fetchOpenAI('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${state.apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: GPT_52_MODEL,
-                temperature: 0,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userContent }
-                ]
-            })
+        const response = await fetchOpenAI('chat', {
+            model: GPT_52_MODEL,
+            temperature: 0,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userContent }
+            ]
         });
 
         if (!response.ok) {
@@ -2003,9 +2398,9 @@ async function callChatAPI(systemPrompt, userContent, callName = 'API Call', use
 
         // Track token usage
         if (data.usage) {
-            currentMetrics.gptInputTokens += data.usage.prompt_tokens || 0;
-            currentMetrics.gptOutputTokens += data.usage.completion_tokens || 0;
-            currentMetrics.apiCalls.push({
+            metrics.gptInputTokens += data.usage.prompt_tokens || 0;
+            metrics.gptOutputTokens += data.usage.completion_tokens || 0;
+            metrics.apiCalls.push({
                 name: callName,
                 model: GPT_52_MODEL,
                 inputTokens: data.usage.prompt_tokens || 0,
@@ -2058,6 +2453,7 @@ async function analyzeMeetingBatch(text) {
             summary: parsed.summary || '',
             keyPoints: parsed.keyPoints || '',
             actionItems: parsed.actionItems || '',
+            decisions: normalizeDecisions(parsed.decisions),
             sentiment: parsed.sentiment || 'Neutral',
             // SoT metadata fields (top-level for easy access)
             meetingType: sotMetadata.meetingType,
@@ -2081,6 +2477,7 @@ async function analyzeMeetingBatch(text) {
                     summary: parsed.summary || '',
                     keyPoints: parsed.keyPoints || '',
                     actionItems: parsed.actionItems || '',
+                    decisions: normalizeDecisions(parsed.decisions),
                     sentiment: parsed.sentiment || 'Neutral',
                     meetingType: sotMetadata.meetingType,
                     keyEntities: sotMetadata.keyEntities,
@@ -2095,27 +2492,29 @@ async function analyzeMeetingBatch(text) {
                 console.warn('Batch analysis failed, falling back to individual calls');
                 meta.usedFallback = true;
                 meta.mode = 'fallback-individual';
-                const [summary, keyPoints, actionItems, sentiment] = await Promise.all([
+                const [summary, keyPoints, actionItems, decisions, sentiment] = await Promise.all([
                     extractSummary(text),
                     extractKeyPoints(text),
                     extractActionItems(text),
+                    extractDecisions(text),
                     analyzeSentiment(text)
                 ]);
                 // Fallback mode has no SoT metadata
-                return { summary, keyPoints, actionItems, sentiment, _meta: meta };
+                return { summary, keyPoints, actionItems, decisions, sentiment, _meta: meta };
             }
         }
         // Final fallback
         console.warn('JSON extraction failed, falling back to individual calls');
         meta.usedFallback = true;
         meta.mode = 'fallback-individual';
-        const [summary, keyPoints, actionItems, sentiment] = await Promise.all([
+        const [summary, keyPoints, actionItems, decisions, sentiment] = await Promise.all([
             extractSummary(text),
             extractKeyPoints(text),
             extractActionItems(text),
+            extractDecisions(text),
             analyzeSentiment(text)
         ]);
-        return { summary, keyPoints, actionItems, sentiment, _meta: meta };
+        return { summary, keyPoints, actionItems, decisions, sentiment, _meta: meta };
     }
 }
 
@@ -2137,12 +2536,153 @@ async function extractActionItems(text) {
     return await callChatAPI(systemPrompt, text, 'Action Items');
 }
 
+async function extractDecisions(text) {
+    const systemPrompt = PROMPTS.decisionsSystem;
+
+    try {
+        return parseDecisionsResponse(await callChatAPI(systemPrompt, text, 'Decisions'));
+    } catch (error) {
+        // Decisions are optional; the rest of the analysis still stands
+        console.warn('[Decisions] Extraction failed:', error.message);
+        return [];
+    }
+}
+
 async function analyzeSentiment(text) {
     const systemPrompt = PROMPTS.sentimentSystem;
     
     return await callChatAPI(systemPrompt, text, 'Sentiment');
 }
 
+// ============================================
+// Speaker Labelling
+// ============================================
+
+const SPEAKER_BATCH_SIZE = 150; // Segments per labelling call (~15-20 min of speech)
+
+/**
+ * Label speaker turns over timestamped segments with the LLM
+ * Long transcripts are labelled in batches; each batch sees the speakers
+ * found so far and the last labelled lines so ids stay consistent.
+ * @param {Array<{start: number, end: number, text: string}>} segments - Transcript segments
+ * @returns {Promise<{segments: Array, speakers: Array<{id: string, name: string}>}>}
+ */
+async function identifySpeakers(segments) {
+    const known = new Map(); // id -> name (or null while unnamed)
+    const turns = [];
+    const batchCount = Math.ceil(segments.length / SPEAKER_BATCH_SIZE);
+
+    for (let batch = 0; batch < batchCount; batch++) {
+        const from = batch * SPEAKER_BATCH_SIZE;
+        const to = Math.min(segments.length, from + SPEAKER_BATCH_SIZE) - 1;
+        const lines = segments.slice(from, to + 1)
+            .map((segment, offset) => `[${from + offset}] (${formatAudioTime(segment.start)}) ${segment.text}`);
+
+        const knownSpeakers = known.size > 0
+            ? [...known].map(([id, name]) => `${id}${name ? ` (${name})` : ''}`).join(', ')
+            : 'none yet';
+        let recentLines = '';
+        if (batch > 0) {
+            const labelledSoFar = applySpeakerTurns(segments.slice(0, from), turns).slice(-4);
+            const roster = [...known].map(([id, name]) => ({ id, name: name || id }));
+            recentLines = `\nPREVIOUS LINES:\n${formatSpeakerTranscript(labelledSoFar, roster)}\n`;
+        }
+
+        const response = await callChatAPI(
+            PROMPTS.speakerDiarizationSystem,
+            `KNOWN SPEAKERS: ${knownSpeakers}\n${recentLines}\nTRANSCRIPT LINES:\n${lines.join('\n')}`,
+            batchCount > 1 ? `Speaker Labelling (part ${batch + 1})` : 'Speaker Labelling'
+        );
+
+        const parsed = parseSpeakerResponse(response);
+        (parsed.speakers || []).forEach(speaker => {
+            if (!speaker?.id) return;
+            const id = String(speaker.id);
+            const name = typeof speaker.name === 'string' && speaker.name.trim() ? speaker.name.trim() : null;
+            known.set(id, name || known.get(id) || null);
+        });
+        (parsed.turns || []).forEach(turn => {
+            if (!turn?.speaker) return;
+            turns.push({
+                from: Math.max(from, Number(turn.from)),
+                to: Math.min(to, Number(turn.to ?? turn.from)),
+                speaker: String(turn.speaker)
+            });
+        });
+    }
+
+    const labelled = applySpeakerTurns(segments, turns);
+    const speakers = buildSpeakerRoster(labelled, [...known].map(([id, name]) => ({ id, name })));
+    console.log(`[Speakers] Labelled ${speakers.length} speaker(s) across ${segments.length} segments`);
+    return { segments: labelled, speakers };
+}
+
+function parseSpeakerResponse(response) {
+    try {
+        return JSON.parse(response);
+    } catch (error) {
+        const jsonMatch = response.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+            return JSON.parse(jsonMatch[0]);
+        }
+        throw new Error('Speaker labelling returned invalid JSON');
+    }
+}
+
+/**
+ * Put named speakers at the front of keyEntities.people
+ * @param {Object} keyEntities - Entities from the analysis
+ * @param {Array<{name: string}>} speakers - Speaker roster
+ * @returns {Object} keyEntities with speaker names merged into people
+ */
+function withSpeakerPeople(keyEntities, speakers = []) {
+    const entities = keyEntities || { people: [], projects: [], organizations: [], products: [] };
+    const names = (speakers || []).map(speaker => speaker.name).filter(name => !isGenericSpeakerName(name));
+    const seen = new Set();
+    const people = [...names, ...(entities.people || [])]
+        .filter(name => !isGenericSpeakerName(name))
+        .filter(name => {
+            const key = name.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    return { ...entities, people };
+}
+
+/**
+ * Transcript with speaker names when speakers are labelled, else the raw text
+ * @returns {string}
+ */
+function getAttributedTranscript() {
+    const results = state.results || {};
+    return formatSpeakerTranscript(results.transcriptSegments, results.speakers) || results.transcription || '';
+}
+
+/**
+ * Rename a speaker and carry the new name through the analysis
+ * @param {string} speakerId - Speaker id (e.g. "S1")
+ * @param {string} newName - Real name entered by the user
+ */
+function renameSpeaker(speakerId, newName) {
+    const speaker = state.results?.speakers?.find(entry => entry.id === speakerId);
+    const name = String(newName || '').trim();
+    if (!speaker || !name || name === speaker.name) return;
+
+    const oldName = speaker.name;
+    speaker.name = name;
+
+    // Owners like "Speaker 2: send the deck" become "Priya: send the deck"
+    ['summary', 'keyPoints', 'actionItems'].forEach(field => {
+        state.results[field] = replaceSpeakerName(state.results[field], oldName, name);
+    });
+    const people = (state.results.keyEntities?.people || []).filter(person => person !== oldName);
+    state.results.keyEntities = withSpeakerPeople({ ...state.results.keyEntities, people }, state.results.speakers);
+
+    renderResultContent();
+    console.log(`[Speakers] Renamed ${speakerId}: "${oldName}" -> "${name}"`);
+}
+
 // ============================================
 // Metrics Calculation
 // ============================================
@@ -2208,17 +2748,7 @@ function displayResults() {
     
     elements.resultsSection.classList.remove('hidden');
     
-    // ========== KPI DASHBOARD ==========
-    updateKPIDashboard();
-    
-    // Summary
-    elements.resultSummary.innerHTML = `<p>${escapeHtml(state.results.summary)}</p>`;
-    
-    // Key Points
-    elements.resultKeypoints.innerHTML = formatListContent(state.results.keyPoints);
-    
-    // Action Items
-    elements.resultActions.innerHTML = formatListContent(state.results.actionItems);
+    renderResultContent();
     
     // Display metrics
     displayMetrics();
@@ -2233,6 +2763,25 @@ function displayResults() {
     generateAgenda();
 }
 
+/**
+ * Render the analysis cards (also re-run after a speaker is renamed)
+ */
+function renderResultContent() {
+    // ========== KPI DASHBOARD ==========
+    updateKPIDashboard();
+    
+    // Summary
+    elements.resultSummary.innerHTML = `<p>${escapeHtml(state.results.summary)}</p>`;
+    
+    // Key Points and Action Items link back to the transcript line they came from
+    const transcriptSegments = state.results.transcriptSegments || [];
+    elements.resultKeypoints.innerHTML = formatListContent(state.results.keyPoints, transcriptSegments);
+    elements.resultActions.innerHTML = formatListContent(state.results.actionItems, transcriptSegments);
+
+    // Timestamped transcript (audio/video sources)
+    renderTranscriptViewer();
+}
+
 // ============================================
 // Summary Bar Metrics
 // ============================================
@@ -2386,7 +2935,7 @@ function displayMetrics() {
     `;
 }
 
-function formatListContent(text) {
+function formatListContent(text, transcriptSegments = []) {
     const lines = text.split('\n')
         .map(line => line.trim())
         .filter(line => line.length > 0);
@@ -2394,7 +2943,11 @@ function formatListContent(text) {
     const listItems = lines.map(line => {
         // Remove leading dash or bullet if present
         const cleanLine = line.replace(/^[-•*]\s*/, '');
-        return `<li>${escapeHtml(cleanLine)}</li>`;
+        const source = findSegmentForText(cleanLine, transcriptSegments);
+        const timestampLink = source
+            ? ` <button type="button" class="timestamp-link" data-seek="${source.start}" title="Play from ${formatAudioTime(source.start)}">${formatAudioTime(source.start)}</button>`
+            : '';
+        return `<li>${escapeHtml(cleanLine)}${timestampLink}</li>`;
     }).join('');
     
     return `<ul>${listItems}</ul>`;
@@ -2406,6 +2959,15 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Escape text for a quoted HTML attribute (escapeHtml leaves quotes as they are)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function capitalize(str) {
     return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
 }
@@ -2897,7 +3459,7 @@ async function downloadDocx() {
     children.push(new Paragraph({
         children: [
             new TextRun({
-                text: state.results.transcription,
+                text: getAttributedTranscript(),
                 size: 20,
                 font: "Calibri"
             })
@@ -3066,8 +3628,12 @@ function resetForNewAnalysis() {
     state.selectedImageFile = null;
     state.selectedImageBase64 = null;
     state.selectedVideoFile = null;
+    state.importedTranscript = null;
+    state.officeDocument = null;
     state.urlContent = null;
     state.sourceUrl = null;
+    // A meeting still being recorded keeps going; only a finished one is dropped
+    if (!liveCapture) discardLiveCapture();
     resetExportMeta();
     
     // Reset metrics tracking
@@ -3152,6 +3718,8 @@ function resetForNewAnalysis() {
     // Reset audio briefing section
     if (elements.audioPlayerContainer) elements.audioPlayerContainer.classList.add('hidden');
     if (elements.audioPlayer) elements.audioPlayer.src = '';
+    releaseRecordingForPlayback();
+    if (elements.transcriptSection) elements.transcriptSection.classList.add('hidden');
     if (elements.audioPrompt) elements.audioPrompt.value = '';
 
     // Reset infographic section
@@ -3273,8 +3841,7 @@ Sentiment: ${state.results.sentiment}`;
         }
         generatedAudioUrl = URL.createObjectURL(audioBlob);
         
-        elements.audioPlayer.src = generatedAudioUrl;
-        elements.audioPlayerContainer.classList.remove('hidden');
+        setAudioPlayerSource('briefing');
         
         // Update metrics display
         displayMetrics();
@@ -3295,17 +3862,10 @@ Sentiment: ${state.results.sentiment}`;
 }
 
 async function textToSpeech(text, voice = 'nova') {
-    const response = await fetchOpenAI('https://api.openai.com/v1/audio/speech', {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${state.apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            model: 'gpt-4o-mini-tts',
-            input: text,
-            voice: voice
-        })
+    const response = await fetchOpenAI('speech', {
+        model: 'gpt-4o-mini-tts',
+        input: text,
+        voice: voice
     });
     
     if (!response.ok) {
@@ -3431,7 +3991,73 @@ function seekAudio(e) {
     const clickX = e.clientX - rect.left;
     const percentage = Math.max(0, Math.min(1, clickX / rect.width));
 
-    elements.audioPlayer.currentTime = percentage * elements.audioPlayer.duration;
+    seekAudioTo(percentage * elements.audioPlayer.duration);
+}
+
+/**
+ * Move the custom player to a position, waiting for metadata if the source just changed
+ * @param {number} seconds - Target position
+ * @param {Object} options - { play: start playback after seeking }
+ */
+function seekAudioTo(seconds, { play = false } = {}) {
+    if (!elements.audioPlayer || isNaN(seconds)) return;
+
+    const applySeek = () => {
+        const { duration } = elements.audioPlayer;
+        elements.audioPlayer.currentTime = duration && !isNaN(duration)
+            ? Math.max(0, Math.min(seconds, duration))
+            : Math.max(0, seconds);
+        updateAudioProgress();
+        if (play) {
+            elements.audioPlayer.play().catch(error => console.warn('[Audio] Playback blocked:', error.message));
+        }
+    };
+
+    if (elements.audioPlayer.readyState >= 1) {
+        applySeek();
+    } else {
+        elements.audioPlayer.addEventListener('loadedmetadata', applySeek, { once: true });
+    }
+}
+
+/**
+ * Point the custom player at the source recording or the generated briefing
+ * @param {'recording'|'briefing'} source - Which audio to load
+ * @returns {boolean} Whether the source was available
+ */
+function setAudioPlayerSource(source) {
+    const url = source === 'recording' ? recordingAudioUrl : generatedAudioUrl;
+    if (!elements.audioPlayer || !url) return false;
+
+    if (audioPlayerSource !== source || elements.audioPlayer.getAttribute('src') !== url) {
+        elements.audioPlayer.pause();
+        elements.audioPlayer.src = url;
+        audioPlayerSource = source;
+        handleAudioEnded();
+    }
+
+    const isRecording = source === 'recording';
+    if (elements.audioPlayerTitle) {
+        elements.audioPlayerTitle.textContent = isRecording ? 'Meeting Recording' : 'Audio Briefing';
+    }
+    if (elements.audioPlayerIcon) {
+        elements.audioPlayerIcon.textContent = isRecording ? '🎙️' : '🎧';
+    }
+    if (elements.downloadAudioBtn) {
+        elements.downloadAudioBtn.classList.toggle('hidden', isRecording);
+    }
+    if (elements.audioSourceToggle) {
+        // Offer a switch only when both recording and briefing exist
+        elements.audioSourceToggle.classList.toggle('hidden', !(recordingAudioUrl && generatedAudioUrl));
+        elements.audioSourceToggle.textContent = isRecording ? 'Play briefing' : 'Play recording';
+    }
+    setActiveTranscriptLine(-1);
+    elements.audioPlayerContainer?.classList.remove('hidden');
+    return true;
+}
+
+function toggleAudioPlayerSource() {
+    setAudioPlayerSource(audioPlayerSource === 'recording' ? 'briefing' : 'recording');
 }
 
 function handleVolumeChange(e) {
@@ -3498,20 +4124,182 @@ function formatAudioTime(seconds) {
 }
 
 // ============================================
-// AGENDA GENERATION
+// TRANSCRIPT VIEWER (audio-synced)
 // ============================================
-async function generateAgenda() {
-    if (!state.results) return;
+function initTranscriptViewer() {
+    // Transcript lines and key point / action item timestamps share one handler
+    [elements.resultTranscript, elements.resultKeypoints, elements.resultActions].forEach(container => {
+        container?.addEventListener('click', handleTimestampClick);
+    });
+    elements.resultTranscript?.addEventListener('change', handleSpeakerRename);
 
-    console.log('[Agenda] Auto-generating agenda...');
+    if (elements.audioSourceToggle) {
+        elements.audioSourceToggle.addEventListener('click', toggleAudioPlayerSource);
+    }
+    if (elements.audioPlayer) {
+        elements.audioPlayer.addEventListener('timeupdate', syncTranscriptHighlight);
+    }
+}
 
-    try {
-        let agendaText;
+function handleTimestampClick(e) {
+    const target = e.target.closest('[data-seek]');
+    if (!target) return;
 
-        // Build simplified agenda prompt
-        const agendaPrompt = `Create a concise half-page agenda based on this meeting:
+    const seconds = parseFloat(target.dataset.seek);
+    if (!recordingAudioUrl) {
+        showError('The original recording is not available for this session, so playback is disabled.');
+        return;
+    }
+    setAudioPlayerSource('recording');
+    if (elements.transcriptSection && !elements.transcriptSection.open) {
+        elements.transcriptSection.open = true;
+    }
+    seekAudioTo(seconds, { play: true });
+}
 
-Action Items: ${state.results.actionItems}
+/**
+ * Render the timestamped transcript and load the source recording into the player
+ */
+function renderTranscriptViewer() {
+    if (!elements.transcriptSection || !elements.resultTranscript) return;
+
+    const segments = state.results?.transcriptSegments || [];
+    activeTranscriptIndex = -1;
+    elements.transcriptSection.classList.toggle('hidden', segments.length === 0);
+    if (segments.length === 0) {
+        elements.resultTranscript.innerHTML = '';
+        return;
+    }
+
+    loadRecordingForPlayback();
+    const playable = Boolean(recordingAudioUrl);
+    const speakers = state.results?.speakers || [];
+    const speakerIndex = new Map(speakers.map((speaker, index) => [speaker.id, index]));
+
+    // Speaker name shows at the start of each turn
+    const lines = segments.map((segment, index) => {
+        const colorIndex = speakerIndex.get(segment.speaker);
+        const speakerLabel = colorIndex !== undefined && segments[index - 1]?.speaker !== segment.speaker
+            ? `<span class="transcript-speaker speaker-color-${colorIndex % 6}">${escapeHtml(speakers[colorIndex].name)}</span>`
+            : '';
+        return `
+                <li class="transcript-line" data-index="${index}" data-seek="${segment.start}">
+                    <span class="transcript-time">${formatAudioTime(segment.start)}</span>
+                    <span class="transcript-text">${speakerLabel}${escapeHtml(segment.text)}</span>
+                </li>`;
+    }).join('');
+
+    elements.resultTranscript.innerHTML = `
+        ${speakers.length > 0 ? renderSpeakerRoster(speakers) : ''}
+        ${playable ? '' : '<p class="muted transcript-note">Original recording not attached - timestamps are for reference only.</p>'}
+        <ol class="transcript-lines${playable ? '' : ' no-audio'}">
+            ${lines}
+        </ol>
+    `;
+}
+
+function renderSpeakerRoster(speakers) {
+    return `
+        <div class="speaker-roster">
+            <p class="muted speaker-roster-hint">Rename speakers to update action item owners and exports.</p>
+            ${speakers.map((speaker, index) => `
+                <label class="speaker-chip speaker-color-${index % 6}" title="${speaker.segmentCount} lines · ${formatAudioTime(speaker.talkTimeSeconds)} talk time">
+                    <span class="speaker-dot"></span>
+                    <input type="text" class="speaker-name-input" data-speaker-id="${escapeAttribute(speaker.id)}" value="${escapeAttribute(speaker.name)}" aria-label="Name for ${escapeAttribute(speaker.name)}">
+                    <span class="speaker-talk-time">${formatAudioTime(speaker.talkTimeSeconds)}</span>
+                </label>
+            `).join('')}
+        </div>
+    `;
+}
+
+function handleSpeakerRename(e) {
+    const input = e.target.closest('.speaker-name-input');
+    if (!input) return;
+    renameSpeaker(input.dataset.speakerId, input.value);
+}
+
+function loadRecordingForPlayback() {
+    // Only the file that was transcribed this session (imports have no recording)
+    if (!recordingSourceFile) return;
+
+    if (!recordingAudioUrl) {
+        recordingAudioUrl = URL.createObjectURL(recordingSourceFile);
+    }
+    // Keep a freshly generated briefing on screen; the transcript can switch back
+    if (!generatedAudioUrl || audioPlayerSource === 'recording') {
+        setAudioPlayerSource('recording');
+    } else {
+        setAudioPlayerSource('briefing');
+    }
+}
+
+function releaseRecordingForPlayback() {
+    const wasPlayingRecording = audioPlayerSource === 'recording';
+    if (recordingAudioUrl) {
+        URL.revokeObjectURL(recordingAudioUrl);
+        recordingAudioUrl = null;
+    }
+    recordingSourceFile = null;
+    audioPlayerSource = 'briefing';
+    activeTranscriptIndex = -1;
+
+    if (wasPlayingRecording && elements.audioPlayer) {
+        elements.audioPlayer.pause();
+        elements.audioPlayer.removeAttribute('src');
+        if (!setAudioPlayerSource('briefing')) {
+            elements.audioPlayerContainer?.classList.add('hidden');
+        }
+    }
+}
+
+function syncTranscriptHighlight() {
+    if (audioPlayerSource !== 'recording') return;
+    const segments = state.results?.transcriptSegments || [];
+    if (segments.length === 0) return;
+
+    const index = findActiveSegmentIndex(segments, elements.audioPlayer.currentTime);
+    if (index !== activeTranscriptIndex) {
+        setActiveTranscriptLine(index);
+    }
+}
+
+function setActiveTranscriptLine(index) {
+    activeTranscriptIndex = index;
+    if (!elements.resultTranscript) return;
+
+    elements.resultTranscript.querySelector('.transcript-line.active')?.classList.remove('active');
+    if (index < 0) return;
+
+    const line = elements.resultTranscript.querySelector(`.transcript-line[data-index="${index}"]`);
+    if (!line) return;
+    line.classList.add('active');
+
+    // Scroll inside the transcript panel only, never the page
+    const list = line.parentElement;
+    if (list && elements.transcriptSection?.open) {
+        const lineTop = line.offsetTop - list.offsetTop;
+        if (lineTop < list.scrollTop || lineTop + line.offsetHeight > list.scrollTop + list.clientHeight) {
+            list.scrollTop = Math.max(0, lineTop - list.clientHeight / 3);
+        }
+    }
+}
+
+// ============================================
+// AGENDA GENERATION
+// ============================================
+async function generateAgenda() {
+    if (!state.results) return;
+
+    console.log('[Agenda] Auto-generating agenda...');
+
+    try {
+        let agendaText;
+
+        // Build simplified agenda prompt
+        const agendaPrompt = `Create a concise half-page agenda based on this meeting:
+
+Action Items: ${state.results.actionItems}
 
 Key Decisions/Topics: ${state.results.keyPoints}
 
@@ -3645,18 +4433,11 @@ OVERALL TONE: ${state.results.sentiment}
 }
 
 async function generateImage(prompt) {
-    const response = await fetchOpenAI('https://api.openai.com/v1/images/generations', {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${state.apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            model: 'gpt-image-1.5',
-            prompt: prompt,
-            n: 1,
-            size: '1536x1024' // Landscape format for infographics
-        })
+    const response = await fetchOpenAI('image', {
+        model: 'gpt-image-1.5',
+        prompt: prompt,
+        n: 1,
+        size: '1536x1024' // Landscape format for infographics
     });
 
     if (!response.ok) {
@@ -3856,6 +4637,231 @@ function clearUrlContent() {
     updateAnalyzeButton();
 }
 
+// ============================================
+// Live Meeting Capture
+// ============================================
+let liveCapture = null;     // LiveMeetingCapture while recording
+let liveMetrics = null;     // Whisper/notes usage of the current recording
+let liveTimerInterval = null;
+
+const LIVE_IDLE_STATUS = 'Records your microphone (and optionally a meeting tab) and transcribes while the meeting runs.';
+
+function createLiveMetrics() {
+    return { whisperMinutes: 0, gptInputTokens: 0, gptOutputTokens: 0, apiCalls: [] };
+}
+
+async function toggleLiveCapture() {
+    if (liveCapture) {
+        await finishLiveCapture();
+    } else {
+        await startLiveCapture();
+    }
+}
+
+async function startLiveCapture() {
+    if (state.isProcessing) return;
+    if (!state.apiKey && providerRequiresApiKey()) {
+        showError('Please enter your OpenAI API key first.');
+        return;
+    }
+
+    hideError();
+    state.liveRecording = null;
+    resetLiveCaptureUI();
+
+    // Usage is kept apart from currentMetrics, which belongs to the meeting on screen
+    const metrics = createLiveMetrics();
+    const capture = new LiveMeetingCapture({
+        transcribeWindow: (blob, window) => transcribeAudioSegment(
+            blob,
+            `Live Transcription (window ${window.index + 1})`,
+            (window.endTime - window.startTime) / 60,
+            `live-${window.index + 1}.wav`,
+            metrics
+        ),
+        refreshNotes: (context) => refreshLiveNotes(context, metrics),
+        onStatus: updateLiveStatus,
+        onSpeech: (speaking) => elements.liveSpeechIndicator?.classList.toggle('active', speaking),
+        onTranscript: appendLiveTranscript,
+        onNotes: renderLiveNotes,
+        onError: (message) => updateLiveStatus(message, true)
+    });
+
+    elements.liveRecordBtn.disabled = true;
+    try {
+        await capture.start({ includeSystemAudio: Boolean(elements.liveSystemAudioToggle?.checked) });
+    } catch (error) {
+        console.error('[LiveCapture] Could not start:', error);
+        updateLiveStatus(LIVE_IDLE_STATUS);
+        showError(error.message || 'Could not start recording. Check microphone permissions.');
+        return;
+    } finally {
+        elements.liveRecordBtn.disabled = false;
+    }
+
+    liveCapture = capture;
+    liveMetrics = metrics;
+    elements.livePanels?.classList.remove('hidden');
+    liveTimerInterval = setInterval(updateLiveTimer, 1000);
+    updateLiveCaptureButtons();
+    updateAnalyzeButton();
+}
+
+/**
+ * Stop recording and hand the live transcript to the normal analysis flow
+ */
+async function finishLiveCapture() {
+    const capture = liveCapture;
+    if (!capture) return;
+
+    elements.liveRecordBtn.disabled = true;
+    clearInterval(liveTimerInterval);
+    liveTimerInterval = null;
+    updateLiveTimer();
+
+    let result = null;
+    try {
+        result = await capture.stop();
+    } finally {
+        liveCapture = null;
+        elements.liveRecordBtn.disabled = false;
+        elements.liveSpeechIndicator?.classList.remove('active');
+        updateLiveCaptureButtons();
+    }
+
+    if (!result?.text) {
+        updateLiveStatus('Nothing was transcribed. Check the microphone and record again.', true);
+        updateAnalyzeButton();
+        return;
+    }
+
+    state.liveRecording = {
+        text: result.text,
+        segments: result.segments,
+        file: result.recording,
+        durationSeconds: result.durationSeconds,
+        windows: result.windows,
+        failedWindows: result.failedWindows,
+        includesSystemAudio: result.includesSystemAudio,
+        metrics: liveMetrics
+    };
+    state.exportMeta.source.audio = getFileMeta(result.recording);
+    updateLiveStatus(`Recorded ${formatAudioTime(result.durationSeconds)}${result.failedWindows ? ` (${result.failedWindows} window(s) could not be transcribed)` : ''}`);
+
+    switchTab('live');
+    await startAnalysis();
+}
+
+/**
+ * Stop without analyzing and forget the recording
+ */
+function discardLiveCapture() {
+    if (liveCapture) {
+        liveCapture.cancel();
+        liveCapture = null;
+    }
+    clearInterval(liveTimerInterval);
+    liveTimerInterval = null;
+    liveMetrics = null;
+    state.liveRecording = null;
+
+    if (!elements.liveRecordBtn) return;
+    resetLiveCaptureUI();
+    updateLiveCaptureButtons();
+    updateAnalyzeButton();
+}
+
+/**
+ * Update the running notes from the newest transcript
+ * @param {Object} context - { newText, notes } from LiveMeetingCapture
+ * @param {Object} metrics - Usage of this recording
+ * @returns {Promise<{keyPoints: string, actionItems: string}>}
+ */
+async function refreshLiveNotes({ newText, notes }, metrics) {
+    const notesSoFar = notes
+        ? `KEY POINTS SO FAR:\n${notes.keyPoints || '(none yet)'}\n\nACTION ITEMS SO FAR:\n${notes.actionItems || '(none yet)'}`
+        : 'NOTES SO FAR: (none - the meeting has just started)';
+    const response = await callChatAPI(
+        PROMPTS.liveNotesSystem,
+        `${notesSoFar}\n\nNEW TRANSCRIPT:\n${newText}`,
+        'Live Notes',
+        false,
+        metrics
+    );
+
+    const parsed = JSON.parse(response.match(/\{[\s\S]*\}/)?.[0] || response);
+    return {
+        keyPoints: String(parsed.keyPoints || '').trim(),
+        actionItems: String(parsed.actionItems || '').trim()
+    };
+}
+
+function appendLiveTranscript({ window, segments, text }) {
+    const container = elements.liveTranscript;
+    if (!container) return;
+
+    const lines = segments.length > 0 ? segments : [{ start: window.startTime, text }];
+    const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 20;
+    container.querySelector('.live-empty')?.remove();
+    container.insertAdjacentHTML('beforeend', lines
+        .filter(line => line.text)
+        .map(line => `<div class="live-transcript-line"><span class="live-transcript-time">${formatAudioTime(line.start)}</span>${escapeHtml(line.text)}</div>`)
+        .join(''));
+    if (atBottom) {
+        container.scrollTop = container.scrollHeight;
+    }
+}
+
+function renderLiveNotes(notes) {
+    if (elements.liveKeyPoints) {
+        elements.liveKeyPoints.innerHTML = notes?.keyPoints
+            ? formatListContent(notes.keyPoints)
+            : '<p class="live-empty">No key points yet</p>';
+    }
+    if (elements.liveActionItems) {
+        elements.liveActionItems.innerHTML = notes?.actionItems
+            ? formatListContent(notes.actionItems)
+            : '<p class="live-empty">No action items yet</p>';
+    }
+}
+
+function resetLiveCaptureUI() {
+    elements.livePanels?.classList.add('hidden');
+    elements.liveSpeechIndicator?.classList.remove('active');
+    if (elements.liveTranscript) {
+        elements.liveTranscript.innerHTML = '<p class="live-empty">The transcript appears here as the meeting goes on.</p>';
+    }
+    renderLiveNotes(null);
+    updateLiveTimer();
+    updateLiveStatus(LIVE_IDLE_STATUS);
+}
+
+function updateLiveStatus(text, isError = false) {
+    if (!elements.liveStatus) return;
+    elements.liveStatus.textContent = text;
+    elements.liveStatus.classList.toggle('error', isError);
+}
+
+function updateLiveTimer() {
+    if (elements.liveTimer) {
+        elements.liveTimer.textContent = formatAudioTime(liveCapture ? liveCapture.getElapsedSeconds() : 0);
+    }
+}
+
+function updateLiveCaptureButtons() {
+    const recording = Boolean(liveCapture);
+    if (elements.liveRecordBtn) {
+        elements.liveRecordBtn.classList.toggle('recording', recording);
+        elements.liveRecordBtn.querySelector('.live-record-label').textContent = recording ? 'Stop & analyze' : 'Record meeting';
+    }
+    elements.liveDiscardBtn?.classList.toggle('hidden', !recording);
+    elements.liveTimer?.classList.toggle('hidden', !recording);
+    elements.liveSpeechIndicator?.classList.toggle('hidden', !recording);
+    if (elements.liveSystemAudioToggle) {
+        elements.liveSystemAudioToggle.disabled = recording;
+    }
+}
+
 // ============================================
 // Chat with Data
 // ============================================
@@ -3877,7 +4883,7 @@ function syncMeetingToRLM() {
         keyPoints: state.results.keyPoints || '',
         actionItems: state.results.actionItems || '',
         sentiment: state.results.sentiment || '',
-        transcript: state.results.transcription || '',
+        transcript: getAttributedTranscript(),
         // Include extended context for better search
         extendedContext: [
             state.results.summary,
@@ -4035,7 +5041,7 @@ function buildChatContext() {
     return `You have access to the following meeting data. Use this information to answer the user's questions accurately and helpfully.
 
 === MEETING TRANSCRIPT ===
-${results.transcription}
+${getAttributedTranscript()}
 
 === ANALYSIS RESULTS ===
 
@@ -4074,18 +5080,11 @@ async function chatWithData(context, history) {
         })) // Keep last 10 messages to avoid token limits
     ];
     
-    const response = await fetchOpenAI('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${state.apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            model: GPT_52_MODEL,
-            messages: messages,
-            max_completion_tokens: 1000,
-            temperature: 0.7
-        })
+    const response = await fetchOpenAI('chat', {
+        model: GPT_52_MODEL,
+        messages: messages,
+        max_completion_tokens: 1000,
+        temperature: 0.7
     });
     
     if (!response.ok) {
@@ -4555,18 +5554,36 @@ function getClosestAnchor(x, y) {
 // Voice Chat - Turn-Based
 // ============================================
 
-let mediaRecorder = null;
-let audioChunks = [];
+let audioChunks = []; // PCM16 buffers from the worklet: { data, speech }
 let audioContext = null;
 let analyser = null;
 let volumeAnimationId = null;
 let voiceStream = null;
+let voiceWorkletNode = null;
 let stopRecordingTimeout = null;
+let noSpeechTimeout = null;
 let isRecordingReady = false;
 
 // Configuration
 const VOICE_START_DELAY = 500;  // ms to wait before "Start speaking"
 const VOICE_STOP_DELAY = 600;   // ms to wait after release before stopping
+const VOICE_NO_SPEECH_TIMEOUT = 8000;  // Hands-free: give up if nobody speaks
+const VOICE_VAD_OPTIONS = { hangoverMs: 900 };  // Hands-free ends the turn after this pause
+
+function onVoiceButtonPress() {
+    // Hands-free: a second tap stops early
+    if (state.voiceHandsFree && state.isRecording) {
+        finishVoiceRecording();
+        return;
+    }
+    startVoiceRecording();
+}
+
+function onVoiceButtonRelease() {
+    if (!state.voiceHandsFree) {
+        stopVoiceRecording();
+    }
+}
 
 async function startVoiceRecording() {
     // Prevent multiple recordings
@@ -4576,9 +5593,13 @@ async function startVoiceRecording() {
         // Show status immediately
         showVoiceStatus('Preparing...', false);
         updateVoiceButtonUI(true);
+        state.isRecording = true;
+        isRecordingReady = false;
 
         // Get microphone access
-        voiceStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        voiceStream = await navigator.mediaDevices.getUserMedia({
+            audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+        });
 
         // Set up audio context for volume analysis
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -4587,56 +5608,35 @@ async function startVoiceRecording() {
         const source = audioContext.createMediaStreamSource(voiceStream);
         source.connect(analyser);
 
-        // Set up media recorder
-        mediaRecorder = new MediaRecorder(voiceStream, { mimeType: 'audio/webm' });
+        // PCM capture through the worklet, which also detects speech
+        await audioContext.audioWorklet.addModule('js/audio-worklet-processor.js');
+        if (!state.isRecording) {
+            // Released while the microphone was still opening
+            cleanupVoiceRecording();
+            return;
+        }
+        voiceWorkletNode = new AudioWorkletNode(audioContext, 'pcm16-processor', {
+            processorOptions: { vad: VOICE_VAD_OPTIONS }
+        });
+        voiceWorkletNode.port.onmessage = handleVoiceWorkletMessage;
         audioChunks = [];
 
-        mediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0) {
-                audioChunks.push(event.data);
-            }
-        };
-
-        mediaRecorder.onstop = async () => {
-            // Stop volume visualization
-            if (volumeAnimationId) {
-                cancelAnimationFrame(volumeAnimationId);
-                volumeAnimationId = null;
-            }
-
-            // Clean up audio context
-            if (audioContext) {
-                audioContext.close();
-                audioContext = null;
-            }
-
-            // Stop all tracks
-            if (voiceStream) {
-                voiceStream.getTracks().forEach(track => track.stop());
-                voiceStream = null;
-            }
-
-            // Hide status
-            hideVoiceStatus();
-
-            // Process the recording
-            const audioBlob = new Blob(audioChunks, { type: 'audio/webm' });
-            await processVoiceInput(audioBlob);
-        };
-
-        // Start recording after a brief delay
-        state.isRecording = true;
-        isRecordingReady = false;
-
         // Brief preparation period
         setTimeout(() => {
-            if (state.isRecording && mediaRecorder && mediaRecorder.state === 'inactive') {
-                mediaRecorder.start();
-                isRecordingReady = true;
-                showVoiceStatus('Start speaking...', true);
-                startVolumeVisualization();
-                console.log('[Voice] Recording started');
-
+            if (!state.isRecording || !voiceWorkletNode) return;
+
+            source.connect(voiceWorkletNode);
+            isRecordingReady = true;
+            showVoiceStatus(state.voiceHandsFree ? 'Listening... just start talking' : 'Start speaking...', true);
+            startVolumeVisualization();
+            console.log('[Voice] Recording started');
+
+            if (state.voiceHandsFree) {
+                noSpeechTimeout = setTimeout(() => {
+                    console.log('[Voice] No speech detected - stopping');
+                    finishVoiceRecording();
+                }, VOICE_NO_SPEECH_TIMEOUT);
+            } else {
                 // After a moment, change to "Listening..."
                 setTimeout(() => {
                     if (state.isRecording) {
@@ -4653,6 +5653,22 @@ async function startVoiceRecording() {
     }
 }
 
+function handleVoiceWorkletMessage(event) {
+    const message = event.data;
+    if (message.type === 'audio') {
+        audioChunks.push({ data: message.data, speech: message.speech });
+    } else if (message.type === 'speech-start') {
+        if (noSpeechTimeout) {
+            clearTimeout(noSpeechTimeout);
+            noSpeechTimeout = null;
+        }
+        updateVoiceStatusText(state.voiceHandsFree ? 'Listening... (pause to send)' : 'Listening...');
+    } else if (message.type === 'speech-end' && state.voiceHandsFree) {
+        console.log(`[Voice] Speech ended after ${message.durationMs}ms`);
+        finishVoiceRecording();
+    }
+}
+
 function stopVoiceRecording() {
     // Clear any pending stop timeout
     if (stopRecordingTimeout) {
@@ -4666,15 +5682,31 @@ function stopVoiceRecording() {
     updateVoiceStatusText('Finishing...');
 
     // Add delay before actually stopping to capture trailing audio
-    stopRecordingTimeout = setTimeout(() => {
-        if (mediaRecorder && mediaRecorder.state === 'recording') {
-            mediaRecorder.stop();
-            console.log('[Voice] Recording stopped');
-        }
-        state.isRecording = false;
-        isRecordingReady = false;
-        updateVoiceButtonUI(false);
-    }, VOICE_STOP_DELAY);
+    stopRecordingTimeout = setTimeout(finishVoiceRecording, VOICE_STOP_DELAY);
+}
+
+/**
+ * Stop capturing, trim leading/trailing silence and transcribe
+ */
+function finishVoiceRecording() {
+    if (!state.isRecording) return;
+
+    const wasReady = isRecordingReady;
+    const buffers = audioChunks;
+    const sampleRate = audioContext?.sampleRate;
+    cleanupVoiceRecording();
+    if (!wasReady || !sampleRate) return;
+
+    const samples = trimToSpeech(buffers);
+    if (!samples) {
+        showError('No speech detected. Please try again.');
+        return;
+    }
+
+    const capturedSeconds = buffers.reduce((sum, buffer) => sum + buffer.data.byteLength / 2, 0) / sampleRate;
+    const durationSeconds = samples.length / sampleRate;
+    console.log(`[Voice] Recording stopped: ${durationSeconds.toFixed(1)}s of ${capturedSeconds.toFixed(1)}s kept after trimming silence`);
+    processVoiceInput(encodeWav(samples, sampleRate), durationSeconds);
 }
 
 function cleanupVoiceRecording() {
@@ -4683,6 +5715,10 @@ function cleanupVoiceRecording() {
         clearTimeout(stopRecordingTimeout);
         stopRecordingTimeout = null;
     }
+    if (noSpeechTimeout) {
+        clearTimeout(noSpeechTimeout);
+        noSpeechTimeout = null;
+    }
 
     // Stop volume visualization
     if (volumeAnimationId) {
@@ -4690,6 +5726,13 @@ function cleanupVoiceRecording() {
         volumeAnimationId = null;
     }
 
+    // Stop the worklet
+    if (voiceWorkletNode) {
+        voiceWorkletNode.port.onmessage = null;
+        voiceWorkletNode.disconnect();
+        voiceWorkletNode = null;
+    }
+
     // Clean up audio context
     if (audioContext) {
         audioContext.close();
@@ -4705,7 +5748,6 @@ function cleanupVoiceRecording() {
     // Reset state
     state.isRecording = false;
     isRecordingReady = false;
-    mediaRecorder = null;
     audioChunks = [];
 
     // Update UI
@@ -4763,7 +5805,7 @@ function hideVoiceStatus() {
     }
 }
 
-async function processVoiceInput(audioBlob) {
+async function processVoiceInput(audioBlob, durationSeconds = null) {
     if (!state.results) {
         showError('Please analyze a meeting first before using voice chat.');
         return;
@@ -4780,7 +5822,7 @@ async function processVoiceInput(audioBlob) {
 
     try {
         // Step 1: Transcribe with Whisper
-        const transcript = await transcribeVoiceInput(audioBlob);
+        const transcript = await transcribeVoiceInput(audioBlob, durationSeconds);
         if (!transcript || transcript.trim().length === 0) {
             removeTypingIndicator(thinkingId);
             showError('Could not understand audio. Please try again.');
@@ -4835,18 +5877,12 @@ async function processVoiceInput(audioBlob) {
     }
 }
 
-async function transcribeVoiceInput(audioBlob) {
+async function transcribeVoiceInput(audioBlob, durationSeconds = null) {
     const formData = new FormData();
-    formData.append('file', audioBlob, 'voice-input.webm');
+    formData.append('file', audioBlob, audioBlob.type === 'audio/wav' ? 'voice-input.wav' : 'voice-input.webm');
     formData.append('model', 'whisper-1');
 
-    const response = await fetchOpenAI('https://api.openai.com/v1/audio/transcriptions', {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${state.apiKey}`
-        },
-        body: formData
-    });
+    const response = await fetchOpenAI('transcribe', formData);
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({}));
@@ -4855,12 +5891,12 @@ async function transcribeVoiceInput(audioBlob) {
 
     const data = await response.json();
 
-    // Track metrics - estimate ~6 seconds for typical voice input
-    currentMetrics.whisperMinutes += 0.1;
+    // Track metrics (estimate ~6 seconds when the duration is unknown)
+    currentMetrics.whisperMinutes += (durationSeconds ?? 6) / 60;
     currentMetrics.apiCalls.push({
         name: 'Voice Transcription',
         model: 'whisper-1',
-        duration: '~6s'
+        duration: durationSeconds ? `${durationSeconds.toFixed(1)}s` : '~6s'
     });
 
     // Update metrics display
@@ -4932,7 +5968,11 @@ function updateVoiceModeUI() {
     // Show/hide appropriate controls
     if (elements.voiceInputBtn) {
         elements.voiceInputBtn.classList.toggle('hidden', !isPushToTalk);
+        elements.voiceInputBtn.title = state.voiceHandsFree
+            ? 'Tap to speak - sends when you pause'
+            : 'Hold to speak';
     }
+    elements.voiceHandsFreeToggle?.closest('label')?.classList.toggle('hidden', !isPushToTalk);
     if (elements.realtimePanel) {
         elements.realtimePanel.classList.toggle('hidden', isPushToTalk);
     }
@@ -4942,18 +5982,7 @@ function updateVoiceModeUI() {
 // Real-time Voice Conversation
 // ============================================
 
-let realtimeWs = null;
-let realtimeAudioContext = null;
-let realtimeMediaStream = null;
-let realtimeWorkletNode = null;
-let realtimeCostInterval = null;
-let realtimeStartTime = null;
-let silenceTimeout = null;
-let lastAudioTime = null;
-
-// Pricing: $0.06/min input + $0.24/min output ≈ $0.30/min total
-const REALTIME_COST_PER_MINUTE = 0.30;
-const SILENCE_TIMEOUT_MS = 5000; // 5 seconds
+let realtimeSession = null;
 
 async function startRealtimeConversation() {
     if (state.realtimeActive) return;
@@ -4963,226 +5992,108 @@ async function startRealtimeConversation() {
         return;
     }
 
-    if (!state.apiKey) {
+    if (!state.apiKey && providerRequiresApiKey()) {
         showError('Please enter your OpenAI API key first.');
         return;
     }
 
-    try {
-        updateRealtimeStatus('Requesting microphone...', false);
-        showRealtimeStatus();
-
-        // 1. Get microphone access with 24kHz sample rate
-        realtimeMediaStream = await navigator.mediaDevices.getUserMedia({
-            audio: {
-                sampleRate: 24000,
-                channelCount: 1,
-                echoCancellation: true,
-                noiseSuppression: true
+    showRealtimeStatus();
+    realtimeSession = new RealtimeVoiceSession({
+        url: getLLMProvider().getRealtimeUrl(REALTIME_CONFIG.model),
+        apiKey: state.apiKey,
+        instructions: buildRealtimeSystemPrompt(),
+        toolHandlers: {
+            search_transcript: searchTranscriptTool,
+            query_meetings: async ({ question }) => {
+                if (!question) throw new Error('A question is required');
+                return chatWithRLM(question, null);
+            },
+            list_action_items: listActionItemsTool
+        },
+        onStatus: updateRealtimeStatus,
+        onUserTranscript: (text) => recordRealtimeMessage('user', text),
+        onAssistantTranscript: (text) => recordRealtimeMessage('assistant', text),
+        onToolCall: (name, args) => console.log('[Realtime] Tool call:', name, args),
+        onCost: (cost) => {
+            state.realtimeSessionCost = cost;
+            if (elements.realtimeCost) {
+                elements.realtimeCost.textContent = '$' + cost.toFixed(2);
             }
-        });
-
-        updateRealtimeStatus('Connecting to OpenAI...', false);
-
-        // 2. Set up audio context at 24kHz for Realtime API
-        realtimeAudioContext = new AudioContext({ sampleRate: 24000 });
-
-        // Log actual sample rate (browser may not honor the requested rate)
-        console.log('[Realtime] AudioContext sample rate:', realtimeAudioContext.sampleRate);
-        if (realtimeAudioContext.sampleRate !== 24000) {
-            console.warn('[Realtime] Warning: Browser using', realtimeAudioContext.sampleRate, 'Hz instead of 24000 Hz');
+        },
+        onError: showError,
+        onStop: () => {
+            state.realtimeActive = false;
+            updateRealtimeButtons(false);
         }
+    });
 
-        // 3. Connect to OpenAI Realtime API
-        const wsUrl = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17';
-        realtimeWs = new WebSocket(wsUrl, [
-            'realtime',
-            `openai-insecure-api-key.${state.apiKey}`
-        ]);
-
-        realtimeWs.onopen = async () => {
-            console.log('[Realtime] WebSocket connected');
-            updateRealtimeStatus('Configuring session...', false);
-
-            // Configure session with meeting context
-            // Note: GA Realtime API uses nested audio.input/output structure
-            const sessionConfig = {
-                type: 'session.update',
-                session: {
-                    type: 'realtime',
-                    output_modalities: ['audio'],
-                    instructions: buildRealtimeSystemPrompt(),
-                    audio: {
-                        input: {
-                            format: {
-                                type: 'audio/pcm',
-                                rate: 24000
-                            },
-                            turn_detection: {
-                                type: 'server_vad',
-                                threshold: 0.5,
-                                prefix_padding_ms: 300,
-                                silence_duration_ms: 500,
-                                create_response: true
-                            }
-                        },
-                        output: {
-                            format: {
-                                type: 'audio/pcm',
-                                rate: 24000
-                            },
-                            voice: 'marin'
-                        }
-                    }
-                }
-            };
-            console.log('[Realtime] Sending session config:', JSON.stringify(sessionConfig, null, 2));
-            realtimeWs.send(JSON.stringify(sessionConfig));
-
-            // Wait briefly for session to configure before starting audio
-            await new Promise(resolve => setTimeout(resolve, 500));
-
-            // Start audio streaming
-            await startRealtimeAudioStream();
-
-            // Mark as active
-            state.realtimeActive = true;
-            state.realtimeSessionCost = 0;
-            realtimeStartTime = Date.now();
-            lastAudioTime = Date.now();
-
-            // Start cost counter
-            realtimeCostInterval = setInterval(updateRealtimeCost, 1000);
-
-            // Start silence detection
-            startSilenceDetection();
-
-            // Update UI
-            updateRealtimeStatus('Listening... speak now!', true);
-            updateRealtimeButtons(true);
-            console.log('[Realtime] Session started');
-        };
-
-        realtimeWs.onmessage = handleRealtimeMessage;
-
-        realtimeWs.onerror = (error) => {
-            console.error('[Realtime] WebSocket error:', error);
-            updateRealtimeStatus('Connection error', false, true);
-            stopRealtimeConversation();
-        };
-
-        realtimeWs.onclose = (event) => {
-            console.log('[Realtime] WebSocket closed:', event.code, event.reason);
-            if (state.realtimeActive) {
-                stopRealtimeConversation();
-            }
-        };
-
+    try {
+        await realtimeSession.start();
+        state.realtimeActive = true;
+        state.realtimeSessionCost = 0;
+        updateRealtimeButtons(true);
     } catch (error) {
         console.error('[Realtime] Setup failed:', error);
+        updateRealtimeStatus('Could not start', false, true);
         showError('Failed to start real-time conversation: ' + error.message);
-        cleanupRealtimeResources();
+        realtimeSession = null;
     }
 }
 
 function stopRealtimeConversation() {
     console.log('[Realtime] Stopping conversation...');
-
-    // Stop silence detection
-    if (silenceTimeout) {
-        clearTimeout(silenceTimeout);
-        silenceTimeout = null;
-    }
-
-    // Stop cost counter
-    if (realtimeCostInterval) {
-        clearInterval(realtimeCostInterval);
-        realtimeCostInterval = null;
-    }
-
-    // Clean up resources
-    cleanupRealtimeResources();
-
-    // Update state
+    realtimeSession?.stop();
+    realtimeSession = null;
     state.realtimeActive = false;
-
-    // Update UI
     updateRealtimeButtons(false);
-    updateRealtimeStatus('Conversation ended', false);
-
-    // Log final cost
-    console.log(`[Realtime] Session ended. Total cost: $${state.realtimeSessionCost.toFixed(4)}`);
 }
 
-function cleanupRealtimeResources() {
-    // Close WebSocket
-    if (realtimeWs) {
-        if (realtimeWs.readyState === WebSocket.OPEN) {
-            realtimeWs.close();
-        }
-        realtimeWs = null;
-    }
-
-    // Stop worklet
-    if (realtimeWorkletNode) {
-        realtimeWorkletNode.disconnect();
-        realtimeWorkletNode = null;
-    }
-
-    // Close audio context
-    if (realtimeAudioContext && realtimeAudioContext.state !== 'closed') {
-        realtimeAudioContext.close();
-        realtimeAudioContext = null;
-    }
+function recordRealtimeMessage(role, content) {
+    appendChatMessage(role, content);
+    state.chatHistory.push({
+        role,
+        content,
+        timestamp: new Date().toISOString(),
+        ...(role === 'user' ? { inputMethod: 'realtime' } : {})
+    });
+}
 
-    // Stop media stream
-    if (realtimeMediaStream) {
-        realtimeMediaStream.getTracks().forEach(track => track.stop());
-        realtimeMediaStream = null;
+/**
+ * Realtime tool: BM25 search over the current meeting's transcript
+ */
+function searchTranscriptTool({ query, limit = 5 }) {
+    if (!query) throw new Error('A search query is required');
+    syncMeetingToRLM();
+    const passages = rlmPipeline.contextStore.searchPassages(query, {
+        agentIds: ['current-meeting'],
+        limit: Math.min(Math.max(Number(limit) || 5, 1), 10)
+    });
+    if (passages.length === 0) {
+        return { query, passages: [], note: 'No transcript passages matched.' };
     }
+    return {
+        query,
+        passages: passages.map(passage => ({ at: passage.startLabel || null, text: passage.text }))
+    };
 }
 
-async function startRealtimeAudioStream() {
-    // Check if context is still valid (may have been cleaned up due to error)
-    if (!realtimeAudioContext || !realtimeMediaStream) {
-        console.log('[Realtime] Audio context or stream no longer available, skipping audio setup');
-        return;
+/**
+ * Realtime tool: the current meeting's action items, optionally by owner
+ * (one meeting has no tracked status: items are open unless checked off)
+ */
+function listActionItemsTool({ owner, status } = {}) {
+    let items = parseActionItems(state.results?.actionItems);
+    if (owner) {
+        const needle = owner.toLowerCase();
+        items = items.filter(item => item.owner?.toLowerCase().includes(needle));
     }
-
-    try {
-        // Load audio worklet
-        await realtimeAudioContext.audioWorklet.addModule('js/audio-worklet-processor.js');
-
-        // Create source from microphone
-        const source = realtimeAudioContext.createMediaStreamSource(realtimeMediaStream);
-
-        // Create worklet node
-        realtimeWorkletNode = new AudioWorkletNode(realtimeAudioContext, 'pcm16-processor');
-
-        // Handle audio data from worklet
-        realtimeWorkletNode.port.onmessage = (event) => {
-            if (event.data.type === 'audio' && realtimeWs?.readyState === WebSocket.OPEN) {
-                // Update last audio time for silence detection
-                lastAudioTime = Date.now();
-
-                // Send audio chunk to API
-                const base64Audio = arrayBufferToBase64(event.data.data);
-                realtimeWs.send(JSON.stringify({
-                    type: 'input_audio_buffer.append',
-                    audio: base64Audio
-                }));
-            }
-        };
-
-        // Connect: mic → worklet
-        source.connect(realtimeWorkletNode);
-
-        console.log('[Realtime] Audio streaming started');
-
-    } catch (error) {
-        console.error('[Realtime] Audio stream setup failed:', error);
-        throw error;
+    if (status) {
+        items = items.filter(item => (item.done ? 'done' : 'open') === status);
     }
+    return {
+        count: items.length,
+        items: items.map(item => ({ task: item.task, owner: item.owner, due: item.due, status: item.done ? 'done' : 'open' }))
+    };
 }
 
 function buildRealtimeSystemPrompt() {
@@ -5197,196 +6108,19 @@ ACTION ITEMS: ${results?.actionItems || 'No action items'}
 
 SENTIMENT: ${results?.sentiment || 'Unknown'}
 
+Tools:
+- search_transcript: find what was actually said in this meeting's transcript (quotes, numbers, who said what).
+- query_meetings: run a full analysis of the meeting for questions that need reasoning or synthesis.
+- list_action_items: list this meeting's action items, optionally for one owner.
+
 Instructions:
 - Answer questions about this meeting concisely and conversationally.
 - Keep responses brief (1-3 sentences) for natural conversation flow.
-- If asked about something not in the meeting, say you don't have that information.
+- When the answer is not in the data above, use a tool before saying you don't know. Briefly tell the user you're checking first.
+- Only say you don't have the information if the tools come back empty.
 - Be helpful, friendly, and to the point.`;
 }
 
-function handleRealtimeMessage(event) {
-    const message = JSON.parse(event.data);
-
-    switch (message.type) {
-        case 'session.created':
-            console.log('[Realtime] Session created:', message.session?.id);
-            break;
-
-        case 'session.updated':
-            console.log('[Realtime] Session updated');
-            break;
-
-        case 'input_audio_buffer.speech_started':
-            updateRealtimeStatus('You are speaking...', true);
-            lastAudioTime = Date.now(); // Reset silence timer
-            break;
-
-        case 'input_audio_buffer.speech_stopped':
-            updateRealtimeStatus('Processing...', true);
-            break;
-
-        case 'conversation.item.input_audio_transcription.completed':
-            // User's transcribed speech
-            if (message.transcript) {
-                appendChatMessage('user', message.transcript);
-                state.chatHistory.push({
-                    role: 'user',
-                    content: message.transcript,
-                    timestamp: new Date().toISOString(),
-                    inputMethod: 'realtime'
-                });
-            }
-            break;
-
-        case 'response.output_audio.delta':
-        case 'response.audio.delta': // Keep beta event name for compatibility
-            // Play incoming audio chunk
-            playRealtimeAudioChunk(message.delta);
-            updateRealtimeStatus('Assistant speaking...', true);
-            lastAudioTime = Date.now(); // Reset silence timer during response
-            break;
-
-        case 'response.output_audio_transcript.delta':
-        case 'response.audio_transcript.delta': // Keep beta event name for compatibility
-            // Could show live transcript here if needed
-            break;
-
-        case 'response.done':
-            // Response complete
-            if (message.response?.output) {
-                const output = message.response.output[0];
-                if (output?.content) {
-                    const textContent = output.content.find(c => c.type === 'text');
-                    const audioContent = output.content.find(c => c.type === 'audio');
-                    const transcript = audioContent?.transcript || textContent?.text;
-
-                    if (transcript) {
-                        appendChatMessage('assistant', transcript);
-                        state.chatHistory.push({
-                            role: 'assistant',
-                            content: transcript,
-                            timestamp: new Date().toISOString()
-                        });
-                    }
-                }
-            }
-            updateRealtimeStatus('Listening...', true);
-            lastAudioTime = Date.now(); // Reset silence timer after response
-            break;
-
-        case 'error':
-            // Log full error details for debugging
-            console.error('[Realtime] API error:', JSON.stringify(message.error, null, 2));
-            console.error('[Realtime] Full error message:', message);
-            const errorMsg = message.error?.message || message.error?.code || 'Unknown error';
-            const errorCode = message.error?.code || '';
-            updateRealtimeStatus(`Error: ${errorMsg}`, false, true);
-
-            // Show user-friendly error message
-            if (errorCode === 'invalid_api_key' || errorMsg.includes('authentication')) {
-                showError('Realtime API authentication failed. Please check your API key has Realtime API access.');
-            } else if (errorCode === 'model_not_found' || errorMsg.includes('model')) {
-                showError('Realtime API model not available. Please ensure your API key has access to gpt-4o-realtime-preview.');
-            } else if (errorMsg.includes('audio') || errorMsg.includes('format')) {
-                showError('Audio format error. Please try again or use Push-to-Talk mode.');
-            } else {
-                showError(`Realtime API error: ${errorMsg}`);
-            }
-
-            // Stop the conversation on error
-            stopRealtimeConversation();
-            break;
-
-        default:
-            // Log other message types for debugging
-            if (message.type && !message.type.startsWith('response.audio')) {
-                console.log('[Realtime] Message:', message.type);
-            }
-    }
-}
-
-// Audio playback queue
-let audioPlaybackQueue = [];
-let isPlayingRealtimeAudio = false;
-
-async function playRealtimeAudioChunk(base64Audio) {
-    if (!realtimeAudioContext || realtimeAudioContext.state === 'closed') return;
-
-    try {
-        const audioData = base64ToArrayBuffer(base64Audio);
-        audioPlaybackQueue.push(audioData);
-
-        if (!isPlayingRealtimeAudio) {
-            playNextRealtimeChunk();
-        }
-    } catch (error) {
-        console.error('[Realtime] Audio playback error:', error);
-    }
-}
-
-async function playNextRealtimeChunk() {
-    if (audioPlaybackQueue.length === 0 || !realtimeAudioContext) {
-        isPlayingRealtimeAudio = false;
-        return;
-    }
-
-    isPlayingRealtimeAudio = true;
-    const audioData = audioPlaybackQueue.shift();
-
-    try {
-        // Convert PCM16 to AudioBuffer
-        const int16Array = new Int16Array(audioData);
-        const audioBuffer = realtimeAudioContext.createBuffer(1, int16Array.length, 24000);
-        const channelData = audioBuffer.getChannelData(0);
-
-        for (let i = 0; i < int16Array.length; i++) {
-            channelData[i] = int16Array[i] / 32768;
-        }
-
-        const source = realtimeAudioContext.createBufferSource();
-        source.buffer = audioBuffer;
-        source.connect(realtimeAudioContext.destination);
-        source.onended = playNextRealtimeChunk;
-        source.start();
-    } catch (error) {
-        console.error('[Realtime] Chunk playback error:', error);
-        playNextRealtimeChunk(); // Try next chunk
-    }
-}
-
-// Silence detection
-function startSilenceDetection() {
-    checkSilence();
-}
-
-function checkSilence() {
-    if (!state.realtimeActive) return;
-
-    const timeSinceLastAudio = Date.now() - lastAudioTime;
-
-    if (timeSinceLastAudio >= SILENCE_TIMEOUT_MS) {
-        console.log('[Realtime] Silence timeout - stopping conversation');
-        updateRealtimeStatus('Stopped (5s silence)', false);
-        stopRealtimeConversation();
-        return;
-    }
-
-    // Check again in 1 second
-    silenceTimeout = setTimeout(checkSilence, 1000);
-}
-
-// Cost tracking
-function updateRealtimeCost() {
-    if (!state.realtimeActive || !realtimeStartTime) return;
-
-    const elapsedMinutes = (Date.now() - realtimeStartTime) / 60000;
-    state.realtimeSessionCost = elapsedMinutes * REALTIME_COST_PER_MINUTE;
-
-    if (elements.realtimeCost) {
-        elements.realtimeCost.textContent = '$' + state.realtimeSessionCost.toFixed(2);
-    }
-}
-
 // UI helpers
 function showRealtimeStatus() {
     if (elements.realtimeStatus) {
@@ -5415,25 +6149,6 @@ function updateRealtimeButtons(isActive) {
     }
 }
 
-// Helper functions
-function arrayBufferToBase64(buffer) {
-    const bytes = new Uint8Array(buffer);
-    let binary = '';
-    for (let i = 0; i < bytes.length; i++) {
-        binary += String.fromCharCode(bytes[i]);
-    }
-    return btoa(binary);
-}
-
-function base64ToArrayBuffer(base64) {
-    const binary = atob(base64);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-        bytes[i] = binary.charCodeAt(i);
-    }
-    return bytes.buffer;
-}
-
 // ============================================
 // Agent Export/Import
 // ============================================
@@ -5554,6 +6269,13 @@ function saveSettingsApiKey() {
 }
 
 function loadSettings() {
+    // Load hands-free push-to-talk
+    state.voiceHandsFree = localStorage.getItem('settings_voice_handsfree') === 'true';
+    if (elements.voiceHandsFreeToggle) {
+        elements.voiceHandsFreeToggle.checked = state.voiceHandsFree;
+    }
+    updateVoiceModeUI();
+
     // Load voice response toggle
     const voiceResponse = localStorage.getItem('settings_voice_response');
     if (voiceResponse !== null) {
@@ -5600,6 +6322,59 @@ function loadSettings() {
         }
         window.DEBUG_MODE = enabled;
     }
+
+    // Load parallel transcription
+    const parallelTranscription = localStorage.getItem('settings_parallel_transcription');
+    if (parallelTranscription !== null) {
+        state.parallelTranscription = parallelTranscription === 'true';
+        if (elements.settingsParallelTranscription) {
+            elements.settingsParallelTranscription.checked = state.parallelTranscription;
+        }
+    }
+
+    // Load speaker labelling
+    const speakerLabelling = localStorage.getItem('settings_speaker_labelling');
+    if (speakerLabelling !== null) {
+        state.speakerLabelling = speakerLabelling === 'true';
+    }
+    if (elements.settingsSpeakerLabelling) {
+        elements.settingsSpeakerLabelling.checked = state.speakerLabelling;
+    }
+
+    loadProviderSettings();
+}
+
+function loadProviderSettings() {
+    const config = loadProviderConfig();
+    if (elements.settingsProvider) {
+        elements.settingsProvider.value = config.id;
+    }
+    if (elements.settingsProviderBaseUrl) {
+        elements.settingsProviderBaseUrl.value = config.baseUrl || '';
+        elements.settingsProviderBaseUrl.placeholder = PROVIDER_PRESETS[config.id]?.baseUrl || '';
+    }
+    if (elements.settingsProviderModel) {
+        elements.settingsProviderModel.value = config.modelOverride || '';
+    }
+}
+
+function handleProviderChange() {
+    // Switching provider resets the base URL to the new preset's default
+    if (elements.settingsProviderBaseUrl) {
+        elements.settingsProviderBaseUrl.value = '';
+        elements.settingsProviderBaseUrl.placeholder = PROVIDER_PRESETS[elements.settingsProvider.value]?.baseUrl || '';
+    }
+    saveProviderSettings();
+}
+
+function saveProviderSettings() {
+    saveProviderConfig({
+        ...loadProviderConfig(),
+        id: elements.settingsProvider?.value,
+        baseUrl: elements.settingsProviderBaseUrl?.value,
+        modelOverride: elements.settingsProviderModel?.value
+    });
+    updateAnalyzeButton();
 }
 
 function saveSettings() {
@@ -5626,6 +6401,18 @@ function saveSettings() {
         window.DEBUG_MODE = enabled;
         console.log('[Settings] Debug mode:', enabled ? 'enabled' : 'disabled');
     }
+
+    // Save parallel transcription
+    if (elements.settingsParallelTranscription) {
+        state.parallelTranscription = elements.settingsParallelTranscription.checked;
+        localStorage.setItem('settings_parallel_transcription', state.parallelTranscription.toString());
+    }
+
+    // Save speaker labelling
+    if (elements.settingsSpeakerLabelling) {
+        state.speakerLabelling = elements.settingsSpeakerLabelling.checked;
+        localStorage.setItem('settings_speaker_labelling', state.speakerLabelling.toString());
+    }
 }
 
 function handleMetricsToggle() {
@@ -5672,12 +6459,15 @@ function createExportMeta() {
             pdf: null,
             image: null,
             video: null,
+            transcript: null,
+            document: null,
             url: null
         },
         processing: {
             inputMode: null,
             analysis: null,
             transcriptionMethod: null,
+            audio: null,
             pdf: {
                 totalPages: null,
                 usedVisionOcr: false,
@@ -5767,8 +6557,8 @@ function buildExportPayload(agentName, now, readableDate) {
     };
 
     return {
-        schema: 'northstar-agent-md',
-        schemaVersion: 2,
+        schema: AGENT_SCHEMA_ID,
+        schemaVersion: AGENT_SCHEMA_VERSION,
         exportedAt: now.toISOString(),
         agent: {
             id: getAgentId(),
@@ -5786,20 +6576,26 @@ function buildExportPayload(agentName, now, readableDate) {
             audioFile: state.exportMeta.source.audio,
             pdfFile: state.exportMeta.source.pdf,
             imageFile: state.exportMeta.source.image,
-            videoFile: state.exportMeta.source.video
+            videoFile: state.exportMeta.source.video,
+            transcriptFile: state.exportMeta.source.transcript,
+            documentFile: state.exportMeta.source.document
         },
         processing: {
             inputMode: state.exportMeta.processing.inputMode || state.inputMode,
             analysis: state.exportMeta.processing.analysis,
             transcriptionMethod: state.exportMeta.processing.transcriptionMethod || null,
+            audio: state.exportMeta.processing.audio || null,
             pdf: state.exportMeta.processing.pdf
         },
         analysis: {
             summary: results.summary || '',
             keyPoints: results.keyPoints || '',
             actionItems: results.actionItems || '',
+            decisions: results.decisions || [],
             sentiment: results.sentiment || '',
             transcript,
+            transcriptSegments: results.transcriptSegments || [],
+            speakers: results.speakers || [],
             model: GPT_52_MODEL
         },
         // SoT metadata for Orchestrator perspective assignment and grouping
@@ -5832,6 +6628,8 @@ function buildExportPayload(agentName, now, readableDate) {
             summarySystem: PROMPTS.summarySystem,
             keyPointsSystem: PROMPTS.keyPointsSystem,
             actionItemsSystem: PROMPTS.actionItemsSystem,
+            liveNotesSystem: PROMPTS.liveNotesSystem,
+            decisionsSystem: PROMPTS.decisionsSystem,
             sentimentSystem: PROMPTS.sentimentSystem,
             visionOcrSystem: PROMPTS.visionOcrSystem,
             audioBriefingSystem: PROMPTS.audioBriefingSystem,
@@ -5866,12 +6664,12 @@ function exportAgentWithName(agentName) {
     // Build the markdown content with YAML frontmatter
     const markdown = `---
 agent_type: northstar-meeting-agent
-version: 2.0
+version: ${AGENT_SCHEMA_VERSION}.0
 created: ${dateStr}
 source_type: ${state.inputMode}
 agent_name: "${escapeYamlValue(agentName)}"
 agent_id: "${agentId}"
-export_format: northstar-agent-md
+export_format: ${AGENT_SCHEMA_ID}
 ---
 
 # Meeting Agent: ${agentName}
@@ -5880,7 +6678,7 @@ export_format: northstar-agent-md
 - **Created**: ${readableDate}
 - **Source**: ${getSourceTypeLabel(state.inputMode)}
 - **Agent ID**: ${agentId}
-- **Export Format**: northstar-agent-md v2
+- **Export Format**: ${AGENT_SCHEMA_ID} v${AGENT_SCHEMA_VERSION}
 - **Exported At**: ${now.toLocaleString('en-US')}
 - **Powered by**: northstar.LM
 - **API Key Included**: No
@@ -5937,6 +6735,12 @@ ${formatAsCheckboxList(state.results.actionItems)}
 
 ---
 
+## Decisions
+
+${formatDecisionsList(state.results.decisions)}
+
+---
+
 ## Sentiment Analysis
 
 **Overall Sentiment**: ${state.results.sentiment}
@@ -5946,7 +6750,7 @@ ${formatAsCheckboxList(state.results.actionItems)}
 ## Full Transcript
 
 \`\`\`
-${state.results.transcription}
+${getAttributedTranscript()}
 \`\`\`
 
 ---
@@ -6023,6 +6827,9 @@ function getSourceTypeLabel(inputMode) {
         'pdf': 'PDF Document',
         'image': 'Image (Vision OCR)',
         'video': 'Video Transcription',
+        'transcript': 'Imported Transcript',
+        'document': 'Office Document',
+        'live': 'Live Recording',
         'text': 'Text Input',
         'url': 'Web Page',
         'agent': 'Imported Agent'
@@ -6054,6 +6861,16 @@ function formatAsCheckboxList(text) {
         .join('\n');
 }
 
+function formatDecisionsList(decisions) {
+    if (!decisions || decisions.length === 0) return 'No decisions recorded.';
+    return decisions.map(entry => {
+        const who = entry.participants?.length ? ` (${entry.participants.join(', ')})` : '';
+        const why = entry.rationale ? `\n  - Rationale: ${entry.rationale}` : '';
+        const changes = entry.reverses ? `\n  - Changes: ${entry.reverses}` : '';
+        return `- ${entry.decision}${who}${why}${changes}`;
+    }).join('\n');
+}
+
 async function handleAgentFileSelect(e) {
     if (e.target.files.length === 0) return;
     
@@ -6068,11 +6885,7 @@ async function handleAgentFileSelect(e) {
     
     try {
         const content = await file.text();
-        const agentData = parseAgentFile(content);
-        
-        if (!agentData) {
-            throw new Error('Could not parse agent file. Please ensure it is a valid northstar.LM agent.');
-        }
+        const agentData = parseAgentFile(content, file.name);
         
         // Restore the session from the agent data
         importAgentSession(agentData);
@@ -6085,13 +6898,13 @@ async function handleAgentFileSelect(e) {
     }
 }
 
-function parseAgentFile(content) {
+function parseAgentFile(content, fileName = '') {
     // Check for YAML frontmatter
     const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
     
     if (!frontmatterMatch) {
         // Try to parse as a legacy or simple format
-        return parseLegacyAgentFile(content);
+        return parseLegacyAgentFile(content, fileName);
     }
     
     // Parse frontmatter
@@ -6105,59 +6918,53 @@ function parseAgentFile(content) {
     
     // Validate it's a northstar agent
     if (frontmatter.agent_type !== 'northstar-meeting-agent') {
-        return null;
+        throw new AgentSchemaError([{
+            path: 'agent_type',
+            message: `expected "northstar-meeting-agent", got "${frontmatter.agent_type || ''}"`
+        }], fileName);
     }
     
-    // Extract sections from markdown
-    const bodyContent = content.substring(frontmatterMatch[0].length);
-    
-    const summary = extractSection(bodyContent, 'Executive Summary');
-    const keyPoints = extractSection(bodyContent, 'Key Points');
-    const actionItems = extractSection(bodyContent, 'Action Items');
-    const sentiment = extractSentimentFromSection(bodyContent);
-    const transcription = extractTranscript(bodyContent);
-    const payload = extractJsonSection(bodyContent, 'Export Payload (JSON)');
-    const payloadAnalysis = payload?.analysis || null;
-    
-    if (!summary && !transcription && !payloadAnalysis?.summary && !payloadAnalysis?.transcript) {
-        return null;
-    }
-    
-    return {
-        frontmatter,
-        summary: summary || payloadAnalysis?.summary || '',
-        keyPoints: keyPoints || payloadAnalysis?.keyPoints || '',
-        actionItems: actionItems || payloadAnalysis?.actionItems || '',
-        sentiment: sentiment || payloadAnalysis?.sentiment || 'Neutral',
-        transcription: transcription || payloadAnalysis?.transcript || '',
-        payload
-    };
+    return readAgentMarkdown(content.substring(frontmatterMatch[0].length), frontmatter, fileName);
 }
 
-function parseLegacyAgentFile(content) {
-    // Attempt to parse content that might not have proper frontmatter
-    // Look for key sections
-    const summary = extractSection(content, 'Executive Summary') || 
-                    extractSection(content, 'Summary');
-    const keyPoints = extractSection(content, 'Key Points');
-    const actionItems = extractSection(content, 'Action Items');
-    const sentiment = extractSentimentFromSection(content);
-    const transcription = extractTranscript(content) || 
-                          extractSection(content, 'Transcript');
-    const payload = extractJsonSection(content, 'Export Payload (JSON)');
-    const payloadAnalysis = payload?.analysis || null;
-    
-    if (!summary && !transcription && !payloadAnalysis?.summary && !payloadAnalysis?.transcript) {
-        return null;
-    }
+function parseLegacyAgentFile(content, fileName = '') {
+    // Content without frontmatter: rely on the payload or the section headings
+    return readAgentMarkdown(content, { source_type: 'agent' }, fileName);
+}
+
+/**
+ * Read agent markdown into import data. The export payload is the source of
+ * truth; files without one are rebuilt from their sections. Either way the
+ * payload is migrated to the current schema and validated.
+ * @param {string} content - Markdown body
+ * @param {Object} frontmatter - Parsed frontmatter
+ * @param {string} fileName - For error messages
+ * @returns {Object} Agent data for importAgentSession
+ * @throws {AgentSchemaError} When the payload is malformed or incomplete
+ */
+function readAgentMarkdown(content, frontmatter, fileName) {
+    const rawPayload = extractAgentPayload(content, fileName) || buildLegacyAgentPayload({
+        frontmatter,
+        title: content.match(/# Meeting Agent:\s*(.+)/)?.[1]?.trim(),
+        summary: extractSection(content, 'Executive Summary') || extractSection(content, 'Summary'),
+        keyPoints: extractSection(content, 'Key Points'),
+        actionItems: extractSection(content, 'Action Items'),
+        sentiment: extractSentimentFromSection(content),
+        transcript: extractTranscript(content) || extractSection(content, 'Transcript')
+    });
+    const { payload } = loadAgentPayload(rawPayload, fileName);
+    const analysis = payload.analysis;
     
     return {
-        frontmatter: { source_type: 'agent' },
-        summary: summary || payloadAnalysis?.summary || '',
-        keyPoints: keyPoints || payloadAnalysis?.keyPoints || '',
-        actionItems: actionItems || payloadAnalysis?.actionItems || '',
-        sentiment: sentiment || payloadAnalysis?.sentiment || 'Neutral',
-        transcription: transcription || payloadAnalysis?.transcript || '',
+        frontmatter,
+        summary: analysis.summary,
+        keyPoints: analysis.keyPoints,
+        actionItems: analysis.actionItems,
+        decisions: normalizeDecisions(analysis.decisions),
+        sentiment: analysis.sentiment || 'Neutral',
+        transcription: analysis.transcript,
+        transcriptSegments: normalizeSegments(analysis.transcriptSegments),
+        speakers: analysis.speakers,
         payload
     };
 }
@@ -6173,23 +6980,6 @@ function extractSection(content, sectionName) {
     return null;
 }
 
-function escapeRegex(value) {
-    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
-function extractJsonSection(content, sectionName) {
-    const safeName = escapeRegex(sectionName);
-    const regex = new RegExp(`## ${safeName}[\\s\\S]*?\\n\`\`\`json\\s*\\n([\\s\\S]*?)\\n\`\`\``, 'i');
-    const match = content.match(regex);
-    if (!match || !match[1]) return null;
-    try {
-        return JSON.parse(match[1].trim());
-    } catch (error) {
-        console.warn('Failed to parse JSON section:', sectionName, error);
-        return null;
-    }
-}
-
 function extractSentimentFromSection(content) {
     const section = extractSection(content, 'Sentiment Analysis');
     if (section) {
@@ -6229,14 +7019,20 @@ function importAgentSession(agentData) {
     generatedAudioBase64 = null;
     generatedImageUrl = null;
     generatedImageBase64 = null;
+    releaseRecordingForPlayback();
     
     // Set the results from the imported agent
     state.results = {
         transcription: agentData.transcription,
+        transcriptSegments: agentData.transcriptSegments || [],
+        speakers: agentData.speakers || [],
         summary: agentData.summary,
         keyPoints: agentData.keyPoints,
         actionItems: agentData.actionItems,
-        sentiment: agentData.sentiment
+        decisions: agentData.decisions || [],
+        sentiment: agentData.sentiment,
+        // Keep SoT metadata (incl. speaker-attributed people) for re-export
+        ...(agentData.payload?.sotMetadata || {})
     };
     
     // Set input mode to indicate this is from an agent
@@ -6335,8 +7131,7 @@ function importAgentSession(agentData) {
         const audioBlob = base64ToBlob(audioAttachment.base64, audioAttachment.mimeType || 'audio/mpeg');
         if (audioBlob) {
             generatedAudioUrl = URL.createObjectURL(audioBlob);
-            elements.audioPlayer.src = generatedAudioUrl;
-            elements.audioPlayerContainer.classList.remove('hidden');
+            setAudioPlayerSource('briefing');
         }
     }
 
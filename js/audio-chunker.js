@@ -0,0 +1,351 @@
+/**
+ * northstar.LM - Audio Chunker
+ *
+ * Client-side decoding and splitting of long recordings so they can be
+ * transcribed under the Whisper 25 MB upload limit:
+ * - Decodes audio/video files to 16 kHz mono PCM (real duration included)
+ * - Plans segments with overlap, cutting at the quietest point near each
+ *   boundary so words are not split mid-utterance
+ * - Encodes segments as 16-bit WAV blobs for upload
+ * - Stitches segment transcripts back together, dropping words repeated
+ *   in the overlap
+ * - Shifts per-segment Whisper timestamps into recording time
+ * - Trims leading/trailing silence from voice captures using the worklet's
+ *   speech flags
+ */
+
+import { normalizeSegments } from './transcript-segments.js';
+
+export const CHUNKING_CONFIG = {
+    maxUploadBytes: 24 * 1024 * 1024,  // Stay safely under Whisper's 25 MB limit
+    sampleRate: 16000,                 // Whisper resamples to 16 kHz internally
+    maxSegmentSeconds: 600,            // 10 min @ 16 kHz mono PCM16 ≈ 19.2 MB
+    overlapSeconds: 2,                 // Audio shared by adjacent segments
+    silenceSearchSeconds: 20,          // Look back this far for a quiet cut point
+    silenceWindowMs: 50,               // RMS window for silence detection
+    concurrency: 1,                    // 1 = sequential, >1 = parallel uploads
+    maxOverlapWords: 30                // Max words compared when stitching
+};
+
+/**
+ * Decode an audio or video file to mono PCM at the target sample rate
+ * @param {File|Blob} file - Audio/video file
+ * @param {Object} options - { sampleRate }
+ * @returns {Promise<{samples: Float32Array, sampleRate: number, durationSeconds: number}>}
+ */
+export async function decodeAudioFile(file, { sampleRate = CHUNKING_CONFIG.sampleRate } = {}) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+        throw new Error('This browser cannot decode audio for chunked transcription.');
+    }
+
+    const arrayBuffer = await file.arrayBuffer();
+    // decodeAudioData resamples to the context's rate, so a 16 kHz context
+    // keeps memory low for multi-hour recordings
+    const decodeContext = new OfflineContext(1, 1, sampleRate);
+    const audioBuffer = await decodeContext.decodeAudioData(arrayBuffer);
+
+    return {
+        samples: downmixToMono(audioBuffer),
+        sampleRate: audioBuffer.sampleRate,
+        durationSeconds: audioBuffer.duration
+    };
+}
+
+function downmixToMono(audioBuffer) {
+    const channelCount = audioBuffer.numberOfChannels;
+    if (channelCount === 1) {
+        return audioBuffer.getChannelData(0).slice();
+    }
+    const mono = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < channelCount; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            mono[i] += data[i] / channelCount;
+        }
+    }
+    return mono;
+}
+
+/**
+ * Find the quietest window between two sample positions
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} sampleRate - Sample rate
+ * @param {number} searchStart - First candidate sample
+ * @param {number} searchEnd - Last candidate sample (preferred cut point)
+ * @param {number} windowMs - RMS window size
+ * @returns {number} Sample index at the centre of the quietest window
+ */
+export function findSilenceCut(samples, sampleRate, searchStart, searchEnd, windowMs = CHUNKING_CONFIG.silenceWindowMs) {
+    const windowSize = Math.max(1, Math.round(sampleRate * windowMs / 1000));
+    const start = Math.max(0, Math.floor(searchStart));
+    const end = Math.min(samples.length, Math.floor(searchEnd));
+    if (end - start < windowSize) {
+        return end;
+    }
+
+    let bestIndex = end;
+    let bestEnergy = Infinity;
+    // Walk backwards so ties resolve to the latest cut (longer segments)
+    for (let windowEnd = end; windowEnd - windowSize >= start; windowEnd -= windowSize) {
+        let sum = 0;
+        for (let i = windowEnd - windowSize; i < windowEnd; i++) {
+            sum += samples[i] * samples[i];
+        }
+        const energy = sum / windowSize;
+        if (energy < bestEnergy) {
+            bestEnergy = energy;
+            bestIndex = windowEnd - Math.floor(windowSize / 2);
+        }
+    }
+    return bestIndex;
+}
+
+/**
+ * Plan transcription segments with silence-aware cuts and overlap
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - Overrides for CHUNKING_CONFIG
+ * @returns {Array<{index: number, start: number, end: number, startTime: number, endTime: number, overlapSeconds: number}>}
+ */
+export function planSegments(samples, sampleRate, options = {}) {
+    const config = { ...CHUNKING_CONFIG, ...options };
+    const total = samples.length;
+    const maxLength = Math.floor(config.maxSegmentSeconds * sampleRate);
+    const overlap = Math.floor(config.overlapSeconds * sampleRate);
+    const searchLength = Math.floor(config.silenceSearchSeconds * sampleRate);
+    const segments = [];
+
+    let start = 0;
+    while (start < total) {
+        let end = Math.min(total, start + maxLength);
+        if (end < total) {
+            end = findSilenceCut(samples, sampleRate, Math.max(start + overlap + 1, end - searchLength), end, config.silenceWindowMs);
+        }
+        const overlapBefore = segments.length > 0 ? overlap : 0;
+        segments.push({
+            index: segments.length,
+            start,
+            end,
+            startTime: start / sampleRate,
+            endTime: end / sampleRate,
+            overlapSeconds: overlapBefore / sampleRate
+        });
+        if (end >= total) break;
+        start = Math.max(start + 1, end - overlap);
+    }
+
+    return segments;
+}
+
+/**
+ * Find the speech in a voice capture using the PCM16 worklet's per-buffer
+ * `speech` flags, keeping a little audio either side of it
+ * @param {Array<{data: ArrayBuffer, speech: boolean|null}>} buffers - PCM16 buffers in capture order
+ * @param {number} paddingBuffers - Non-speech buffers kept before and after
+ * @returns {{first: number, last: number}|null} Inclusive buffer range, or
+ *   null when no buffer held speech (buffers without flags, from a worklet
+ *   with VAD off, are all kept)
+ */
+export function findSpeechRange(buffers, paddingBuffers = 2) {
+    if (!buffers?.length) return null;
+    if (!buffers.some(buffer => buffer.speech !== null && buffer.speech !== undefined)) {
+        return { first: 0, last: buffers.length - 1 };
+    }
+
+    const first = buffers.findIndex(buffer => buffer.speech);
+    if (first === -1) return null;
+    const last = buffers.length - 1 - [...buffers].reverse().findIndex(buffer => buffer.speech);
+    return {
+        first: Math.max(0, first - paddingBuffers),
+        last: Math.min(buffers.length - 1, last + paddingBuffers)
+    };
+}
+
+/**
+ * Convert PCM16 buffers to float samples
+ * @param {Array<{data: ArrayBuffer}>} buffers - PCM16 buffers in order
+ * @returns {Float32Array} Samples
+ */
+export function pcm16BuffersToSamples(buffers) {
+    const chunks = buffers.map(buffer => new Int16Array(buffer.data));
+    const samples = new Float32Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        for (let i = 0; i < chunk.length; i++) {
+            samples[offset++] = chunk[i] / 32768;
+        }
+    }
+    return samples;
+}
+
+/**
+ * Trim a voice capture to its speech (see findSpeechRange)
+ * @param {Array<{data: ArrayBuffer, speech: boolean|null}>} buffers - PCM16 buffers in capture order
+ * @param {number} paddingBuffers - Non-speech buffers kept before and after
+ * @returns {Float32Array|null} Samples, or null when no buffer held speech
+ */
+export function trimToSpeech(buffers, paddingBuffers = 2) {
+    const range = findSpeechRange(buffers, paddingBuffers);
+    if (!range) return null;
+    return pcm16BuffersToSamples(buffers.slice(range.first, range.last + 1));
+}
+
+/**
+ * Encode mono float samples as a 16-bit PCM WAV blob
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} sampleRate - Sample rate
+ * @returns {Blob} audio/wav blob
+ */
+export function encodeWav(samples, sampleRate) {
+    const bytesPerSample = 2;
+    const dataSize = samples.length * bytesPerSample;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);           // fmt chunk size
+    view.setUint16(20, 1, true);            // PCM
+    view.setUint16(22, 1, true);            // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * bytesPerSample, true);
+    view.setUint16(32, bytesPerSample, true);
+    view.setUint16(34, 16, true);           // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < samples.length; i++, offset += bytesPerSample) {
+        const clamped = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(offset, clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+/**
+ * Count leading words of `next` that repeat the tail of `previous`
+ * @param {string} previous - Transcript so far
+ * @param {string} next - Next segment transcript
+ * @param {number} maxWords - Max overlap length to check
+ * @returns {number} Number of leading words in `next` to drop
+ */
+export function findOverlapWordCount(previous, next, maxWords = CHUNKING_CONFIG.maxOverlapWords) {
+    const tail = previous.split(/\s+/).filter(Boolean).slice(-maxWords).map(normalizeWord);
+    const head = next.split(/\s+/).filter(Boolean).slice(0, maxWords).map(normalizeWord);
+
+    // Longest exact suffix/prefix match first
+    for (let size = Math.min(tail.length, head.length); size >= 2; size--) {
+        const tailSlice = tail.slice(tail.length - size);
+        if (tailSlice.every((word, i) => word === head[i])) {
+            return size;
+        }
+    }
+
+    // Whisper may drop a partial word at the cut: anchor on a 3-word run
+    for (let headStart = 0; headStart <= Math.min(3, head.length - 3); headStart++) {
+        const anchor = head.slice(headStart, headStart + 3).join(' ');
+        for (let tailStart = tail.length - 3; tailStart >= 0; tailStart--) {
+            if (tail.slice(tailStart, tailStart + 3).join(' ') === anchor) {
+                return headStart + (tail.length - tailStart);
+            }
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Join segment transcripts, removing words duplicated by the overlap
+ * @param {Array<{text: string}>} parts - Segment results in order
+ * @returns {string} Stitched transcript
+ */
+export function stitchTranscripts(parts) {
+    return parts.reduce((combined, part, index) => {
+        const text = (part.text || '').trim();
+        if (!text) return combined;
+        if (index === 0 || !combined) return text;
+
+        const dropCount = findOverlapWordCount(combined, text);
+        const remainder = text.split(/\s+/).filter(Boolean).slice(dropCount).join(' ');
+        return remainder ? `${combined} ${remainder}` : combined;
+    }, '');
+}
+
+/**
+ * Merge per-segment transcript timestamps into one recording timeline
+ * @param {Array<{startTime: number, transcriptSegments: Array}>} parts - Segment results in order
+ * @returns {Array<{start: number, end: number, text: string}>} Timestamps in recording time
+ */
+export function stitchTranscriptSegments(parts) {
+    const merged = [];
+    let lastEnd = 0;
+
+    parts.forEach(part => {
+        normalizeSegments(part.transcriptSegments, part.startTime).forEach(segment => {
+            // Lines that finish inside the overlap were already heard by the previous part
+            if (merged.length > 0 && segment.end <= lastEnd + 0.25) return;
+            const start = Math.max(segment.start, lastEnd);
+            merged.push({ ...segment, start });
+            lastEnd = segment.end;
+        });
+    });
+
+    return merged;
+}
+
+/**
+ * Decode, split and transcribe a long recording segment by segment
+ * @param {File|Blob} file - Audio/video file
+ * @param {Function} transcribeSegment - async (blob, segment) => text or { text, segments }
+ *   (should retry internally; segment timestamps are relative to the blob)
+ * @param {Object} options - { concurrency, onProgress, decoded, ...CHUNKING_CONFIG overrides }
+ * @returns {Promise<{text: string, durationSeconds: number, segments: Array, transcriptSegments: Array}>}
+ */
+export async function transcribeInSegments(file, transcribeSegment, options = {}) {
+    const config = { ...CHUNKING_CONFIG, ...options };
+    const { onProgress } = options;
+    const decoded = options.decoded || await decodeAudioFile(file, { sampleRate: config.sampleRate });
+    const segments = planSegments(decoded.samples, decoded.sampleRate, config);
+    const results = new Array(segments.length);
+    let completed = 0;
+    let nextIndex = 0;
+
+    onProgress?.({ completed, total: segments.length, durationSeconds: decoded.durationSeconds });
+
+    const worker = async () => {
+        while (nextIndex < segments.length) {
+            const segment = segments[nextIndex++];
+            const blob = encodeWav(decoded.samples.subarray(segment.start, segment.end), decoded.sampleRate);
+            const result = await transcribeSegment(blob, segment);
+            results[segment.index] = typeof result === 'string' || !result
+                ? { ...segment, text: result || '', transcriptSegments: [] }
+                : { ...segment, text: result.text || '', transcriptSegments: result.segments || [] };
+            completed++;
+            onProgress?.({ completed, total: segments.length, durationSeconds: decoded.durationSeconds });
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(config.concurrency, segments.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return {
+        text: stitchTranscripts(results),
+        durationSeconds: decoded.durationSeconds,
+        segments: results,
+        transcriptSegments: stitchTranscriptSegments(results)
+    };
+}
@@ -1,14 +1,65 @@
 /**
  * Audio Worklet Processor for PCM16 conversion
- * Used by the Real-time Voice API to stream audio in the correct format
+ * Used by the Real-time Voice API to stream audio in the correct format,
+ * and by push-to-talk to capture the question for transcription.
+ *
+ * Includes a local voice-activity detector: every 20 ms frame is classed
+ * as speech when its energy clears an adaptive noise floor and its
+ * zero-crossing rate is below hiss level. The floor starts at the level
+ * minRms implies and is seeded from the quietest frame of a short
+ * calibration window (capped, since push-to-talk usually starts mid-word),
+ * so speech at the very start still counts. The processor posts
+ * `speech-start` / `speech-end` events, flags each audio buffer with
+ * `speech`, and with `gate` enabled only posts audio while someone is
+ * speaking (plus a short pre-roll so the first syllable is not clipped).
+ *
+ * processorOptions: { vad: { ...VAD_DEFAULTS overrides } | false, gate: boolean }
  */
 
+const VAD_DEFAULTS = {
+    frameMs: 20,            // Analysis frame length
+    minRms: 0.01,           // Absolute energy floor for speech
+    noiseRatio: 3,          // Speech energy must exceed the noise floor by this factor
+    maxZcr: 0.35,           // Zero crossings per sample above this read as hiss, not voice
+    startFrames: 3,         // Consecutive speech frames before speech-start (60 ms)
+    hangoverMs: 600,        // Silence after speech before speech-end
+    preRollMs: 300,         // Audio kept from before speech-start (gated mode)
+    noiseAdapt: 0.05,       // How fast the noise floor follows non-speech frames
+    calibrationMs: 200,     // The quietest frame in this opening window seeds the noise floor
+    maxInitialNoise: 0.02   // Cap on the seeded floor, in case speech filled the window
+};
+
 class PCM16Processor extends AudioWorkletProcessor {
-    constructor() {
+    constructor(options) {
         super();
-        this.bufferSize = 2400; // 100ms at 24kHz
+        const processorOptions = options?.processorOptions || {};
+
+        this.bufferSize = Math.round(sampleRate / 10); // 100ms (2400 samples at 24kHz)
         this.buffer = new Float32Array(this.bufferSize);
         this.bufferIndex = 0;
+
+        // Voice activity detection
+        this.vadEnabled = processorOptions.vad !== false;
+        this.vad = { ...VAD_DEFAULTS, ...(processorOptions.vad || {}) };
+        this.gate = Boolean(processorOptions.gate) && this.vadEnabled;
+        this.frameSize = Math.max(1, Math.round(sampleRate * this.vad.frameMs / 1000));
+        this.frameSumSquares = 0;
+        this.frameCrossings = 0;
+        this.frameCount = 0;
+        this.previousSample = 0;
+        this.noiseFloor = this.vad.minRms / this.vad.noiseRatio;
+        this.calibrationFrames = Math.max(1, Math.round(this.vad.calibrationMs / this.vad.frameMs));
+        this.calibrationMin = Infinity;
+        this.speechRun = 0;
+        this.silenceMs = 0;
+        this.speaking = false;
+        this.speechStartFrame = 0;
+        this.framesSeen = 0;
+        this.bufferHadSpeech = false;
+
+        // Gated mode: recent buffers replayed when speech starts
+        this.preRoll = [];
+        this.preRollBuffers = Math.ceil(this.vad.preRollMs / 100);
     }
 
     process(inputs, outputs, parameters) {
@@ -17,7 +68,12 @@ class PCM16Processor extends AudioWorkletProcessor {
             const channelData = input[0];
 
             for (let i = 0; i < channelData.length; i++) {
-                this.buffer[this.bufferIndex++] = channelData[i];
+                const sample = channelData[i];
+                this.buffer[this.bufferIndex++] = sample;
+
+                if (this.vadEnabled) {
+                    this.analyzeSample(sample);
+                }
 
                 // When buffer is full, convert and send
                 if (this.bufferIndex >= this.bufferSize) {
@@ -28,6 +84,69 @@ class PCM16Processor extends AudioWorkletProcessor {
         return true;
     }
 
+    analyzeSample(sample) {
+        this.frameSumSquares += sample * sample;
+        if ((sample >= 0) !== (this.previousSample >= 0)) {
+            this.frameCrossings++;
+        }
+        this.previousSample = sample;
+
+        if (++this.frameCount >= this.frameSize) {
+            this.classifyFrame();
+        }
+    }
+
+    classifyFrame() {
+        const rms = Math.sqrt(this.frameSumSquares / this.frameCount);
+        const zcr = this.frameCrossings / this.frameCount;
+        this.frameSumSquares = 0;
+        this.frameCrossings = 0;
+        this.frameCount = 0;
+        this.framesSeen++;
+
+        const threshold = Math.max(this.vad.minRms, this.noiseFloor * this.vad.noiseRatio);
+        const isSpeech = rms >= threshold && zcr <= this.vad.maxZcr;
+
+        if (this.framesSeen <= this.calibrationFrames) {
+            this.calibrationMin = Math.min(this.calibrationMin, rms);
+            if (this.framesSeen === this.calibrationFrames) {
+                this.noiseFloor = Math.min(this.calibrationMin, this.vad.maxInitialNoise);
+            }
+        } else if (!isSpeech && !this.speaking) {
+            this.noiseFloor += this.vad.noiseAdapt * (rms - this.noiseFloor);
+        }
+
+        if (!this.speaking) {
+            this.speechRun = isSpeech ? this.speechRun + 1 : 0;
+            if (this.speechRun >= this.vad.startFrames) {
+                this.speaking = true;
+                this.silenceMs = 0;
+                this.speechStartFrame = this.framesSeen - this.speechRun;
+                this.bufferHadSpeech = true;
+                this.port.postMessage({ type: 'speech-start', time: currentTime });
+                this.flushPreRoll();
+            }
+            return;
+        }
+
+        this.bufferHadSpeech = true;
+        this.silenceMs = isSpeech ? 0 : this.silenceMs + this.vad.frameMs;
+        if (this.silenceMs >= this.vad.hangoverMs) {
+            this.speaking = false;
+            this.speechRun = 0;
+            this.port.postMessage({
+                type: 'speech-end',
+                time: currentTime,
+                durationMs: (this.framesSeen - this.speechStartFrame) * this.vad.frameMs
+            });
+        }
+    }
+
+    flushPreRoll() {
+        this.preRoll.forEach(message => this.port.postMessage(message, [message.data]));
+        this.preRoll = [];
+    }
+
     sendBuffer() {
         // Convert float32 to int16 PCM
         const int16Data = new Int16Array(this.bufferIndex);
@@ -36,14 +155,27 @@ class PCM16Processor extends AudioWorkletProcessor {
             int16Data[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
         }
 
-        // Send to main thread
-        this.port.postMessage({
+        const message = {
             type: 'audio',
-            data: int16Data.buffer
-        }, [int16Data.buffer]);
+            data: int16Data.buffer,
+            speech: this.vadEnabled ? (this.bufferHadSpeech || this.speaking) : null
+        };
+        this.bufferHadSpeech = this.speaking;
 
         // Reset buffer
         this.bufferIndex = 0;
+
+        // Gated: hold silence back (keeping a short pre-roll) instead of sending it
+        if (this.gate && !message.speech) {
+            this.preRoll.push(message);
+            if (this.preRoll.length > this.preRollBuffers) {
+                this.preRoll.shift();
+            }
+            return;
+        }
+
+        // Send to main thread
+        this.port.postMessage(message, [int16Data.buffer]);
     }
 }
 
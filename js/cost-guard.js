@@ -0,0 +1,184 @@
+/**
+ * northstar.LM - Cost Guard
+ *
+ * Pre-flight cost estimates and dollar ceilings for chat queries. The
+ * orchestrator describes a query as a plan of expected model calls (one
+ * per sub-query, synthesis, code-gen, ...) with estimated token counts;
+ * this module prices the plan and, when it would run close to the
+ * per-query or per-session cap, works out a cheaper plan:
+ *   1. fan-out phases (sub-queries, sub_lm) move to the next cheaper model
+ *   2. every phase moves down one model tier
+ *   3. the fan-out is cut to the number of sub-queries that fits
+ * If even the cheapest plan is over the cap, the caller asks the user.
+ *
+ * Plan call phases match the RLM model tiering keys: 'subQuery',
+ * 'aggregate', 'direct', 'replCode' and 'replSubLm'.
+ */
+
+export const COST_GUARD_CONFIG = {
+    nearCapRatio: 0.8,         // Downgrade once an estimate passes this share of the remaining budget
+    minDepth: 1,               // Never cut a fan-out below this many sub-queries
+    outputTokens: {            // Expected completion tokens per call, by phase
+        subQuery: 600,
+        aggregate: 1500,
+        direct: 1200,
+        replCode: 800,
+        replSubLm: 600
+    }
+};
+
+/**
+ * Next cheaper model for each priced model (the cheapest has no entry)
+ */
+export const MODEL_DOWNGRADES = {
+    'gpt-5.2': 'gpt-5-mini',
+    'gpt-5.2-2025-12-11': 'gpt-5-mini',
+    'gpt-5-mini': 'gpt-5-nano'
+};
+
+const FAN_OUT_PHASES = ['subQuery', 'replSubLm'];
+
+/**
+ * Dollar cost of one call
+ * @param {{input: number, output: number}} pricing - Price per 1M tokens
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number}
+ */
+export function estimateCallCost(pricing, inputTokens, outputTokens) {
+    if (!pricing) return 0;
+    return (inputTokens / 1000000) * pricing.input + (outputTokens / 1000000) * pricing.output;
+}
+
+/**
+ * Price a query plan
+ * Calls flagged `fanOut` are the per-agent sub-queries; with `depth` set only
+ * the first `depth` of them run, and calls flagged `scalesWithFanOut` (reduce,
+ * synthesis) shrink their input in proportion.
+ * @param {Object} plan - { calls: [{ phase, inputTokens, outputTokens, fanOut, scalesWithFanOut }] }
+ * @param {Object} options - { pricing: model -> price, baseModel, tiers: phase -> model, depth }
+ * @returns {{cost: number, inputTokens: number, outputTokens: number, calls: number, fanOut: number}}
+ */
+export function estimatePlanCost(plan, options) {
+    const { pricing, baseModel, tiers = {}, depth = null } = options;
+    const calls = plan?.calls || [];
+    const fanOutTotal = calls.filter(call => call.fanOut).length;
+    const fanOutKept = depth ? Math.min(depth, fanOutTotal) : fanOutTotal;
+    const fanOutRatio = fanOutTotal > 0 ? fanOutKept / fanOutTotal : 1;
+
+    const estimate = { cost: 0, inputTokens: 0, outputTokens: 0, calls: 0, fanOut: fanOutKept };
+    let fanOutSeen = 0;
+    calls.forEach(call => {
+        if (call.fanOut) {
+            if (fanOutSeen >= fanOutKept) return;
+            fanOutSeen++;
+        }
+        const inputTokens = call.scalesWithFanOut
+            ? Math.round(call.inputTokens * fanOutRatio)
+            : call.inputTokens;
+        const outputTokens = call.outputTokens ?? COST_GUARD_CONFIG.outputTokens[call.phase] ?? 0;
+        const model = tiers[call.phase] || baseModel;
+
+        estimate.cost += estimateCallCost(pricing[model] || pricing[baseModel], inputTokens, outputTokens);
+        estimate.inputTokens += inputTokens;
+        estimate.outputTokens += outputTokens;
+        estimate.calls++;
+    });
+    return estimate;
+}
+
+/**
+ * The tighter of the per-query cap and what is left of the session cap
+ * @param {{perQuery: number, perSession: number}} caps - Dollar caps (0 = no cap)
+ * @param {number} sessionSpend - Dollars spent so far this session
+ * @returns {{scope: 'query'|'session', amount: number, cap: number}|null} Null when no cap is set
+ */
+export function resolveCostLimit(caps, sessionSpend = 0) {
+    const limits = [];
+    if (caps?.perQuery > 0) {
+        limits.push({ scope: 'query', amount: caps.perQuery, cap: caps.perQuery });
+    }
+    if (caps?.perSession > 0) {
+        limits.push({ scope: 'session', amount: Math.max(0, caps.perSession - sessionSpend), cap: caps.perSession });
+    }
+    if (limits.length === 0) return null;
+    return limits.reduce((tightest, limit) => (limit.amount < tightest.amount ? limit : tightest));
+}
+
+/**
+ * Fit a plan under a cost limit, downgrading models and then depth
+ * @param {Object} plan - Query plan (see estimatePlanCost)
+ * @param {Object} options - { pricing, baseModel, tiers, limit: from resolveCostLimit, allowDepthCut, config }
+ * @returns {{
+ *   limit: Object|null,
+ *   original: Object,
+ *   estimate: Object,
+ *   tiers: Object|null,
+ *   depth: number|null,
+ *   steps: Array<{kind: 'tier'|'depth', phases?: Array<string>, from?: number, to?: number}>,
+ *   exceedsLimit: boolean
+ * }} `tiers` / `depth` are set only when a downgrade was needed
+ */
+export function fitPlanToBudget(plan, options) {
+    const { pricing, baseModel, limit = null, allowDepthCut = true } = options;
+    const config = { ...COST_GUARD_CONFIG, ...(options.config || {}) };
+    const baseTiers = options.tiers || {};
+    const price = (tiers, depth = null) => estimatePlanCost(plan, { pricing, baseModel, tiers, depth });
+
+    const original = price(baseTiers);
+    const result = {
+        limit,
+        original,
+        estimate: original,
+        tiers: null,
+        depth: null,
+        steps: [],
+        exceedsLimit: false
+    };
+    if (!limit) return result;
+
+    const target = limit.amount * config.nearCapRatio;
+    if (original.cost <= target) return result;
+
+    const phases = [...new Set((plan?.calls || []).map(call => call.phase))];
+    let tiers = { ...baseTiers };
+    let estimate = original;
+
+    const stepDown = (candidatePhases) => {
+        const next = { ...tiers };
+        const changed = candidatePhases.filter(phase => {
+            const cheaper = MODEL_DOWNGRADES[tiers[phase] || baseModel];
+            if (!cheaper) return false;
+            next[phase] = cheaper;
+            return true;
+        });
+        if (changed.length === 0) return;
+        tiers = next;
+        estimate = price(tiers);
+        result.tiers = tiers;
+        result.steps.push({ kind: 'tier', phases: changed });
+    };
+
+    stepDown(phases.filter(phase => FAN_OUT_PHASES.includes(phase)));
+    if (estimate.cost > target) {
+        stepDown(phases);
+    }
+
+    const fanOut = estimate.fanOut;
+    if (allowDepthCut && estimate.cost > target && fanOut > config.minDepth) {
+        let depth = config.minDepth;
+        for (let candidate = fanOut - 1; candidate > config.minDepth; candidate--) {
+            if (price(tiers, candidate).cost <= target) {
+                depth = candidate;
+                break;
+            }
+        }
+        estimate = price(tiers, depth);
+        result.depth = depth;
+        result.steps.push({ kind: 'depth', from: fanOut, to: depth });
+    }
+
+    result.estimate = estimate;
+    result.exceedsLimit = estimate.cost > limit.amount;
+    return result;
+}
@@ -0,0 +1,168 @@
+/**
+ * northstar.LM - Decision Log
+ *
+ * Decisions are extracted per meeting at analysis time and stored in the
+ * agent payload (analysis.decisions). This module cleans that output and
+ * builds a cross-meeting log: every decision with its meeting, date,
+ * participants and rationale, oldest meeting first, with decisions that a
+ * newer meeting reversed or contradicted flagged by the ConflictDetector.
+ */
+
+import { createConflictDetector } from './rlm/conflict-detector.js';
+
+export const DECISION_LOG_CONFIG = {
+    maxDecisionsPerMeeting: 20,  // Extraction output beyond this is dropped
+    maxParticipants: 10,
+    maxTextLength: 500           // Per field, after trimming
+};
+
+// ============================================
+// Extraction output
+// ============================================
+
+function cleanText(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.replace(/\s+/g, ' ').trim();
+    if (!text || /^(null|none|n\/a)$/i.test(text)) return null;
+    return text.slice(0, DECISION_LOG_CONFIG.maxTextLength);
+}
+
+/**
+ * Clean decisions returned by the model (or read from an agent payload)
+ * Accepts objects with decision/rationale/participants/reverses, or plain
+ * strings; entries without a decision are dropped.
+ * @param {*} value - Raw decisions value
+ * @returns {Array<{decision: string, rationale: string|null, participants: Array<string>, reverses: string|null}>}
+ */
+export function normalizeDecisions(value) {
+    if (!Array.isArray(value)) return [];
+
+    return value
+        .map(entry => {
+            if (typeof entry === 'string') {
+                entry = { decision: entry };
+            }
+            if (!entry || typeof entry !== 'object') return null;
+
+            const decision = cleanText(entry.decision ?? entry.text ?? entry.title);
+            if (!decision) return null;
+
+            const participants = Array.isArray(entry.participants)
+                ? entry.participants
+                : String(entry.participants || '').split(/,|\band\b/);
+            return {
+                decision,
+                rationale: cleanText(entry.rationale),
+                participants: [...new Set(participants.map(cleanText).filter(Boolean))]
+                    .slice(0, DECISION_LOG_CONFIG.maxParticipants),
+                reverses: cleanText(entry.reverses)
+            };
+        })
+        .filter(Boolean)
+        .slice(0, DECISION_LOG_CONFIG.maxDecisionsPerMeeting);
+}
+
+/**
+ * Parse a decision-extraction response (a JSON array, or an object with a
+ * `decisions` array, possibly wrapped in prose or a code fence)
+ * @param {string} text - Model response
+ * @returns {Array} Normalized decisions ([] when nothing parses)
+ */
+export function parseDecisionsResponse(text) {
+    if (!text) return [];
+    const candidates = [text, text.match(/\[[\s\S]*\]/)?.[0], text.match(/\{[\s\S]*\}/)?.[0]].filter(Boolean);
+    for (const candidate of candidates) {
+        try {
+            const parsed = JSON.parse(candidate);
+            return normalizeDecisions(Array.isArray(parsed) ? parsed : parsed?.decisions);
+        } catch {
+            // Try the next candidate
+        }
+    }
+    return [];
+}
+
+// ============================================
+// Cross-meeting log
+// ============================================
+
+function sortMeetings(meetings) {
+    // Dated meetings in date order; undated ones keep their load order at the end
+    return meetings
+        .map((meeting, order) => ({ ...meeting, order }))
+        .sort((a, b) => {
+            const aTime = a.date ? a.date.getTime() : Infinity;
+            const bTime = b.date ? b.date.getTime() : Infinity;
+            return (aTime - bTime) || (a.order - b.order);
+        });
+}
+
+/**
+ * Build the decision log across meetings
+ * @param {Array<Object>} meetings - { id, name, date: Date|null, decisions }
+ * @param {Object} detectorOptions - ConflictDetector option overrides
+ * @returns {{entries: Array<Object>, summary: Object}} Entries oldest first;
+ *   `changedBy` lists later decisions that reversed or contradicted an
+ *   entry, `changes` the earlier decisions an entry reversed or contradicted
+ */
+export function buildDecisionLog(meetings, detectorOptions = {}) {
+    const entries = [];
+    for (const meeting of sortMeetings(meetings || [])) {
+        normalizeDecisions(meeting.decisions).forEach((decision, index) => {
+            entries.push({
+                id: `${meeting.id}-d${index}`,
+                ...decision,
+                meetingId: meeting.id,
+                meetingName: meeting.name,
+                date: meeting.date,
+                status: 'standing',
+                changedBy: [],
+                changes: []
+            });
+        });
+    }
+
+    const byId = new Map(entries.map(entry => [entry.id, entry]));
+    const detector = createConflictDetector(detectorOptions);
+    const findings = detector.findDecisionReversals(entries.map(entry => ({
+        id: entry.id,
+        text: entry.decision,
+        reverses: entry.reverses,
+        source: entry.meetingId
+    })));
+
+    for (const finding of findings) {
+        const earlier = byId.get(finding.earlierId);
+        const later = byId.get(finding.laterId);
+        earlier.changedBy.push({
+            id: later.id,
+            type: finding.type,
+            decision: later.decision,
+            meetingName: later.meetingName,
+            date: later.date,
+            confidence: finding.confidence,
+            reason: finding.reason
+        });
+        later.changes.push({
+            id: earlier.id,
+            type: finding.type,
+            decision: earlier.decision,
+            meetingName: earlier.meetingName,
+            date: earlier.date
+        });
+        // An explicit reversal outranks a contradiction
+        if (finding.type === 'reversed' || earlier.status === 'standing') {
+            earlier.status = finding.type;
+        }
+    }
+
+    return {
+        entries,
+        summary: {
+            total: entries.length,
+            meetings: new Set(entries.map(entry => entry.meetingId)).size,
+            reversed: entries.filter(entry => entry.status === 'reversed').length,
+            contradicted: entries.filter(entry => entry.status === 'contradicted').length
+        }
+    };
+}
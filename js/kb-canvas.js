@@ -9,7 +9,73 @@
  * - Grid snapping (hold Shift)
  * - Velocity tracking for fast-move effects
  * - Alignment guides
+ *
+ * Connections between agents are drawn from shared content: edges are
+ * weighted by the keyEntities and topicTags two agents have in common,
+ * labelled with the shared terms on hover, and clicking a shared term asks
+ * the chat what both meetings say about it. When no agent carries that
+ * metadata the original sequential chain is drawn instead.
+ */
+
+const CONTENT_EDGE_CONFIG = {
+    entityWeight: 2,           // A shared person / project / organization / product
+    topicWeight: 1,            // A shared topic tag
+    defaultThreshold: 0.15,    // Minimum edge strength (0-1) that is drawn
+    maxEdgesPerNode: 4,        // Only a node's strongest edges are kept
+    maxLabelTerms: 6           // Shared terms listed in the edge label
+};
+
+/**
+ * Weighted edges between items that share terms
+ * Strength is the cosine similarity of the weighted term sets, so two
+ * agents sharing everything score 1 regardless of how much metadata they
+ * carry. An edge is kept when it is among the strongest maxEdgesPerNode of
+ * either endpoint.
+ * @param {Array<{id: string, terms: Map<string, {label: string, weight: number}>}>} items
+ * @param {number} threshold - Minimum strength (0-1)
+ * @returns {Array<{from: string, to: string, score: number, shared: Array<string>}>}
+ *   Strongest first; `shared` lists term labels, heaviest first
  */
+function computeContentEdges(items, threshold = CONTENT_EDGE_CONFIG.defaultThreshold) {
+    const norm = terms => Math.sqrt([...terms.values()].reduce((sum, term) => sum + term.weight ** 2, 0));
+    const candidates = [];
+
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            const a = items[i];
+            const b = items[j];
+            const shared = [...a.terms.entries()]
+                .filter(([key]) => b.terms.has(key))
+                .map(([, term]) => term);
+            if (shared.length === 0) continue;
+
+            const dot = shared.reduce((sum, term) => sum + term.weight ** 2, 0);
+            const score = dot / (norm(a.terms) * norm(b.terms));
+            if (score < threshold) continue;
+
+            candidates.push({
+                from: a.id,
+                to: b.id,
+                score,
+                shared: shared.sort((x, y) => y.weight - x.weight).map(term => term.label)
+            });
+        }
+    }
+
+    candidates.sort((a, b) => b.score - a.score);
+    const kept = new Set();
+    const perNode = new Map();
+    candidates.forEach((edge, index) => {
+        [edge.from, edge.to].forEach(id => {
+            const count = perNode.get(id) || 0;
+            if (count < CONTENT_EDGE_CONFIG.maxEdgesPerNode) {
+                kept.add(index);
+                perNode.set(id, count + 1);
+            }
+        });
+    });
+    return candidates.filter((edge, index) => kept.has(index));
+}
 
 class KBCanvas {
     constructor(containerId) {
@@ -32,6 +98,8 @@ class KBCanvas {
         this.onRemove = null;
         this.onRename = null;
         this.onUngroupAgent = null; // Callback for when agent is ungrouped
+        this.onEdgeQuery = null; // (fromAgentId, toAgentId, term) when a shared term is clicked
+        this.resolveEntity = null; // (name, type) -> { id, name } to merge entity aliases
         this.layoutTimer = null;
         this.groups = []; // Group data from state
 
@@ -46,6 +114,11 @@ class KBCanvas {
         this.snapIndicator = null;
         this.shortcutsTooltip = null;
 
+        // Content edges
+        this.edgeThreshold = CONTENT_EDGE_CONFIG.defaultThreshold;
+        this.edgeLabel = null;
+        this.pinnedEdge = null;
+
         if (this.space && this.svg) {
             this.init();
         }
@@ -64,6 +137,14 @@ class KBCanvas {
 
         // Control buttons
         document.getElementById('kb-auto-layout')?.addEventListener('click', () => this.autoLayout());
+        const thresholdInput = document.getElementById('kb-edge-threshold');
+        if (thresholdInput) {
+            thresholdInput.value = Math.round(this.edgeThreshold * 100);
+            thresholdInput.addEventListener('input', () => {
+                this.edgeThreshold = Number(thresholdInput.value) / 100;
+                this.updateConnections();
+            });
+        }
 
         // Resize observer to update connections
         this.resizeObserver = new ResizeObserver(() => this.updateConnections());
@@ -81,6 +162,79 @@ class KBCanvas {
 
         // Create shortcuts tooltip
         this.createShortcutsTooltip();
+
+        // Create content edge label
+        this.createEdgeLabel();
+    }
+
+    /**
+     * Create the hover / pinned label for content edges
+     */
+    createEdgeLabel() {
+        if (!this.wrapper) return;
+
+        this.edgeLabel = document.createElement('div');
+        this.edgeLabel.className = 'kb-edge-label hidden';
+        this.wrapper.appendChild(this.edgeLabel);
+
+        this.edgeLabel.addEventListener('click', (e) => {
+            const termBtn = e.target.closest('.kb-edge-term');
+            if (!termBtn || !this.pinnedEdge) return;
+            const { from, to } = this.pinnedEdge;
+            this.hideEdgeLabel(true);
+            this.onEdgeQuery?.(from, to, termBtn.dataset.term);
+        });
+
+        // Clicking anywhere else unpins the label
+        document.addEventListener('click', (e) => {
+            if (this.pinnedEdge && !e.target.closest('.kb-edge-label, .content-edge-hit')) {
+                this.hideEdgeLabel(true);
+            }
+        });
+    }
+
+    /**
+     * Show the shared terms of an edge at a point in wrapper coordinates
+     * @param {boolean} pin - Keep the label open and make its terms clickable
+     */
+    showEdgeLabel(edge, x, y, pin = false) {
+        if (!this.edgeLabel || (this.pinnedEdge && !pin)) return;
+
+        const terms = edge.shared.slice(0, CONTENT_EDGE_CONFIG.maxLabelTerms);
+        const more = edge.shared.length - terms.length;
+        this.edgeLabel.innerHTML = `
+            <div class="kb-edge-label-title">Shared · ${Math.round(edge.score * 100)}%</div>
+            <div class="kb-edge-terms">
+                ${more > 0 ? `<span class="kb-edge-more">+${more} more</span>` : ''}
+            </div>
+            <div class="kb-edge-hint">${pin ? 'Ask what both meetings say about a term' : 'Click to ask about a shared term'}</div>
+        `;
+
+        // Terms come from imported agent files, so they are set as text, never parsed as markup
+        const termList = this.edgeLabel.querySelector('.kb-edge-terms');
+        const moreLabel = termList.querySelector('.kb-edge-more');
+        terms.forEach(term => {
+            const button = document.createElement('button');
+            button.className = 'kb-edge-term';
+            button.dataset.term = term;
+            button.textContent = term;
+            termList.insertBefore(button, moreLabel);
+        });
+        this.edgeLabel.style.left = `${x}px`;
+        this.edgeLabel.style.top = `${y}px`;
+        this.edgeLabel.classList.toggle('pinned', pin);
+        this.edgeLabel.classList.remove('hidden');
+        this.pinnedEdge = pin ? edge : null;
+    }
+
+    /**
+     * @param {boolean} force - Also close a pinned label
+     */
+    hideEdgeLabel(force = false) {
+        if (!this.edgeLabel || (this.pinnedEdge && !force)) return;
+        this.edgeLabel.classList.add('hidden');
+        this.edgeLabel.classList.remove('pinned');
+        this.pinnedEdge = null;
     }
 
     /**
@@ -335,7 +489,7 @@ class KBCanvas {
 
         // Add to DOM and map
         this.space.appendChild(nodeEl);
-        this.nodes.set(agent.id, { element: nodeEl, position: pos, groupId: agent.groupId });
+        this.nodes.set(agent.id, { element: nodeEl, position: pos, groupId: agent.groupId, content: this.getNodeContent(agent) });
 
         // Update empty state and wrapper class
         if (this.emptyState) {
@@ -630,6 +784,7 @@ class KBCanvas {
             delete nodeEl.dataset.groupId;
         }
         nodeData.groupId = agent.groupId;
+        nodeData.content = this.getNodeContent(agent);
 
         // Update group badge
         const nodeCard = nodeEl.querySelector('.node-card');
@@ -783,6 +938,47 @@ class KBCanvas {
         this.space.style.minHeight = `${minHeight}px`;
     }
 
+    /**
+     * Metadata used to connect an agent to the others
+     */
+    getNodeContent(agent) {
+        return {
+            keyEntities: agent.sotMetadata?.keyEntities || {},
+            topicTags: agent.topicTags || agent.sotMetadata?.topicTags || []
+        };
+    }
+
+    /**
+     * Weighted terms for a node: entities (alias-merged when a resolver is
+     * set) and topic tags, keyed case-insensitively
+     * @returns {Map<string, {label: string, weight: number}>}
+     */
+    getContentTerms(content) {
+        const terms = new Map();
+        const entityLabels = new Set();
+
+        Object.entries(content?.keyEntities || {}).forEach(([type, names]) => {
+            (Array.isArray(names) ? names : []).forEach(name => {
+                if (typeof name !== 'string' || !name.trim()) return;
+                const resolved = this.resolveEntity?.(name.trim(), type);
+                const label = resolved?.name || name.trim();
+                const key = resolved ? `entity:${resolved.id}` : `entity:${type}:${label.toLowerCase()}`;
+                terms.set(key, { label, weight: CONTENT_EDGE_CONFIG.entityWeight });
+                entityLabels.add(label.toLowerCase());
+            });
+        });
+
+        (Array.isArray(content?.topicTags) ? content.topicTags : []).forEach(tag => {
+            if (typeof tag !== 'string' || !tag.trim()) return;
+            const label = tag.trim();
+            // A tag naming an entity is already counted as that entity
+            if (entityLabels.has(label.toLowerCase())) return;
+            terms.set(`topic:${label.toLowerCase()}`, { label, weight: CONTENT_EDGE_CONFIG.topicWeight });
+        });
+
+        return terms;
+    }
+
     /**
      * Update SVG connections between nodes
      */
@@ -792,6 +988,17 @@ class KBCanvas {
         // Clear existing paths (keep defs)
         const paths = this.svg.querySelectorAll('path, circle.particle');
         paths.forEach(p => p.remove());
+        this.hideEdgeLabel(true);
+
+        // Content edges when any agent carries entities or topics
+        const items = Array.from(this.nodes.entries())
+            .map(([id, nodeData]) => ({ id, terms: this.getContentTerms(nodeData.content) }));
+        if (items.some(item => item.terms.size > 0)) {
+            this.updateConnectionsByContent(items);
+            return;
+        }
+
+        this.wrapper?.classList.remove('has-content-edges');
 
         // Check if we have grouped layout
         const hasGroups = this.groups.length > 0 &&
@@ -804,6 +1011,92 @@ class KBCanvas {
         }
     }
 
+    /**
+     * Content connections - weighted by shared entities and topics
+     * Edges inside a group use the gold gradient, edges across groups cyan.
+     */
+    updateConnectionsByContent(items) {
+        const edges = computeContentEdges(items, this.edgeThreshold);
+        this.wrapper?.classList.add('has-content-edges');
+
+        edges.forEach(edge => {
+            const fromNode = this.nodes.get(edge.from);
+            const toNode = this.nodes.get(edge.to);
+            if (fromNode && toNode) {
+                this.drawContentEdge(fromNode, toNode, edge);
+            }
+        });
+    }
+
+    /**
+     * Draw a content edge between node centers, with a wider invisible
+     * path on top for hover and click
+     */
+    drawContentEdge(fromNode, toNode, edge) {
+        const fromRect = fromNode.element.getBoundingClientRect();
+        const toRect = toNode.element.getBoundingClientRect();
+        const svgRect = this.svg.getBoundingClientRect();
+
+        const fromX = fromRect.left + fromRect.width / 2 - svgRect.left;
+        const fromY = fromRect.top + fromRect.height / 2 - svgRect.top;
+        const toX = toRect.left + toRect.width / 2 - svgRect.left;
+        const toY = toRect.top + toRect.height / 2 - svgRect.top;
+
+        // Bow the curve sideways so overlapping edges stay distinguishable
+        const bow = 0.15;
+        const cp1x = fromX + (toX - fromX) / 3 - (toY - fromY) * bow;
+        const cp1y = fromY + (toY - fromY) / 3 + (toX - fromX) * bow;
+        const cp2x = fromX + 2 * (toX - fromX) / 3 - (toY - fromY) * bow;
+        const cp2y = fromY + 2 * (toY - fromY) / 3 + (toX - fromX) * bow;
+        const d = `M ${fromX} ${fromY} C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${toX} ${toY}`;
+
+        const bothEnabled = !fromNode.element.classList.contains('disabled')
+            && !toNode.element.classList.contains('disabled');
+        const crossGroup = (fromNode.groupId || toNode.groupId) && fromNode.groupId !== toNode.groupId;
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', d);
+        path.setAttribute('fill', 'none');
+        path.setAttribute('stroke', !bothEnabled
+            ? 'rgba(107,122,143,0.3)'
+            : crossGroup ? 'url(#intergroup-gradient)' : 'url(#conn-gradient)');
+        path.setAttribute('stroke-width', String(1 + 3 * edge.score));
+        path.setAttribute('stroke-opacity', String(0.4 + 0.6 * edge.score));
+        if (bothEnabled) {
+            path.setAttribute('filter', 'url(#conn-glow)');
+        } else {
+            path.setAttribute('stroke-dasharray', '5,5');
+        }
+        path.classList.add('connection-path', 'content-edge');
+        this.svg.appendChild(path);
+
+        const hit = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        hit.setAttribute('d', d);
+        hit.setAttribute('fill', 'none');
+        hit.setAttribute('stroke', 'transparent');
+        hit.setAttribute('stroke-width', '14');
+        hit.classList.add('content-edge-hit');
+        this.svg.appendChild(hit);
+
+        // Label sits at the curve midpoint (svg and wrapper share coordinates)
+        const midX = (fromX + 3 * cp1x + 3 * cp2x + toX) / 8;
+        const midY = (fromY + 3 * cp1y + 3 * cp2y + toY) / 8;
+        hit.addEventListener('mouseenter', () => {
+            path.classList.add('hovered');
+            this.showEdgeLabel(edge, midX, midY);
+        });
+        hit.addEventListener('mouseleave', () => {
+            path.classList.remove('hovered');
+            this.hideEdgeLabel();
+        });
+        hit.addEventListener('click', () => this.showEdgeLabel(edge, midX, midY, true));
+
+        if (bothEnabled) {
+            this.addParticle(path, fromX, fromY, toX, toY, cp1x, cp1y, cp2x, cp2y,
+                crossGroup ? '#22d3ee' : '#d4a853');
+        }
+    }
+
     /**
      * Flat connections (no groups) - original snake pattern
      */
@@ -1770,4 +2063,4 @@ class KBCanvas {
     }
 }
 
-export { KBCanvas };
+export { KBCanvas, CONTENT_EDGE_CONFIG, computeContentEdges };
@@ -0,0 +1,399 @@
+/**
+ * northstar.LM - Live Meeting Capture
+ *
+ * Records a meeting as it happens: the microphone, optionally mixed with
+ * tab/system audio shared through display media. Audio runs through the
+ * PCM16 worklet and is cut into transcription windows at natural pauses
+ * (its voice-activity detector decides where speech ends); each window is
+ * trimmed to its speech and transcribed in the background while the
+ * meeting continues, so silent stretches cost nothing. On a timer the
+ * running key points and action items are refreshed from the transcript
+ * that arrived since the last refresh. Stopping flushes the last window,
+ * waits for the queue and returns the full transcript, timestamps and a
+ * compressed recording for playback.
+ */
+
+import { findSpeechRange, pcm16BuffersToSamples, encodeWav } from './audio-chunker.js';
+import { normalizeSegments } from './transcript-segments.js';
+
+export const LIVE_CAPTURE_CONFIG = {
+    sampleRate: 16000,           // Whisper resamples to 16 kHz internally
+    windowSeconds: 30,           // Close a window at the first pause after this much audio
+    maxWindowSeconds: 45,        // ...or here, mid-sentence if nobody pauses
+    vadHangoverMs: 700,          // Pause length that counts as the end of a sentence
+    paddingBuffers: 3,           // 100 ms buffers of silence kept around each window's speech
+    notesIntervalMs: 90000,      // Refresh running key points / action items this often
+    minNotesChars: 200,          // ...once at least this much new transcript has arrived
+    recorderTimesliceMs: 1000,
+    recorderMimeTypes: ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4']
+};
+
+function pickRecorderMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return LIVE_CAPTURE_CONFIG.recorderMimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+function formatClock(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// ============================================
+// Capture
+// ============================================
+
+/**
+ * One live meeting recording
+ *
+ * Callbacks (all optional):
+ * - onStatus(text, isError)
+ * - onSpeech(isSpeaking) from the worklet's voice-activity detector
+ * - onTranscript({ window, segments, text }) as each window is transcribed
+ *   (segment times are in meeting time)
+ * - onNotes(notes) after each running-notes refresh
+ * - onError(message) for a window that could not be transcribed (the
+ *   capture keeps going)
+ */
+export class LiveMeetingCapture {
+    /**
+     * @param {Object} options
+     * @param {Function} options.transcribeWindow - async (blob, window) => { text, segments }
+     *   (should retry internally; segment times relative to the blob)
+     * @param {Function} options.refreshNotes - async ({ transcript, newText, notes }) => notes
+     */
+    constructor(options = {}) {
+        this.transcribeWindow = options.transcribeWindow;
+        this.refreshNotesHandler = options.refreshNotes || null;
+        this.callbacks = options;
+
+        this.audioContext = null;
+        this.micStream = null;
+        this.displayStream = null;
+        this.workletNode = null;
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+        this.active = false;
+        this.cancelled = false;
+        this.startedAt = null;
+        this.includesSystemAudio = false;
+
+        this.speaking = false;
+        this.samplesCaptured = 0;
+        this.windowBuffers = [];
+        this.windowSamples = 0;
+        this.windowStartSample = 0;
+        this.windowCount = 0;
+
+        this.parts = [];
+        this.failedWindows = 0;
+        this.pendingWindows = 0;
+        this.queue = Promise.resolve();
+
+        this.notes = null;
+        this.notesInterval = null;
+        this.notesInFlight = null;
+        this.notesTranscriptLength = 0;
+    }
+
+    /**
+     * Open the microphone (and the shared tab's audio) and start recording
+     * @param {Object} options - { includeSystemAudio }
+     */
+    async start({ includeSystemAudio = false } = {}) {
+        if (this.active) return;
+        if (typeof this.transcribeWindow !== 'function') {
+            throw new Error('Live capture needs a transcribeWindow handler');
+        }
+
+        try {
+            this._status('Requesting microphone...');
+            this.micStream = await navigator.mediaDevices.getUserMedia({
+                audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+            });
+
+            if (includeSystemAudio) {
+                await this._captureSystemAudio();
+            }
+
+            this.audioContext = new AudioContext({ sampleRate: LIVE_CAPTURE_CONFIG.sampleRate });
+            await this.audioContext.audioWorklet.addModule('js/audio-worklet-processor.js');
+
+            // Not gated: every buffer is kept so window offsets stay in meeting time
+            this.workletNode = new AudioWorkletNode(this.audioContext, 'pcm16-processor', {
+                processorOptions: { vad: { hangoverMs: LIVE_CAPTURE_CONFIG.vadHangoverMs } }
+            });
+            this.workletNode.port.onmessage = (event) => this._handleWorkletMessage(event.data);
+
+            // Mix every source into the worklet and into one stream for the recording
+            const mix = this.audioContext.createMediaStreamDestination();
+            [this.micStream, this.displayStream].filter(Boolean).forEach(stream => {
+                const source = this.audioContext.createMediaStreamSource(new MediaStream(stream.getAudioTracks()));
+                source.connect(this.workletNode);
+                source.connect(mix);
+            });
+            this._startRecorder(mix.stream);
+
+            this.active = true;
+            this.startedAt = Date.now();
+            this.notesInterval = setInterval(() => this.refreshNotes(), LIVE_CAPTURE_CONFIG.notesIntervalMs);
+            this._status(this.includesSystemAudio ? 'Recording microphone and tab audio' : 'Recording microphone');
+            console.log('[LiveCapture] Started', this.includesSystemAudio ? 'with tab audio' : 'microphone only');
+        } catch (error) {
+            this._cleanup();
+            throw error;
+        }
+    }
+
+    /**
+     * Stop recording, transcribe the last window and wait for the queue
+     * @returns {Promise<{text: string, segments: Array, recording: File|null, durationSeconds: number, windows: number, failedWindows: number, includesSystemAudio: boolean}|null>}
+     */
+    async stop() {
+        if (!this.active) return null;
+        this.active = false;
+        this._status('Finishing transcription...');
+
+        this._closeWindow();
+        const recording = await this._stopRecorder();
+        this._cleanup();
+        await this.queue;
+        // A refresh that was already running would otherwise land after finalizing
+        await this.notesInFlight;
+
+        const { text, segments } = this.getTranscript();
+        console.log(`[LiveCapture] Stopped after ${formatClock(this.getElapsedSeconds())}: ${this.parts.length} windows transcribed, ${this.failedWindows} failed`);
+        return {
+            text,
+            segments,
+            recording,
+            durationSeconds: this.getElapsedSeconds(),
+            windows: this.parts.length,
+            failedWindows: this.failedWindows,
+            includesSystemAudio: this.includesSystemAudio
+        };
+    }
+
+    /**
+     * Abandon the recording without transcribing what is still queued
+     */
+    cancel() {
+        this.cancelled = true;
+        this.active = false;
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+        this._cleanup();
+    }
+
+    /**
+     * Meeting time recorded so far
+     * @returns {number} Seconds of captured audio
+     */
+    getElapsedSeconds() {
+        return this.samplesCaptured / LIVE_CAPTURE_CONFIG.sampleRate;
+    }
+
+    /**
+     * Transcript of every window transcribed so far, in meeting time
+     * @returns {{text: string, segments: Array<{start: number, end: number, text: string}>}}
+     */
+    getTranscript() {
+        return {
+            text: this.parts.map(part => part.text.trim()).filter(Boolean).join(' '),
+            segments: this.parts.flatMap(part => part.segments)
+        };
+    }
+
+    /**
+     * Refresh the running notes from the transcript that arrived since the
+     * last refresh (runs on a timer; call with force to refresh now)
+     * @param {boolean} force - Refresh even if little new text has arrived
+     * @returns {Promise<Object|null>} Current notes
+     */
+    async refreshNotes(force = false) {
+        if (!this.refreshNotesHandler || this.notesInFlight || this.cancelled) return this.notes;
+
+        const transcript = this.getTranscript().text;
+        const newText = transcript.slice(this.notesTranscriptLength).trim();
+        if (!newText || (!force && newText.length < LIVE_CAPTURE_CONFIG.minNotesChars)) {
+            return this.notes;
+        }
+
+        this.notesInFlight = (async () => {
+            try {
+                this.notes = await this.refreshNotesHandler({ transcript, newText, notes: this.notes });
+                this.notesTranscriptLength = transcript.length;
+                if (!this.cancelled) this.callbacks.onNotes?.(this.notes);
+            } catch (error) {
+                // Running notes are a preview; the final analysis does not depend on them
+                console.warn('[LiveCapture] Notes refresh failed:', error.message);
+            } finally {
+                this.notesInFlight = null;
+            }
+        })();
+        await this.notesInFlight;
+        return this.notes;
+    }
+
+    _status(text, isError = false) {
+        this.callbacks.onStatus?.(text, isError);
+    }
+
+    async _captureSystemAudio() {
+        this._status('Choose the tab or screen to capture (tick "Share audio")...');
+        try {
+            // Browsers only offer audio alongside video; the video track is ignored
+            this.displayStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+        } catch (error) {
+            throw new Error('Tab audio sharing was cancelled. Untick "Include tab audio" to record the microphone only.');
+        }
+
+        if (this.displayStream.getAudioTracks().length === 0) {
+            this.displayStream.getTracks().forEach(track => track.stop());
+            this.displayStream = null;
+            throw new Error('The shared tab or screen has no audio. Share again with "Share audio" ticked, or untick "Include tab audio".');
+        }
+
+        this.includesSystemAudio = true;
+        // "Stop sharing" in the browser bar ends the tab audio, not the meeting
+        this.displayStream.getTracks().forEach(track => {
+            track.addEventListener('ended', () => {
+                if (this.active && this.includesSystemAudio) {
+                    this.includesSystemAudio = false;
+                    this._status('Tab audio sharing ended; still recording the microphone');
+                }
+            });
+        });
+    }
+
+    _startRecorder(stream) {
+        const mimeType = pickRecorderMimeType();
+        if (mimeType === null) {
+            console.warn('[LiveCapture] MediaRecorder unavailable; the meeting will have no playback recording');
+            return;
+        }
+        this.mediaRecorder = mimeType ? new MediaRecorder(stream, { mimeType }) : new MediaRecorder(stream);
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data?.size > 0) this.recordedChunks.push(event.data);
+        };
+        this.mediaRecorder.start(LIVE_CAPTURE_CONFIG.recorderTimesliceMs);
+    }
+
+    _stopRecorder() {
+        const recorder = this.mediaRecorder;
+        if (!recorder || recorder.state === 'inactive') {
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            recorder.onstop = () => {
+                if (this.recordedChunks.length === 0) {
+                    resolve(null);
+                    return;
+                }
+                const type = recorder.mimeType || this.recordedChunks[0].type || 'audio/webm';
+                const extension = type.includes('mp4') ? 'm4a' : 'webm';
+                const stamp = new Date(this.startedAt).toISOString().slice(0, 16).replace(/[T:]/g, '-');
+                resolve(new File(this.recordedChunks, `meeting-${stamp}.${extension}`, { type: type.split(';')[0] }));
+            };
+            recorder.stop();
+        });
+    }
+
+    _handleWorkletMessage(message) {
+        if (!this.active) return;
+
+        if (message.type === 'speech-start') {
+            this.speaking = true;
+            this.callbacks.onSpeech?.(true);
+        } else if (message.type === 'speech-end') {
+            this.speaking = false;
+            this.callbacks.onSpeech?.(false);
+            if (this.windowSamples >= LIVE_CAPTURE_CONFIG.windowSeconds * LIVE_CAPTURE_CONFIG.sampleRate) {
+                this._closeWindow();
+            }
+        } else if (message.type === 'audio') {
+            const sampleCount = message.data.byteLength / 2;
+            this.windowBuffers.push(message);
+            this.windowSamples += sampleCount;
+            this.samplesCaptured += sampleCount;
+
+            const windowSeconds = this.windowSamples / LIVE_CAPTURE_CONFIG.sampleRate;
+            if ((windowSeconds >= LIVE_CAPTURE_CONFIG.windowSeconds && !this.speaking) ||
+                windowSeconds >= LIVE_CAPTURE_CONFIG.maxWindowSeconds) {
+                this._closeWindow();
+            }
+        }
+    }
+
+    /**
+     * Cut the current window, trim it to its speech and queue it for
+     * transcription (windows without speech are dropped)
+     */
+    _closeWindow() {
+        const buffers = this.windowBuffers;
+        const startSample = this.windowStartSample;
+        this.windowBuffers = [];
+        this.windowStartSample += this.windowSamples;
+        this.windowSamples = 0;
+
+        const range = findSpeechRange(buffers, LIVE_CAPTURE_CONFIG.paddingBuffers);
+        if (!range) return;
+
+        const skippedSamples = buffers.slice(0, range.first)
+            .reduce((sum, buffer) => sum + buffer.data.byteLength / 2, 0);
+        const samples = pcm16BuffersToSamples(buffers.slice(range.first, range.last + 1));
+        const startTime = (startSample + skippedSamples) / LIVE_CAPTURE_CONFIG.sampleRate;
+        const window = {
+            index: this.windowCount++,
+            startTime,
+            endTime: startTime + samples.length / LIVE_CAPTURE_CONFIG.sampleRate
+        };
+        const blob = encodeWav(samples, LIVE_CAPTURE_CONFIG.sampleRate);
+
+        this.pendingWindows++;
+        this.queue = this.queue.then(() => this._transcribe(blob, window));
+    }
+
+    async _transcribe(blob, window) {
+        try {
+            if (this.cancelled) return;
+            const result = await this.transcribeWindow(blob, window);
+            if (this.cancelled) return;
+
+            const segments = normalizeSegments(result?.segments, window.startTime);
+            const text = (result?.text || '').trim();
+            this.parts.push({ window, text, segments });
+            this.callbacks.onTranscript?.({ window, segments, text });
+        } catch (error) {
+            this.failedWindows++;
+            console.error('[LiveCapture] Window transcription failed:', error);
+            this.callbacks.onError?.(`Could not transcribe ${formatClock(window.startTime)}–${formatClock(window.endTime)}: ${error.message}`);
+        } finally {
+            this.pendingWindows--;
+        }
+    }
+
+    _cleanup() {
+        if (this.notesInterval) {
+            clearInterval(this.notesInterval);
+            this.notesInterval = null;
+        }
+        if (this.workletNode) {
+            this.workletNode.port.onmessage = null;
+            this.workletNode.disconnect();
+            this.workletNode = null;
+        }
+        if (this.audioContext && this.audioContext.state !== 'closed') {
+            this.audioContext.close();
+        }
+        this.audioContext = null;
+        [this.micStream, this.displayStream].filter(Boolean).forEach(stream => {
+            stream.getTracks().forEach(track => track.stop());
+        });
+        this.micStream = null;
+        this.displayStream = null;
+        this.mediaRecorder = null;
+        this.speaking = false;
+    }
+}
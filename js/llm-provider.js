@@ -0,0 +1,337 @@
+/**
+ * northstar.LM - LLM Provider Layer
+ *
+ * Routes every model call made by the Agent Builder and the Agent
+ * Orchestrator through a provider adapter instead of hard-coded
+ * api.openai.com URLs.
+ *
+ * An adapter exposes one method per capability. Each method receives an
+ * OpenAI-shaped payload and resolves to a fetch Response whose body is
+ * also OpenAI-shaped, so the existing response parsing keeps working:
+ * - chat(body, options)           -> /chat/completions
+ * - chatStream(body, options)     -> /chat/completions (SSE)
+ * - transcribe(formData, options) -> /audio/transcriptions
+ * - speech(body, options)         -> /audio/speech
+ * - image(body, options)          -> /images/generations
+ * - embeddings(body, options)     -> /embeddings
+ * - getRealtimeUrl(model)         -> WebSocket URL or null
+ *
+ * Adapters for other vendors can translate request/response shapes and
+ * be added with registerProviderAdapter().
+ */
+
+export const PROVIDER_STORAGE_KEY = 'northstar.LM_provider';
+
+export const PROVIDER_CAPABILITIES = ['chat', 'chatStream', 'transcription', 'speech', 'image', 'embeddings', 'realtime'];
+
+/**
+ * Built-in provider presets
+ */
+export const PROVIDER_PRESETS = {
+    openai: {
+        id: 'openai',
+        label: 'OpenAI',
+        baseUrl: 'https://api.openai.com/v1',
+        realtimeUrl: 'wss://api.openai.com/v1/realtime',
+        requiresApiKey: true,
+        capabilities: {
+            chat: true,
+            chatStream: true,
+            transcription: true,
+            speech: true,
+            image: true,
+            embeddings: true,
+            realtime: true
+        }
+    },
+    'openai-compatible': {
+        id: 'openai-compatible',
+        label: 'OpenAI-compatible (local / self-hosted)',
+        baseUrl: 'http://localhost:8080/v1',
+        realtimeUrl: null,
+        requiresApiKey: false,
+        capabilities: {
+            chat: true,
+            chatStream: true,
+            transcription: true,
+            speech: true,
+            image: true,
+            embeddings: true,
+            realtime: false
+        }
+    }
+};
+
+const DEFAULT_PROVIDER_ID = 'openai';
+
+/**
+ * Error raised when a provider cannot serve a capability
+ */
+export class ProviderCapabilityError extends Error {
+    constructor(providerLabel, capability) {
+        super(`${providerLabel} does not support ${capability}. Switch the provider in Settings to use this feature.`);
+        this.name = 'ProviderCapabilityError';
+        this.capability = capability;
+    }
+}
+
+/**
+ * OpenAI adapter - the reference implementation of the adapter interface
+ */
+export class OpenAIAdapter {
+    constructor(config = {}) {
+        const preset = PROVIDER_PRESETS[config.id] || PROVIDER_PRESETS[DEFAULT_PROVIDER_ID];
+        this.config = {
+            ...preset,
+            ...config,
+            capabilities: { ...preset.capabilities, ...(config.capabilities || {}) }
+        };
+        this.config.baseUrl = normalizeBaseUrl(this.config.baseUrl || preset.baseUrl);
+        this.fetchImpl = config.fetchImpl || ((...args) => fetch(...args));
+    }
+
+    get id() {
+        return this.config.id;
+    }
+
+    get label() {
+        return this.config.label || this.config.id;
+    }
+
+    /**
+     * Check whether this provider can serve a capability
+     * @param {string} capability - One of PROVIDER_CAPABILITIES
+     * @returns {boolean}
+     */
+    supports(capability) {
+        return Boolean(this.config.capabilities?.[capability]);
+    }
+
+    buildUrl(path) {
+        return `${this.config.baseUrl}/${String(path).replace(/^\/+/, '')}`;
+    }
+
+    buildHeaders(apiKey, { json = true } = {}) {
+        const headers = {};
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+        if (json) {
+            headers['Content-Type'] = 'application/json';
+        }
+        return headers;
+    }
+
+    /**
+     * Apply the configured model override (e.g. a local model name)
+     * @param {string} model - Model requested by the caller
+     * @returns {string} Model to send to the provider
+     */
+    resolveModel(model) {
+        return this.config.modelOverride || model;
+    }
+
+    /**
+     * Apply the configured embedding model (local servers serve their own)
+     * @param {string} model - Embedding model requested by the caller
+     * @returns {string} Embedding model the provider actually uses
+     */
+    resolveEmbeddingModel(model) {
+        return this.config.embeddingModel || model;
+    }
+
+    /**
+     * Adjust an OpenAI chat body for this provider. Override in subclasses.
+     * @param {Object} body - OpenAI chat/completions request body
+     * @returns {Object} Provider request body
+     */
+    prepareChatBody(body) {
+        return { ...body, model: this.resolveModel(body.model) };
+    }
+
+    async chat(body, options = {}) {
+        this._assertSupported('chat');
+        return this._postJson('chat/completions', this.prepareChatBody(body), options);
+    }
+
+    async chatStream(body, options = {}) {
+        this._assertSupported('chatStream');
+        return this._postJson('chat/completions', this.prepareChatBody({ ...body, stream: true }), options);
+    }
+
+    async transcribe(formData, options = {}) {
+        this._assertSupported('transcription');
+        return this.fetchImpl(this.buildUrl('audio/transcriptions'), {
+            method: 'POST',
+            headers: this.buildHeaders(options.apiKey, { json: false }),
+            body: formData,
+            signal: options.signal
+        });
+    }
+
+    async speech(body, options = {}) {
+        this._assertSupported('speech');
+        return this._postJson('audio/speech', body, options);
+    }
+
+    async image(body, options = {}) {
+        this._assertSupported('image');
+        return this._postJson('images/generations', body, options);
+    }
+
+    /**
+     * Create embeddings with the provider's effective embedding model
+     * (see resolveEmbeddingModel)
+     * @param {Object} body - OpenAI embeddings body ({ model, input })
+     */
+    async embeddings(body, options = {}) {
+        this._assertSupported('embeddings');
+        return this._postJson('embeddings', { ...body, model: this.resolveEmbeddingModel(body.model) }, options);
+    }
+
+    /**
+     * Build the Realtime WebSocket URL for a model
+     * @param {string} model - Realtime model id
+     * @returns {string|null} URL, or null when realtime is unavailable
+     */
+    getRealtimeUrl(model) {
+        if (!this.supports('realtime') || !this.config.realtimeUrl) {
+            return null;
+        }
+        return `${this.config.realtimeUrl}?model=${encodeURIComponent(model)}`;
+    }
+
+    _postJson(path, body, options = {}) {
+        return this.fetchImpl(this.buildUrl(path), {
+            method: 'POST',
+            headers: this.buildHeaders(options.apiKey),
+            body: JSON.stringify(body),
+            signal: options.signal
+        });
+    }
+
+    _assertSupported(capability) {
+        if (!this.supports(capability)) {
+            throw new ProviderCapabilityError(this.label, capability);
+        }
+    }
+}
+
+/**
+ * OpenAI-compatible adapter for llama.cpp / vLLM style servers
+ *
+ * These servers accept the OpenAI wire format but reject or ignore a few
+ * OpenAI-only parameters, so the chat body is normalized before sending.
+ */
+export class OpenAICompatibleAdapter extends OpenAIAdapter {
+    prepareChatBody(body) {
+        const prepared = super.prepareChatBody(body);
+        delete prepared.reasoning_effort;
+        if (prepared.max_completion_tokens && !prepared.max_tokens) {
+            prepared.max_tokens = prepared.max_completion_tokens;
+        }
+        if (this.config.disableLogprobs) {
+            delete prepared.logprobs;
+            delete prepared.top_logprobs;
+        }
+        return prepared;
+    }
+}
+
+const ADAPTERS = new Map([
+    ['openai', OpenAIAdapter],
+    ['openai-compatible', OpenAICompatibleAdapter]
+]);
+
+/**
+ * Register an adapter class for a provider id
+ * @param {string} id - Provider id stored in the provider config
+ * @param {Function} AdapterClass - Class implementing the adapter interface
+ * @param {Object} preset - Optional preset merged into PROVIDER_PRESETS
+ */
+export function registerProviderAdapter(id, AdapterClass, preset = null) {
+    ADAPTERS.set(id, AdapterClass);
+    if (preset) {
+        PROVIDER_PRESETS[id] = { id, ...preset };
+    }
+    if (providerInstance?.id === id) {
+        providerInstance = null;
+    }
+}
+
+function normalizeBaseUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Load the persisted provider configuration
+ * @returns {Object} Provider config ({ id, baseUrl, modelOverride, ... })
+ */
+export function loadProviderConfig() {
+    try {
+        const saved = localStorage.getItem(PROVIDER_STORAGE_KEY);
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            if (parsed && ADAPTERS.has(parsed.id)) {
+                return parsed;
+            }
+        }
+    } catch (error) {
+        console.warn('[Provider] Failed to load provider config:', error.message);
+    }
+    return { id: DEFAULT_PROVIDER_ID };
+}
+
+/**
+ * Persist a provider configuration and rebuild the active adapter
+ * @param {Object} config - Provider config to save
+ * @returns {OpenAIAdapter} The new active adapter
+ */
+export function saveProviderConfig(config = {}) {
+    const id = ADAPTERS.has(config.id) ? config.id : DEFAULT_PROVIDER_ID;
+    const cleaned = { ...config, id };
+    cleaned.baseUrl = normalizeBaseUrl(cleaned.baseUrl);
+    if (!cleaned.baseUrl) delete cleaned.baseUrl;
+    cleaned.modelOverride = String(cleaned.modelOverride || '').trim();
+    if (!cleaned.modelOverride) delete cleaned.modelOverride;
+
+    try {
+        localStorage.setItem(PROVIDER_STORAGE_KEY, JSON.stringify(cleaned));
+    } catch (error) {
+        console.warn('[Provider] Failed to save provider config:', error.message);
+    }
+    providerInstance = createProvider(cleaned);
+    console.log(`[Provider] Using ${providerInstance.label} at ${providerInstance.config.baseUrl}`);
+    return providerInstance;
+}
+
+/**
+ * Create an adapter instance for a provider config
+ * @param {Object} config - Provider config
+ * @returns {OpenAIAdapter}
+ */
+export function createProvider(config = {}) {
+    const AdapterClass = ADAPTERS.get(config.id) || OpenAIAdapter;
+    return new AdapterClass(config);
+}
+
+let providerInstance = null;
+
+/**
+ * Get the active provider adapter (created from the persisted config)
+ * @returns {OpenAIAdapter}
+ */
+export function getLLMProvider() {
+    if (!providerInstance) {
+        providerInstance = createProvider(loadProviderConfig());
+    }
+    return providerInstance;
+}
+
+/**
+ * Whether the active provider needs an API key before making calls
+ * @returns {boolean}
+ */
+export function providerRequiresApiKey() {
+    return getLLMProvider().config.requiresApiKey !== false;
+}
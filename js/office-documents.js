@@ -0,0 +1,504 @@
+/**
+ * northstar.LM - Office Documents
+ *
+ * Plain-text extraction from Office Open XML files, read with the ZIP
+ * reader. The markup involved is regular enough to scan with regular
+ * expressions, which keeps this free of DOM dependencies:
+ * - DOCX: paragraphs in order, headings as Markdown, list items as
+ *   bullets, tables as pipe-separated rows
+ * - PPTX: slides in presentation order with their title, body text,
+ *   tables and speaker notes
+ * - XLSX: every sheet's rows (shared strings, inline strings, booleans
+ *   and date-formatted numbers resolved), keyed by header when the first
+ *   row looks like one
+ *
+ * Slides, sheets and tables are introduced by "--- Slide 3: Title ---"
+ * style markers (as Vision OCR does with "--- Page N ---") so the analysis
+ * can say where a point came from.
+ */
+
+import { readZipEntries } from './zip-reader.js';
+
+export const OFFICE_DOCUMENT_CONFIG = {
+    extensions: ['docx', 'pptx', 'xlsx'],
+    legacyExtensions: ['doc', 'ppt', 'xls'],
+    maxSheetRows: 500,           // Rows kept per sheet (the rest are counted, not sent)
+    maxSheetColumns: 30,
+    maxCellLength: 200
+};
+
+export const OFFICE_KIND_LABELS = {
+    docx: 'Word',
+    pptx: 'PowerPoint',
+    xlsx: 'Excel'
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode the XML entities and character references in a text node
+ * @param {string} text - Raw XML text
+ * @returns {string} Decoded text
+ */
+export function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return XML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function parseAttributes(tag) {
+    const attributes = {};
+    for (const [, name, value] of tag.matchAll(/([\w:.-]+)="([^"]*)"/g)) {
+        attributes[name] = decodeXmlEntities(value);
+    }
+    return attributes;
+}
+
+/**
+ * Relationship id -> archive path from a .rels part
+ * @param {string} xml - Relationships XML
+ * @param {string} sourcePath - Part the relationships belong to
+ * @returns {Map<string, {target: string, type: string}>}
+ */
+function parseRelationships(xml, sourcePath) {
+    const baseDir = sourcePath.includes('/') ? sourcePath.slice(0, sourcePath.lastIndexOf('/') + 1) : '';
+    const relationships = new Map();
+    for (const [tag] of (xml || '').matchAll(/<Relationship\s[^>]*>/g)) {
+        const { Id, Target, Type = '', TargetMode } = parseAttributes(tag);
+        if (!Id || !Target || TargetMode === 'External') continue;
+        relationships.set(Id, { target: resolvePartPath(baseDir, Target), type: Type });
+    }
+    return relationships;
+}
+
+function resolvePartPath(baseDir, target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = [];
+    for (const part of (baseDir + target).split('/')) {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    }
+    return parts.join('/');
+}
+
+function relsPathFor(partPath) {
+    const slash = partPath.lastIndexOf('/');
+    return `${partPath.slice(0, slash + 1)}_rels/${partPath.slice(slash + 1)}.rels`;
+}
+
+async function readPart(entries, path) {
+    const entry = entries.get(path);
+    return entry ? entry.readText() : null;
+}
+
+function formatSection(marker, body) {
+    const text = body.trim();
+    return text ? `--- ${marker} ---\n${text}` : `--- ${marker} ---`;
+}
+
+function truncateCell(text) {
+    const { maxCellLength } = OFFICE_DOCUMENT_CONFIG;
+    return text.length > maxCellLength ? `${text.slice(0, maxCellLength)}…` : text;
+}
+
+// ============================================
+// DOCX
+// ============================================
+
+const DOCX_BLOCK_PATTERN = /<w:tbl(?:\s[^>]*)?>[\s\S]*?<\/w:tbl>|<w:p(?:\s[^>]*)?(?:\/>|>[\s\S]*?<\/w:p>)/g;
+const DOCX_PARAGRAPH_PATTERN = /<w:p(?:\s[^>]*)?(?:\/>|>([\s\S]*?)<\/w:p>)/g;
+const DOCX_RUN_CONTENT_PATTERN = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:(?:br|cr)(?:\s[^>]*)?\/>/g;
+
+function docxParagraphText(paragraphXml) {
+    let text = '';
+    for (const run of paragraphXml.matchAll(DOCX_RUN_CONTENT_PATTERN)) {
+        if (run[1] !== undefined) {
+            text += decodeXmlEntities(run[1]);
+        } else {
+            text += run[0].startsWith('<w:tab') ? '\t' : '\n';
+        }
+    }
+    return text.trim();
+}
+
+/**
+ * Split WordprocessingML into paragraph text
+ * @param {string} xml - word/document.xml contents
+ * @returns {Array<string>} Paragraphs in document order (empty ones dropped)
+ */
+export function docxXmlToParagraphs(xml) {
+    const paragraphs = [];
+    for (const match of xml.matchAll(DOCX_PARAGRAPH_PATTERN)) {
+        const text = docxParagraphText(match[1] || '');
+        if (text) paragraphs.push(text);
+    }
+    return paragraphs;
+}
+
+/**
+ * Render WordprocessingML as structured text: headings as Markdown, list
+ * items as bullets and tables as "--- Table N ---" blocks of pipe rows
+ * @param {string} xml - word/document.xml contents
+ * @returns {{text: string, paragraphs: number, tables: number}}
+ */
+export function docxXmlToText(xml) {
+    const blocks = [];
+    let paragraphs = 0;
+    let tables = 0;
+
+    for (const [block] of xml.matchAll(DOCX_BLOCK_PATTERN)) {
+        if (block.startsWith('<w:tbl')) {
+            const rows = [...block.matchAll(/<w:tr[\s>][\s\S]*?<\/w:tr>/g)]
+                .map(([row]) => [...row.matchAll(/<w:tc[\s>][\s\S]*?<\/w:tc>/g)]
+                    .map(([cell]) => truncateCell(docxXmlToParagraphs(cell).join(' ').replace(/\s+/g, ' ')))
+                    .join(' | '))
+                .filter(row => row.replace(/[\s|]/g, ''));
+            if (rows.length > 0) {
+                tables++;
+                blocks.push(formatSection(`Table ${tables}`, rows.join('\n')));
+            }
+            continue;
+        }
+
+        const text = docxParagraphText(block);
+        if (!text) continue;
+        paragraphs++;
+
+        const style = block.match(/<w:pStyle\s+w:val="([^"]+)"/)?.[1] || '';
+        const heading = style.match(/^heading\s?(\d)$/i);
+        if (/^title$/i.test(style)) {
+            blocks.push(`# ${text}`);
+        } else if (heading) {
+            blocks.push(`${'#'.repeat(Math.min(Number(heading[1]) + 1, 6))} ${text}`);
+        } else if (block.includes('<w:numPr>') || /^list/i.test(style)) {
+            blocks.push(`- ${text}`);
+        } else {
+            blocks.push(text);
+        }
+    }
+
+    return { text: blocks.join('\n'), paragraphs, tables };
+}
+
+/**
+ * Read the paragraphs of a Word document
+ * @param {File|Blob} file - .docx file
+ * @returns {Promise<Array<string>>} Paragraph text
+ */
+export async function readDocxParagraphs(file) {
+    const entries = await readZipEntries(file);
+    const documentXml = await readPart(entries, 'word/document.xml');
+    if (documentXml === null) {
+        throw new Error('Not a Word document (word/document.xml is missing)');
+    }
+    return docxXmlToParagraphs(documentXml);
+}
+
+async function extractDocx(entries) {
+    const documentXml = await readPart(entries, 'word/document.xml');
+    if (documentXml === null) {
+        throw new Error('Not a Word document (word/document.xml is missing)');
+    }
+    const { text, paragraphs, tables } = docxXmlToText(documentXml);
+    return { text, stats: { paragraphs, tables } };
+}
+
+// ============================================
+// PPTX
+// ============================================
+
+const PPTX_SKIPPED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'sldImg', 'hdr'];
+
+function drawingParagraphs(xml) {
+    return [...xml.matchAll(/<a:p>[\s\S]*?<\/a:p>|<a:p\s[^>]*>[\s\S]*?<\/a:p>/g)]
+        .map(([paragraph]) => [...paragraph.matchAll(/<a:t>([\s\S]*?)<\/a:t>|<a:br\/>/g)]
+            .map(run => run[1] !== undefined ? decodeXmlEntities(run[1]) : '\n')
+            .join('')
+            .trim())
+        .filter(Boolean);
+}
+
+/**
+ * Read one slide (or notes slide): its title, body lines and tables
+ * @param {string} xml - Slide XML
+ * @returns {{title: string|null, lines: Array<string>, hidden: boolean}}
+ */
+export function pptxSlideToText(xml) {
+    let title = null;
+    const lines = [];
+
+    for (const [shape] of xml.matchAll(/<p:sp>[\s\S]*?<\/p:sp>|<p:sp\s[^>]*>[\s\S]*?<\/p:sp>/g)) {
+        const placeholder = shape.match(/<p:ph(?:\s[^>]*)?\/?>/)?.[0];
+        const type = placeholder ? (parseAttributes(placeholder).type || 'body') : null;
+        if (PPTX_SKIPPED_PLACEHOLDERS.includes(type)) continue;
+
+        const paragraphs = drawingParagraphs(shape);
+        if (paragraphs.length === 0) continue;
+        if (!title && (type === 'title' || type === 'ctrTitle')) {
+            title = paragraphs.join(' ').replace(/\s+/g, ' ');
+        } else {
+            lines.push(...paragraphs);
+        }
+    }
+
+    for (const [table] of xml.matchAll(/<a:tbl>[\s\S]*?<\/a:tbl>/g)) {
+        [...table.matchAll(/<a:tr[\s>][\s\S]*?<\/a:tr>/g)].forEach(([row]) => {
+            const cells = [...row.matchAll(/<a:tc[\s>][\s\S]*?<\/a:tc>/g)]
+                .map(([cell]) => truncateCell(drawingParagraphs(cell).join(' ')));
+            if (cells.some(Boolean)) lines.push(cells.join(' | '));
+        });
+    }
+
+    return { title, lines, hidden: /<p:sld\s[^>]*show="0"/.test(xml) };
+}
+
+async function getSlidePaths(entries) {
+    const presentation = await readPart(entries, 'ppt/presentation.xml');
+    const relationships = parseRelationships(await readPart(entries, 'ppt/_rels/presentation.xml.rels'), 'ppt/presentation.xml');
+    const ordered = [...(presentation || '').matchAll(/<p:sldId\s[^>]*>/g)]
+        .map(([tag]) => relationships.get(parseAttributes(tag)['r:id'])?.target)
+        .filter(path => path && entries.has(path));
+    if (ordered.length > 0) return ordered;
+
+    // No usable presentation order: fall back to file numbering
+    return [...entries.keys()]
+        .filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+        .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+}
+
+async function extractPptx(entries) {
+    const slidePaths = await getSlidePaths(entries);
+    if (slidePaths.length === 0) {
+        throw new Error('Not a PowerPoint presentation (no slides found)');
+    }
+
+    const sections = [];
+    let slidesWithNotes = 0;
+    for (const [index, path] of slidePaths.entries()) {
+        const slide = pptxSlideToText(await readPart(entries, path));
+
+        const relationships = parseRelationships(await readPart(entries, relsPathFor(path)), path);
+        const notesPath = [...relationships.values()].find(rel => rel.type.endsWith('/notesSlide'))?.target;
+        const notesXml = notesPath ? await readPart(entries, notesPath) : null;
+        const notes = notesXml ? pptxSlideToText(notesXml).lines.join(' ').replace(/\s+/g, ' ').trim() : '';
+        if (notes) slidesWithNotes++;
+
+        const marker = `Slide ${index + 1}${slide.title ? `: ${slide.title}` : ''}${slide.hidden ? ' (hidden)' : ''}`;
+        const body = [...slide.lines, notes ? `Speaker notes: ${notes}` : ''].filter(Boolean).join('\n');
+        sections.push(formatSection(marker, body));
+    }
+
+    return { text: sections.join('\n\n'), stats: { slides: slidePaths.length, slidesWithNotes } };
+}
+
+// ============================================
+// XLSX
+// ============================================
+
+const BUILT_IN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+function columnIndex(cellRef) {
+    const letters = (cellRef.match(/^[A-Z]+/i)?.[0] || 'A').toUpperCase();
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function parseSharedStrings(xml) {
+    return [...(xml || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) =>
+        [...item.replace(/<rPh[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+            .map(([, text]) => decodeXmlEntities(text))
+            .join(''));
+}
+
+/**
+ * Which cell style indexes show numbers as dates
+ * @param {string} xml - xl/styles.xml contents
+ * @returns {Set<number>} Style (cellXfs) indexes with a date format
+ */
+export function parseDateStyles(xml) {
+    const customDateFormats = new Set();
+    for (const [tag] of (xml || '').matchAll(/<numFmt\s[^>]*>/g)) {
+        const { numFmtId, formatCode = '' } = parseAttributes(tag);
+        // Ignore quoted literals and [colour]/[locale] sections before looking for day/year codes
+        if (/[dy]/i.test(formatCode.replace(/"[^"]*"|\[[^\]]*\]/g, ''))) {
+            customDateFormats.add(Number(numFmtId));
+        }
+    }
+
+    const cellXfs = (xml || '').match(/<cellXfs[\s\S]*?<\/cellXfs>/)?.[0] || '';
+    const dateStyles = new Set();
+    [...cellXfs.matchAll(/<xf\s[^>]*>/g)].forEach(([tag], index) => {
+        const formatId = Number(parseAttributes(tag).numFmtId);
+        if (BUILT_IN_DATE_FORMATS.has(formatId) || customDateFormats.has(formatId)) {
+            dateStyles.add(index);
+        }
+    });
+    return dateStyles;
+}
+
+function excelSerialToDate(serial) {
+    const date = new Date(EXCEL_EPOCH_MS + Math.round(serial * 86400) * 1000);
+    const iso = date.toISOString();
+    return serial % 1 === 0 ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+}
+
+function cellValue(attributes, body, sharedStrings, dateStyles) {
+    const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+    switch (attributes.t) {
+        case 's':
+            return sharedStrings[Number(raw)] ?? '';
+        case 'inlineStr':
+            return [...body.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(([, text]) => decodeXmlEntities(text)).join('');
+        case 'b':
+            return raw === '1' ? 'TRUE' : 'FALSE';
+        case 'str':
+        case 'e':
+            return raw !== undefined ? decodeXmlEntities(raw) : '';
+        default: {
+            if (raw === undefined || raw === '') return '';
+            const number = Number(raw);
+            if (!Number.isFinite(number)) return decodeXmlEntities(raw);
+            if (dateStyles.has(Number(attributes.s))) return excelSerialToDate(number);
+            return String(Number(number.toPrecision(12)));
+        }
+    }
+}
+
+/**
+ * Read a worksheet into rows of cell text
+ * @param {string} xml - Worksheet XML
+ * @param {Array<string>} sharedStrings
+ * @param {Set<number>} dateStyles - See parseDateStyles
+ * @returns {Array<{row: number, cells: Array<string>}>} Non-empty rows, in order
+ */
+export function xlsxSheetToRows(xml, sharedStrings = [], dateStyles = new Set()) {
+    const rows = [];
+    // Empty rows are self-closing (<row r="2" customHeight="1"/>) and must not swallow the next row
+    for (const [, rowAttributes, rowBody] of xml.matchAll(/<row(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        if (!rowBody) continue;
+        const rowNumber = Number(parseAttributes(rowAttributes || '').r) || rows.length + 1;
+        const cells = [];
+        let nextColumn = 0;
+        for (const [, cellAttributes, cellBody = ''] of rowBody.matchAll(/<c(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attributes = parseAttributes(cellAttributes || '');
+            const column = attributes.r ? columnIndex(attributes.r) : nextColumn;
+            nextColumn = column + 1;
+            if (column >= OFFICE_DOCUMENT_CONFIG.maxSheetColumns) continue;
+
+            const value = cellValue(attributes, cellBody, sharedStrings, dateStyles).replace(/\s+/g, ' ').trim();
+            if (value) cells[column] = truncateCell(value);
+        }
+        if (cells.some(Boolean)) {
+            rows.push({ row: rowNumber, cells: Array.from(cells, cell => cell || '') });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Render sheet rows as text: "Row 4: Owner: Dana; Due: 2024-05-01" when the
+ * first row reads as a header, otherwise "Row 4: Dana | 2024-05-01"
+ * @param {Array<{row: number, cells: Array<string>}>} rows
+ * @returns {string}
+ */
+export function formatSheetRows(rows) {
+    if (rows.length === 0) return '';
+    const [first, ...rest] = rows;
+    const isHeader = rest.length > 0 &&
+        first.cells.filter(Boolean).length >= 2 &&
+        first.cells.every(cell => !cell || isNaN(Number(cell)));
+
+    if (!isHeader) {
+        return rows.map(({ row, cells }) => `Row ${row}: ${cells.join(' | ')}`).join('\n');
+    }
+
+    const headers = first.cells;
+    return [
+        `Columns: ${headers.filter(Boolean).join(' | ')}`,
+        ...rest.map(({ row, cells }) => `Row ${row}: ${cells
+            .map((cell, index) => cell ? `${headers[index] || `Column ${index + 1}`}: ${cell}` : '')
+            .filter(Boolean)
+            .join('; ')}`)
+    ].join('\n');
+}
+
+async function extractXlsx(entries) {
+    const workbook = await readPart(entries, 'xl/workbook.xml');
+    if (workbook === null) {
+        throw new Error('Not an Excel workbook (xl/workbook.xml is missing)');
+    }
+
+    const relationships = parseRelationships(await readPart(entries, 'xl/_rels/workbook.xml.rels'), 'xl/workbook.xml');
+    const sharedStrings = parseSharedStrings(await readPart(entries, 'xl/sharedStrings.xml'));
+    const dateStyles = parseDateStyles(await readPart(entries, 'xl/styles.xml'));
+
+    const sections = [];
+    let totalRows = 0;
+    let truncatedSheets = 0;
+    for (const [tag] of workbook.matchAll(/<sheet\s[^>]*>/g)) {
+        const attributes = parseAttributes(tag);
+        const path = relationships.get(attributes['r:id'])?.target;
+        const sheetXml = path ? await readPart(entries, path) : null;
+        if (sheetXml === null) continue; // Chart sheets and missing parts
+
+        const rows = xlsxSheetToRows(sheetXml, sharedStrings, dateStyles);
+        totalRows += rows.length;
+        const kept = rows.slice(0, OFFICE_DOCUMENT_CONFIG.maxSheetRows);
+        const omitted = rows.length - kept.length;
+        if (omitted > 0) truncatedSheets++;
+
+        const marker = `Sheet: ${attributes.name || `Sheet ${sections.length + 1}`}${attributes.state === 'hidden' ? ' (hidden)' : ''}`;
+        const body = [formatSheetRows(kept), omitted > 0 ? `(${omitted} more rows not included)` : ''].filter(Boolean).join('\n');
+        sections.push(formatSection(marker, body || '(empty)'));
+    }
+
+    if (sections.length === 0) {
+        throw new Error('No worksheets found in the workbook');
+    }
+    return { text: sections.join('\n\n'), stats: { sheets: sections.length, rows: totalRows, truncatedSheets } };
+}
+
+// ============================================
+// Files
+// ============================================
+
+/**
+ * Whether a file is a .docx / .pptx / .xlsx document
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isOfficeDocument(file) {
+    return OFFICE_DOCUMENT_CONFIG.extensions.includes(file.name.split('.').pop().toLowerCase());
+}
+
+/**
+ * Whether a file is a pre-2007 binary Office document (not readable here)
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isLegacyOfficeDocument(file) {
+    return OFFICE_DOCUMENT_CONFIG.legacyExtensions.includes(file.name.split('.').pop().toLowerCase());
+}
+
+/**
+ * Extract structured text from a Word, PowerPoint or Excel file
+ * @param {File} file - .docx, .pptx or .xlsx
+ * @returns {Promise<{kind: string, text: string, stats: Object}>} `kind` is the extension
+ */
+export async function extractOfficeDocument(file) {
+    const kind = file.name.split('.').pop().toLowerCase();
+    const extractors = { docx: extractDocx, pptx: extractPptx, xlsx: extractXlsx };
+    if (!extractors[kind]) {
+        throw new Error(`Unsupported Office format: .${kind}`);
+    }
+
+    const entries = await readZipEntries(file);
+    const { text, stats } = await extractors[kind](entries);
+    return { kind, text: text.trim(), stats };
+}
@@ -8,10 +8,19 @@
  * - Intelligent response aggregation
  */
 
-import { getRLMPipeline, RLM_CONFIG } from './rlm/index.js';
+import { getRLMPipeline, RLM_CONFIG, ENTITY_TYPES, MOCK_LLM_MODES, formatCitationLocation, formatCitedMarkdown, isCancellationError, toOTLP, rollupTraceUsage } from './rlm/index.js';
 import { generateCodePrompt } from './rlm/code-generator.js';
-import { EVAL_RUBRIC, buildEvalReport } from './rlm/eval-harness.js';
+import { EVAL_RUBRIC, buildEvalReport, JUDGE_CONFIG, gradeResponse, compareToBaseline } from './rlm/eval-harness.js';
+import { STATS_CONFIG, summarizeSamples, compareMetric, recommendConfiguration } from './rlm/eval-stats.js';
 import { KBCanvas } from './kb-canvas.js';
+import { COST_GUARD_CONFIG, fitPlanToBudget, resolveCostLimit } from './cost-guard.js';
+import { getLLMProvider, loadProviderConfig, saveProviderConfig, providerRequiresApiKey, PROVIDER_PRESETS } from './llm-provider.js';
+import { formatSpeakerTranscript, isGenericSpeakerName } from './transcript-segments.js';
+import { getAgentLibrary, getLibraryAgentKey, LibraryQuotaError } from './agent-library.js';
+import { AgentSchemaError, extractAgentPayload, buildLegacyAgentPayload, loadAgentPayload } from './agent-schema.js';
+import { ACTION_STATUSES, buildActionItemTracker } from './action-items.js';
+import { normalizeDecisions, buildDecisionLog } from './decision-log.js';
+import { RealtimeVoiceSession, REALTIME_CONFIG } from './realtime-voice.js';
 
 // ============================================
 // RLM Pipeline Instance
@@ -19,6 +28,13 @@ import { KBCanvas } from './kb-canvas.js';
 
 const rlmPipeline = getRLMPipeline();
 
+// Hybrid keyword + vector agent ranking (falls back to keywords on failure)
+rlmPipeline.setEmbedder(embedTexts, { getEmbeddingSpace });
+
+// Optional mock LLM backend for offline / deterministic RLM runs
+// (controlled from the console via window.northstarMockLLM)
+let mockLLMBackend = null;
+
 // ============================================
 // State Management
 // ============================================
@@ -53,6 +69,8 @@ const state = {
         model: GPT_52_MODEL,      // 'gpt-5.2-2025-12-11', 'gpt-5-mini', or 'gpt-5-nano'
         effort: 'none',        // 'none', 'low', 'medium', 'high' (only for GPT-5.2) - default 'none' for compatibility
         allowModelMixing: true, // Allow orchestrator to use faster models for sub-queries
+        costCapPerQuery: 0,     // Dollar ceiling per chat query (0 = no cap)
+        costCapPerSession: 0,   // Dollar ceiling on the session's total spend (0 = no cap)
         processingMode: 'rlm-hybrid', // 'direct', 'rlm-swm', 'rlm-hybrid'
         optimizationMode: 'balanced', // 'balanced', 'speed', 'cost' (Recommendation D)
         useRLM: true,          // Enable/disable RLM processing
@@ -142,7 +160,9 @@ const PRICING = {
     'gpt-5.2': { input: 1.75, output: 14.00 },      // Full reasoning model (legacy alias)
     'gpt-5.2-2025-12-11': { input: 1.75, output: 14.00 }, // Full reasoning model (versioned)
     'gpt-5-mini': { input: 0.25, output: 2.00 },    // Fast, cost-efficient
-    'gpt-5-nano': { input: 0.05, output: 0.40 }     // Fastest, cheapest
+    'gpt-5-nano': { input: 0.05, output: 0.40 },    // Fastest, cheapest
+    'text-embedding-3-small': { input: 0.02, output: 0 }, // Semantic retrieval
+    'text-embedding-3-large': { input: 0.13, output: 0 }
 };
 
 const MODEL_DISPLAY_NAMES = {
@@ -310,6 +330,7 @@ let currentMetrics = {
 
 // Active prompt group for tracking RLM sub-calls together
 let activePromptGroup = null;
+let activeChatController = null;  // AbortController for the in-flight chat query (Stop button)
 
 // Metrics card state
 let metricsState = {
@@ -330,15 +351,30 @@ let testPromptState = {
     activeConfigIndex: 0,
     // Updated run tracking for multi-config
     run: null,
+    // Automatic LLM-as-judge grading after each run
+    grading: {
+        enabled: true,
+        judgeModel: JUDGE_CONFIG.defaultModel,
+        inProgress: false
+    },
+    // Golden baseline that later runs are diffed against (see loadTestBaseline)
+    baseline: null,
+    // Repeated trials per prompt per configuration (for confidence intervals)
+    trials: 1,
     // Legacy single settings (for backwards compatibility)
     settings: null
 };
 
+// Golden baseline localStorage key (persists across sessions)
+const TEST_BASELINE_STORAGE_KEY = 'northstar.LM_test_baseline';
+const TEST_BASELINE_RESPONSE_CHARS = 4000;
+
 let testPromptIdCounter = 0;
 function createTestPrompt(text, options = {}) {
     return {
         id: `test-prompt-${++testPromptIdCounter}`,
         text,
+        reference: options.reference || '',  // Optional reference answer for the judge
         selected: options.selected || false,
         isCustom: options.isCustom || false
     };
@@ -438,9 +474,17 @@ function resolvePromptLog(identifier) {
     return null;
 }
 
+function getTestRunResults(run = testPromptState?.run) {
+    if (!run) return [];
+    if (run.isMultiConfig) {
+        return (run.configurations || []).flatMap(configRun => configRun.results || []);
+    }
+    return run.results || [];
+}
+
 function getTestResultByLogId(logId) {
-    if (!logId || !testPromptState?.run?.results) return null;
-    return testPromptState.run.results.find(result => result?.log?.id === logId) || null;
+    if (!logId) return null;
+    return getTestRunResults().find(result => result?.log?.id === logId) || null;
 }
 
 function formatEvalSummary(evaluation) {
@@ -452,18 +496,29 @@ function formatEvalSummary(evaluation) {
     }).join(' | ');
 }
 
-function applyEvaluationToPromptLog(identifier, scores = {}, notes = '', evaluator = 'manual') {
+/**
+ * Store rubric scores on a prompt log
+ * @param {string|number} identifier - Prompt log id or 1-based index
+ * @param {Object} scores - Score per EVAL_RUBRIC key
+ * @param {string} notes - Free-text notes (the judge's summary for automatic grades)
+ * @param {string} evaluator - 'manual' or 'judge'
+ * @param {Object} details - { rationale, judge: { model, cost, tokens } } for automatic grades
+ * @returns {Object|null} The stored evaluation
+ */
+function applyEvaluationToPromptLog(identifier, scores = {}, notes = '', evaluator = 'manual', details = {}) {
     const log = resolvePromptLog(identifier);
     if (!log) return null;
 
     const testResult = getTestResultByLogId(log.id);
     const query = testResult?.prompt || log.prompt || log.promptPreview || log.name || '';
     const response = testResult?.response || log.response || '';
+    const reference = testResult?.reference || '';
 
-    const report = buildEvalReport({ query, response, scores, notes });
+    const report = buildEvalReport({ query, response, scores, notes, rationale: details.rationale, reference });
     log.evaluation = {
         ...report,
-        evaluator
+        evaluator,
+        ...(details.judge ? { judge: details.judge } : {})
     };
     log.qualityScore = Number.isFinite(report.qualityScore)
         ? report.qualityScore
@@ -556,7 +611,78 @@ function isCorsError(error) {
 }
 
 function buildCorsErrorMessage() {
-    return 'Browser blocked this request due to CORS. When running from GitHub Pages, you must route OpenAI API calls through your own backend/proxy so the response includes Access-Control-Allow-Origin.';
+    return 'Browser blocked this request due to CORS. When running from GitHub Pages, you must route OpenAI API calls through your own backend/proxy (set its base URL under Advanced Options → Provider) so the response includes Access-Control-Allow-Origin.';
+}
+
+/**
+ * Send a request through the configured LLM provider
+ * @param {string} operation - Adapter method: 'chat', 'chatStream', 'transcribe', 'speech', 'image' or 'embeddings'
+ * @param {Object|FormData} payload - OpenAI-shaped request payload
+ * @param {Object} options - Extra adapter options (e.g. signal)
+ * @returns {Promise<Response>}
+ */
+function fetchProvider(operation, payload, options = {}) {
+    return getLLMProvider()[operation](payload, { apiKey: state.apiKey, ...options });
+}
+
+/**
+ * Embed texts through the configured provider (semantic agent retrieval).
+ * Usage is recorded like any other call, so it counts toward the cost caps.
+ * @param {string[]} texts - Inputs to embed
+ * @param {string} model - Embedding model
+ * @param {Object} options - { signal } from the query being answered
+ * @returns {Promise<number[][]>} One vector per input, in order
+ */
+async function embedTexts(texts, model, options = {}) {
+    if (!hasApiAccess()) {
+        throw new Error('No API key for embeddings');
+    }
+    const startTime = performance.now();
+    const response = await fetchProvider('embeddings', { model, input: texts }, { signal: options.signal });
+    if (!response.ok) {
+        throw new Error(`Embeddings request failed (${response.status})`);
+    }
+    const data = await response.json();
+    console.log(`[Embeddings] ${texts.length} input(s), ${data.usage?.total_tokens ?? '?'} tokens`);
+
+    const actualModel = data.model || model;
+    const callData = buildCallDataFromResponse({
+        data,
+        callName: 'Embeddings',
+        requestedModel: model,
+        actualModel,
+        modelFallback: false,
+        effort: null,
+        responseTime: Math.round(performance.now() - startTime),
+        promptPreview: `${texts.length} input(s) for semantic retrieval`,
+        responseContent: `${data.data?.length || 0} vector(s)`,
+        finishReason: 'stop'
+    });
+    if (callData) {
+        // Not listed as an answering model, so a group's model isn't reported as "mixed"
+        addAPICallToMetrics({ ...callData, actualModel: null });
+    }
+    return [...(data.data || [])]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+}
+
+/**
+ * Name the vector space embedTexts produces for a requested model, so cached
+ * vectors are never reused across providers or embedding models
+ * @param {string} model - Embedding model requested by the index
+ * @returns {string} "<provider id>:<effective embedding model>"
+ */
+function getEmbeddingSpace(model) {
+    const provider = getLLMProvider();
+    return `${provider.id}:${provider.resolveEmbeddingModel(model)}`;
+}
+
+/**
+ * Whether LLM calls can be made (API key entered, or the provider needs none)
+ */
+function hasApiAccess() {
+    return state.apiKey.trim().length > 0 || !providerRequiresApiKey();
 }
 
 function recordModelFallback(requestedModel, actualModel, callName = 'API Call') {
@@ -872,6 +998,7 @@ function addAPICallToMetrics(callData) {
     
     if (activePromptGroup) {
         appendCallToGroup(activePromptGroup, callData);
+        enforceCostCeiling(activePromptGroup);
         return;
     }
 
@@ -1014,6 +1141,7 @@ function initElements() {
         chatMessages: document.getElementById('chat-messages'),
         chatInput: document.getElementById('chat-input'),
         chatSendBtn: document.getElementById('chat-send-btn'),
+        chatStopBtn: document.getElementById('chat-stop-btn'),
         chatAgentCount: document.getElementById('chat-agent-count'),
         chatKbIndicator: document.getElementById('chat-kb-indicator'),
         runTestPromptingBtn: document.getElementById('run-test-prompting-btn'),
@@ -1082,7 +1210,12 @@ function initElements() {
         effortSelect: document.getElementById('effort-select'),
         modelMixingGroup: document.getElementById('model-mixing-group'),
         modelMixingToggle: document.getElementById('model-mixing-toggle'),
+        costCapQueryInput: document.getElementById('cost-cap-query'),
+        costCapSessionInput: document.getElementById('cost-cap-session'),
         processingModeSelect: document.getElementById('processing-mode-select'),
+        providerSelect: document.getElementById('provider-select'),
+        providerBaseUrlInput: document.getElementById('provider-base-url'),
+        providerModelInput: document.getElementById('provider-model-override'),
         optimizationModeSelect: document.getElementById('optimization-mode-select'),
         optimizationModeGroup: document.getElementById('optimization-mode-group'),
         rlmToggle: document.getElementById('rlm-toggle'),
@@ -1154,6 +1287,12 @@ function initElements() {
         testAnalyticsSummary: document.getElementById('test-analytics-summary'),
         testAnalyticsList: document.getElementById('test-analytics-list'),
         exportTestHtmlBtn: document.getElementById('export-test-html-btn'),
+        gradeTestRunBtn: document.getElementById('grade-test-run-btn'),
+        testBaselineLabel: document.getElementById('test-baseline-label'),
+        testTrialsInput: document.getElementById('test-trials-input'),
+        testBaselineClearBtn: document.getElementById('test-baseline-clear-btn'),
+        testAutoGradeToggle: document.getElementById('test-auto-grade-toggle'),
+        testJudgeModelSelect: document.getElementById('test-judge-model-select'),
 
         // Test Configurations (multi-config support)
         testConfigList: document.getElementById('test-config-list'),
@@ -1189,6 +1328,72 @@ function initElements() {
         createNewGroupBtn: document.getElementById('create-new-group-btn'),
         clearAllGroupsBtn: document.getElementById('clear-all-groups-btn'),
 
+        // Agent Library Modal
+        libraryBtn: document.getElementById('library-btn'),
+        libraryModal: document.getElementById('library-modal'),
+        libraryCloseBtn: document.getElementById('library-close-btn'),
+        libraryDoneBtn: document.getElementById('library-done-btn'),
+        libraryNewSessionBtn: document.getElementById('library-new-session-btn'),
+        librarySearch: document.getElementById('library-search'),
+        libraryList: document.getElementById('library-list'),
+        libraryEmpty: document.getElementById('library-empty'),
+        libraryUsage: document.getElementById('library-usage'),
+        actionTrackerBtn: document.getElementById('action-tracker-btn'),
+        actionTrackerModal: document.getElementById('action-tracker-modal'),
+        actionTrackerCloseBtn: document.getElementById('action-tracker-close-btn'),
+        actionTrackerDoneBtn: document.getElementById('action-tracker-done-btn'),
+        actionTrackerExportBtn: document.getElementById('action-tracker-export-btn'),
+        actionTrackerSearch: document.getElementById('action-tracker-search'),
+        actionTrackerStatusFilter: document.getElementById('action-tracker-status-filter'),
+        actionTrackerOwnerFilter: document.getElementById('action-tracker-owner-filter'),
+        actionTrackerStaleOnly: document.getElementById('action-tracker-stale-only'),
+        actionTrackerSummary: document.getElementById('action-tracker-summary'),
+        actionTrackerList: document.getElementById('action-tracker-list'),
+        actionTrackerEmpty: document.getElementById('action-tracker-empty'),
+        decisionLogBtn: document.getElementById('decision-log-btn'),
+        decisionLogModal: document.getElementById('decision-log-modal'),
+        decisionLogCloseBtn: document.getElementById('decision-log-close-btn'),
+        decisionLogDoneBtn: document.getElementById('decision-log-done-btn'),
+        decisionLogSearch: document.getElementById('decision-log-search'),
+        decisionLogFlaggedOnly: document.getElementById('decision-log-flagged-only'),
+        decisionLogSummary: document.getElementById('decision-log-summary'),
+        decisionLogList: document.getElementById('decision-log-list'),
+        decisionLogEmpty: document.getElementById('decision-log-empty'),
+        entityGraphBtn: document.getElementById('entity-graph-btn'),
+        entityModal: document.getElementById('entity-modal'),
+        entityModalTitle: document.getElementById('entity-modal-title'),
+        entityCloseBtn: document.getElementById('entity-close-btn'),
+        entityDoneBtn: document.getElementById('entity-done-btn'),
+        entityBackBtn: document.getElementById('entity-back-btn'),
+        entityAskBtn: document.getElementById('entity-ask-btn'),
+        entityToolbar: document.getElementById('entity-toolbar'),
+        entitySearch: document.getElementById('entity-search'),
+        entityList: document.getElementById('entity-list'),
+        entityPage: document.getElementById('entity-page'),
+        entityEmpty: document.getElementById('entity-empty'),
+        chatVoiceBtn: document.getElementById('chat-voice-btn'),
+        realtimePanel: document.getElementById('realtime-panel'),
+        startRealtimeBtn: document.getElementById('start-realtime-btn'),
+        stopRealtimeBtn: document.getElementById('stop-realtime-btn'),
+        realtimeStatus: document.getElementById('realtime-status'),
+        realtimeStatusText: document.getElementById('realtime-status-text'),
+        realtimeCost: document.getElementById('realtime-cost'),
+
+        // Citation Source Modal
+        citationModal: document.getElementById('citation-modal'),
+        citationModalTitle: document.getElementById('citation-modal-title'),
+        citationModalMeta: document.getElementById('citation-modal-meta'),
+        citationModalQuote: document.getElementById('citation-modal-quote'),
+        citationCloseBtn: document.getElementById('citation-close-btn'),
+        citationDoneBtn: document.getElementById('citation-done-btn'),
+        traceModal: document.getElementById('trace-modal'),
+        traceModalTitle: document.getElementById('trace-modal-title'),
+        traceModalMeta: document.getElementById('trace-modal-meta'),
+        traceWaterfall: document.getElementById('trace-waterfall'),
+        traceCloseBtn: document.getElementById('trace-close-btn'),
+        traceDoneBtn: document.getElementById('trace-done-btn'),
+        traceDownloadBtn: document.getElementById('trace-download-btn'),
+
         // Test Group Filter
         testGroupFilterContainer: document.getElementById('test-group-filter-container'),
         testGroupFilter: document.getElementById('test-group-filter')
@@ -2233,7 +2438,7 @@ function groupBySourceType(agents) {
  * @returns {Promise<Array>} Proposed groups
  */
 async function groupByThematic(agents, targetCount = null) {
-    if (!state.apiKey) {
+    if (!hasApiAccess()) {
         throw new Error('API key required for thematic grouping');
     }
 
@@ -2270,21 +2475,14 @@ Respond ONLY with this JSON format (no other text):
 
     try {
         console.log('[Grouping Thematic] Calling API with', agents.length, 'agents');
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${state.apiKey}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-5-mini',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                max_completion_tokens: 2000,
-                response_format: { type: 'json_object' }
-            })
+        const response = await fetchProvider('chat', {
+            model: 'gpt-5-mini',
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt }
+            ],
+            max_completion_tokens: 2000,
+            response_format: { type: 'json_object' }
         });
 
         if (!response.ok) {
@@ -2339,7 +2537,7 @@ Respond ONLY with this JSON format (no other text):
  * @returns {Promise<Array>} Proposed groups
  */
 async function groupByCustomCriteria(agents, criteria) {
-    if (!state.apiKey) {
+    if (!hasApiAccess()) {
         throw new Error('API key required for custom grouping');
     }
 
@@ -2373,21 +2571,14 @@ Respond ONLY with this JSON format (no other text):
 
     try {
         console.log('[Grouping Custom] Calling API with criteria:', criteria);
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${state.apiKey}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-5-mini',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                max_completion_tokens: 2000,
-                response_format: { type: 'json_object' }
-            })
+        const response = await fetchProvider('chat', {
+            model: 'gpt-5-mini',
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt }
+            ],
+            max_completion_tokens: 2000,
+            response_format: { type: 'json_object' }
         });
 
         if (!response.ok) {
@@ -2446,9 +2637,20 @@ Respond ONLY with this JSON format (no other text):
 // ============================================
 
 /**
- * Save state to sessionStorage
+ * Save state to the agent library, or sessionStorage when IndexedDB is unavailable
  */
 function saveState() {
+    if (libraryStatus === 'ready') {
+        scheduleLibrarySave();
+        return;
+    }
+    saveStateToSessionStorage();
+}
+
+/**
+ * Save state to sessionStorage
+ */
+function saveStateToSessionStorage() {
     try {
         sessionStorage.setItem(STORAGE_KEYS.AGENTS, JSON.stringify(state.agents));
         sessionStorage.setItem(STORAGE_KEYS.CHAT_HISTORY, JSON.stringify(state.chatHistory));
@@ -2553,7 +2755,7 @@ function restoreChatHistoryUI() {
 
     // Restore messages
     state.chatHistory.forEach((msg) => {
-        appendChatMessage(msg.role, msg.content, false); // Don't save again
+        appendChatMessage(msg.role, msg.content, false, msg.citations); // Don't save again
     });
 }
 
@@ -2629,6 +2831,12 @@ function updateSettingsUI() {
     if (elements.modelMixingToggle) {
         elements.modelMixingToggle.checked = state.settings.allowModelMixing !== false;
     }
+    if (elements.costCapQueryInput) {
+        elements.costCapQueryInput.value = state.settings.costCapPerQuery > 0 ? state.settings.costCapPerQuery : '';
+    }
+    if (elements.costCapSessionInput) {
+        elements.costCapSessionInput.value = state.settings.costCapPerSession > 0 ? state.settings.costCapPerSession : '';
+    }
     if (elements.processingModeSelect) {
         elements.processingModeSelect.value = state.settings.processingMode;
     }
@@ -2659,6 +2867,7 @@ function updateSettingsUI() {
     if (elements.memoryDebugToggle) {
         elements.memoryDebugToggle.checked = state.settings.showMemoryDebug;
     }
+    updateProviderSettingsUI();
     updateModeControlState();
     // Show/hide effort dropdown based on model
     updateEffortVisibility();
@@ -2775,170 +2984,1447 @@ function clearSavedState() {
 }
 
 // ============================================
-// Initialization
+// Agent Library (IndexedDB)
 // ============================================
 
-function init() {
-    initElements();
-    loadApiKey();
-    loadSettings();
-    loadGroups(); // Load groups from localStorage (persists across sessions)
+const LIBRARY_SAVE_DELAY_MS = 800;
+const LIBRARY_META_KEYS = {
+    LAST_SESSION: 'lastSessionId',
+    MIGRATED_AT: 'sessionStorageMigratedAt'
+};
 
-    // Restore state from sessionStorage if available
-    const restored = restoreState();
-    if (restored) {
-        console.log('[Init] State restored from previous session');
-        // Sync group-agent references after restoring agents
-        syncGroupAgentReferences();
+let agentLibrary = null;
+let libraryStatus = 'pending'; // 'pending' | 'ready' | 'unavailable'
+let activeSession = null;      // { id, name, customName, persisted }
+let librarySaveTimer = null;
+let libraryQuotaWarned = false;
+let libraryTab = 'sessions';
+// Library key -> signature of the copy last written, so unchanged agents are not rewritten
+const librarySavedAgents = new Map();
+
+function createLibrarySession() {
+    return {
+        id: `session-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+        name: null,
+        customName: false,
+        persisted: false
+    };
+}
+
+function getAgentSignature(agent) {
+    return [
+        agent.displayName || agent.title,
+        agent.date,
+        (agent.summary || '').length,
+        (agent.transcript || '').length,
+        (agent.speakers || []).map(speaker => speaker.name).join(',')
+    ].join('|');
+}
+
+/**
+ * Default session name: date plus the first agent titles
+ */
+function getDefaultSessionName() {
+    const date = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const titles = state.agents.map(agent => agent.displayName || agent.title).filter(Boolean);
+    if (titles.length === 0) return `Session ${date}`;
+    const extra = titles.length > 2 ? ` +${titles.length - 2}` : '';
+    return `${date} · ${titles.slice(0, 2).join(', ')}${extra}`;
+}
+
+function buildWorkspaceSnapshot() {
+    return {
+        agents: state.agents,
+        chatHistory: state.chatHistory,
+        insights: state.insights,
+        signalState: state.signalState,
+        stateBlockMarkdown: state.stateBlockMarkdown || '',
+        summaryLastTurn: state.summaryLastTurn || '',
+        memoryIndex: state.memoryIndex,
+        promptCounter: state.promptCounter || 0
+    };
+}
+
+/**
+ * Replace the workspace with a saved session snapshot
+ * @param {Object} snapshot - Session snapshot from the library
+ */
+function applyWorkspaceSnapshot(snapshot = {}) {
+    state.agents = Array.isArray(snapshot.agents) ? snapshot.agents : [];
+    state.chatHistory = Array.isArray(snapshot.chatHistory) ? snapshot.chatHistory : [];
+    state.insights = snapshot.insights || null;
+    resetSignalMemory();
+    if (snapshot.signalState) {
+        state.signalState = snapshot.signalState;
+    }
+    state.stateBlockMarkdown = snapshot.stateBlockMarkdown || '';
+    state.summaryLastTurn = snapshot.summaryLastTurn || '';
+    state.memoryIndex = Array.isArray(snapshot.memoryIndex) ? snapshot.memoryIndex : [];
+    state.promptCounter = Number(snapshot.promptCounter) || 0;
+    if (!state.stateBlockMarkdown && snapshot.signalState) {
+        state.stateBlockMarkdown = buildStateBlockMarkdown();
     }
 
-    initKBCanvas();
-    setupEventListeners();
-    setupGroupingEventListeners();
-    updateSettingsUI();
-    applyRlmFeatureFlags();
+    rlmPipeline.reset();
+    syncGroupAgentReferences();
+    if (kbCanvas) {
+        kbCanvas.clear();
+    }
 
-    // Set active preset based on current settings
-    const activePreset = detectActivePreset();
-    updatePresetButtonsUI(activePreset);
+    renderChatWelcome();
+    if (state.chatHistory.length > 0) {
+        restoreChatHistoryUI();
+    }
+    if (state.insights) {
+        displayInsights(state.insights);
+    } else {
+        elements.insightsSection?.classList.add('hidden');
+    }
 
     updateUI();
-    window.__orchestratorInitialized = true;
 }
 
 /**
- * Initialize the 3D Knowledge Base Canvas
+ * Open the library, migrate any sessionStorage workspace into it and
+ * reopen the last session
  */
-function initKBCanvas() {
-    if (!elements.kb3dSpace || !elements.kbConnectionsSvg) {
-        console.warn('[KBCanvas] Canvas elements not found, falling back to legacy mode');
+async function initAgentLibrary() {
+    agentLibrary = getAgentLibrary();
+    try {
+        await agentLibrary.open();
+    } catch (error) {
+        libraryStatus = 'unavailable';
+        console.warn('[Library] Unavailable, keeping workspace in sessionStorage:', error.message);
+        elements.libraryBtn?.classList.add('hidden');
         return;
     }
 
-    kbCanvas = new KBCanvas('knowledge-base-container');
+    libraryStatus = 'ready';
+    // Flush a pending debounced save when the tab goes away
+    window.addEventListener('pagehide', () => {
+        if (librarySaveTimer) persistWorkspace();
+    });
+    agentLibrary.requestPersistence().then(persisted => {
+        console.log('[Library] Persistent storage:', persisted);
+    });
 
-    // Set up canvas callbacks
-    kbCanvas.onPositionChange = (agentId, position) => {
-        const agent = state.agents.find(a => a.id === agentId);
-        if (agent) {
-            agent.position = position;
-            saveState();
+    try {
+        // Anything still in sessionStorage predates the library (or was saved
+        // while it was full): move it into a new session
+        if (state.agents.length > 0 || state.chatHistory.length > 0) {
+            activeSession = createLibrarySession();
+            const saved = await persistWorkspace();
+            if (saved) {
+                await agentLibrary.setMeta(LIBRARY_META_KEYS.MIGRATED_AT, new Date().toISOString());
+                clearSavedState();
+                console.log('[Library] Migrated sessionStorage workspace:', state.agents.length, 'agents');
+                showToast('Workspace saved to your Library', 'success');
+            }
+            return;
         }
-    };
 
-    kbCanvas.onToggle = (agentId, index) => {
-        toggleAgent(index);
-    };
+        const lastSessionId = await agentLibrary.getMeta(LIBRARY_META_KEYS.LAST_SESSION);
+        const session = lastSessionId ? await agentLibrary.getSession(lastSessionId) : null;
+        if (session) {
+            activeSession = {
+                id: session.id,
+                name: session.name,
+                customName: Boolean(session.customName),
+                persisted: true
+            };
+            markAgentsSaved(session.snapshot?.agents);
+            applyWorkspaceSnapshot(session.snapshot);
+            console.log('[Library] Reopened session:', session.name);
+        } else {
+            activeSession = createLibrarySession();
+        }
+    } catch (error) {
+        console.warn('[Library] Failed to load session:', error.message);
+        activeSession = activeSession || createLibrarySession();
+    }
+}
 
-    kbCanvas.onRemove = (agentId, index) => {
-        removeAgent(index);
-    };
+function markAgentsSaved(agents) {
+    (agents || []).forEach(agent => {
+        librarySavedAgents.set(getLibraryAgentKey(agent), getAgentSignature(agent));
+    });
+}
 
-    kbCanvas.onRename = (agentId, index, newName) => {
-        updateAgentName(index, newName);
-    };
+function scheduleLibrarySave() {
+    clearTimeout(librarySaveTimer);
+    librarySaveTimer = setTimeout(persistWorkspace, LIBRARY_SAVE_DELAY_MS);
+}
 
-    kbCanvas.onUngroupAgent = (agentId, oldGroupId) => {
-        ungroupAgent(agentId, oldGroupId);
-    };
+/**
+ * Write the workspace to the library now
+ * @returns {Promise<boolean>} Whether the save succeeded
+ */
+async function persistWorkspace() {
+    clearTimeout(librarySaveTimer);
+    librarySaveTimer = null;
+    if (libraryStatus !== 'ready' || !activeSession) return false;
+
+    // Capture before any await: the workspace may be cleared or switched meanwhile
+    const session = activeSession;
+    const snapshot = buildWorkspaceSnapshot();
+    const isEmpty = snapshot.agents.length === 0 && snapshot.chatHistory.length === 0 && !snapshot.insights;
+    const changedAgents = snapshot.agents.filter(agent =>
+        librarySavedAgents.get(getLibraryAgentKey(agent)) !== getAgentSignature(agent)
+    );
 
-    console.log('[KBCanvas] Initialized successfully');
+    try {
+        if (changedAgents.length > 0) {
+            await agentLibrary.putAgents(changedAgents);
+            markAgentsSaved(changedAgents);
+        }
+        // Don't litter the library with empty sessions
+        if (isEmpty && !session.persisted) return true;
+
+        const record = await agentLibrary.putSession({
+            id: session.id,
+            name: session.customName ? session.name : getDefaultSessionName(),
+            customName: session.customName,
+            snapshot
+        });
+        session.name = record.name;
+        session.persisted = true;
+        await agentLibrary.setMeta(LIBRARY_META_KEYS.LAST_SESSION, session.id);
+        libraryQuotaWarned = false;
+        console.log('[Library] Saved session:', {
+            agents: snapshot.agents.length,
+            chatHistory: snapshot.chatHistory.length,
+            memoryIndex: snapshot.memoryIndex.length
+        });
+        return true;
+    } catch (error) {
+        if (error instanceof LibraryQuotaError) {
+            if (!libraryQuotaWarned) {
+                libraryQuotaWarned = true;
+                showError(error.message);
+            }
+        } else {
+            console.warn('[Library] Failed to save session:', error.message);
+        }
+        // Keep a tab-scoped copy so nothing is lost before the user frees space
+        saveStateToSessionStorage();
+        return false;
+    }
 }
 
-function setupEventListeners() {
-    // API Key
-    elements.toggleKeyBtn.addEventListener('click', toggleApiKeyVisibility);
-    elements.saveKeyBtn.addEventListener('click', saveApiKey);
-    elements.apiKeyInput.addEventListener('keydown', (event) => {
-        if (event.key === 'Enter') {
-            event.preventDefault();
-            saveApiKey();
-        }
+/**
+ * Start an empty workspace; the previous session stays in the library
+ */
+function startNewLibrarySession() {
+    if (libraryStatus !== 'ready') return;
+    persistWorkspace();
+    activeSession = createLibrarySession();
+}
+
+function setupLibraryEventListeners() {
+    if (!elements.libraryModal) return;
+
+    elements.libraryBtn?.addEventListener('click', openLibraryModal);
+    elements.libraryCloseBtn.addEventListener('click', closeLibraryModal);
+    elements.libraryDoneBtn.addEventListener('click', closeLibraryModal);
+    elements.librarySearch.addEventListener('input', renderLibraryList);
+    elements.libraryModal.querySelectorAll('.library-tab').forEach(button => {
+        button.addEventListener('click', () => setLibraryTab(button.dataset.tab));
+    });
+    elements.libraryNewSessionBtn.addEventListener('click', () => {
+        if (state.agents.length > 0 && !confirm('Start a new session? The current one stays in the Library.')) return;
+        clearAllAgents();
+        closeLibraryModal();
     });
-    if (elements.expandKeyBtn) {
-        elements.expandKeyBtn.addEventListener('click', expandApiKeySection);
-    }
 
-    // Agent Upload
-    elements.agentsDropZone.addEventListener('click', () => elements.agentFilesInput.click());
-    elements.agentsDropZone.addEventListener('keydown', (event) => {
-        if (event.key === 'Enter' || event.key === ' ') {
-            event.preventDefault();
-            elements.agentFilesInput.click();
+    // Close on backdrop click
+    elements.libraryModal.addEventListener('click', (e) => {
+        if (e.target === elements.libraryModal) {
+            closeLibraryModal();
         }
     });
-    elements.agentsDropZone.addEventListener('dragover', handleDragOver);
-    elements.agentsDropZone.addEventListener('dragleave', handleDragLeave);
-    elements.agentsDropZone.addEventListener('drop', handleDrop);
-    elements.agentFilesInput.addEventListener('change', handleFileSelect);
-    if (elements.clearCacheBtn) {
-        elements.clearCacheBtn.addEventListener('click', clearChatAndCache);
-    }
-    elements.clearAllBtn.addEventListener('click', clearAllAgents);
+}
 
-    // Chat Mode Preset Selector
-    if (elements.chatModeSelector) {
-        elements.chatModeSelector.querySelectorAll('.mode-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const mode = btn.dataset.mode;
-                if (mode) {
-                    applyPreset(mode);
-                }
-            });
-        });
+/**
+ * Open the library modal
+ */
+function openLibraryModal() {
+    if (libraryStatus !== 'ready') {
+        showError('The Library needs IndexedDB, which this browser has disabled. Your workspace is kept for this tab only.');
+        return;
     }
+    elements.librarySearch.value = '';
+    elements.libraryModal.classList.remove('hidden');
+    // Flush pending edits so the list reflects the current workspace
+    persistWorkspace().finally(renderLibraryList);
+    elements.librarySearch.focus();
+}
 
-    // KB View Toggle
-    if (elements.kbViewToggle) {
-        elements.kbViewToggle.querySelectorAll('.view-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const view = btn.dataset.view;
-                if (view) {
-                    setKBViewMode(view);
-                }
-            });
-        });
-    }
+function closeLibraryModal() {
+    elements.libraryModal.classList.add('hidden');
+}
 
-    // Generate Insights
-    elements.generateInsightsBtn.addEventListener('click', generateCrossInsights);
+function setLibraryTab(tab) {
+    libraryTab = tab;
+    elements.libraryModal.querySelectorAll('.library-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    renderLibraryList();
+}
 
-    // Chat
-    elements.chatSendBtn.addEventListener('click', sendChatMessage);
-    elements.chatInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault();
-            sendChatMessage();
-        }
+function formatLibraryDate(isoDate) {
+    if (!isoDate) return '';
+    return new Date(isoDate).toLocaleString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
     });
+}
 
-    if (elements.runTestPromptingBtn) {
-        elements.runTestPromptingBtn.addEventListener('click', openTestPromptingModal);
-    }
-    if (elements.testPromptingCloseBtn) {
-        elements.testPromptingCloseBtn.addEventListener('click', closeTestPromptingModal);
-    }
-    if (elements.testPromptingCancelBtn) {
-        elements.testPromptingCancelBtn.addEventListener('click', closeTestPromptingModal);
-    }
-    if (elements.addCustomPromptBtn) {
-        elements.addCustomPromptBtn.addEventListener('click', addCustomTestPrompt);
-    }
-    if (elements.importCsvBtn) {
-        elements.importCsvBtn.addEventListener('click', () => {
-            elements.csvFileInput?.click();
-        });
-    }
-    if (elements.csvFileInput) {
-        elements.csvFileInput.addEventListener('change', handleCsvImport);
-    }
-    if (elements.exportTestProgramBtn) {
-        elements.exportTestProgramBtn.addEventListener('click', exportTestProgram);
-    }
-    if (elements.addConfigBtn) {
-        elements.addConfigBtn.addEventListener('click', () => {
-            addTestConfiguration();
-        });
+/**
+ * Render the sessions or agents list for the current search
+ */
+async function renderLibraryList() {
+    const query = elements.librarySearch.value.trim();
+    try {
+        if (libraryTab === 'sessions') {
+            renderLibrarySessions(await agentLibrary.listSessions({ query }), query);
+        } else {
+            renderLibraryAgents(await agentLibrary.listAgents({ query }), query);
+        }
+        renderLibraryUsage();
+    } catch (error) {
+        console.warn('[Library] Failed to list:', error.message);
+        showError('Could not read the Library: ' + error.message);
+    }
+}
+
+function showLibraryEmpty(isEmpty, message) {
+    elements.libraryEmpty.classList.toggle('hidden', !isEmpty);
+    elements.libraryEmpty.querySelector('p').textContent = message;
+}
+
+function renderLibrarySessions(sessions, query) {
+    showLibraryEmpty(sessions.length === 0, query ? 'No sessions match your search.' : 'No saved sessions yet.');
+
+    elements.libraryList.innerHTML = sessions.map(session => {
+        const isActive = session.id === activeSession?.id;
+        const titles = (session.agentTitles || []).slice(0, 4).map(escapeHtml).join(', ');
+        return `
+            <div class="group-manage-card library-card ${isActive ? 'active' : ''}" data-session-id="${escapeAttribute(session.id)}">
+                <span class="group-manage-icon">🗂️</span>
+                <div class="group-manage-info">
+                    <div class="group-manage-name">${escapeHtml(session.name)}${isActive ? ' <span class="library-badge">Open</span>' : ''}</div>
+                    <div class="group-manage-meta">${session.agentCount} agent${session.agentCount !== 1 ? 's' : ''} · ${session.chatCount} message${session.chatCount !== 1 ? 's' : ''} · ${formatLibraryDate(session.updatedAt)}</div>
+                    ${titles ? `<div class="library-card-detail">${titles}</div>` : ''}
+                </div>
+                <div class="group-manage-actions">
+                    ${isActive ? '' : `<button class="group-action-btn open-session" data-session-id="${escapeAttribute(session.id)}">Open</button>`}
+                    <button class="group-action-btn rename-session" data-session-id="${escapeAttribute(session.id)}">Rename</button>
+                    ${isActive ? '' : `<button class="group-action-btn delete delete-session" data-session-id="${escapeAttribute(session.id)}">Delete</button>`}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    elements.libraryList.querySelectorAll('.open-session').forEach(btn => {
+        btn.addEventListener('click', () => openLibrarySession(btn.dataset.sessionId));
+    });
+    elements.libraryList.querySelectorAll('.rename-session').forEach(btn => {
+        btn.addEventListener('click', () => renameLibrarySession(btn.dataset.sessionId));
+    });
+    elements.libraryList.querySelectorAll('.delete-session').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (!confirm('Delete this session from the Library? Its agents stay in the Library.')) return;
+            await agentLibrary.deleteSession(btn.dataset.sessionId);
+            renderLibraryList();
+        });
+    });
+}
+
+function renderLibraryAgents(entries, query) {
+    showLibraryEmpty(entries.length === 0, query ? 'No agents match your search.' : 'No agents saved yet. Agents you load are added automatically.');
+    const loadedKeys = new Set(state.agents.map(getLibraryAgentKey));
+
+    elements.libraryList.innerHTML = entries.map(entry => {
+        const isLoaded = loadedKeys.has(entry.libraryId);
+        const meta = [entry.date, entry.meetingType, entry.sourceType].filter(Boolean).map(escapeHtml).join(' · ');
+        const tags = (entry.topicTags || []).slice(0, 4).map(tag => `<span class="library-tag">${escapeHtml(tag)}</span>`).join('');
+        return `
+            <div class="group-manage-card library-card" data-library-id="${escapeAttribute(entry.libraryId)}">
+                <span class="group-manage-icon">🤖</span>
+                <div class="group-manage-info">
+                    <div class="group-manage-name">${escapeHtml(entry.title)}${isLoaded ? ' <span class="library-badge">Loaded</span>' : ''}</div>
+                    <div class="group-manage-meta">${meta || 'Saved ' + formatLibraryDate(entry.savedAt)}</div>
+                    ${entry.summaryPreview ? `<div class="library-card-detail">${escapeHtml(entry.summaryPreview)}</div>` : ''}
+                    ${tags ? `<div class="library-tags">${tags}</div>` : ''}
+                </div>
+                <div class="group-manage-actions">
+                    ${isLoaded ? '' : `<button class="group-action-btn add-library-agent" data-library-id="${escapeAttribute(entry.libraryId)}">Add</button>`}
+                    <button class="group-action-btn delete delete-library-agent" data-library-id="${escapeAttribute(entry.libraryId)}">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    elements.libraryList.querySelectorAll('.add-library-agent').forEach(btn => {
+        btn.addEventListener('click', () => addLibraryAgentToWorkspace(btn.dataset.libraryId));
+    });
+    elements.libraryList.querySelectorAll('.delete-library-agent').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (!confirm('Delete this agent from the Library? Sessions that include it keep their copy.')) return;
+            await agentLibrary.deleteAgent(btn.dataset.libraryId);
+            renderLibraryList();
+        });
+    });
+}
+
+async function renderLibraryUsage() {
+    const estimate = await agentLibrary.getStorageEstimate();
+    if (!estimate?.quota) {
+        elements.libraryUsage.textContent = '';
+        return;
+    }
+    const usedMb = (estimate.usage / (1024 * 1024)).toFixed(1);
+    const quotaMb = (estimate.quota / (1024 * 1024)).toFixed(0);
+    const percent = Math.round((estimate.usage / estimate.quota) * 100);
+    elements.libraryUsage.textContent = `Storage: ${usedMb} MB of ${quotaMb} MB (${percent}%)`;
+    elements.libraryUsage.classList.toggle('warning', percent >= 80);
+}
+
+/**
+ * Switch the workspace to a saved session
+ * @param {string} sessionId - Library session id
+ */
+async function openLibrarySession(sessionId) {
+    await persistWorkspace();
+    const session = await agentLibrary.getSession(sessionId);
+    if (!session) {
+        showError('That session is no longer in the Library.');
+        renderLibraryList();
+        return;
+    }
+
+    activeSession = {
+        id: session.id,
+        name: session.name,
+        customName: Boolean(session.customName),
+        persisted: true
+    };
+    markAgentsSaved(session.snapshot?.agents);
+    resetMetrics();
+    applyWorkspaceSnapshot(session.snapshot);
+    await agentLibrary.setMeta(LIBRARY_META_KEYS.LAST_SESSION, session.id);
+
+    closeLibraryModal();
+    showToast(`Opened "${escapeHtml(session.name)}"`, 'success');
+}
+
+async function renameLibrarySession(sessionId) {
+    const session = await agentLibrary.getSession(sessionId);
+    if (!session) return;
+
+    const newName = prompt('Session name:', session.name);
+    if (!newName || !newName.trim()) return;
+
+    if (sessionId === activeSession?.id) {
+        activeSession.name = newName.trim();
+        activeSession.customName = true;
+    }
+    await agentLibrary.putSession({ ...session, name: newName.trim(), customName: true });
+    renderLibraryList();
+}
+
+/**
+ * Add a library agent to the current workspace
+ * @param {string} libraryId - Library agent key
+ */
+async function addLibraryAgentToWorkspace(libraryId) {
+    if (state.agents.length >= MAX_AGENTS) {
+        showError(`Agent limit reached (${MAX_AGENTS}). Remove an agent before adding more.`);
+        return;
+    }
+    const entry = await agentLibrary.getAgent(libraryId);
+    if (!entry) return;
+    if (state.agents.some(agent => getLibraryAgentKey(agent) === libraryId)) return;
+
+    state.agents.push({
+        ...entry.agent,
+        id: 'agent-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+        enabled: true
+    });
+    markAgentsSaved([entry.agent]);
+    updateUI();
+    renderLibraryList();
+    showToast(`Added "${escapeHtml(entry.title)}" to the workspace`, 'success');
+}
+
+// ============================================
+// Action Item Tracker
+// ============================================
+
+const ACTION_ITEMS_STORAGE_KEY = 'northstar.LM_action_items';
+
+// Item id -> { status, updatedAt }; ids hash the task text, so they carry across sessions
+let actionItemStatuses = {};
+let actionTracker = null;
+
+function loadActionItemStatuses() {
+    try {
+        const saved = localStorage.getItem(ACTION_ITEMS_STORAGE_KEY);
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                actionItemStatuses = parsed;
+            }
+        }
+    } catch (e) {
+        console.warn('[Actions] Failed to load action item statuses:', e);
+    }
+}
+
+function persistActionItemStatuses() {
+    try {
+        localStorage.setItem(ACTION_ITEMS_STORAGE_KEY, JSON.stringify(actionItemStatuses));
+    } catch (e) {
+        console.warn('[Actions] Failed to save action item statuses:', e);
+    }
+}
+
+function setupActionTrackerEventListeners() {
+    if (!elements.actionTrackerModal) return;
+
+    elements.actionTrackerBtn?.addEventListener('click', openActionTracker);
+    elements.actionTrackerCloseBtn.addEventListener('click', closeActionTracker);
+    elements.actionTrackerDoneBtn.addEventListener('click', closeActionTracker);
+    elements.actionTrackerExportBtn.addEventListener('click', exportActionItemsCsv);
+    elements.actionTrackerSearch.addEventListener('input', renderActionTrackerList);
+    elements.actionTrackerStatusFilter.addEventListener('change', renderActionTrackerList);
+    elements.actionTrackerOwnerFilter.addEventListener('change', renderActionTrackerList);
+    elements.actionTrackerStaleOnly.addEventListener('change', renderActionTrackerList);
+
+    elements.actionTrackerList.addEventListener('change', (e) => {
+        const select = e.target.closest('.action-status-select');
+        if (select) setActionItemStatus(select.dataset.itemId, select.value);
+    });
+
+    // Close on backdrop click
+    elements.actionTrackerModal.addEventListener('click', (e) => {
+        if (e.target === elements.actionTrackerModal) {
+            closeActionTracker();
+        }
+    });
+}
+
+/**
+ * Parse action items from every loaded agent into tracked records
+ */
+function refreshActionTracker() {
+    const meetings = state.agents.map(agent => ({
+        id: agent.id,
+        name: agent.displayName || agent.title,
+        date: parseAgentDate(agent.date),
+        actionItems: agent.actionItems
+    }));
+    actionTracker = buildActionItemTracker(meetings, actionItemStatuses);
+    console.log('[Actions] Tracking', actionTracker.summary.total, 'items from', meetings.length, 'meetings');
+}
+
+function openActionTracker() {
+    refreshActionTracker();
+
+    const owners = [...new Set(actionTracker.items.map(item => item.owner).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b));
+    const currentOwner = elements.actionTrackerOwnerFilter.value;
+    elements.actionTrackerOwnerFilter.innerHTML = '<option value="">All owners</option>'
+        + '<option value="__none">Unassigned</option>'
+        + owners.map(owner => `<option value="${escapeAttribute(owner)}">${escapeHtml(owner)}</option>`).join('');
+    elements.actionTrackerOwnerFilter.value = owners.includes(currentOwner) ? currentOwner : '';
+
+    elements.actionTrackerModal.classList.remove('hidden');
+    renderActionTrackerList();
+}
+
+function closeActionTracker() {
+    elements.actionTrackerModal.classList.add('hidden');
+}
+
+function getFilteredActionItems() {
+    const query = elements.actionTrackerSearch.value.trim().toLowerCase();
+    const status = elements.actionTrackerStatusFilter.value;
+    const owner = elements.actionTrackerOwnerFilter.value;
+    const staleOnly = elements.actionTrackerStaleOnly.checked;
+
+    return actionTracker.items.filter(item => {
+        if (status === 'active' && (item.status === 'done' || item.status === 'dropped')) return false;
+        if (status !== 'active' && status !== 'all' && item.status !== status) return false;
+        if (owner === '__none' && item.owner) return false;
+        if (owner && owner !== '__none' && item.owner !== owner) return false;
+        if (staleOnly && !item.stale) return false;
+        if (query && !`${item.task} ${item.owner || ''}`.toLowerCase().includes(query)) return false;
+        return true;
+    });
+}
+
+function formatActionDate(date) {
+    return date ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '';
+}
+
+/**
+ * Render the tracked items for the current filters
+ */
+function renderActionTrackerList() {
+    if (!actionTracker) return;
+
+    const { summary } = actionTracker;
+    elements.actionTrackerSummary.textContent = summary.total === 0 ? '' :
+        `${summary.total} item${summary.total !== 1 ? 's' : ''} across ${actionTracker.meetings.length} meeting${actionTracker.meetings.length !== 1 ? 's' : ''}`
+        + ` · ${summary.open} open · ${summary['in-progress']} in progress · ${summary.done} done`
+        + ` · ${summary.stale} stale · ${summary.duplicates} raised in several meetings`;
+
+    const items = getFilteredActionItems();
+    const emptyMessage = summary.total === 0
+        ? 'No action items in the loaded meetings.'
+        : 'No action items match these filters.';
+    elements.actionTrackerEmpty.classList.toggle('hidden', items.length > 0);
+    elements.actionTrackerEmpty.querySelector('p').textContent = emptyMessage;
+
+    elements.actionTrackerList.innerHTML = items.map(item => {
+        const statusOptions = ACTION_STATUSES.map(status =>
+            `<option value="${status.id}" ${status.id === item.status ? 'selected' : ''}>${status.label}</option>`
+        ).join('');
+        const meetings = item.meetings.map(meeting => {
+            const date = formatActionDate(meeting.date);
+            return `<span class="agent-chip" title="${escapeAttribute(date)}">${escapeHtml(meeting.name)}</span>`;
+        }).join('');
+        const due = item.due
+            ? `<span class="action-item-due">Due ${escapeHtml(item.dueDate ? formatActionDate(item.dueDate) : item.due)}</span>`
+            : '';
+        const stale = item.stale
+            ? `<span class="action-item-stale" title="${escapeAttribute(item.staleReasons.join('; '))}">⚠ Stale</span>`
+            : '';
+
+        return `
+            <div class="action-item-row status-${item.status} ${item.stale ? 'stale' : ''}">
+                <select class="action-status-select" data-item-id="${escapeAttribute(item.id)}" aria-label="Status">${statusOptions}</select>
+                <div class="action-item-info">
+                    <div class="action-item-task">${escapeHtml(item.task)}</div>
+                    <div class="action-item-meta">
+                        <span class="action-item-owner">${item.owner ? escapeHtml(item.owner) : 'Unassigned'}</span>
+                        ${due}
+                        ${stale}
+                    </div>
+                    ${item.stale ? `<div class="action-item-stale-reasons">${escapeHtml(item.staleReasons.join(' · '))}</div>` : ''}
+                    <div class="action-item-meetings">${meetings}</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Save a status for an item and every mention that merged into it
+ * @param {string} itemId - Tracked item id
+ * @param {string} status - One of ACTION_STATUSES
+ */
+function setActionItemStatus(itemId, status) {
+    const item = actionTracker?.items.find(entry => entry.id === itemId);
+    if (!item || !ACTION_STATUSES.some(entry => entry.id === status)) return;
+
+    const updatedAt = Date.now();
+    for (const id of item.ids) {
+        actionItemStatuses[id] = { status, updatedAt };
+    }
+    persistActionItemStatuses();
+    refreshActionTracker();
+    renderActionTrackerList();
+}
+
+function exportActionItemsCsv() {
+    if (!actionTracker || actionTracker.items.length === 0) {
+        showError('No action items to export');
+        return;
+    }
+
+    const escapeCSV = (value) => {
+        const str = String(value ?? '');
+        return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const rows = [['Task', 'Owner', 'Due', 'Status', 'Stale', 'Meetings', 'First Seen', 'Last Seen'].join(',')];
+    for (const item of getFilteredActionItems()) {
+        rows.push([
+            escapeCSV(item.task),
+            escapeCSV(item.owner || ''),
+            escapeCSV(item.dueDate ? item.dueDate.toISOString().slice(0, 10) : (item.due || '')),
+            escapeCSV(item.status),
+            escapeCSV(item.staleReasons.join('; ')),
+            escapeCSV(item.meetings.map(meeting => meeting.name).join('; ')),
+            escapeCSV(formatActionDate(item.firstSeen)),
+            escapeCSV(formatActionDate(item.lastSeen))
+        ].join(','));
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    downloadTextFile(rows.join('\n'), `northstar-action-items-${timestamp}.csv`, 'text/csv;charset=utf-8;');
+}
+
+// ============================================
+// Decision Log
+// ============================================
+
+let decisionLog = null;
+
+function setupDecisionLogEventListeners() {
+    if (!elements.decisionLogModal) return;
+
+    elements.decisionLogBtn?.addEventListener('click', openDecisionLog);
+    elements.decisionLogCloseBtn.addEventListener('click', closeDecisionLog);
+    elements.decisionLogDoneBtn.addEventListener('click', closeDecisionLog);
+    elements.decisionLogSearch.addEventListener('input', renderDecisionLog);
+    elements.decisionLogFlaggedOnly.addEventListener('change', renderDecisionLog);
+
+    // Close on backdrop click
+    elements.decisionLogModal.addEventListener('click', (e) => {
+        if (e.target === elements.decisionLogModal) {
+            closeDecisionLog();
+        }
+    });
+}
+
+function openDecisionLog() {
+    decisionLog = buildDecisionLog(state.agents.map(agent => ({
+        id: agent.id,
+        name: agent.displayName || agent.title,
+        date: parseAgentDate(agent.date),
+        decisions: agent.decisions
+    })));
+    console.log('[Decisions] Logged', decisionLog.summary.total, 'decisions,', decisionLog.summary.reversed, 'reversed,', decisionLog.summary.contradicted, 'contradicted');
+
+    elements.decisionLogModal.classList.remove('hidden');
+    renderDecisionLog();
+}
+
+function closeDecisionLog() {
+    elements.decisionLogModal.classList.add('hidden');
+}
+
+function describeDecisionChange(change, direction) {
+    const verb = change.type === 'reversed'
+        ? (direction === 'by' ? 'Reversed by' : 'Reverses')
+        : (direction === 'by' ? 'Contradicted by' : 'Contradicts');
+    const when = change.date ? `, ${formatActionDate(change.date)}` : '';
+    return `${verb}: "${change.decision}" (${change.meetingName}${when})`;
+}
+
+/**
+ * Render the decision log for the current filters, newest meeting first
+ */
+function renderDecisionLog() {
+    if (!decisionLog) return;
+
+    const { summary } = decisionLog;
+    elements.decisionLogSummary.textContent = summary.total === 0 ? '' :
+        `${summary.total} decision${summary.total !== 1 ? 's' : ''} from ${summary.meetings} meeting${summary.meetings !== 1 ? 's' : ''}`
+        + ` · ${summary.reversed} reversed · ${summary.contradicted} contradicted`;
+
+    const query = elements.decisionLogSearch.value.trim().toLowerCase();
+    const flaggedOnly = elements.decisionLogFlaggedOnly.checked;
+    const entries = decisionLog.entries
+        .filter(entry => !flaggedOnly || entry.status !== 'standing')
+        .filter(entry => !query || [entry.decision, entry.rationale, entry.meetingName, ...entry.participants]
+            .filter(Boolean).join(' ').toLowerCase().includes(query))
+        .reverse();
+
+    const emptyMessage = summary.total === 0
+        ? 'No decisions in the loaded meetings. Decisions are extracted when a meeting is analyzed; re-export older agents from the Agent Builder to add them.'
+        : 'No decisions match these filters.';
+    elements.decisionLogEmpty.classList.toggle('hidden', entries.length > 0);
+    elements.decisionLogEmpty.querySelector('p').textContent = emptyMessage;
+
+    elements.decisionLogList.innerHTML = entries.map(entry => {
+        const badge = entry.status === 'standing' ? '' :
+            `<span class="decision-badge ${entry.status}">${entry.status === 'reversed' ? '↩ Reversed' : '⚡ Contradicted'}</span>`;
+        const participants = entry.participants
+            .map(name => `<span class="agent-chip">${escapeHtml(name)}</span>`)
+            .join('');
+        const changedBy = entry.changedBy.map(change =>
+            `<div class="decision-change ${change.type}" title="${escapeAttribute(change.reason)}">${escapeHtml(describeDecisionChange(change, 'by'))}</div>`
+        ).join('');
+        const changes = entry.changes.map(change =>
+            `<div class="decision-change">${escapeHtml(describeDecisionChange(change, 'of'))}</div>`
+        ).join('');
+
+        return `
+            <div class="decision-entry ${entry.status}">
+                <div class="decision-header">
+                    <span class="decision-text">${escapeHtml(entry.decision)}</span>
+                    ${badge}
+                </div>
+                ${entry.rationale ? `<div class="decision-rationale">${escapeHtml(entry.rationale)}</div>` : ''}
+                <div class="action-item-meta">
+                    <span class="action-item-owner">${escapeHtml(entry.meetingName)}</span>
+                    ${entry.date ? `<span>${escapeHtml(formatActionDate(entry.date))}</span>` : ''}
+                </div>
+                ${participants ? `<div class="action-item-meetings">${participants}</div>` : ''}
+                ${changedBy}${changes}
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================
+// Entity Graph
+// ============================================
+
+const ENTITY_TYPE_ICONS = {
+    person: '👤',
+    project: '📁',
+    organization: '🏢',
+    product: '📦'
+};
+
+const ENTITY_ROLE_LABELS = {
+    mentioned: 'mentioned',
+    speaker: 'spoke',
+    decided: 'decided'
+};
+
+let entityTypeFilter = '';
+let openEntityId = null;
+
+function getEntityIndex() {
+    return rlmPipeline.contextStore?.entityIndex || null;
+}
+
+function setupEntityEventListeners() {
+    if (!elements.entityModal) return;
+
+    elements.entityGraphBtn?.addEventListener('click', openEntityModal);
+    elements.entityCloseBtn.addEventListener('click', closeEntityModal);
+    elements.entityDoneBtn.addEventListener('click', closeEntityModal);
+    elements.entityBackBtn.addEventListener('click', () => showEntityPage(null));
+    elements.entityAskBtn.addEventListener('click', askAboutOpenEntity);
+    elements.entitySearch.addEventListener('input', renderEntityList);
+    elements.entityModal.querySelectorAll('.entity-tab').forEach(button => {
+        button.addEventListener('click', () => {
+            entityTypeFilter = button.dataset.type;
+            elements.entityModal.querySelectorAll('.entity-tab').forEach(tab => {
+                tab.classList.toggle('active', tab === button);
+            });
+            renderEntityList();
+        });
+    });
+
+    elements.entityList.addEventListener('click', (e) => {
+        const card = e.target.closest('.entity-card');
+        if (card) showEntityPage(card.dataset.entityId);
+    });
+
+    // Close on backdrop click
+    elements.entityModal.addEventListener('click', (e) => {
+        if (e.target === elements.entityModal) {
+            closeEntityModal();
+        }
+    });
+}
+
+function openEntityModal() {
+    elements.entitySearch.value = '';
+    elements.entityModal.classList.remove('hidden');
+    showEntityPage(null);
+}
+
+function closeEntityModal() {
+    elements.entityModal.classList.add('hidden');
+}
+
+/**
+ * Render the entity list for the current type tab and search
+ */
+function renderEntityList() {
+    const index = getEntityIndex();
+    const query = elements.entitySearch.value.trim().toLowerCase();
+    const entities = (index ? index.getEntities({ type: entityTypeFilter || null }) : [])
+        .filter(entity => !query || entity.aliases.some(alias => alias.toLowerCase().includes(query)));
+
+    const total = index ? index.entities.size : 0;
+    elements.entityEmpty.classList.toggle('hidden', entities.length > 0);
+    elements.entityEmpty.querySelector('p').textContent = total === 0
+        ? 'No entities in the loaded meetings. People, projects and organizations are extracted when a meeting is analyzed.'
+        : 'No entities match your search.';
+
+    elements.entityList.innerHTML = entities.map(entity => {
+        const otherNames = entity.aliases.filter(alias => alias !== entity.name);
+        return `
+            <button class="entity-card" data-entity-id="${escapeAttribute(entity.id)}">
+                <span class="entity-icon">${ENTITY_TYPE_ICONS[entity.type] || '•'}</span>
+                <span class="entity-card-info">
+                    <span class="entity-name">${escapeHtml(entity.name)}</span>
+                    ${otherNames.length ? `<span class="entity-aliases">also ${escapeHtml(otherNames.join(', '))}</span>` : ''}
+                </span>
+                <span class="entity-count">${entity.meetingCount} meeting${entity.meetingCount !== 1 ? 's' : ''}</span>
+            </button>
+        `;
+    }).join('');
+}
+
+/**
+ * Show one entity's page, or the list when entityId is null
+ * @param {string|null} entityId
+ */
+function showEntityPage(entityId) {
+    const page = entityId ? getEntityIndex()?.getEntityPage(entityId) : null;
+    openEntityId = page ? entityId : null;
+
+    elements.entityToolbar.classList.toggle('hidden', Boolean(page));
+    elements.entityList.classList.toggle('hidden', Boolean(page));
+    elements.entityPage.classList.toggle('hidden', !page);
+    elements.entityBackBtn.classList.toggle('hidden', !page);
+    elements.entityAskBtn.classList.toggle('hidden', !page);
+    elements.entityModalTitle.textContent = page
+        ? `${ENTITY_TYPE_ICONS[page.entity.type] || ''} ${page.entity.name}`
+        : '🕸️ Entities';
+
+    if (!page) {
+        renderEntityList();
+        return;
+    }
+    elements.entityEmpty.classList.add('hidden');
+    elements.entityPage.innerHTML = buildEntityPageHtml(page);
+}
+
+function buildEntityPageHtml(page) {
+    const byDate = (a, b) => (parseAgentDate(a.date)?.getTime() || 0) - (parseAgentDate(b.date)?.getTime() || 0);
+    const aliases = page.entity.aliases.length > 1
+        ? `<p class="entity-page-aliases">Also known as ${escapeHtml(page.entity.aliases.filter(alias => alias !== page.entity.name).join(', '))}</p>`
+        : '';
+
+    const meetings = [...page.meetings].sort(byDate).map(meeting => `
+        <div class="entity-page-row">
+            <span class="action-item-owner">${escapeHtml(meeting.name)}</span>
+            <span class="entity-page-date">${escapeHtml(meeting.date || 'No date')}</span>
+            <span class="entity-page-roles">${meeting.roles.map(role => escapeHtml(ENTITY_ROLE_LABELS[role] || role)).join(', ')}</span>
+        </div>
+    `).join('');
+
+    const actionItems = [...page.actionItems].sort(byDate).map(item => `
+        <div class="entity-page-row">
+            <span class="entity-page-text">${escapeHtml(item.text)}</span>
+            ${item.isOwner ? '<span class="decision-badge entity-owner-badge">Owner</span>' : ''}
+            <span class="entity-page-date">${escapeHtml(item.meetingName)}</span>
+        </div>
+    `).join('');
+
+    const decisions = [...page.decisions].sort(byDate).map(decision => `
+        <div class="entity-page-row">
+            <span class="entity-page-text">${escapeHtml(decision.decision)}${decision.rationale ? `<span class="decision-rationale">${escapeHtml(decision.rationale)}</span>` : ''}</span>
+            ${decision.isParticipant ? '<span class="decision-badge entity-owner-badge">Decided</span>' : ''}
+            <span class="entity-page-date">${escapeHtml(decision.meetingName)}</span>
+        </div>
+    `).join('');
+
+    const section = (title, count, body, empty) => `
+        <div class="entity-page-section">
+            <h4>${title} <span class="entity-count">${count}</span></h4>
+            ${body || `<p class="entity-page-empty">${empty}</p>`}
+        </div>
+    `;
+
+    return aliases
+        + section('Meetings', page.meetings.length, meetings, 'Not mentioned in the loaded meetings.')
+        + section('Action Items', page.actionItems.length, actionItems, 'No action items mention them.')
+        + section('Decisions', page.decisions.length, decisions, 'No decisions mention them.');
+}
+
+function askAboutOpenEntity() {
+    const entity = openEntityId ? getEntityIndex()?.getEntity(openEntityId) : null;
+    if (!entity) return;
+    const question = entity.type === 'person'
+        ? `What has ${entity.name} been assigned, and which decisions did they take part in?`
+        : `What is the latest on ${entity.name}, including open action items and decisions?`;
+    closeEntityModal();
+    elements.chatInput.value = question;
+    autoResizeTextarea();
+    elements.chatInput.focus();
+}
+
+// ============================================
+// Realtime Voice
+// ============================================
+
+const REALTIME_PROMPT_AGENT_LIMIT = 30;     // Agents listed in the session instructions
+const REALTIME_PROMPT_SUMMARY_CHARS = 240;  // Summary excerpt per listed agent
+
+let realtimeSession = null;
+let realtimeCostRecorded = 0;        // Voice session dollars already counted toward the session cap
+let realtimeQueryController = null;  // In-flight query_meetings run, aborted when the session stops
+
+function setupRealtimeVoiceEventListeners() {
+    if (!elements.realtimePanel) return;
+
+    elements.chatVoiceBtn?.addEventListener('click', () => {
+        const show = elements.realtimePanel.classList.contains('hidden');
+        elements.realtimePanel.classList.toggle('hidden', !show);
+        elements.chatVoiceBtn.classList.toggle('active', show);
+        if (!show) {
+            stopRealtimeConversation();
+        }
+    });
+    elements.startRealtimeBtn.addEventListener('click', startRealtimeConversation);
+    elements.stopRealtimeBtn.addEventListener('click', stopRealtimeConversation);
+}
+
+async function startRealtimeConversation() {
+    if (realtimeSession?.active) return;
+
+    if (!state.agents.some(agent => agent.enabled)) {
+        showError('Load and enable at least one agent before using voice chat.');
+        return;
+    }
+    if (!state.apiKey && providerRequiresApiKey()) {
+        showError('Please enter your OpenAI API key first.');
+        return;
+    }
+    const { perSession } = getCostCaps();
+    if (perSession > 0 && currentMetrics.totalCost >= perSession) {
+        showError(`Your session cost limit of ${formatCost(perSession)} has been reached. Raise it in Settings to use voice chat.`);
+        return;
+    }
+
+    syncAgentsToRLM();
+    realtimeCostRecorded = 0;
+    elements.realtimeStatus.classList.remove('hidden');
+    realtimeSession = new RealtimeVoiceSession({
+        url: getLLMProvider().getRealtimeUrl(REALTIME_CONFIG.model),
+        apiKey: state.apiKey,
+        instructions: buildRealtimeSystemPrompt(),
+        toolHandlers: {
+            search_transcript: searchTranscriptsTool,
+            query_meetings: queryMeetingsTool,
+            list_action_items: listActionItemsTool
+        },
+        onStatus: updateRealtimeStatus,
+        onUserTranscript: (text) => recordRealtimeMessage('user', text),
+        onAssistantTranscript: (text) => recordRealtimeMessage('assistant', text),
+        onToolCall: (name, args) => console.log('[Realtime] Tool call:', name, args),
+        onCost: (cost) => {
+            elements.realtimeCost.textContent = '$' + cost.toFixed(2);
+            recordRealtimeCost(cost);
+        },
+        onError: showError,
+        onStop: (totalCost) => {
+            recordRealtimeCost(totalCost);
+            realtimeQueryController?.abort();
+            updateRealtimeButtons(false);
+        }
+    });
+
+    try {
+        await realtimeSession.start();
+        updateRealtimeButtons(true);
+    } catch (error) {
+        console.error('[Realtime] Setup failed:', error);
+        updateRealtimeStatus('Could not start', false, true);
+        showError('Failed to start real-time conversation: ' + error.message);
+        realtimeSession = null;
+    }
+}
+
+function stopRealtimeConversation() {
+    if (!realtimeSession) return;
+    realtimeQueryController?.abort();
+    realtimeSession.stop();
+    realtimeSession = null;
+    updateRealtimeButtons(false);
+}
+
+/**
+ * Count the voice session's running cost toward the per-session cap, and end
+ * the session once the cap is reached
+ * @param {number} cost - Session cost so far (dollars)
+ */
+function recordRealtimeCost(cost) {
+    const delta = cost - realtimeCostRecorded;
+    if (!(delta > 0)) return;
+    realtimeCostRecorded = cost;
+    currentMetrics.totalCost += delta;
+
+    const { perSession } = getCostCaps();
+    if (perSession > 0 && currentMetrics.totalCost >= perSession && realtimeSession?.active) {
+        console.warn(`[Budget] Session cost limit reached during voice chat (${formatCost(currentMetrics.totalCost)} of ${formatCost(perSession)})`);
+        showToast(`Voice chat stopped: session cost limit of ${formatCost(perSession)} reached.`, 'warning', 6000);
+        stopRealtimeConversation();
+    }
+}
+
+/**
+ * query_meetings tool: a full RLM query run like a typed chat query (busy
+ * lock, pre-flight cost check, cost ceiling, prompt-group metrics), aborted
+ * by the Stop button or when the voice session ends
+ * @param {Object} args - { question }
+ * @returns {Promise<string>} Answer for the voice model
+ */
+async function queryMeetingsTool({ question }) {
+    if (!question) throw new Error('A question is required');
+    if (state.isProcessing) throw new Error('Another query is still running; try again when it finishes');
+
+    setChatBusy(true);
+    activeChatController = new AbortController();
+    realtimeQueryController = activeChatController;
+    const { signal } = activeChatController;
+    setChatStopVisible(true);
+
+    try {
+        const costCheck = await checkQueryBudget(question, 'rlm', { signal });
+        if (!costCheck.proceed) {
+            return 'The user declined this query because it would go over their cost limit.';
+        }
+
+        const queryPreview = question.substring(0, 50) + (question.length > 50 ? '...' : '');
+        startPromptGroup(`Voice: ${queryPreview}`, true, state.settings.processingMode);
+        if (activePromptGroup) {
+            activePromptGroup.prompt = question;
+            activePromptGroup.promptPreview = queryPreview;
+            activePromptGroup.costCeiling = costCheck.ceiling;
+            activePromptGroup.budget = costCheck.budget;
+        }
+
+        const { response } = await chatWithRLM(question, null, {
+            depthOverride: costCheck.overrides.depthOverride,
+            modelTiering: costCheck.overrides.modelTiering,
+            signal,
+            recordHistory: false
+        });
+        if (activePromptGroup) {
+            activePromptGroup.response = response;
+        }
+        return response;
+    } catch (error) {
+        if (!isCancellationError(error)) throw error;
+        const stopReason = activePromptGroup?.stopReason || 'user';
+        if (activePromptGroup) {
+            activePromptGroup.cancelled = true;
+            activePromptGroup.stopReason = stopReason;
+            activePromptGroup.response = 'Stopped';
+        }
+        console.log('[Realtime] query_meetings stopped:', stopReason);
+        return stopReason === 'cost-limit'
+            ? 'The query was stopped because it reached the cost limit.'
+            : 'The query was stopped before it finished.';
+    } finally {
+        endPromptGroup();
+        if (realtimeQueryController === activeChatController) {
+            realtimeQueryController = null;
+        }
+        activeChatController = null;
+        setChatStopVisible(false);
+        setChatBusy(false);
+        saveState();
+    }
+}
+
+function recordRealtimeMessage(role, content) {
+    state.chatHistory.push({ role, content, ...(role === 'user' ? { inputMethod: 'realtime' } : {}) });
+    appendChatMessage(role, content);
+}
+
+/**
+ * Session instructions: which meetings are loaded, and when to reach for
+ * the tools (the transcripts themselves stay out of the prompt)
+ */
+function buildRealtimeSystemPrompt() {
+    const activeAgents = state.agents.filter(agent => agent.enabled);
+    const listed = activeAgents.slice(0, REALTIME_PROMPT_AGENT_LIMIT).map(agent => {
+        const summary = (agent.summary || '').replace(/\s+/g, ' ').trim();
+        const excerpt = summary.length > REALTIME_PROMPT_SUMMARY_CHARS
+            ? `${summary.slice(0, REALTIME_PROMPT_SUMMARY_CHARS)}…`
+            : summary;
+        return `- ${agent.displayName || agent.title}${agent.date ? ` (${agent.date})` : ''}: ${excerpt || 'No summary'}`;
+    });
+    const more = activeAgents.length - listed.length;
+
+    return `You are the northstar.LM orchestrator having a voice conversation about a knowledge base of ${activeAgents.length} meeting${activeAgents.length !== 1 ? 's' : ''}:
+
+${listed.join('\n')}${more > 0 ? `\n- …and ${more} more` : ''}
+
+Tools (they search every meeting listed above):
+- search_transcript: find what was actually said (quotes, numbers, who said what).
+- query_meetings: full cross-meeting analysis for questions that need reasoning, comparison or synthesis.
+- list_action_items: tracked action items with owner, due date and status (open, in-progress, done, dropped, stale).
+
+Instructions:
+- Use a tool for anything beyond the one-line summaries above, and briefly tell the user you're checking first.
+- Say which meeting an answer comes from.
+- Keep responses brief (1-3 sentences) for natural conversation flow.
+- Only say you don't have the information if the tools come back empty.`;
+}
+
+/**
+ * Realtime tool: BM25 search over the transcripts of all enabled agents
+ */
+function searchTranscriptsTool({ query, limit = 5 }) {
+    if (!query) throw new Error('A search query is required');
+    const agentIds = state.agents.filter(agent => agent.enabled).map(agent => agent.id);
+    const passages = rlmPipeline.contextStore.searchPassages(query, {
+        agentIds,
+        limit: Math.min(Math.max(Number(limit) || 5, 1), 10)
+    });
+    if (passages.length === 0) {
+        return { query, passages: [], note: 'No transcript passages matched.' };
+    }
+    return {
+        query,
+        passages: passages.map(passage => {
+            const agent = state.agents.find(a => a.id === passage.agentId);
+            return {
+                meeting: agent?.displayName || agent?.title || passage.agentId,
+                date: agent?.date || null,
+                at: passage.startLabel || null,
+                text: passage.text
+            };
+        })
+    };
+}
+
+/**
+ * Realtime tool: items from the cross-meeting action tracker
+ */
+function listActionItemsTool({ owner, status } = {}) {
+    refreshActionTracker();
+    let items = actionTracker.items;
+    if (owner) {
+        const needle = owner.toLowerCase();
+        items = items.filter(item => item.owner?.toLowerCase().includes(needle));
+    }
+    if (status) {
+        items = items.filter(item => (status === 'stale' ? item.stale : item.status === status));
+    }
+    return {
+        count: items.length,
+        items: items.map(item => ({
+            task: item.task,
+            owner: item.owner,
+            due: item.dueDate ? formatActionDate(item.dueDate) : item.due,
+            status: item.status,
+            stale: item.stale,
+            meetings: item.meetings.map(meeting => meeting.name)
+        }))
+    };
+}
+
+function updateRealtimeStatus(text, isActive, isError = false) {
+    elements.realtimeStatusText.textContent = text;
+
+    const statusDot = elements.realtimeStatus.querySelector('.status-dot');
+    if (statusDot) {
+        statusDot.classList.toggle('pulsing', isActive);
+        statusDot.classList.toggle('error', isError);
+    }
+}
+
+function updateRealtimeButtons(isActive) {
+    elements.startRealtimeBtn.classList.toggle('hidden', isActive);
+    elements.stopRealtimeBtn.classList.toggle('hidden', !isActive);
+}
+
+// ============================================
+// Initialization
+// ============================================
+
+function init() {
+    initElements();
+    loadApiKey();
+    loadSettings();
+    loadGroups(); // Load groups from localStorage (persists across sessions)
+    loadTestBaseline(); // Golden test baseline (persists across sessions)
+    loadActionItemStatuses(); // Action item statuses (persist across sessions)
+
+    // Restore state from sessionStorage if available
+    const restored = restoreState();
+    if (restored) {
+        console.log('[Init] State restored from previous session');
+        // Sync group-agent references after restoring agents
+        syncGroupAgentReferences();
+    }
+
+    initKBCanvas();
+    setupEventListeners();
+    setupGroupingEventListeners();
+    setupLibraryEventListeners();
+    setupActionTrackerEventListeners();
+    setupDecisionLogEventListeners();
+    setupEntityEventListeners();
+    setupRealtimeVoiceEventListeners();
+    setupCitationEventListeners();
+    setupTraceEventListeners();
+    updateSettingsUI();
+    applyRlmFeatureFlags();
+
+    // Set active preset based on current settings
+    const activePreset = detectActivePreset();
+    updatePresetButtonsUI(activePreset);
+
+    updateUI();
+    window.__orchestratorInitialized = true;
+
+    // Move the workspace into the IndexedDB library (falls back to sessionStorage)
+    initAgentLibrary();
+}
+
+/**
+ * Initialize the 3D Knowledge Base Canvas
+ */
+function initKBCanvas() {
+    if (!elements.kb3dSpace || !elements.kbConnectionsSvg) {
+        console.warn('[KBCanvas] Canvas elements not found, falling back to legacy mode');
+        return;
+    }
+
+    kbCanvas = new KBCanvas('knowledge-base-container');
+
+    // Set up canvas callbacks
+    kbCanvas.onPositionChange = (agentId, position) => {
+        const agent = state.agents.find(a => a.id === agentId);
+        if (agent) {
+            agent.position = position;
+            saveState();
+        }
+    };
+
+    kbCanvas.onToggle = (agentId, index) => {
+        toggleAgent(index);
+    };
+
+    kbCanvas.onRemove = (agentId, index) => {
+        removeAgent(index);
+    };
+
+    kbCanvas.onRename = (agentId, index, newName) => {
+        updateAgentName(index, newName);
+    };
+
+    kbCanvas.onUngroupAgent = (agentId, oldGroupId) => {
+        ungroupAgent(agentId, oldGroupId);
+    };
+
+    // Merge entity aliases ("Bob" / "Robert Smith") when weighing edges
+    kbCanvas.resolveEntity = (name, type) => {
+        return rlmPipeline.contextStore?.entityIndex?.resolve(name, ENTITY_TYPES[type]) || null;
+    };
+
+    kbCanvas.onEdgeQuery = (fromAgentId, toAgentId, term) => {
+        askAboutSharedTerm(fromAgentId, toAgentId, term);
+    };
+
+    console.log('[KBCanvas] Initialized successfully');
+}
+
+/**
+ * Ask the chat what two connected meetings say about a shared term
+ */
+function askAboutSharedTerm(fromAgentId, toAgentId, term) {
+    const from = state.agents.find(a => a.id === fromAgentId);
+    const to = state.agents.find(a => a.id === toAgentId);
+    if (!from || !to || !term) return;
+
+    elements.chatInput.value = `What do the "${from.displayName}" and "${to.displayName}" meetings say about ${term}?`;
+    autoResizeTextarea();
+    sendChatMessage();
+}
+
+function setupEventListeners() {
+    // API Key
+    elements.toggleKeyBtn.addEventListener('click', toggleApiKeyVisibility);
+    elements.saveKeyBtn.addEventListener('click', saveApiKey);
+    elements.apiKeyInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            saveApiKey();
+        }
+    });
+    if (elements.expandKeyBtn) {
+        elements.expandKeyBtn.addEventListener('click', expandApiKeySection);
+    }
+
+    // Agent Upload
+    elements.agentsDropZone.addEventListener('click', () => elements.agentFilesInput.click());
+    elements.agentsDropZone.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            elements.agentFilesInput.click();
+        }
+    });
+    elements.agentsDropZone.addEventListener('dragover', handleDragOver);
+    elements.agentsDropZone.addEventListener('dragleave', handleDragLeave);
+    elements.agentsDropZone.addEventListener('drop', handleDrop);
+    elements.agentFilesInput.addEventListener('change', handleFileSelect);
+    if (elements.clearCacheBtn) {
+        elements.clearCacheBtn.addEventListener('click', clearChatAndCache);
+    }
+    elements.clearAllBtn.addEventListener('click', clearAllAgents);
+
+    // Chat Mode Preset Selector
+    if (elements.chatModeSelector) {
+        elements.chatModeSelector.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const mode = btn.dataset.mode;
+                if (mode) {
+                    applyPreset(mode);
+                }
+            });
+        });
+    }
+
+    // KB View Toggle
+    if (elements.kbViewToggle) {
+        elements.kbViewToggle.querySelectorAll('.view-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const view = btn.dataset.view;
+                if (view) {
+                    setKBViewMode(view);
+                }
+            });
+        });
+    }
+
+    // Generate Insights
+    elements.generateInsightsBtn.addEventListener('click', generateCrossInsights);
+
+    // Chat
+    elements.chatSendBtn.addEventListener('click', sendChatMessage);
+    elements.chatStopBtn?.addEventListener('click', stopChatMessage);
+    elements.chatInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendChatMessage();
+        }
+    });
+
+    if (elements.runTestPromptingBtn) {
+        elements.runTestPromptingBtn.addEventListener('click', openTestPromptingModal);
+    }
+    if (elements.testPromptingCloseBtn) {
+        elements.testPromptingCloseBtn.addEventListener('click', closeTestPromptingModal);
+    }
+    if (elements.testPromptingCancelBtn) {
+        elements.testPromptingCancelBtn.addEventListener('click', closeTestPromptingModal);
+    }
+    if (elements.addCustomPromptBtn) {
+        elements.addCustomPromptBtn.addEventListener('click', addCustomTestPrompt);
+    }
+    if (elements.importCsvBtn) {
+        elements.importCsvBtn.addEventListener('click', () => {
+            elements.csvFileInput?.click();
+        });
+    }
+    if (elements.csvFileInput) {
+        elements.csvFileInput.addEventListener('change', handleCsvImport);
+    }
+    if (elements.exportTestProgramBtn) {
+        elements.exportTestProgramBtn.addEventListener('click', exportTestProgram);
+    }
+    if (elements.addConfigBtn) {
+        elements.addConfigBtn.addEventListener('click', () => {
+            addTestConfiguration();
+        });
     }
     if (elements.deployTestAgentBtn) {
         elements.deployTestAgentBtn.addEventListener('click', deployTestAgent);
@@ -3002,6 +4488,34 @@ function setupEventListeners() {
     if (elements.exportTestHtmlBtn) {
         elements.exportTestHtmlBtn.addEventListener('click', exportTestReportHtml);
     }
+    if (elements.gradeTestRunBtn) {
+        elements.gradeTestRunBtn.addEventListener('click', handleGradeTestRun);
+    }
+    if (elements.testAnalyticsSummary) {
+        elements.testAnalyticsSummary.addEventListener('click', (e) => {
+            const button = e.target.closest('.baseline-save-btn');
+            if (button) saveTestBaseline(Number(button.dataset.configIndex));
+        });
+    }
+    if (elements.testBaselineClearBtn) {
+        elements.testBaselineClearBtn.addEventListener('click', clearTestBaseline);
+    }
+    if (elements.testTrialsInput) {
+        elements.testTrialsInput.addEventListener('change', (e) => {
+            testPromptState.trials = clampTestTrials(e.target.value);
+            e.target.value = testPromptState.trials;
+        });
+    }
+    if (elements.testAutoGradeToggle) {
+        elements.testAutoGradeToggle.addEventListener('change', (e) => {
+            setTestGradingOptions({ enabled: e.target.checked });
+        });
+    }
+    if (elements.testJudgeModelSelect) {
+        elements.testJudgeModelSelect.addEventListener('change', (e) => {
+            setTestGradingOptions({ judgeModel: e.target.value });
+        });
+    }
     if (elements.testAnalyticsList) {
         elements.testAnalyticsList.addEventListener('click', handleTestEvalSave);
     }
@@ -3041,6 +4555,11 @@ function setupEventListeners() {
         metricsDownloadBtn.addEventListener('click', downloadMetricsCSV);
     }
 
+    const metricsTracesBtn = document.getElementById('metrics-download-traces');
+    if (metricsTracesBtn) {
+        metricsTracesBtn.addEventListener('click', downloadAllTraces);
+    }
+
     // Error
     elements.dismissErrorBtn.addEventListener('click', hideError);
     
@@ -3145,9 +4664,18 @@ function setupEventListeners() {
     if (elements.modelMixingToggle) {
         elements.modelMixingToggle.addEventListener('change', handleModelMixingToggle);
     }
+    [elements.costCapQueryInput, elements.costCapSessionInput].forEach(input => {
+        input?.addEventListener('change', handleCostCapChange);
+    });
     if (elements.processingModeSelect) {
         elements.processingModeSelect.addEventListener('change', handleProcessingModeChange);
     }
+    if (elements.providerSelect) {
+        elements.providerSelect.addEventListener('change', handleProviderChange);
+    }
+    [elements.providerBaseUrlInput, elements.providerModelInput].forEach(input => {
+        input?.addEventListener('change', saveProviderSettingsFromUI);
+    });
     if (elements.optimizationModeSelect) {
         elements.optimizationModeSelect.addEventListener('change', handleOptimizationModeChange);
     }
@@ -3193,6 +4721,48 @@ function handleModelChange(e) {
     console.log('[Settings] Model changed to:', state.settings.model);
 }
 
+/**
+ * Sync provider controls with the persisted provider config
+ */
+function updateProviderSettingsUI() {
+    const config = loadProviderConfig();
+    if (elements.providerSelect) {
+        elements.providerSelect.value = config.id;
+    }
+    if (elements.providerBaseUrlInput) {
+        elements.providerBaseUrlInput.value = config.baseUrl || '';
+        elements.providerBaseUrlInput.placeholder = PROVIDER_PRESETS[config.id]?.baseUrl || '';
+    }
+    if (elements.providerModelInput) {
+        elements.providerModelInput.value = config.modelOverride || '';
+    }
+}
+
+/**
+ * Handle provider selection change (resets base URL to the preset default)
+ */
+function handleProviderChange() {
+    if (elements.providerBaseUrlInput) {
+        elements.providerBaseUrlInput.value = '';
+    }
+    saveProviderSettingsFromUI();
+    updateProviderSettingsUI();
+}
+
+/**
+ * Persist provider controls and rebuild the active adapter
+ */
+function saveProviderSettingsFromUI() {
+    const provider = saveProviderConfig({
+        ...loadProviderConfig(),
+        id: elements.providerSelect?.value,
+        baseUrl: elements.providerBaseUrlInput?.value,
+        modelOverride: elements.providerModelInput?.value
+    });
+    updateButtonStates();
+    console.log('[Settings] Provider changed to:', provider.id);
+}
+
 /**
  * Handle effort level change
  */
@@ -3212,6 +4782,24 @@ function handleModelMixingToggle(e) {
     console.log('[Settings] Model mixing changed to:', state.settings.allowModelMixing);
 }
 
+/**
+ * Handle per-query / per-session cost limit changes (empty or 0 = no limit)
+ */
+function handleCostCapChange() {
+    const readCap = (input) => {
+        const value = parseFloat(input?.value);
+        return Number.isFinite(value) && value > 0 ? value : 0;
+    };
+    state.settings.costCapPerQuery = readCap(elements.costCapQueryInput);
+    state.settings.costCapPerSession = readCap(elements.costCapSessionInput);
+    saveSettings();
+    updateSettingsUI();
+    console.log('[Settings] Cost limits changed:', {
+        perQuery: state.settings.costCapPerQuery,
+        perSession: state.settings.costCapPerSession
+    });
+}
+
 /**
  * Handle processing mode change
  */
@@ -3455,7 +5043,7 @@ async function processAgentFiles(files) {
     for (const file of files) {
         try {
             const content = await readFileContent(file);
-            const agentData = parseAgentFile(content);
+            const agentData = parseAgentFile(content, file.name);
 
             if (agentData) {
                 // Add filename and enabled state
@@ -3481,7 +5069,10 @@ async function processAgentFiles(files) {
             }
         } catch (error) {
             console.error(`Error processing ${file.name}:`, error);
-            showError(`Failed to parse ${file.name}: ${error.message}`);
+            // Schema errors already name the file and the failing fields
+            showError(error instanceof AgentSchemaError
+                ? `Failed to import ${error.message}`
+                : `Failed to parse ${file.name}: ${error.message}`);
         }
     }
 
@@ -3501,23 +5092,6 @@ function readFileContent(file) {
 // Agent File Parsing
 // ============================================
 
-function escapeRegex(value) {
-    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
-function extractJsonSection(content, sectionName) {
-    const safeName = escapeRegex(sectionName);
-    const regex = new RegExp(`## ${safeName}[\\s\\S]*?\\n\`\`\`json\\s*\\n([\\s\\S]*?)\\n\`\`\``, 'i');
-    const match = content.match(regex);
-    if (!match || !match[1]) return null;
-    try {
-        return JSON.parse(match[1].trim());
-    } catch (error) {
-        console.warn('Failed to parse JSON section:', sectionName, error);
-        return null;
-    }
-}
-
 function stripBase64Fields(value, keyHint = '') {
     if (value === null || value === undefined) return value;
     if (typeof value === 'string') {
@@ -3577,12 +5151,22 @@ function buildExtendedContext(payload) {
         delete contextPayload.analysis.actionItems;
         delete contextPayload.analysis.sentiment;
         delete contextPayload.analysis.transcript;
+        delete contextPayload.analysis.transcriptSegments;
     }
 
     return JSON.stringify(contextPayload, null, 2);
 }
 
-function parseAgentFile(content) {
+/**
+ * Parse an agent file. The export payload is the source of truth; files
+ * without one are rebuilt from their markdown sections. Either way the payload
+ * is migrated to the current schema and validated.
+ * @param {string} content - Agent markdown
+ * @param {string} fileName - For error messages
+ * @returns {Object} Orchestrator agent
+ * @throws {AgentSchemaError} When the payload is malformed or incomplete
+ */
+function parseAgentFile(content, fileName = '') {
     const result = {
         title: 'Untitled Meeting',
         date: null,
@@ -3590,8 +5174,10 @@ function parseAgentFile(content) {
         summary: '',
         keyPoints: '',
         actionItems: '',
+        decisions: [],
         sentiment: '',
         transcript: '',
+        speakers: [],
         payload: null,
         extendedContext: '',
         // SoT metadata fields
@@ -3603,13 +5189,15 @@ function parseAgentFile(content) {
     };
     
     // Parse YAML frontmatter
+    const frontmatter = {};
     const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
     if (frontmatterMatch) {
-        const frontmatter = frontmatterMatch[1];
+        const frontmatterText = frontmatterMatch[1];
         
         // Get creation date
-        const createdMatch = frontmatter.match(/created:\s*"?([^"\n]+)"?/);
+        const createdMatch = frontmatterText.match(/created:\s*"?([^"\n]+)"?/);
         if (createdMatch) {
+            frontmatter.created = createdMatch[1].trim();
             try {
                 const date = new Date(createdMatch[1].trim());
                 result.date = date.toLocaleDateString('en-US', { 
@@ -3620,8 +5208,11 @@ function parseAgentFile(content) {
             }
         }
         
-        const sourceMatch = frontmatter.match(/source_type:\s*(\w+)/);
-        if (sourceMatch) result.sourceType = sourceMatch[1].trim();
+        const sourceMatch = frontmatterText.match(/source_type:\s*(\w+)/);
+        if (sourceMatch) result.sourceType = frontmatter.source_type = sourceMatch[1].trim();
+
+        const agentIdMatch = frontmatterText.match(/agent_id:\s*"?([^"\n]+)"?/);
+        if (agentIdMatch) frontmatter.agent_id = agentIdMatch[1].trim();
     }
     
     // Parse title from heading (# Meeting Agent: <title>)
@@ -3630,7 +5221,8 @@ function parseAgentFile(content) {
         result.title = titleMatch[1].trim();
     }
     
-    // Parse sections with flexible matching (handles both old and new formats)
+    // Parse sections with flexible matching (handles both old and new formats);
+    // files exported without a JSON payload are rebuilt from these
     // Executive Summary or Summary
     const summaryMatch = content.match(/## (?:Executive )?Summary\n\n?([\s\S]*?)(?=\n---|\n## |$)/);
     if (summaryMatch) result.summary = summaryMatch[1].trim();
@@ -3657,57 +5249,71 @@ function parseAgentFile(content) {
         if (plainTranscriptMatch) result.transcript = plainTranscriptMatch[1].trim();
     }
 
-    const exportPayload = extractJsonSection(content, 'Export Payload (JSON)');
-    if (exportPayload) {
-        const sanitizedPayload = sanitizeExportPayload(exportPayload);
-        result.payload = sanitizedPayload;
-        result.extendedContext = buildExtendedContext(sanitizedPayload);
-
-        if (exportPayload.agent?.name) {
-            result.title = exportPayload.agent.name;
-        }
-
-        if (exportPayload.agent?.readableDate) {
-            result.date = exportPayload.agent.readableDate;
-        } else if (exportPayload.agent?.created || exportPayload.exportedAt) {
-            const dateInput = exportPayload.agent?.created || exportPayload.exportedAt;
-            const parsedDate = new Date(dateInput);
-            result.date = isNaN(parsedDate.getTime())
-                ? dateInput
-                : parsedDate.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
-        }
-
-        result.sourceType = exportPayload.agent?.sourceType || exportPayload.source?.inputMode || result.sourceType;
-
-        const analysis = exportPayload.analysis || {};
-        result.summary = analysis.summary || result.summary;
-        result.keyPoints = analysis.keyPoints || result.keyPoints;
-        result.actionItems = analysis.actionItems || result.actionItems;
-        result.sentiment = analysis.sentiment || result.sentiment;
-        result.transcript = analysis.transcript || result.transcript;
-
-        // Extract SoT metadata from payload
-        const sot = exportPayload.sotMetadata || {};
-        result.sotMetadata = {
-            meetingType: sot.meetingType || 'general',
-            keyEntities: sot.keyEntities || { people: [], projects: [], organizations: [], products: [] },
-            temporalContext: sot.temporalContext || null,
-            topicTags: Array.isArray(sot.topicTags) ? sot.topicTags : [],
-            contentSignals: sot.contentSignals || null,
-            suggestedPerspective: sot.suggestedPerspective || null,
-            // Computed fields for grouping
-            temporalQuarter: sot.temporalContext?.quarter || null,
-            timeframe: sot.temporalContext?.timeframe || null,
-            hasRisks: (sot.contentSignals?.riskMentions || 0) > 2,
-            hasDecisions: (sot.contentSignals?.decisionsMade || 0) > 0,
-            isActionHeavy: (sot.contentSignals?.actionsAssigned || 0) > 3
-        };
-        // Expose key fields at top level for easy access
-        result.meetingType = result.sotMetadata.meetingType;
-        result.topicTags = result.sotMetadata.topicTags;
-        result.suggestedPerspective = result.sotMetadata.suggestedPerspective;
-        result.temporalQuarter = result.sotMetadata.temporalQuarter;
-    }
+    const exportPayload = loadAgentPayload(
+        extractAgentPayload(content, fileName) || buildLegacyAgentPayload({
+            frontmatter,
+            title: titleMatch ? result.title : null,
+            summary: result.summary,
+            keyPoints: result.keyPoints,
+            actionItems: result.actionItems,
+            sentiment: result.sentiment,
+            transcript: result.transcript
+        }),
+        fileName
+    ).payload;
+    const sanitizedPayload = sanitizeExportPayload(exportPayload);
+    result.payload = sanitizedPayload;
+    result.extendedContext = buildExtendedContext(sanitizedPayload);
+
+    if (exportPayload.agent?.name) {
+        result.title = exportPayload.agent.name;
+    }
+
+    if (exportPayload.agent?.readableDate) {
+        result.date = exportPayload.agent.readableDate;
+    } else if (exportPayload.agent?.created || exportPayload.exportedAt) {
+        const dateInput = exportPayload.agent?.created || exportPayload.exportedAt;
+        const parsedDate = new Date(dateInput);
+        result.date = isNaN(parsedDate.getTime())
+            ? dateInput
+            : parsedDate.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    result.sourceType = exportPayload.agent?.sourceType || exportPayload.source?.inputMode || result.sourceType;
+
+    const analysis = exportPayload.analysis || {};
+    result.summary = analysis.summary || result.summary;
+    result.keyPoints = analysis.keyPoints || result.keyPoints;
+    result.actionItems = analysis.actionItems || result.actionItems;
+    result.decisions = normalizeDecisions(analysis.decisions);
+    result.sentiment = analysis.sentiment || result.sentiment;
+    result.speakers = Array.isArray(analysis.speakers) ? analysis.speakers : [];
+    // Speaker-labelled transcripts keep "Name: ..." attribution for RLM queries
+    result.transcript = formatSpeakerTranscript(analysis.transcriptSegments, result.speakers)
+        || analysis.transcript
+        || result.transcript;
+
+    // Extract SoT metadata from payload
+    const sot = exportPayload.sotMetadata || {};
+    result.sotMetadata = {
+        meetingType: sot.meetingType || 'general',
+        keyEntities: sot.keyEntities || { people: [], projects: [], organizations: [], products: [] },
+        temporalContext: sot.temporalContext || null,
+        topicTags: Array.isArray(sot.topicTags) ? sot.topicTags : [],
+        contentSignals: sot.contentSignals || null,
+        suggestedPerspective: sot.suggestedPerspective || null,
+        // Computed fields for grouping
+        temporalQuarter: sot.temporalContext?.quarter || null,
+        timeframe: sot.temporalContext?.timeframe || null,
+        hasRisks: (sot.contentSignals?.riskMentions || 0) > 2,
+        hasDecisions: (sot.contentSignals?.decisionsMade || 0) > 0,
+        isActionHeavy: (sot.contentSignals?.actionsAssigned || 0) > 3
+    };
+    // Expose key fields at top level for easy access
+    result.meetingType = result.sotMetadata.meetingType;
+    result.topicTags = result.sotMetadata.topicTags;
+    result.suggestedPerspective = result.sotMetadata.suggestedPerspective;
+    result.temporalQuarter = result.sotMetadata.temporalQuarter;
 
     return result;
 }
@@ -3731,6 +5337,7 @@ function removeAgent(index) {
 }
 
 function clearAllAgents() {
+    startNewLibrarySession(); // Saves the current session first; it stays in the library
     state.agents = [];
     state.insights = null;
     state.chatHistory = [];
@@ -3745,32 +5352,15 @@ function clearAllAgents() {
     // Clear the 3D canvas
     if (kbCanvas) {
         kbCanvas.clear();
-    }
-
-    updateUI();
-}
-
-/**
- * Clear the chat and query caches
- * Clears: RLM query cache, chat history, and resets chat UI
- */
-function clearChatAndCache() {
-    // Clear RLM query cache
-    rlmPipeline.clearCache();
-    
-    // Clear chat history
-    state.chatHistory = [];
-    resetSignalMemory();
-    
-    // Clear chat session storage
-    sessionStorage.removeItem(STORAGE_KEYS.CHAT_HISTORY);
-    sessionStorage.removeItem(STORAGE_KEYS.SIGNAL_STATE);
-    sessionStorage.removeItem(STORAGE_KEYS.STATE_BLOCK_MD);
-    sessionStorage.removeItem(STORAGE_KEYS.SUMMARY_LAST_TURN);
-    sessionStorage.removeItem(STORAGE_KEYS.MEMORY_INDEX);
-    sessionStorage.removeItem(STORAGE_KEYS.PROMPT_COUNTER);
-    
-    // Reset chat UI to welcome state
+    }
+
+    updateUI();
+}
+
+/**
+ * Reset the chat panel to the welcome card
+ */
+function renderChatWelcome() {
     if (elements.chatMessages) {
         elements.chatMessages.innerHTML = `
             <div class="chat-welcome-card">
@@ -3804,6 +5394,30 @@ function clearChatAndCache() {
             });
         });
     }
+}
+
+/**
+ * Clear the chat and query caches
+ * Clears: RLM query cache, chat history, and resets chat UI
+ */
+function clearChatAndCache() {
+    // Clear RLM query cache
+    rlmPipeline.clearCache();
+    
+    // Clear chat history
+    state.chatHistory = [];
+    resetSignalMemory();
+    
+    // Clear chat session storage
+    sessionStorage.removeItem(STORAGE_KEYS.CHAT_HISTORY);
+    sessionStorage.removeItem(STORAGE_KEYS.SIGNAL_STATE);
+    sessionStorage.removeItem(STORAGE_KEYS.STATE_BLOCK_MD);
+    sessionStorage.removeItem(STORAGE_KEYS.SUMMARY_LAST_TURN);
+    sessionStorage.removeItem(STORAGE_KEYS.MEMORY_INDEX);
+    sessionStorage.removeItem(STORAGE_KEYS.PROMPT_COUNTER);
+    
+    // Reset chat UI to welcome state
+    renderChatWelcome();
     
     // Show temporary feedback on button
     if (elements.clearCacheBtn) {
@@ -3817,6 +5431,7 @@ function clearChatAndCache() {
     }
 
     updateContextGauge();
+    saveState();
     
     console.log('[Orchestrator] Chat history and query cache cleared');
 }
@@ -3825,1176 +5440,1603 @@ function clearChatAndCache() {
 // UI Updates
 // ============================================
 
-function updateUI() {
-    updateAgentsList();
-    updateButtonStates();
-    updateSectionsVisibility();
-    syncAgentsToRLM();
-    updateContextGauge();
-    // Update list view if active
-    if (kbViewMode === 'list') {
-        renderAgentListView();
-    }
-    saveState(); // Save state after UI updates
+function updateUI() {
+    // Sync first: canvas edges merge entity aliases through the RLM entity index
+    syncAgentsToRLM();
+    updateAgentsList();
+    updateButtonStates();
+    updateSectionsVisibility();
+    updateContextGauge();
+    // Update list view if active
+    if (kbViewMode === 'list') {
+        renderAgentListView();
+    }
+    saveState(); // Save state after UI updates
+}
+
+/**
+ * Sync agents and groups to the RLM context store
+ * This keeps the RLM pipeline in sync with the current agent and group state
+ */
+function syncAgentsToRLM() {
+    try {
+        rlmPipeline.loadAgents(state.agents);
+        // Also sync groups for group-aware queries
+        if (rlmPipeline.setGroups) {
+            rlmPipeline.setGroups(state.groups);
+        }
+    } catch (error) {
+        console.warn('[RLM] Failed to sync agents:', error.message);
+    }
+}
+
+function updateAgentsList() {
+    const totalCount = state.agents.length;
+    const activeCount = state.agents.filter(a => a.enabled).length;
+
+    elements.agentsCount.textContent = totalCount;
+    if (elements.activeAgentsCount) {
+        elements.activeAgentsCount.textContent = activeCount;
+    }
+    if (elements.chatAgentCount) {
+        elements.chatAgentCount.textContent = activeCount;
+    }
+
+    // Update brain status
+    updateBrainStatus();
+
+    // Show/hide empty state
+    if (elements.chainEmptyState) {
+        elements.chainEmptyState.style.display = totalCount === 0 ? 'flex' : 'none';
+    }
+
+    // Use 3D Canvas if available
+    if (kbCanvas) {
+        updateAgentsListCanvas();
+        return;
+    }
+
+    // Fallback: Legacy render mode
+    updateAgentsListLegacy();
+}
+
+/**
+ * Update agents list using 3D Canvas
+ */
+function updateAgentsListCanvas() {
+    // Update groups data in canvas (just stores, doesn't render yet)
+    kbCanvas.setGroups(state.groups);
+
+    // Get current node IDs in canvas
+    const canvasIds = new Set(kbCanvas.nodes.keys());
+    const agentIds = new Set(state.agents.map(a => a.id));
+
+    // Remove nodes that no longer exist
+    canvasIds.forEach(id => {
+        if (!agentIds.has(id)) {
+            kbCanvas.removeNode(id);
+        }
+    });
+
+    // Add or update each agent
+    state.agents.forEach((agent, index) => {
+        agent.index = index;
+
+        if (kbCanvas.nodes.has(agent.id)) {
+            kbCanvas.updateNode(agent);
+        } else {
+            kbCanvas.addNode(agent, agent.position);
+        }
+    });
+
+    // Now that nodes are added, refresh group containers
+    kbCanvas.refreshGroupContainers();
+
+    // Update connections after all nodes are positioned
+    kbCanvas.updateConnections();
+}
+
+/**
+ * Legacy render mode for browsers without canvas support
+ */
+function updateAgentsListLegacy() {
+    const nodesHtml = state.agents.map((agent, index) => `
+        <div class="agent-node ${agent.enabled ? '' : 'disabled'}" data-id="${agent.id}" data-index="${index}">
+            <div class="agent-node-icon">${agent.enabled ? '📋' : '📋'}</div>
+            <input type="text"
+                   class="agent-node-name"
+                   value="${escapeHtml(agent.displayName)}"
+                   data-index="${index}"
+                   title="Click to edit name" />
+            <div class="agent-node-meta">${agent.date || 'No date'}</div>
+            <div class="agent-node-controls">
+                <button class="agent-control-btn toggle-btn ${agent.enabled ? 'active' : ''}"
+                        data-index="${index}"
+                        title="${agent.enabled ? 'Disable agent' : 'Enable agent'}">
+                    ${agent.enabled ? '●' : '○'}
+                </button>
+                <button class="agent-control-btn remove-btn"
+                        data-index="${index}"
+                        title="Remove agent permanently">
+                    ✕
+                </button>
+            </div>
+        </div>
+    `).join('');
+
+    // Keep the empty state element, append nodes
+    if (elements.chainEmptyState) {
+        elements.agentsList.innerHTML = '';
+        elements.agentsList.appendChild(elements.chainEmptyState);
+        elements.agentsList.insertAdjacentHTML('beforeend', nodesHtml);
+        elements.chainEmptyState.style.display = state.agents.length === 0 ? 'flex' : 'none';
+    } else {
+        elements.agentsList.innerHTML = nodesHtml;
+    }
+
+    // Add event handlers
+    elements.agentsList.querySelectorAll('.toggle-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            toggleAgent(parseInt(btn.dataset.index));
+        });
+    });
+
+    elements.agentsList.querySelectorAll('.remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            removeAgent(parseInt(btn.dataset.index));
+        });
+    });
+
+    elements.agentsList.querySelectorAll('.agent-node-name').forEach(input => {
+        input.addEventListener('change', (e) => {
+            updateAgentName(parseInt(input.dataset.index), e.target.value);
+        });
+        input.addEventListener('blur', (e) => {
+            updateAgentName(parseInt(input.dataset.index), e.target.value);
+        });
+    });
+}
+
+function toggleAgent(index) {
+    if (state.agents[index]) {
+        state.agents[index].enabled = !state.agents[index].enabled;
+        updateUI();
+    }
+}
+
+function updateAgentName(index, newName) {
+    if (state.agents[index] && newName.trim()) {
+        state.agents[index].displayName = newName.trim();
+    }
+}
+
+function updateBrainStatus() {
+    const brainStatusEl = elements.brainStatus || document.getElementById('brain-status');
+    if (!brainStatusEl) return;
+
+    const activeCount = state.agents.filter(a => a.enabled).length;
+    const statusDot = brainStatusEl.querySelector('.status-dot') || document.createElement('span');
+
+    if (activeCount === 0) {
+        brainStatusEl.innerHTML = '<span class="status-dot"></span> Waiting for agents...';
+        brainStatusEl.classList.remove('ready');
+    } else if (activeCount === 1) {
+        brainStatusEl.innerHTML = '<span class="status-dot"></span> Ready • 1 agent active';
+        brainStatusEl.classList.add('ready');
+    } else {
+        brainStatusEl.innerHTML = `<span class="status-dot"></span> Ready • ${activeCount} agents active`;
+        brainStatusEl.classList.add('ready');
+    }
+
+    // Also update active agents chips
+    renderActiveAgentChips();
+}
+
+/**
+ * Render active agent chips in the chat header
+ */
+function renderActiveAgentChips() {
+    if (!elements.activeAgentsChips || !elements.activeAgentsRow) return;
+
+    const agents = state.agents;
+    const maxVisible = 4;
+
+    if (agents.length === 0) {
+        elements.activeAgentsRow.classList.add('hidden');
+        return;
+    }
+
+    elements.activeAgentsRow.classList.remove('hidden');
+
+    const visibleAgents = agents.slice(0, maxVisible);
+    const overflowCount = agents.length - maxVisible;
+
+    const chipsHtml = visibleAgents.map((agent, index) => `
+        <button class="active-agent-chip ${agent.enabled ? '' : 'disabled'}"
+                data-index="${index}"
+                title="${agent.enabled ? 'Click to disable' : 'Click to enable'}">
+            <span class="chip-status"></span>
+            <span class="chip-name">${escapeHtml(agent.displayName || agent.filename)}</span>
+        </button>
+    `).join('');
+
+    const overflowHtml = overflowCount > 0
+        ? `<span class="active-agent-chip agents-overflow-chip">+${overflowCount} more</span>`
+        : '';
+
+    elements.activeAgentsChips.innerHTML = chipsHtml + overflowHtml;
+
+    // Add click handlers
+    elements.activeAgentsChips.querySelectorAll('.active-agent-chip:not(.agents-overflow-chip)').forEach(chip => {
+        chip.addEventListener('click', () => {
+            const index = parseInt(chip.dataset.index);
+            toggleAgent(index);
+        });
+    });
 }
 
 /**
- * Sync agents and groups to the RLM context store
- * This keeps the RLM pipeline in sync with the current agent and group state
+ * Render agent list view (table format)
  */
-function syncAgentsToRLM() {
-    try {
-        rlmPipeline.loadAgents(state.agents);
-        // Also sync groups for group-aware queries
-        if (rlmPipeline.setGroups) {
-            rlmPipeline.setGroups(state.groups);
-        }
-    } catch (error) {
-        console.warn('[RLM] Failed to sync agents:', error.message);
+function renderAgentListView() {
+    if (!elements.agentListTbody) return;
+
+    if (state.agents.length === 0) {
+        elements.agentListTbody.innerHTML = `
+            <tr>
+                <td colspan="5" style="text-align: center; padding: 2rem; color: var(--text-muted);">
+                    No agents loaded. <a href="index.html" style="color: var(--accent-primary);">Go to Agent Builder</a> to create agents.
+                </td>
+            </tr>
+        `;
+        return;
     }
-}
 
-function updateAgentsList() {
-    const totalCount = state.agents.length;
-    const activeCount = state.agents.filter(a => a.enabled).length;
+    const rowsHtml = state.agents.map((agent, index) => `
+        <tr data-index="${index}">
+            <td class="agent-name">${escapeHtml(agent.displayName || agent.filename)}</td>
+            <td class="agent-source">${agent.source || 'Unknown'}</td>
+            <td>${agent.date || 'No date'}</td>
+            <td>
+                <span class="agent-status ${agent.enabled ? 'active' : 'disabled'}">
+                    ${agent.enabled ? 'Active' : 'Disabled'}
+                </span>
+            </td>
+            <td class="agent-actions">
+                <button class="agent-action-btn toggle-btn" data-index="${index}" title="${agent.enabled ? 'Disable' : 'Enable'}">
+                    ${agent.enabled ? 'Disable' : 'Enable'}
+                </button>
+                <button class="agent-action-btn danger remove-btn" data-index="${index}" title="Remove">
+                    Remove
+                </button>
+            </td>
+        </tr>
+    `).join('');
 
-    elements.agentsCount.textContent = totalCount;
-    if (elements.activeAgentsCount) {
-        elements.activeAgentsCount.textContent = activeCount;
-    }
-    if (elements.chatAgentCount) {
-        elements.chatAgentCount.textContent = activeCount;
-    }
+    elements.agentListTbody.innerHTML = rowsHtml;
 
-    // Update brain status
-    updateBrainStatus();
+    // Add event handlers
+    elements.agentListTbody.querySelectorAll('.toggle-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            toggleAgent(parseInt(btn.dataset.index));
+        });
+    });
 
-    // Show/hide empty state
-    if (elements.chainEmptyState) {
-        elements.chainEmptyState.style.display = totalCount === 0 ? 'flex' : 'none';
+    elements.agentListTbody.querySelectorAll('.remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            removeAgent(parseInt(btn.dataset.index));
+        });
+    });
+}
+
+/**
+ * Toggle KB view mode between canvas and list
+ */
+function setKBViewMode(mode) {
+    kbViewMode = mode;
+
+    // Update toggle buttons
+    if (elements.kbViewToggle) {
+        elements.kbViewToggle.querySelectorAll('.view-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === mode);
+        });
     }
 
-    // Use 3D Canvas if available
-    if (kbCanvas) {
-        updateAgentsListCanvas();
-        return;
+    // Toggle visibility
+    if (elements.kb3dSpace) {
+        elements.kb3dSpace.style.display = mode === 'canvas' ? 'block' : 'none';
+    }
+    if (elements.kbListView) {
+        elements.kbListView.classList.toggle('hidden', mode !== 'list');
     }
 
-    // Fallback: Legacy render mode
-    updateAgentsListLegacy();
+    // Render list view if switching to it
+    if (mode === 'list') {
+        renderAgentListView();
+    }
 }
 
 /**
- * Update agents list using 3D Canvas
+ * Show a toast notification
+ * @param {string} message - Message to display
+ * @param {'success'|'error'|'warning'} type - Toast type
+ * @param {number} duration - Duration in ms (default 4000)
  */
-function updateAgentsListCanvas() {
-    // Update groups data in canvas (just stores, doesn't render yet)
-    kbCanvas.setGroups(state.groups);
+function showToast(message, type = 'success', duration = 4000) {
+    if (!elements.toastContainer) return;
 
-    // Get current node IDs in canvas
-    const canvasIds = new Set(kbCanvas.nodes.keys());
-    const agentIds = new Set(state.agents.map(a => a.id));
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
 
-    // Remove nodes that no longer exist
-    canvasIds.forEach(id => {
-        if (!agentIds.has(id)) {
-            kbCanvas.removeNode(id);
-        }
-    });
+    const icons = {
+        success: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 6L9 17l-5-5"/></svg>',
+        error: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M15 9l-6 6M9 9l6 6"/></svg>',
+        warning: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 9v4M12 17h.01"/><path d="M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z"/></svg>'
+    };
 
-    // Add or update each agent
-    state.agents.forEach((agent, index) => {
-        agent.index = index;
+    toast.innerHTML = `
+        <span class="toast-icon">${icons[type] || icons.success}</span>
+        <span class="toast-message">${message}</span>
+        <button class="toast-dismiss" aria-label="Dismiss">×</button>
+    `;
 
-        if (kbCanvas.nodes.has(agent.id)) {
-            kbCanvas.updateNode(agent);
-        } else {
-            kbCanvas.addNode(agent, agent.position);
-        }
-    });
+    elements.toastContainer.appendChild(toast);
 
-    // Now that nodes are added, refresh group containers
-    kbCanvas.refreshGroupContainers();
+    // Dismiss handler
+    const dismiss = () => {
+        toast.classList.add('exiting');
+        setTimeout(() => toast.remove(), 300);
+    };
 
-    // Update connections after all nodes are positioned
-    kbCanvas.updateConnections();
+    toast.querySelector('.toast-dismiss').addEventListener('click', dismiss);
+
+    // Auto-dismiss
+    if (duration > 0) {
+        setTimeout(dismiss, duration);
+    }
+
+    return toast;
 }
 
-/**
- * Legacy render mode for browsers without canvas support
- */
-function updateAgentsListLegacy() {
-    const nodesHtml = state.agents.map((agent, index) => `
-        <div class="agent-node ${agent.enabled ? '' : 'disabled'}" data-id="${agent.id}" data-index="${index}">
-            <div class="agent-node-icon">${agent.enabled ? '📋' : '📋'}</div>
-            <input type="text"
-                   class="agent-node-name"
-                   value="${escapeHtml(agent.displayName)}"
-                   data-index="${index}"
-                   title="Click to edit name" />
-            <div class="agent-node-meta">${agent.date || 'No date'}</div>
-            <div class="agent-node-controls">
-                <button class="agent-control-btn toggle-btn ${agent.enabled ? 'active' : ''}"
-                        data-index="${index}"
-                        title="${agent.enabled ? 'Disable agent' : 'Enable agent'}">
-                    ${agent.enabled ? '●' : '○'}
-                </button>
-                <button class="agent-control-btn remove-btn"
-                        data-index="${index}"
-                        title="Remove agent permanently">
-                    ✕
-                </button>
-            </div>
-        </div>
-    `).join('');
+function autoResizeTextarea() {
+    const textarea = elements.chatInput;
+    if (!textarea) return;
+    
+    textarea.style.height = 'auto';
+    textarea.style.height = Math.min(textarea.scrollHeight, 120) + 'px';
+    updateContextGauge();
+}
 
-    // Keep the empty state element, append nodes
-    if (elements.chainEmptyState) {
-        elements.agentsList.innerHTML = '';
-        elements.agentsList.appendChild(elements.chainEmptyState);
-        elements.agentsList.insertAdjacentHTML('beforeend', nodesHtml);
-        elements.chainEmptyState.style.display = state.agents.length === 0 ? 'flex' : 'none';
+function updateButtonStates() {
+    const activeAgents = state.agents.filter(a => a.enabled);
+    const hasEnoughAgents = activeAgents.length >= 2;
+    const hasApiKey = hasApiAccess();
+    
+    elements.generateInsightsBtn.disabled = !hasEnoughAgents || !hasApiKey || state.isProcessing;
+    
+    if (activeAgents.length === 0) {
+        elements.generateInsightsBtn.title = 'Enable at least 2 agents for cross-meeting insights';
+    } else if (activeAgents.length === 1) {
+        elements.generateInsightsBtn.title = 'Enable at least 2 agents for cross-meeting insights';
+    } else if (!hasApiKey) {
+        elements.generateInsightsBtn.title = 'Enter your API key first';
     } else {
-        elements.agentsList.innerHTML = nodesHtml;
+        elements.generateInsightsBtn.title = `Generate insights from ${activeAgents.length} active agents`;
+    }
+    
+    // Update chat indicator
+    if (elements.chatKbIndicator) {
+        const indicatorDot = elements.chatKbIndicator.querySelector('.indicator-dot');
+        if (indicatorDot) {
+            if (activeAgents.length > 0) {
+                indicatorDot.classList.add('active');
+            } else {
+                indicatorDot.classList.remove('active');
+            }
+        }
+    }
+
+    if (elements.runTestPromptingBtn) {
+        const hasActiveAgents = activeAgents.length > 0;
+        elements.runTestPromptingBtn.disabled = !hasActiveAgents || !hasApiKey || state.isProcessing;
+        if (!hasActiveAgents) {
+            elements.runTestPromptingBtn.title = 'Upload and enable at least one agent to run tests';
+        } else if (!hasApiKey) {
+            elements.runTestPromptingBtn.title = 'Enter your API key first';
+        } else if (state.isProcessing) {
+            elements.runTestPromptingBtn.title = 'Finish the current task before running a test';
+        } else {
+            elements.runTestPromptingBtn.title = 'Run a curated prompt test';
+        }
     }
+}
 
-    // Add event handlers
-    elements.agentsList.querySelectorAll('.toggle-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            toggleAgent(parseInt(btn.dataset.index));
-        });
-    });
+// ============================================
+// Test Prompting
+// ============================================
 
-    elements.agentsList.querySelectorAll('.remove-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            removeAgent(parseInt(btn.dataset.index));
-        });
-    });
+function initializeTestPrompts() {
+    if (testPromptState.prompts.length === 0) {
+        testPromptState.prompts = DEFAULT_TEST_PROMPTS.map(prompt => createTestPrompt(prompt));
+    }
+    updateTestSelectedCount();
+}
 
-    elements.agentsList.querySelectorAll('.agent-node-name').forEach(input => {
-        input.addEventListener('change', (e) => {
-            updateAgentName(parseInt(input.dataset.index), e.target.value);
-        });
-        input.addEventListener('blur', (e) => {
-            updateAgentName(parseInt(input.dataset.index), e.target.value);
-        });
-    });
+function getTestSettingsSnapshot(source = state.settings) {
+    return TEST_SETTINGS_KEYS.reduce((acc, key) => {
+        acc[key] = source[key];
+        return acc;
+    }, {});
 }
 
-function toggleAgent(index) {
-    if (state.agents[index]) {
-        state.agents[index].enabled = !state.agents[index].enabled;
-        updateUI();
+function normalizeTestSettings(settings) {
+    const normalized = { ...settings };
+    if (!normalized.useRLM) {
+        normalized.rlmAuto = false;
+    }
+    if (!normalized.enableFocusShadow) {
+        normalized.enableFocusEpisodes = false;
+    }
+    if (normalized.enableFocusEpisodes) {
+        normalized.enableFocusShadow = true;
     }
+    return normalized;
 }
 
-function updateAgentName(index, newName) {
-    if (state.agents[index] && newName.trim()) {
-        state.agents[index].displayName = newName.trim();
+function initializeTestSettings() {
+    testPromptState.settings = normalizeTestSettings(getTestSettingsSnapshot());
+    updateTestSettingsUI();
+}
+
+function updateTestSettingsUI() {
+    if (!testPromptState.settings) return;
+
+    if (elements.testRlmToggle) {
+        elements.testRlmToggle.checked = testPromptState.settings.useRLM;
+    }
+    if (elements.testRlmAutoToggle) {
+        elements.testRlmAutoToggle.checked = testPromptState.settings.rlmAuto;
+        elements.testRlmAutoToggle.disabled = !testPromptState.settings.useRLM;
+    }
+    if (elements.testShadowPromptToggle) {
+        elements.testShadowPromptToggle.checked = testPromptState.settings.enableShadowPrompt;
+    }
+    if (elements.testRetrievalPromptToggle) {
+        elements.testRetrievalPromptToggle.checked = testPromptState.settings.enableRetrievalPrompt;
+    }
+    if (elements.testFocusShadowToggle) {
+        elements.testFocusShadowToggle.checked = testPromptState.settings.enableFocusShadow;
+    }
+    if (elements.testFocusEpisodesToggle) {
+        elements.testFocusEpisodesToggle.checked = testPromptState.settings.enableFocusEpisodes;
+        elements.testFocusEpisodesToggle.disabled = !testPromptState.settings.enableFocusShadow;
+    }
+    if (elements.testPromptBudgetToggle) {
+        elements.testPromptBudgetToggle.checked = testPromptState.settings.enablePromptBudgeting;
+    }
+    if (elements.testMemoryDebugToggle) {
+        elements.testMemoryDebugToggle.checked = testPromptState.settings.showMemoryDebug;
     }
 }
 
-function updateBrainStatus() {
-    const brainStatusEl = elements.brainStatus || document.getElementById('brain-status');
-    if (!brainStatusEl) return;
+function updateTestSetting(key, value) {
+    if (!testPromptState.settings) {
+        testPromptState.settings = normalizeTestSettings(getTestSettingsSnapshot());
+    }
+    testPromptState.settings = normalizeTestSettings({
+        ...testPromptState.settings,
+        [key]: value
+    });
+    updateTestSettingsUI();
+}
 
-    const activeCount = state.agents.filter(a => a.enabled).length;
-    const statusDot = brainStatusEl.querySelector('.status-dot') || document.createElement('span');
+function formatTestSettingsSummary(settings) {
+    if (!settings) return '';
+    const status = (flag) => flag ? 'On' : 'Off';
+    const parts = [];
+    if (settings.model) {
+        parts.push(`Model: ${formatModelName(settings.model)}`);
+    }
+    if (settings.effort) {
+        parts.push(`Effort: ${settings.effort}`);
+    }
+    parts.push(
+        `RLM: ${status(settings.useRLM)}`,
+        `RLM Auto: ${status(settings.rlmAuto)}`,
+        `Shadow Prompt: ${status(settings.enableShadowPrompt)}`,
+        `Retrieval Prompt: ${status(settings.enableRetrievalPrompt)}`,
+        `Focus Shadow: ${status(settings.enableFocusShadow)}`,
+        `Focus Episodes: ${status(settings.enableFocusEpisodes)}`,
+        `Prompt Guardrails: ${status(settings.enablePromptBudgeting)}`,
+        `Memory Debug: ${status(settings.showMemoryDebug)}`
+    );
+    return parts.join(' • ');
+}
 
-    if (activeCount === 0) {
-        brainStatusEl.innerHTML = '<span class="status-dot"></span> Waiting for agents...';
-        brainStatusEl.classList.remove('ready');
-    } else if (activeCount === 1) {
-        brainStatusEl.innerHTML = '<span class="status-dot"></span> Ready • 1 agent active';
-        brainStatusEl.classList.add('ready');
+function formatConfigSettingsSummary(settings) {
+    if (!settings) return '';
+    const parts = [];
+    parts.push(formatModelName(settings.model || state.settings.model));
+    if (settings.useRLM) {
+        parts.push('RLM');
+        if (settings.enableShadowPrompt) parts.push('Shadow');
     } else {
-        brainStatusEl.innerHTML = `<span class="status-dot"></span> Ready • ${activeCount} agents active`;
-        brainStatusEl.classList.add('ready');
+        parts.push('Direct');
     }
-
-    // Also update active agents chips
-    renderActiveAgentChips();
+    return parts.join(' | ');
 }
 
-/**
- * Render active agent chips in the chat header
- */
-function renderActiveAgentChips() {
-    if (!elements.activeAgentsChips || !elements.activeAgentsRow) return;
+function renderTestConfigurations() {
+    const container = elements.testConfigList;
+    if (!container) return;
 
-    const agents = state.agents;
-    const maxVisible = 4;
+    container.innerHTML = '';
+    const enabledCount = getEnabledConfigurations().length;
 
-    if (agents.length === 0) {
-        elements.activeAgentsRow.classList.add('hidden');
-        return;
-    }
+    testPromptState.configurations.forEach((config, index) => {
+        const card = document.createElement('div');
+        card.className = `test-config-card ${config.enabled ? 'enabled' : 'disabled'} ${config.expanded ? 'expanded' : ''}`;
+        card.dataset.configId = config.id;
 
-    elements.activeAgentsRow.classList.remove('hidden');
+        const header = document.createElement('div');
+        header.className = 'test-config-header';
 
-    const visibleAgents = agents.slice(0, maxVisible);
-    const overflowCount = agents.length - maxVisible;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = config.enabled;
+        checkbox.className = 'test-config-checkbox';
+        checkbox.addEventListener('change', () => toggleConfigurationEnabled(config.id));
 
-    const chipsHtml = visibleAgents.map((agent, index) => `
-        <button class="active-agent-chip ${agent.enabled ? '' : 'disabled'}"
-                data-index="${index}"
-                title="${agent.enabled ? 'Click to disable' : 'Click to enable'}">
-            <span class="chip-status"></span>
-            <span class="chip-name">${escapeHtml(agent.displayName || agent.filename)}</span>
-        </button>
-    `).join('');
+        const nameContainer = document.createElement('div');
+        nameContainer.className = 'test-config-name-container';
 
-    const overflowHtml = overflowCount > 0
-        ? `<span class="active-agent-chip agents-overflow-chip">+${overflowCount} more</span>`
-        : '';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'test-config-name';
+        nameInput.value = config.name;
+        nameInput.placeholder = 'Configuration name...';
+        nameInput.addEventListener('change', (e) => {
+            updateTestConfiguration(config.id, { name: e.target.value });
+        });
+        nameInput.addEventListener('click', (e) => e.stopPropagation());
 
-    elements.activeAgentsChips.innerHTML = chipsHtml + overflowHtml;
+        const summary = document.createElement('div');
+        summary.className = 'test-config-summary';
+        summary.textContent = formatConfigSettingsSummary(config.settings);
 
-    // Add click handlers
-    elements.activeAgentsChips.querySelectorAll('.active-agent-chip:not(.agents-overflow-chip)').forEach(chip => {
-        chip.addEventListener('click', () => {
-            const index = parseInt(chip.dataset.index);
-            toggleAgent(index);
+        nameContainer.appendChild(nameInput);
+        nameContainer.appendChild(summary);
+
+        const actions = document.createElement('div');
+        actions.className = 'test-config-actions';
+
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'btn-text btn-sm test-config-edit-btn';
+        editBtn.textContent = config.expanded ? 'Collapse' : 'Edit';
+        editBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleConfigurationExpanded(config.id);
         });
-    });
-}
 
-/**
- * Render agent list view (table format)
- */
-function renderAgentListView() {
-    if (!elements.agentListTbody) return;
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn-text btn-sm test-config-remove-btn';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove configuration';
+        removeBtn.disabled = testPromptState.configurations.length <= 1;
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (testPromptState.configurations.length > 1) {
+                removeTestConfiguration(config.id);
+            }
+        });
 
-    if (state.agents.length === 0) {
-        elements.agentListTbody.innerHTML = `
-            <tr>
-                <td colspan="5" style="text-align: center; padding: 2rem; color: var(--text-muted);">
-                    No agents loaded. <a href="index.html" style="color: var(--accent-primary);">Go to Agent Builder</a> to create agents.
-                </td>
-            </tr>
-        `;
-        return;
+        actions.appendChild(editBtn);
+        actions.appendChild(removeBtn);
+
+        header.appendChild(checkbox);
+        header.appendChild(nameContainer);
+        header.appendChild(actions);
+        card.appendChild(header);
+
+        // Inline editor (expanded state)
+        if (config.expanded) {
+            const editor = createConfigEditor(config);
+            card.appendChild(editor);
+        }
+
+        container.appendChild(card);
+    });
+
+    // Update enabled count display
+    if (elements.testConfigCount) {
+        elements.testConfigCount.textContent = `${enabledCount} enabled`;
     }
+}
 
-    const rowsHtml = state.agents.map((agent, index) => `
-        <tr data-index="${index}">
-            <td class="agent-name">${escapeHtml(agent.displayName || agent.filename)}</td>
-            <td class="agent-source">${agent.source || 'Unknown'}</td>
-            <td>${agent.date || 'No date'}</td>
-            <td>
-                <span class="agent-status ${agent.enabled ? 'active' : 'disabled'}">
-                    ${agent.enabled ? 'Active' : 'Disabled'}
-                </span>
-            </td>
-            <td class="agent-actions">
-                <button class="agent-action-btn toggle-btn" data-index="${index}" title="${agent.enabled ? 'Disable' : 'Enable'}">
-                    ${agent.enabled ? 'Disable' : 'Enable'}
-                </button>
-                <button class="agent-action-btn danger remove-btn" data-index="${index}" title="Remove">
-                    Remove
-                </button>
-            </td>
-        </tr>
-    `).join('');
+function createConfigEditor(config) {
+    const editor = document.createElement('div');
+    editor.className = 'test-config-editor';
 
-    elements.agentListTbody.innerHTML = rowsHtml;
+    // Model and Effort row
+    const modelRow = document.createElement('div');
+    modelRow.className = 'test-config-model-row';
 
-    // Add event handlers
-    elements.agentListTbody.querySelectorAll('.toggle-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            toggleAgent(parseInt(btn.dataset.index));
-        });
+    // Model select
+    const modelGroup = document.createElement('div');
+    modelGroup.className = 'test-config-field';
+    const modelLabel = document.createElement('label');
+    modelLabel.textContent = 'Model';
+    const modelSelect = document.createElement('select');
+    modelSelect.className = 'test-config-select';
+    const models = [
+        { value: GPT_52_MODEL, label: 'GPT-5.2' },
+        { value: 'gpt-5-mini', label: 'GPT-5-mini' },
+        { value: 'gpt-5-nano', label: 'GPT-5-nano' }
+    ];
+    models.forEach(m => {
+        const opt = document.createElement('option');
+        opt.value = m.value;
+        opt.textContent = m.label;
+        opt.selected = config.settings.model === m.value;
+        modelSelect.appendChild(opt);
     });
-
-    elements.agentListTbody.querySelectorAll('.remove-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            removeAgent(parseInt(btn.dataset.index));
-        });
+    modelSelect.addEventListener('change', (e) => {
+        updateTestConfiguration(config.id, { settings: { model: e.target.value } });
     });
-}
+    modelGroup.appendChild(modelLabel);
+    modelGroup.appendChild(modelSelect);
 
-/**
- * Toggle KB view mode between canvas and list
- */
-function setKBViewMode(mode) {
-    kbViewMode = mode;
+    // Effort select
+    const effortGroup = document.createElement('div');
+    effortGroup.className = 'test-config-field';
+    const effortLabel = document.createElement('label');
+    effortLabel.textContent = 'Effort';
+    const effortSelect = document.createElement('select');
+    effortSelect.className = 'test-config-select';
+    const efforts = [
+        { value: 'none', label: 'None (Fast)' },
+        { value: 'low', label: 'Low' },
+        { value: 'medium', label: 'Medium' },
+        { value: 'high', label: 'High' },
+        { value: 'xhigh', label: 'X-High' }
+    ];
+    efforts.forEach(e => {
+        const opt = document.createElement('option');
+        opt.value = e.value;
+        opt.textContent = e.label;
+        opt.selected = config.settings.effort === e.value;
+        effortSelect.appendChild(opt);
+    });
+    effortSelect.addEventListener('change', (e) => {
+        updateTestConfiguration(config.id, { settings: { effort: e.target.value } });
+    });
+    effortGroup.appendChild(effortLabel);
+    effortGroup.appendChild(effortSelect);
 
-    // Update toggle buttons
-    if (elements.kbViewToggle) {
-        elements.kbViewToggle.querySelectorAll('.view-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.view === mode);
-        });
-    }
+    modelRow.appendChild(modelGroup);
+    modelRow.appendChild(effortGroup);
+    editor.appendChild(modelRow);
 
-    // Toggle visibility
-    if (elements.kb3dSpace) {
-        elements.kb3dSpace.style.display = mode === 'canvas' ? 'block' : 'none';
-    }
-    if (elements.kbListView) {
-        elements.kbListView.classList.toggle('hidden', mode !== 'list');
-    }
+    // Toggle grid for settings
+    const toggleGrid = document.createElement('div');
+    toggleGrid.className = 'test-config-toggle-grid';
 
-    // Render list view if switching to it
-    if (mode === 'list') {
-        renderAgentListView();
-    }
-}
+    const toggles = [
+        { key: 'useRLM', label: 'RLM' },
+        { key: 'rlmAuto', label: 'RLM Auto', disabledIf: () => !config.settings.useRLM },
+        { key: 'enableShadowPrompt', label: 'Shadow Prompt' },
+        { key: 'enableRetrievalPrompt', label: 'Retrieval Prompt' },
+        { key: 'enableFocusShadow', label: 'Focus Shadow' },
+        { key: 'enableFocusEpisodes', label: 'Focus Episodes', disabledIf: () => !config.settings.enableFocusShadow },
+        { key: 'enablePromptBudgeting', label: 'Prompt Guardrails' },
+        { key: 'showMemoryDebug', label: 'Memory Debug' }
+    ];
 
-/**
- * Show a toast notification
- * @param {string} message - Message to display
- * @param {'success'|'error'|'warning'} type - Toast type
- * @param {number} duration - Duration in ms (default 4000)
- */
-function showToast(message, type = 'success', duration = 4000) {
-    if (!elements.toastContainer) return;
+    toggles.forEach(t => {
+        const toggleItem = document.createElement('div');
+        toggleItem.className = 'test-config-toggle';
 
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
+        const toggleRow = document.createElement('div');
+        toggleRow.className = 'test-config-toggle-row';
 
-    const icons = {
-        success: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 6L9 17l-5-5"/></svg>',
-        error: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M15 9l-6 6M9 9l6 6"/></svg>',
-        warning: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 9v4M12 17h.01"/><path d="M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z"/></svg>'
-    };
+        const label = document.createElement('label');
+        label.textContent = t.label;
 
-    toast.innerHTML = `
-        <span class="toast-icon">${icons[type] || icons.success}</span>
-        <span class="toast-message">${message}</span>
-        <button class="toast-dismiss" aria-label="Dismiss">×</button>
-    `;
+        const switchLabel = document.createElement('label');
+        switchLabel.className = 'toggle-switch';
 
-    elements.toastContainer.appendChild(toast);
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = !!config.settings[t.key];
+        input.disabled = t.disabledIf ? t.disabledIf() : false;
+        input.addEventListener('change', () => {
+            const updates = { [t.key]: input.checked };
+            // Handle dependent settings
+            if (t.key === 'useRLM' && !input.checked) {
+                updates.rlmAuto = false;
+            }
+            if (t.key === 'enableFocusShadow' && !input.checked) {
+                updates.enableFocusEpisodes = false;
+            }
+            updateTestConfiguration(config.id, { settings: updates });
+        });
 
-    // Dismiss handler
-    const dismiss = () => {
-        toast.classList.add('exiting');
-        setTimeout(() => toast.remove(), 300);
-    };
+        const slider = document.createElement('span');
+        slider.className = 'toggle-slider';
 
-    toast.querySelector('.toast-dismiss').addEventListener('click', dismiss);
+        switchLabel.appendChild(input);
+        switchLabel.appendChild(slider);
 
-    // Auto-dismiss
-    if (duration > 0) {
-        setTimeout(dismiss, duration);
-    }
+        toggleRow.appendChild(label);
+        toggleRow.appendChild(switchLabel);
+        toggleItem.appendChild(toggleRow);
+        toggleGrid.appendChild(toggleItem);
+    });
 
-    return toast;
+    editor.appendChild(toggleGrid);
+    return editor;
 }
 
-function autoResizeTextarea() {
-    const textarea = elements.chatInput;
-    if (!textarea) return;
-    
-    textarea.style.height = 'auto';
-    textarea.style.height = Math.min(textarea.scrollHeight, 120) + 'px';
-    updateContextGauge();
+function updateTestSelectedCount() {
+    testPromptState.selectedCount = testPromptState.prompts.filter(prompt => prompt.selected).length;
+    if (elements.testSelectedCount) {
+        elements.testSelectedCount.textContent = testPromptState.selectedCount;
+    }
 }
 
-function updateButtonStates() {
-    const activeAgents = state.agents.filter(a => a.enabled);
-    const hasEnoughAgents = activeAgents.length >= 2;
-    const hasApiKey = state.apiKey.trim().length > 0;
-    
-    elements.generateInsightsBtn.disabled = !hasEnoughAgents || !hasApiKey || state.isProcessing;
-    
-    if (activeAgents.length === 0) {
-        elements.generateInsightsBtn.title = 'Enable at least 2 agents for cross-meeting insights';
-    } else if (activeAgents.length === 1) {
-        elements.generateInsightsBtn.title = 'Enable at least 2 agents for cross-meeting insights';
-    } else if (!hasApiKey) {
-        elements.generateInsightsBtn.title = 'Enter your API key first';
-    } else {
-        elements.generateInsightsBtn.title = `Generate insights from ${activeAgents.length} active agents`;
+function setTestPromptError(message = '') {
+    if (!elements.testPromptError) return;
+    if (!message) {
+        elements.testPromptError.classList.add('hidden');
+        elements.testPromptError.textContent = '';
+        return;
     }
-    
-    // Update chat indicator
-    if (elements.chatKbIndicator) {
-        const indicatorDot = elements.chatKbIndicator.querySelector('.indicator-dot');
-        if (indicatorDot) {
-            if (activeAgents.length > 0) {
-                indicatorDot.classList.add('active');
-            } else {
-                indicatorDot.classList.remove('active');
+    elements.testPromptError.textContent = message;
+    elements.testPromptError.classList.remove('hidden');
+}
+
+function renderTestPromptList() {
+    if (!elements.testPromptList) return;
+    elements.testPromptList.innerHTML = '';
+
+    testPromptState.prompts.forEach((prompt) => {
+        const row = document.createElement('div');
+        row.className = 'test-prompt-row';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = prompt.selected;
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked && testPromptState.selectedCount >= TEST_PROMPT_LIMIT) {
+                checkbox.checked = false;
+                setTestPromptError(`You can select up to ${TEST_PROMPT_LIMIT} prompts.`);
+                return;
             }
-        }
-    }
+            prompt.selected = checkbox.checked;
+            updateTestSelectedCount();
+            setTestPromptError('');
+        });
 
-    if (elements.runTestPromptingBtn) {
-        const hasActiveAgents = activeAgents.length > 0;
-        elements.runTestPromptingBtn.disabled = !hasActiveAgents || !hasApiKey || state.isProcessing;
-        if (!hasActiveAgents) {
-            elements.runTestPromptingBtn.title = 'Upload and enable at least one agent to run tests';
-        } else if (!hasApiKey) {
-            elements.runTestPromptingBtn.title = 'Enter your API key first';
-        } else if (state.isProcessing) {
-            elements.runTestPromptingBtn.title = 'Finish the current task before running a test';
+        const content = document.createElement('div');
+        const textarea = document.createElement('textarea');
+        textarea.value = prompt.text;
+        textarea.placeholder = 'Enter a test prompt...';
+        textarea.addEventListener('input', () => {
+            prompt.text = textarea.value;
+        });
+        const referenceInput = document.createElement('textarea');
+        referenceInput.className = 'test-prompt-reference';
+        referenceInput.value = prompt.reference || '';
+        referenceInput.placeholder = 'Reference answer (optional, used by the judge)...';
+        referenceInput.addEventListener('input', () => {
+            prompt.reference = referenceInput.value;
+        });
+        const tag = document.createElement('div');
+        tag.className = 'prompt-tag';
+        tag.textContent = prompt.isCustom ? 'Custom' : 'Preloaded';
+        content.appendChild(textarea);
+        content.appendChild(referenceInput);
+        content.appendChild(tag);
+
+        const actionSlot = document.createElement('div');
+        if (prompt.isCustom) {
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-text btn-sm';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                testPromptState.prompts = testPromptState.prompts.filter(item => item.id !== prompt.id);
+                updateTestSelectedCount();
+                renderTestPromptList();
+            });
+            actionSlot.appendChild(removeBtn);
         } else {
-            elements.runTestPromptingBtn.title = 'Run a curated prompt test';
+            actionSlot.className = 'prompt-tag';
+            actionSlot.textContent = 'Preset';
         }
-    }
-}
 
-// ============================================
-// Test Prompting
-// ============================================
+        row.appendChild(checkbox);
+        row.appendChild(content);
+        row.appendChild(actionSlot);
+        elements.testPromptList.appendChild(row);
+    });
+}
 
-function initializeTestPrompts() {
-    if (testPromptState.prompts.length === 0) {
-        testPromptState.prompts = DEFAULT_TEST_PROMPTS.map(prompt => createTestPrompt(prompt));
+function openTestPromptingModal() {
+    initializeTestPrompts();
+    initializeTestSettings();
+    initializeTestConfigurations();
+    renderTestPromptList();
+    renderTestConfigurations();
+    syncTestGradingControls();
+    renderTestBaselineStatus();
+    if (elements.testTrialsInput) {
+        elements.testTrialsInput.value = testPromptState.trials;
+    }
+    populateTestGroupFilter();
+    setTestPromptError('');
+    if (elements.testPromptingModal) {
+        elements.testPromptingModal.classList.remove('hidden');
     }
-    updateTestSelectedCount();
 }
 
-function getTestSettingsSnapshot(source = state.settings) {
-    return TEST_SETTINGS_KEYS.reduce((acc, key) => {
-        acc[key] = source[key];
-        return acc;
-    }, {});
-}
+/**
+ * Populate the test group filter with available groups
+ */
+function populateTestGroupFilter() {
+    if (!elements.testGroupFilter || !elements.testGroupFilterContainer) return;
 
-function normalizeTestSettings(settings) {
-    const normalized = { ...settings };
-    if (!normalized.useRLM) {
-        normalized.rlmAuto = false;
-    }
-    if (!normalized.enableFocusShadow) {
-        normalized.enableFocusEpisodes = false;
-    }
-    if (normalized.enableFocusEpisodes) {
-        normalized.enableFocusShadow = true;
+    // Show/hide based on whether groups exist
+    if (state.groups.length === 0) {
+        elements.testGroupFilterContainer.classList.add('hidden');
+        return;
     }
-    return normalized;
-}
 
-function initializeTestSettings() {
-    testPromptState.settings = normalizeTestSettings(getTestSettingsSnapshot());
-    updateTestSettingsUI();
-}
+    elements.testGroupFilterContainer.classList.remove('hidden');
 
-function updateTestSettingsUI() {
-    if (!testPromptState.settings) return;
+    // Clear existing options (except "All Agents")
+    elements.testGroupFilter.innerHTML = '<option value="all" selected>All Agents</option>';
 
-    if (elements.testRlmToggle) {
-        elements.testRlmToggle.checked = testPromptState.settings.useRLM;
-    }
-    if (elements.testRlmAutoToggle) {
-        elements.testRlmAutoToggle.checked = testPromptState.settings.rlmAuto;
-        elements.testRlmAutoToggle.disabled = !testPromptState.settings.useRLM;
-    }
-    if (elements.testShadowPromptToggle) {
-        elements.testShadowPromptToggle.checked = testPromptState.settings.enableShadowPrompt;
-    }
-    if (elements.testRetrievalPromptToggle) {
-        elements.testRetrievalPromptToggle.checked = testPromptState.settings.enableRetrievalPrompt;
-    }
-    if (elements.testFocusShadowToggle) {
-        elements.testFocusShadowToggle.checked = testPromptState.settings.enableFocusShadow;
-    }
-    if (elements.testFocusEpisodesToggle) {
-        elements.testFocusEpisodesToggle.checked = testPromptState.settings.enableFocusEpisodes;
-        elements.testFocusEpisodesToggle.disabled = !testPromptState.settings.enableFocusShadow;
-    }
-    if (elements.testPromptBudgetToggle) {
-        elements.testPromptBudgetToggle.checked = testPromptState.settings.enablePromptBudgeting;
-    }
-    if (elements.testMemoryDebugToggle) {
-        elements.testMemoryDebugToggle.checked = testPromptState.settings.showMemoryDebug;
-    }
+    // Add group options
+    state.groups.forEach(group => {
+        const option = document.createElement('option');
+        option.value = group.id;
+        option.textContent = `${group.icon} ${group.name} (${group.agentIds.length} agents)`;
+        elements.testGroupFilter.appendChild(option);
+    });
 }
 
-function updateTestSetting(key, value) {
-    if (!testPromptState.settings) {
-        testPromptState.settings = normalizeTestSettings(getTestSettingsSnapshot());
+/**
+ * Get selected group IDs from test filter
+ * @returns {Array|null} Array of group IDs or null for all
+ */
+function getTestGroupFilter() {
+    if (!elements.testGroupFilter) return null;
+
+    const selectedOptions = Array.from(elements.testGroupFilter.selectedOptions);
+    const values = selectedOptions.map(opt => opt.value);
+
+    // If "all" is selected or nothing selected, return null (no filter)
+    if (values.includes('all') || values.length === 0) {
+        return null;
     }
-    testPromptState.settings = normalizeTestSettings({
-        ...testPromptState.settings,
-        [key]: value
-    });
-    updateTestSettingsUI();
+
+    return values;
 }
 
-function formatTestSettingsSummary(settings) {
-    if (!settings) return '';
-    const status = (flag) => flag ? 'On' : 'Off';
-    const parts = [];
-    if (settings.model) {
-        parts.push(`Model: ${formatModelName(settings.model)}`);
-    }
-    if (settings.effort) {
-        parts.push(`Effort: ${settings.effort}`);
+function closeTestPromptingModal() {
+    if (elements.testPromptingModal) {
+        elements.testPromptingModal.classList.add('hidden');
     }
-    parts.push(
-        `RLM: ${status(settings.useRLM)}`,
-        `RLM Auto: ${status(settings.rlmAuto)}`,
-        `Shadow Prompt: ${status(settings.enableShadowPrompt)}`,
-        `Retrieval Prompt: ${status(settings.enableRetrievalPrompt)}`,
-        `Focus Shadow: ${status(settings.enableFocusShadow)}`,
-        `Focus Episodes: ${status(settings.enableFocusEpisodes)}`,
-        `Prompt Guardrails: ${status(settings.enablePromptBudgeting)}`,
-        `Memory Debug: ${status(settings.showMemoryDebug)}`
-    );
-    return parts.join(' • ');
+    setTestPromptError('');
 }
 
-function formatConfigSettingsSummary(settings) {
-    if (!settings) return '';
-    const parts = [];
-    parts.push(formatModelName(settings.model || state.settings.model));
-    if (settings.useRLM) {
-        parts.push('RLM');
-        if (settings.enableShadowPrompt) parts.push('Shadow');
-    } else {
-        parts.push('Direct');
+function addCustomTestPrompt() {
+    const canSelect = testPromptState.selectedCount < TEST_PROMPT_LIMIT;
+    const prompt = createTestPrompt('', { selected: canSelect, isCustom: true });
+    if (!canSelect) {
+        setTestPromptError(`You can only select up to ${TEST_PROMPT_LIMIT} prompts.`);
+    }
+    testPromptState.prompts.push(prompt);
+    updateTestSelectedCount();
+    renderTestPromptList();
+    const lastTextarea = elements.testPromptList?.querySelector('textarea:last-of-type');
+    if (lastTextarea) {
+        lastTextarea.focus();
     }
-    return parts.join(' | ');
 }
 
-function renderTestConfigurations() {
-    const container = elements.testConfigList;
-    if (!container) return;
+/**
+ * Parse CSV content and extract prompts
+ * Supports: "prompt_text" column, "prompt" column, or single-column CSVs.
+ * An optional "reference" / "expected" column supplies reference answers.
+ * @returns {Array<{text: string, reference: string}>}
+ */
+function parseCsvPrompts(csvText) {
+    const lines = csvText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    if (lines.length === 0) return [];
 
-    container.innerHTML = '';
-    const enabledCount = getEnabledConfigurations().length;
+    // Try to detect header row
+    const firstLine = lines[0].toLowerCase();
+    let hasHeader = firstLine.includes('prompt') || firstLine.includes('text') || firstLine.includes('question');
 
-    testPromptState.configurations.forEach((config, index) => {
-        const card = document.createElement('div');
-        card.className = `test-config-card ${config.enabled ? 'enabled' : 'disabled'} ${config.expanded ? 'expanded' : ''}`;
-        card.dataset.configId = config.id;
+    // Parse CSV properly handling quoted strings
+    const parseCSVLine = (line) => {
+        const result = [];
+        let current = '';
+        let inQuotes = false;
 
-        const header = document.createElement('div');
-        header.className = 'test-config-header';
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    // Escaped quote
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (char === ',' && !inQuotes) {
+                result.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        result.push(current.trim());
+        return result;
+    };
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.checked = config.enabled;
-        checkbox.className = 'test-config-checkbox';
-        checkbox.addEventListener('change', () => toggleConfigurationEnabled(config.id));
+    const dataLines = hasHeader ? lines.slice(1) : lines;
+    const prompts = [];
 
-        const nameContainer = document.createElement('div');
-        nameContainer.className = 'test-config-name-container';
+    // Determine column indexes for prompt text and reference answer
+    let promptColIndex = 0;
+    let referenceColIndex = -1;
+    if (hasHeader) {
+        const headers = parseCSVLine(lines[0]).map(h => h.toLowerCase().replace(/"/g, ''));
+        const promptIndex = headers.findIndex(h =>
+            h === 'prompt_text' || h === 'prompt' || h === 'text' || h === 'question'
+        );
+        if (promptIndex >= 0) {
+            promptColIndex = promptIndex;
+        }
+        referenceColIndex = headers.findIndex(h =>
+            h === 'reference' || h === 'reference_answer' || h === 'expected' || h === 'expected_answer'
+        );
+    }
 
-        const nameInput = document.createElement('input');
-        nameInput.type = 'text';
-        nameInput.className = 'test-config-name';
-        nameInput.value = config.name;
-        nameInput.placeholder = 'Configuration name...';
-        nameInput.addEventListener('change', (e) => {
-            updateTestConfiguration(config.id, { name: e.target.value });
-        });
-        nameInput.addEventListener('click', (e) => e.stopPropagation());
+    const cleanCell = (value) => {
+        let cell = value || '';
+        // Remove surrounding quotes if present
+        if (cell.startsWith('"') && cell.endsWith('"')) {
+            cell = cell.slice(1, -1);
+        }
+        // Unescape double quotes
+        return cell.replace(/""/g, '"').trim();
+    };
 
-        const summary = document.createElement('div');
-        summary.className = 'test-config-summary';
-        summary.textContent = formatConfigSettingsSummary(config.settings);
+    for (const line of dataLines) {
+        const columns = parseCSVLine(line);
+        if (columns.length > promptColIndex) {
+            const promptText = cleanCell(columns[promptColIndex]);
+            if (promptText.length > 0) {
+                prompts.push({
+                    text: promptText,
+                    reference: referenceColIndex >= 0 ? cleanCell(columns[referenceColIndex]) : ''
+                });
+            }
+        }
+    }
 
-        nameContainer.appendChild(nameInput);
-        nameContainer.appendChild(summary);
+    return prompts;
+}
 
-        const actions = document.createElement('div');
-        actions.className = 'test-config-actions';
+/**
+ * Handle CSV file import for test prompts
+ */
+function handleCsvImport(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
 
-        const editBtn = document.createElement('button');
-        editBtn.type = 'button';
-        editBtn.className = 'btn-text btn-sm test-config-edit-btn';
-        editBtn.textContent = config.expanded ? 'Collapse' : 'Edit';
-        editBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            toggleConfigurationExpanded(config.id);
-        });
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const csvText = e.target.result;
+            const prompts = parseCsvPrompts(csvText);
 
-        const removeBtn = document.createElement('button');
-        removeBtn.type = 'button';
-        removeBtn.className = 'btn-text btn-sm test-config-remove-btn';
-        removeBtn.textContent = '✕';
-        removeBtn.title = 'Remove configuration';
-        removeBtn.disabled = testPromptState.configurations.length <= 1;
-        removeBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            if (testPromptState.configurations.length > 1) {
-                removeTestConfiguration(config.id);
+            if (prompts.length === 0) {
+                setTestPromptError('No valid prompts found in CSV file. Ensure the file has a "prompt_text" or "prompt" column.');
+                return;
             }
-        });
 
-        actions.appendChild(editBtn);
-        actions.appendChild(removeBtn);
+            // Clear existing prompts and add imported ones
+            testPromptState.prompts = prompts.map((prompt, index) =>
+                createTestPrompt(prompt.text, {
+                    reference: prompt.reference,
+                    selected: index < TEST_PROMPT_LIMIT,
+                    isCustom: true
+                })
+            );
 
-        header.appendChild(checkbox);
-        header.appendChild(nameContainer);
-        header.appendChild(actions);
-        card.appendChild(header);
+            updateTestSelectedCount();
+            renderTestPromptList();
+            setTestPromptError('');
 
-        // Inline editor (expanded state)
-        if (config.expanded) {
-            const editor = createConfigEditor(config);
-            card.appendChild(editor);
+            // Show success message
+            const countMsg = prompts.length === 1 ? '1 prompt' : `${prompts.length} prompts`;
+            showTemporaryMessage(elements.importCsvBtn, `Imported ${countMsg}`, 'Import CSV');
+        } catch (err) {
+            console.error('CSV import error:', err);
+            setTestPromptError(`Failed to parse CSV: ${err.message}`);
         }
+    };
+    reader.onerror = () => {
+        setTestPromptError('Failed to read file');
+    };
+    reader.readAsText(file);
 
-        container.appendChild(card);
-    });
-
-    // Update enabled count display
-    if (elements.testConfigCount) {
-        elements.testConfigCount.textContent = `${enabledCount} enabled`;
-    }
+    // Reset the input so the same file can be selected again
+    event.target.value = '';
 }
 
-function createConfigEditor(config) {
-    const editor = document.createElement('div');
-    editor.className = 'test-config-editor';
-
-    // Model and Effort row
-    const modelRow = document.createElement('div');
-    modelRow.className = 'test-config-model-row';
-
-    // Model select
-    const modelGroup = document.createElement('div');
-    modelGroup.className = 'test-config-field';
-    const modelLabel = document.createElement('label');
-    modelLabel.textContent = 'Model';
-    const modelSelect = document.createElement('select');
-    modelSelect.className = 'test-config-select';
-    const models = [
-        { value: GPT_52_MODEL, label: 'GPT-5.2' },
-        { value: 'gpt-5-mini', label: 'GPT-5-mini' },
-        { value: 'gpt-5-nano', label: 'GPT-5-nano' }
-    ];
-    models.forEach(m => {
-        const opt = document.createElement('option');
-        opt.value = m.value;
-        opt.textContent = m.label;
-        opt.selected = config.settings.model === m.value;
-        modelSelect.appendChild(opt);
-    });
-    modelSelect.addEventListener('change', (e) => {
-        updateTestConfiguration(config.id, { settings: { model: e.target.value } });
-    });
-    modelGroup.appendChild(modelLabel);
-    modelGroup.appendChild(modelSelect);
-
-    // Effort select
-    const effortGroup = document.createElement('div');
-    effortGroup.className = 'test-config-field';
-    const effortLabel = document.createElement('label');
-    effortLabel.textContent = 'Effort';
-    const effortSelect = document.createElement('select');
-    effortSelect.className = 'test-config-select';
-    const efforts = [
-        { value: 'none', label: 'None (Fast)' },
-        { value: 'low', label: 'Low' },
-        { value: 'medium', label: 'Medium' },
-        { value: 'high', label: 'High' },
-        { value: 'xhigh', label: 'X-High' }
-    ];
-    efforts.forEach(e => {
-        const opt = document.createElement('option');
-        opt.value = e.value;
-        opt.textContent = e.label;
-        opt.selected = config.settings.effort === e.value;
-        effortSelect.appendChild(opt);
-    });
-    effortSelect.addEventListener('change', (e) => {
-        updateTestConfiguration(config.id, { settings: { effort: e.target.value } });
-    });
-    effortGroup.appendChild(effortLabel);
-    effortGroup.appendChild(effortSelect);
+/**
+ * Export test program (prompts + configurations) as JSON file
+ */
+function exportTestProgram() {
+    const selectedPrompts = getSelectedTestPrompts();
+    const allPrompts = testPromptState.prompts.map(p => ({
+        text: p.text,
+        ...(p.reference ? { reference: p.reference } : {}),
+        selected: p.selected,
+        isCustom: p.isCustom
+    }));
 
-    modelRow.appendChild(modelGroup);
-    modelRow.appendChild(effortGroup);
-    editor.appendChild(modelRow);
+    const program = {
+        version: '1.0',
+        exportedAt: new Date().toISOString(),
+        name: `Test Program - ${new Date().toLocaleDateString()}`,
+        prompts: allPrompts,
+        selectedCount: selectedPrompts.length,
+        configurations: testPromptState.configurations.map(config => ({
+            name: config.name,
+            enabled: config.enabled,
+            settings: { ...config.settings }
+        })),
+        grading: {
+            enabled: testPromptState.grading.enabled,
+            judgeModel: testPromptState.grading.judgeModel
+        },
+        trials: testPromptState.trials,
+        ...(testPromptState.baseline ? { baseline: testPromptState.baseline } : {})
+    };
 
-    // Toggle grid for settings
-    const toggleGrid = document.createElement('div');
-    toggleGrid.className = 'test-config-toggle-grid';
+    const json = JSON.stringify(program, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
 
-    const toggles = [
-        { key: 'useRLM', label: 'RLM' },
-        { key: 'rlmAuto', label: 'RLM Auto', disabledIf: () => !config.settings.useRLM },
-        { key: 'enableShadowPrompt', label: 'Shadow Prompt' },
-        { key: 'enableRetrievalPrompt', label: 'Retrieval Prompt' },
-        { key: 'enableFocusShadow', label: 'Focus Shadow' },
-        { key: 'enableFocusEpisodes', label: 'Focus Episodes', disabledIf: () => !config.settings.enableFocusShadow },
-        { key: 'enablePromptBudgeting', label: 'Prompt Guardrails' },
-        { key: 'showMemoryDebug', label: 'Memory Debug' }
-    ];
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `northstar-test-program-${Date.now()}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
 
-    toggles.forEach(t => {
-        const toggleItem = document.createElement('div');
-        toggleItem.className = 'test-config-toggle';
+    showTemporaryMessage(elements.exportTestProgramBtn, 'Exported!', 'Export Program');
+}
 
-        const toggleRow = document.createElement('div');
-        toggleRow.className = 'test-config-toggle-row';
+/**
+ * Import test program from JSON file
+ * Can be called programmatically or via file input
+ */
+function importTestProgram(programJson) {
+    try {
+        const program = typeof programJson === 'string' ? JSON.parse(programJson) : programJson;
 
-        const label = document.createElement('label');
-        label.textContent = t.label;
+        if (!program.prompts || !Array.isArray(program.prompts)) {
+            throw new Error('Invalid test program format: missing prompts array');
+        }
 
-        const switchLabel = document.createElement('label');
-        switchLabel.className = 'toggle-switch';
+        // Import prompts
+        testPromptState.prompts = program.prompts.map((p, index) =>
+            createTestPrompt(p.text || '', {
+                reference: typeof p.reference === 'string' ? p.reference : '',
+                selected: p.selected ?? index < TEST_PROMPT_LIMIT,
+                isCustom: p.isCustom ?? true
+            })
+        );
 
-        const input = document.createElement('input');
-        input.type = 'checkbox';
-        input.checked = !!config.settings[t.key];
-        input.disabled = t.disabledIf ? t.disabledIf() : false;
-        input.addEventListener('change', () => {
-            const updates = { [t.key]: input.checked };
-            // Handle dependent settings
-            if (t.key === 'useRLM' && !input.checked) {
-                updates.rlmAuto = false;
-            }
-            if (t.key === 'enableFocusShadow' && !input.checked) {
-                updates.enableFocusEpisodes = false;
-            }
-            updateTestConfiguration(config.id, { settings: updates });
-        });
+        // Import configurations if present
+        if (program.configurations && Array.isArray(program.configurations)) {
+            testPromptState.configurations = program.configurations.map(config =>
+                createTestConfiguration(config.name, config.settings)
+            );
+            // Update enabled state
+            testPromptState.configurations.forEach((config, index) => {
+                if (program.configurations[index]?.enabled !== undefined) {
+                    config.enabled = program.configurations[index].enabled;
+                }
+            });
+        }
 
-        const slider = document.createElement('span');
-        slider.className = 'toggle-slider';
+        // Import grading settings if present
+        if (program.grading) {
+            setTestGradingOptions(program.grading);
+        }
 
-        switchLabel.appendChild(input);
-        switchLabel.appendChild(slider);
+        if (program.trials !== undefined) {
+            testPromptState.trials = clampTestTrials(program.trials);
+            if (elements.testTrialsInput) {
+                elements.testTrialsInput.value = testPromptState.trials;
+            }
+        }
 
-        toggleRow.appendChild(label);
-        toggleRow.appendChild(switchLabel);
-        toggleItem.appendChild(toggleRow);
-        toggleGrid.appendChild(toggleItem);
-    });
+        // Import the golden baseline so the program can be re-run against it
+        if (isValidTestBaseline(program.baseline)) {
+            testPromptState.baseline = program.baseline;
+            persistTestBaseline();
+            renderTestBaselineStatus();
+        }
 
-    editor.appendChild(toggleGrid);
-    return editor;
-}
+        updateTestSelectedCount();
+        renderTestPromptList();
+        renderTestConfigurations();
+        setTestPromptError('');
 
-function updateTestSelectedCount() {
-    testPromptState.selectedCount = testPromptState.prompts.filter(prompt => prompt.selected).length;
-    if (elements.testSelectedCount) {
-        elements.testSelectedCount.textContent = testPromptState.selectedCount;
+        return { success: true, promptCount: program.prompts.length };
+    } catch (err) {
+        console.error('Test program import error:', err);
+        setTestPromptError(`Failed to import test program: ${err.message}`);
+        return { success: false, error: err.message };
     }
 }
 
-function setTestPromptError(message = '') {
-    if (!elements.testPromptError) return;
-    if (!message) {
-        elements.testPromptError.classList.add('hidden');
-        elements.testPromptError.textContent = '';
-        return;
-    }
-    elements.testPromptError.textContent = message;
-    elements.testPromptError.classList.remove('hidden');
+function getSelectedTestPrompts() {
+    return testPromptState.prompts
+        .filter(prompt => prompt.selected)
+        .map(prompt => ({
+            id: prompt.id,
+            text: prompt.text.trim(),
+            reference: (prompt.reference || '').trim(),
+            isCustom: prompt.isCustom
+        }));
 }
 
-function renderTestPromptList() {
-    if (!elements.testPromptList) return;
-    elements.testPromptList.innerHTML = '';
-
-    testPromptState.prompts.forEach((prompt) => {
-        const row = document.createElement('div');
-        row.className = 'test-prompt-row';
+function resolvePromptSetMeta(prompts) {
+    const promptTexts = prompts.map(prompt => (prompt.text || '').trim());
+    const canonical = CANONICAL_TEST_PROMPT_SET.prompts.map(text => text.trim());
+    const isCanonical = promptTexts.length === canonical.length
+        && promptTexts.every((text, index) => text === canonical[index]);
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.checked = prompt.selected;
-        checkbox.addEventListener('change', () => {
-            if (checkbox.checked && testPromptState.selectedCount >= TEST_PROMPT_LIMIT) {
-                checkbox.checked = false;
-                setTestPromptError(`You can select up to ${TEST_PROMPT_LIMIT} prompts.`);
-                return;
-            }
-            prompt.selected = checkbox.checked;
-            updateTestSelectedCount();
-            setTestPromptError('');
-        });
+    if (isCanonical) {
+        return {
+            id: CANONICAL_TEST_PROMPT_SET.id,
+            version: CANONICAL_TEST_PROMPT_SET.version,
+            label: `Canonical (${CANONICAL_TEST_PROMPT_SET.id})`,
+            isCanonical: true,
+            promptCount: promptTexts.length
+        };
+    }
 
-        const content = document.createElement('div');
-        const textarea = document.createElement('textarea');
-        textarea.value = prompt.text;
-        textarea.placeholder = 'Enter a test prompt...';
-        textarea.addEventListener('input', () => {
-            prompt.text = textarea.value;
-        });
-        const tag = document.createElement('div');
-        tag.className = 'prompt-tag';
-        tag.textContent = prompt.isCustom ? 'Custom' : 'Preloaded';
-        content.appendChild(textarea);
-        content.appendChild(tag);
+    return {
+        id: 'custom',
+        version: null,
+        label: 'Custom selection',
+        isCanonical: false,
+        promptCount: promptTexts.length
+    };
+}
 
-        const actionSlot = document.createElement('div');
-        if (prompt.isCustom) {
-            const removeBtn = document.createElement('button');
-            removeBtn.type = 'button';
-            removeBtn.className = 'btn-text btn-sm';
-            removeBtn.textContent = 'Remove';
-            removeBtn.addEventListener('click', () => {
-                testPromptState.prompts = testPromptState.prompts.filter(item => item.id !== prompt.id);
-                updateTestSelectedCount();
-                renderTestPromptList();
-            });
-            actionSlot.appendChild(removeBtn);
-        } else {
-            actionSlot.className = 'prompt-tag';
-            actionSlot.textContent = 'Preset';
+function applyTestSettings(settings) {
+    const normalized = normalizeTestSettings(settings);
+    TEST_SETTINGS_KEYS.forEach((key) => {
+        if (typeof normalized[key] !== 'undefined') {
+            state.settings[key] = normalized[key];
         }
-
-        row.appendChild(checkbox);
-        row.appendChild(content);
-        row.appendChild(actionSlot);
-        elements.testPromptList.appendChild(row);
     });
+    // Apply model and effort if present
+    if (settings.model) {
+        state.settings.model = settings.model;
+    }
+    if (settings.effort) {
+        state.settings.effort = settings.effort;
+    }
+    state.settings.processingMode = deriveProcessingMode(state.settings);
+    updateSettingsUI();
+    applyRlmFeatureFlags();
 }
 
-function openTestPromptingModal() {
-    initializeTestPrompts();
-    initializeTestSettings();
-    initializeTestConfigurations();
-    renderTestPromptList();
-    renderTestConfigurations();
-    populateTestGroupFilter();
-    setTestPromptError('');
-    if (elements.testPromptingModal) {
-        elements.testPromptingModal.classList.remove('hidden');
+function resetTestRunningScreen(totalPrompts) {
+    if (elements.testProgressFill) {
+        elements.testProgressFill.style.width = '0%';
+    }
+    if (elements.testProgressLabel) {
+        elements.testProgressLabel.textContent = 'Preparing prompts...';
+    }
+    if (elements.testProgressCount) {
+        elements.testProgressCount.textContent = `0 / ${totalPrompts}`;
+    }
+    if (elements.testStatusStream) {
+        elements.testStatusStream.innerHTML = '';
     }
 }
 
-/**
- * Populate the test group filter with available groups
- */
-function populateTestGroupFilter() {
-    if (!elements.testGroupFilter || !elements.testGroupFilterContainer) return;
-
-    // Show/hide based on whether groups exist
-    if (state.groups.length === 0) {
-        elements.testGroupFilterContainer.classList.add('hidden');
-        return;
+function updateTestProgress(currentIndex, totalPrompts, label) {
+    const percent = totalPrompts > 0 ? Math.round((currentIndex / totalPrompts) * 100) : 0;
+    if (elements.testProgressFill) {
+        elements.testProgressFill.style.width = `${percent}%`;
     }
+    if (elements.testProgressLabel) {
+        elements.testProgressLabel.textContent = label;
+    }
+    if (elements.testProgressCount) {
+        elements.testProgressCount.textContent = `${currentIndex} / ${totalPrompts}`;
+    }
+}
 
-    elements.testGroupFilterContainer.classList.remove('hidden');
+function addTestStatusLine(message, emphasis = '') {
+    if (!elements.testStatusStream) return;
+    const line = document.createElement('div');
+    line.className = 'test-status-line';
+    const timestamp = new Date().toLocaleTimeString();
+    line.innerHTML = `<span>${timestamp}</span> <strong>${escapeHtml(emphasis)}</strong> ${escapeHtml(message)}`;
+    elements.testStatusStream.appendChild(line);
+    elements.testStatusStream.scrollTop = elements.testStatusStream.scrollHeight;
+}
 
-    // Clear existing options (except "All Agents")
-    elements.testGroupFilter.innerHTML = '<option value="all" selected>All Agents</option>';
+function addTestStreamingLine(promptText, emphasis = '') {
+    if (!elements.testStatusStream) return null;
+    const line = document.createElement('div');
+    line.className = 'test-status-line streaming';
+    const timestamp = new Date().toLocaleTimeString();
+    line.innerHTML = `
+        <span>${timestamp}</span>
+        <strong>${escapeHtml(emphasis)}</strong>
+        <span class="test-stream-status">Awaiting response...</span>
+        <div class="test-stream-prompt">${escapeHtml(promptText)}</div>
+        <div class="test-stream-body">
+            <span class="test-stream-text"></span>
+            <span class="streaming-cursor">▍</span>
+        </div>
+    `;
+    elements.testStatusStream.appendChild(line);
+    elements.testStatusStream.scrollTop = elements.testStatusStream.scrollHeight;
 
-    // Add group options
-    state.groups.forEach(group => {
-        const option = document.createElement('option');
-        option.value = group.id;
-        option.textContent = `${group.icon} ${group.name} (${group.agentIds.length} agents)`;
-        elements.testGroupFilter.appendChild(option);
-    });
+    return {
+        line,
+        status: line.querySelector('.test-stream-status'),
+        text: line.querySelector('.test-stream-text'),
+        cursor: line.querySelector('.streaming-cursor')
+    };
+}
+
+function updateTestStreamStatus(streamLine, statusText) {
+    if (!streamLine?.status) return;
+    streamLine.status.textContent = statusText;
+}
+
+function updateTestStreamingLine(streamLine, chunk) {
+    if (!streamLine?.text || !chunk) return;
+    streamLine.text.textContent += chunk;
+    elements.testStatusStream.scrollTop = elements.testStatusStream.scrollHeight;
 }
 
-/**
- * Get selected group IDs from test filter
- * @returns {Array|null} Array of group IDs or null for all
- */
-function getTestGroupFilter() {
-    if (!elements.testGroupFilter) return null;
+function finalizeTestStreamingLine(streamLine, { status = 'complete', message = '' } = {}) {
+    if (!streamLine?.line) return;
+    const isError = status === 'error';
+    streamLine.line.classList.toggle('streaming-error', isError);
+    updateTestStreamStatus(streamLine, isError ? 'Streaming error' : 'Stream complete');
+    if (isError && streamLine.text) {
+        streamLine.text.textContent = message || 'Unknown error';
+    }
+    if (streamLine.cursor) {
+        streamLine.cursor.remove();
+    }
+    elements.testStatusStream.scrollTop = elements.testStatusStream.scrollHeight;
+}
 
-    const selectedOptions = Array.from(elements.testGroupFilter.selectedOptions);
-    const values = selectedOptions.map(opt => opt.value);
+function showTestRunningScreen() {
+    if (elements.testRunningScreen) {
+        elements.testRunningScreen.classList.remove('hidden');
+    }
+}
 
-    // If "all" is selected or nothing selected, return null (no filter)
-    if (values.includes('all') || values.length === 0) {
-        return null;
+function hideTestRunningScreen() {
+    if (elements.testRunningScreen) {
+        elements.testRunningScreen.classList.add('hidden');
     }
+}
 
-    return values;
+function closeTestAnalyticsModal() {
+    if (elements.testAnalyticsModal) {
+        elements.testAnalyticsModal.classList.add('hidden');
+    }
 }
 
-function closeTestPromptingModal() {
-    if (elements.testPromptingModal) {
-        elements.testPromptingModal.classList.add('hidden');
+function showTestAnalyticsModal() {
+    if (elements.testAnalyticsModal) {
+        elements.testAnalyticsModal.classList.remove('hidden');
     }
-    setTestPromptError('');
 }
 
-function addCustomTestPrompt() {
-    const canSelect = testPromptState.selectedCount < TEST_PROMPT_LIMIT;
-    const prompt = createTestPrompt('', { selected: canSelect, isCustom: true });
-    if (!canSelect) {
-        setTestPromptError(`You can only select up to ${TEST_PROMPT_LIMIT} prompts.`);
+function deployTestAgent() {
+    const selectedPrompts = getSelectedTestPrompts();
+    if (selectedPrompts.length === 0) {
+        setTestPromptError('Select at least one prompt to deploy the test agent.');
+        return;
     }
-    testPromptState.prompts.push(prompt);
-    updateTestSelectedCount();
-    renderTestPromptList();
-    const lastTextarea = elements.testPromptList?.querySelector('textarea:last-of-type');
-    if (lastTextarea) {
-        lastTextarea.focus();
+    if (selectedPrompts.length > TEST_PROMPT_LIMIT) {
+        setTestPromptError(`You can select up to ${TEST_PROMPT_LIMIT} prompts.`);
+        return;
+    }
+    const emptyPrompt = selectedPrompts.find(prompt => !prompt.text);
+    if (emptyPrompt) {
+        setTestPromptError('All selected prompts must include text.');
+        return;
+    }
+    if (!hasApiAccess()) {
+        setTestPromptError('Enter your API key before deploying a test agent.');
+        return;
+    }
+    const activeAgents = state.agents.filter(a => a.enabled);
+    if (activeAgents.length === 0) {
+        setTestPromptError('Upload and enable at least one agent before running tests.');
+        return;
     }
-}
 
-/**
- * Parse CSV content and extract prompt texts
- * Supports: "prompt_text" column, "prompt" column, or single-column CSVs
- */
-function parseCsvPrompts(csvText) {
-    const lines = csvText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    if (lines.length === 0) return [];
+    // Multi-config validation
+    const enabledConfigs = getEnabledConfigurations();
+    if (enabledConfigs.length === 0) {
+        setTestPromptError('Enable at least one configuration to run tests.');
+        return;
+    }
 
-    // Try to detect header row
-    const firstLine = lines[0].toLowerCase();
-    let hasHeader = firstLine.includes('prompt') || firstLine.includes('text') || firstLine.includes('question');
+    closeTestPromptingModal();
+    runTestSequenceMultiConfig(selectedPrompts, enabledConfigs);
+}
 
-    // Parse CSV properly handling quoted strings
-    const parseCSVLine = (line) => {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
+function getPromptProcessingMode(promptText) {
+    const rlmEnabled = state.settings.useRLM;
+    const rlmAuto = state.settings.rlmAuto;
+    const useREPL = rlmEnabled && rlmPipeline.shouldUseREPL && rlmPipeline.shouldUseREPL(promptText, { auto: rlmAuto });
+    const useRLM = rlmEnabled && !useREPL && rlmPipeline.shouldUseRLM(promptText, { auto: rlmAuto });
+    // Return full processing mode for CSV/metrics (rlm-swm, rlm-hybrid) instead of generic 'rlm'
+    const processingMode = useREPL ? 'repl' : (useRLM ? state.settings.processingMode : 'direct');
 
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-                if (inQuotes && line[i + 1] === '"') {
-                    // Escaped quote
-                    current += '"';
-                    i++;
-                } else {
-                    inQuotes = !inQuotes;
-                }
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        result.push(current.trim());
-        return result;
-    };
+    return { useREPL, useRLM, processingMode };
+}
 
-    const dataLines = hasHeader ? lines.slice(1) : lines;
-    const prompts = [];
+async function runPromptWithMetrics(promptText, labelPrefix = 'Test', streamHandlers = null) {
+    const queryPreview = promptText.substring(0, 50) + (promptText.length > 50 ? '...' : '');
+    const { useREPL, useRLM, processingMode } = getPromptProcessingMode(promptText);
 
-    // Determine column index for prompt text
-    let promptColIndex = 0;
-    if (hasHeader) {
-        const headers = parseCSVLine(lines[0]).map(h => h.toLowerCase().replace(/"/g, ''));
-        const promptIndex = headers.findIndex(h =>
-            h === 'prompt_text' || h === 'prompt' || h === 'text' || h === 'question'
-        );
-        if (promptIndex >= 0) {
-            promptColIndex = promptIndex;
-        }
+    startPromptGroup(`${labelPrefix}: ${queryPreview}`, useRLM || useREPL, processingMode);
+    if (activePromptGroup) {
+        activePromptGroup.prompt = promptText;
+        activePromptGroup.promptPreview = queryPreview;
     }
 
-    for (const line of dataLines) {
-        const columns = parseCSVLine(line);
-        if (columns.length > promptColIndex) {
-            let promptText = columns[promptColIndex];
-            // Remove surrounding quotes if present
-            if (promptText.startsWith('"') && promptText.endsWith('"')) {
-                promptText = promptText.slice(1, -1);
-            }
-            // Unescape double quotes
-            promptText = promptText.replace(/""/g, '"');
-            if (promptText.trim().length > 0) {
-                prompts.push(promptText.trim());
+    try {
+        // chatWithAgents now returns { response, depthInfo }
+        const result = await chatWithAgents(promptText, null, streamHandlers);
+        const responseText = result.response;
+        if (activePromptGroup) {
+            activePromptGroup.promptPreview = queryPreview;
+            activePromptGroup.response = responseText;
+            // Kept for the judge, which checks claims against the cited passages
+            if (result.citations?.length) {
+                activePromptGroup.citations = result.citations;
             }
         }
+        return responseText;
+    } catch (error) {
+        if (activePromptGroup) {
+            activePromptGroup.promptPreview = queryPreview;
+            activePromptGroup.response = `Error: ${error.message}`;
+        }
+        throw error;
+    } finally {
+        endPromptGroup();
     }
+}
 
-    return prompts;
+function clampTestTrials(value) {
+    const trials = Math.round(Number(value));
+    return Number.isFinite(trials) ? Math.min(STATS_CONFIG.maxTrials, Math.max(1, trials)) : 1;
 }
 
 /**
- * Handle CSV file import for test prompts
+ * Clear chat history, signal memory and the RLM cache so the next test pass
+ * (configuration or repeated trial) starts from a clean slate
  */
-function handleCsvImport(event) {
-    const file = event.target.files?.[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        try {
-            const csvText = e.target.result;
-            const prompts = parseCsvPrompts(csvText);
-
-            if (prompts.length === 0) {
-                setTestPromptError('No valid prompts found in CSV file. Ensure the file has a "prompt_text" or "prompt" column.');
-                return;
-            }
-
-            // Clear existing prompts and add imported ones
-            testPromptState.prompts = prompts.map((text, index) =>
-                createTestPrompt(text, {
-                    selected: index < TEST_PROMPT_LIMIT,
-                    isCustom: true
-                })
-            );
+function resetTestChatState() {
+    rlmPipeline.clearCache();
+    state.chatHistory = [];
+    resetSignalMemory();
 
-            updateTestSelectedCount();
-            renderTestPromptList();
-            setTestPromptError('');
+    // Clear chat UI
+    if (elements.chatMessages) {
+        elements.chatMessages.innerHTML = '';
+    }
+}
 
-            // Show success message
-            const countMsg = prompts.length === 1 ? '1 prompt' : `${prompts.length} prompts`;
-            showTemporaryMessage(elements.importCsvBtn, `Imported ${countMsg}`, 'Import CSV');
-        } catch (err) {
-            console.error('CSV import error:', err);
-            setTestPromptError(`Failed to parse CSV: ${err.message}`);
-        }
-    };
-    reader.onerror = () => {
-        setTestPromptError('Failed to read file');
+async function runTestSequenceMultiConfig(prompts, configurations) {
+    // Save original settings to restore after all configs are run
+    const previousSettings = {
+        ...getTestSettingsSnapshot(),
+        model: state.settings.model,
+        effort: state.settings.effort
     };
-    reader.readAsText(file);
 
-    // Reset the input so the same file can be selected again
-    event.target.value = '';
-}
+    state.isProcessing = true;
+    updateButtonStates();
+    showTestRunningScreen();
 
-/**
- * Export test program (prompts + configurations) as JSON file
- */
-function exportTestProgram() {
-    const selectedPrompts = getSelectedTestPrompts();
-    const allPrompts = testPromptState.prompts.map(p => ({
-        text: p.text,
-        selected: p.selected,
-        isCustom: p.isCustom
-    }));
+    const totalPrompts = prompts.length;
+    const totalConfigs = configurations.length;
+    const trials = clampTestTrials(testPromptState.trials);
+    const runsPerConfig = totalPrompts * trials;
 
-    const program = {
-        version: '1.0',
-        exportedAt: new Date().toISOString(),
-        name: `Test Program - ${new Date().toLocaleDateString()}`,
-        prompts: allPrompts,
-        selectedCount: selectedPrompts.length,
-        configurations: testPromptState.configurations.map(config => ({
-            name: config.name,
-            enabled: config.enabled,
-            settings: { ...config.settings }
-        }))
+    resetTestRunningScreenMultiConfig(totalConfigs, runsPerConfig);
+    addTestStatusLine(`Starting test suite with ${totalConfigs} configuration(s) × ${totalPrompts} prompt(s)${trials > 1 ? ` × ${trials} trials` : ''}...`, 'Setup');
+
+    testPromptState.run = {
+        startedAt: new Date(),
+        prompts,
+        promptSet: resolvePromptSetMeta(prompts),
+        startIndex: currentMetrics.promptLogs.length,
+        configurations: [],
+        currentConfigIndex: 0,
+        trials,
+        isMultiConfig: true
     };
 
-    const json = JSON.stringify(program, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+    // Recommendation B: Enable batch mode to reset focus between prompts
+    if (rlmPipeline?.updateConfig) {
+        rlmPipeline.updateConfig({ focusBatchMode: true });
+    }
 
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `northstar-test-program-${Date.now()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    let overallPromptIndex = 0;
 
-    showTemporaryMessage(elements.exportTestProgramBtn, 'Exported!', 'Export Program');
-}
+    for (let configIndex = 0; configIndex < totalConfigs; configIndex++) {
+        const config = configurations[configIndex];
+        testPromptState.run.currentConfigIndex = configIndex;
 
-/**
- * Import test program from JSON file
- * Can be called programmatically or via file input
- */
-function importTestProgram(programJson) {
-    try {
-        const program = typeof programJson === 'string' ? JSON.parse(programJson) : programJson;
+        addTestStatusLine(`Starting configuration: ${config.name}`, `Config ${configIndex + 1}/${totalConfigs}`);
 
-        if (!program.prompts || !Array.isArray(program.prompts)) {
-            throw new Error('Invalid test program format: missing prompts array');
-        }
+        // Apply this configuration's settings
+        applyTestSettings(config.settings);
 
-        // Import prompts
-        testPromptState.prompts = program.prompts.map((p, index) =>
-            createTestPrompt(p.text || '', {
-                selected: p.selected ?? index < TEST_PROMPT_LIMIT,
-                isCustom: p.isCustom ?? true
-            })
-        );
+        const configRunData = {
+            configId: config.id,
+            configName: config.name,
+            settings: { ...config.settings },
+            startIndex: currentMetrics.promptLogs.length,
+            results: []
+        };
 
-        // Import configurations if present
-        if (program.configurations && Array.isArray(program.configurations)) {
-            testPromptState.configurations = program.configurations.map(config =>
-                createTestConfiguration(config.name, config.settings)
-            );
-            // Update enabled state
-            testPromptState.configurations.forEach((config, index) => {
-                if (program.configurations[index]?.enabled !== undefined) {
-                    config.enabled = program.configurations[index].enabled;
+        // Each trial is a full pass over the prompts, starting from a clean chat
+        for (let trial = 1; trial <= trials; trial++) {
+            if (trial > 1) {
+                resetTestChatState();
+                addTestStatusLine(`Starting trial ${trial}/${trials}`, `Config ${configIndex + 1}/${totalConfigs}`);
+            }
+
+            for (let promptIndex = 0; promptIndex < totalPrompts; promptIndex++) {
+                const prompt = prompts[promptIndex];
+                overallPromptIndex++;
+
+                const trialLabel = trials > 1 ? ` (trial ${trial}/${trials})` : '';
+                const progressLabel = `Config ${configIndex + 1}/${totalConfigs}: Prompt ${promptIndex + 1}/${totalPrompts}${trialLabel}`;
+                updateTestProgressMultiConfig(configIndex + 1, totalConfigs, (trial - 1) * totalPrompts + promptIndex + 1, runsPerConfig, progressLabel);
+
+                const streamLine = addTestStreamingLine(prompt.text, progressLabel);
+                const streamHandlers = streamLine
+                    ? {
+                        onStart: () => updateTestStreamStatus(streamLine, 'Streaming response...'),
+                        onToken: (chunk) => updateTestStreamingLine(streamLine, chunk),
+                        onComplete: () => finalizeTestStreamingLine(streamLine, { status: 'complete' })
+                    }
+                    : null;
+
+                try {
+                    const response = await runPromptWithMetrics(prompt.text, `${config.name}`, streamHandlers);
+                    const logEntry = currentMetrics.promptLogs[currentMetrics.promptLogs.length - 1] || null;
+                    configRunData.results.push({
+                        prompt: prompt.text,
+                        promptId: prompt.id,
+                        promptIndex,
+                        trial,
+                        reference: prompt.reference || '',
+                        response,
+                        log: logEntry
+                    });
+                    addTestStatusLine('Response received.', progressLabel);
+                } catch (error) {
+                    const logEntry = currentMetrics.promptLogs[currentMetrics.promptLogs.length - 1] || null;
+                    configRunData.results.push({
+                        prompt: prompt.text,
+                        promptId: prompt.id,
+                        promptIndex,
+                        trial,
+                        reference: prompt.reference || '',
+                        response: '',
+                        error: error.message || 'Unknown error',
+                        log: logEntry
+                    });
+                    if (streamLine) {
+                        finalizeTestStreamingLine(streamLine, { status: 'error', message: error.message || 'Unknown error' });
+                    }
+                    addTestStatusLine(`Error: ${error.message || 'Unknown error'}`, progressLabel);
                 }
-            });
+            }
         }
 
-        updateTestSelectedCount();
-        renderTestPromptList();
-        renderTestConfigurations();
-        setTestPromptError('');
+        testPromptState.run.configurations.push(configRunData);
+        addTestStatusLine(`Completed configuration: ${config.name}`, `Config ${configIndex + 1}/${totalConfigs}`);
 
-        return { success: true, promptCount: program.prompts.length };
-    } catch (err) {
-        console.error('Test program import error:', err);
-        setTestPromptError(`Failed to import test program: ${err.message}`);
-        return { success: false, error: err.message };
+        // Clear chat window between configurations (but not after the last one)
+        if (configIndex < totalConfigs - 1) {
+            resetTestChatState();
+            addTestStatusLine('Chat cleared for next configuration', `Config ${configIndex + 1}/${totalConfigs}`);
+        }
     }
-}
-
-function getSelectedTestPrompts() {
-    return testPromptState.prompts
-        .filter(prompt => prompt.selected)
-        .map(prompt => ({
-            id: prompt.id,
-            text: prompt.text.trim(),
-            isCustom: prompt.isCustom
-        }));
-}
 
-function resolvePromptSetMeta(prompts) {
-    const promptTexts = prompts.map(prompt => (prompt.text || '').trim());
-    const canonical = CANONICAL_TEST_PROMPT_SET.prompts.map(text => text.trim());
-    const isCanonical = promptTexts.length === canonical.length
-        && promptTexts.every((text, index) => text === canonical[index]);
+    updateTestProgressMultiConfig(totalConfigs, totalConfigs, runsPerConfig, runsPerConfig, 'Test suite complete');
 
-    if (isCanonical) {
-        return {
-            id: CANONICAL_TEST_PROMPT_SET.id,
-            version: CANONICAL_TEST_PROMPT_SET.version,
-            label: `Canonical (${CANONICAL_TEST_PROMPT_SET.id})`,
-            isCanonical: true,
-            promptCount: promptTexts.length
-        };
+    // Grade every response with the judge model before showing analytics
+    if (testPromptState.grading.enabled) {
+        addTestStatusLine(`Grading responses with ${formatModelName(testPromptState.grading.judgeModel)}...`, 'Grading');
+        const grading = await gradeTestRun(testPromptState.run, {
+            onProgress: (done, total) => {
+                if (elements.testProgressLabel) {
+                    elements.testProgressLabel.textContent = `Grading responses (${done}/${total})`;
+                }
+            }
+        });
+        addTestStatusLine(formatGradingSummary(grading), 'Grading');
     }
 
-    return {
-        id: 'custom',
-        version: null,
-        label: 'Custom selection',
-        isCanonical: false,
-        promptCount: promptTexts.length
-    };
-}
+    addTestStatusLine('All configurations complete. Generating analytics...', 'Complete');
 
-function applyTestSettings(settings) {
-    const normalized = normalizeTestSettings(settings);
-    TEST_SETTINGS_KEYS.forEach((key) => {
-        if (typeof normalized[key] !== 'undefined') {
-            state.settings[key] = normalized[key];
-        }
-    });
-    // Apply model and effort if present
-    if (settings.model) {
-        state.settings.model = settings.model;
-    }
-    if (settings.effort) {
-        state.settings.effort = settings.effort;
+    // Recommendation B: Disable batch mode after test completes
+    if (rlmPipeline?.updateConfig) {
+        rlmPipeline.updateConfig({ focusBatchMode: false });
     }
-    state.settings.processingMode = deriveProcessingMode(state.settings);
-    updateSettingsUI();
-    applyRlmFeatureFlags();
+
+    // Restore original settings
+    applyTestSettings(previousSettings);
+    state.isProcessing = false;
+    updateButtonStates();
+    hideTestRunningScreen();
+
+    renderTestAnalytics();
+    showTestAnalyticsModal();
 }
 
-function resetTestRunningScreen(totalPrompts) {
+function resetTestRunningScreenMultiConfig(totalConfigs, totalPrompts) {
     if (elements.testProgressFill) {
         elements.testProgressFill.style.width = '0%';
     }
     if (elements.testProgressLabel) {
-        elements.testProgressLabel.textContent = 'Preparing prompts...';
+        elements.testProgressLabel.textContent = `Preparing ${totalConfigs} config(s) × ${totalPrompts} prompt(s)...`;
     }
     if (elements.testProgressCount) {
-        elements.testProgressCount.textContent = `0 / ${totalPrompts}`;
+        elements.testProgressCount.textContent = `Config 0/${totalConfigs} | Prompt 0/${totalPrompts}`;
     }
     if (elements.testStatusStream) {
         elements.testStatusStream.innerHTML = '';
     }
 }
 
-function updateTestProgress(currentIndex, totalPrompts, label) {
-    const percent = totalPrompts > 0 ? Math.round((currentIndex / totalPrompts) * 100) : 0;
+function updateTestProgressMultiConfig(currentConfig, totalConfigs, currentPrompt, totalPrompts, label) {
+    const totalRuns = totalConfigs * totalPrompts;
+    const completedRuns = (currentConfig - 1) * totalPrompts + currentPrompt;
+    const percent = totalRuns > 0 ? Math.round((completedRuns / totalRuns) * 100) : 0;
+
     if (elements.testProgressFill) {
         elements.testProgressFill.style.width = `${percent}%`;
     }
@@ -5002,414 +7044,588 @@ function updateTestProgress(currentIndex, totalPrompts, label) {
         elements.testProgressLabel.textContent = label;
     }
     if (elements.testProgressCount) {
-        elements.testProgressCount.textContent = `${currentIndex} / ${totalPrompts}`;
+        elements.testProgressCount.textContent = `Config ${currentConfig}/${totalConfigs} | Prompt ${currentPrompt}/${totalPrompts}`;
     }
 }
 
-function addTestStatusLine(message, emphasis = '') {
-    if (!elements.testStatusStream) return;
-    const line = document.createElement('div');
-    line.className = 'test-status-line';
-    const timestamp = new Date().toLocaleTimeString();
-    line.innerHTML = `<span>${timestamp}</span> <strong>${escapeHtml(emphasis)}</strong> ${escapeHtml(message)}`;
-    elements.testStatusStream.appendChild(line);
-    elements.testStatusStream.scrollTop = elements.testStatusStream.scrollHeight;
-}
+// Legacy single-config function (kept for backwards compatibility)
+async function runTestSequence(prompts, testSettings) {
+    const previousSettings = getTestSettingsSnapshot();
 
-function addTestStreamingLine(promptText, emphasis = '') {
-    if (!elements.testStatusStream) return null;
-    const line = document.createElement('div');
-    line.className = 'test-status-line streaming';
-    const timestamp = new Date().toLocaleTimeString();
-    line.innerHTML = `
-        <span>${timestamp}</span>
-        <strong>${escapeHtml(emphasis)}</strong>
-        <span class="test-stream-status">Awaiting response...</span>
-        <div class="test-stream-prompt">${escapeHtml(promptText)}</div>
-        <div class="test-stream-body">
-            <span class="test-stream-text"></span>
-            <span class="streaming-cursor">▍</span>
-        </div>
-    `;
-    elements.testStatusStream.appendChild(line);
-    elements.testStatusStream.scrollTop = elements.testStatusStream.scrollHeight;
+    state.isProcessing = true;
+    updateButtonStates();
+    showTestRunningScreen();
+    resetTestRunningScreen(prompts.length);
+    addTestStatusLine('Initializing test run...', 'Setup');
 
-    return {
-        line,
-        status: line.querySelector('.test-stream-status'),
-        text: line.querySelector('.test-stream-text'),
-        cursor: line.querySelector('.streaming-cursor')
+    const normalizedTestSettings = normalizeTestSettings(testSettings || getTestSettingsSnapshot());
+    applyTestSettings(normalizedTestSettings);
+
+    testPromptState.run = {
+        startedAt: new Date(),
+        settings: normalizedTestSettings,
+        prompts,
+        promptSet: resolvePromptSetMeta(prompts),
+        startIndex: currentMetrics.promptLogs.length,
+        results: []
     };
-}
 
-function updateTestStreamStatus(streamLine, statusText) {
-    if (!streamLine?.status) return;
-    streamLine.status.textContent = statusText;
-}
+    // Recommendation B: Enable batch mode to reset focus between prompts
+    if (rlmPipeline?.updateConfig) {
+        rlmPipeline.updateConfig({ focusBatchMode: true });
+    }
+
+    for (let i = 0; i < prompts.length; i += 1) {
+        const prompt = prompts[i];
+        const promptLabel = `Prompt ${i + 1}`;
+        updateTestProgress(i + 1, prompts.length, `Running ${promptLabel}`);
+        const streamLine = addTestStreamingLine(prompt.text, promptLabel);
+        const streamHandlers = streamLine
+            ? {
+                onStart: () => updateTestStreamStatus(streamLine, 'Streaming response...'),
+                onToken: (chunk) => updateTestStreamingLine(streamLine, chunk),
+                onComplete: () => finalizeTestStreamingLine(streamLine, { status: 'complete' })
+            }
+            : null;
+
+        try {
+            const response = await runPromptWithMetrics(prompt.text, 'Test', streamHandlers);
+            const logEntry = currentMetrics.promptLogs[currentMetrics.promptLogs.length - 1] || null;
+            testPromptState.run.results.push({
+                prompt: prompt.text,
+                response,
+                log: logEntry
+            });
+            addTestStatusLine('Response received.', promptLabel);
+        } catch (error) {
+            const logEntry = currentMetrics.promptLogs[currentMetrics.promptLogs.length - 1] || null;
+            testPromptState.run.results.push({
+                prompt: prompt.text,
+                response: '',
+                error: error.message || 'Unknown error',
+                log: logEntry
+            });
+            if (streamLine) {
+                finalizeTestStreamingLine(streamLine, { status: 'error', message: error.message || 'Unknown error' });
+            }
+            addTestStatusLine(`Error: ${error.message || 'Unknown error'}`, promptLabel);
+        }
+    }
+
+    updateTestProgress(prompts.length, prompts.length, 'Test complete');
+    addTestStatusLine('All prompts complete. Generating analytics...', 'Complete');
+
+    // Recommendation B: Disable batch mode after test completes
+    if (rlmPipeline?.updateConfig) {
+        rlmPipeline.updateConfig({ focusBatchMode: false });
+    }
+
+    applyTestSettings(previousSettings);
+    state.isProcessing = false;
+    updateButtonStates();
+    hideTestRunningScreen();
 
-function updateTestStreamingLine(streamLine, chunk) {
-    if (!streamLine?.text || !chunk) return;
-    streamLine.text.textContent += chunk;
-    elements.testStatusStream.scrollTop = elements.testStatusStream.scrollHeight;
+    renderTestAnalytics();
+    showTestAnalyticsModal();
 }
 
-function finalizeTestStreamingLine(streamLine, { status = 'complete', message = '' } = {}) {
-    if (!streamLine?.line) return;
-    const isError = status === 'error';
-    streamLine.line.classList.toggle('streaming-error', isError);
-    updateTestStreamStatus(streamLine, isError ? 'Streaming error' : 'Stream complete');
-    if (isError && streamLine.text) {
-        streamLine.text.textContent = message || 'Unknown error';
+// ============================================
+// Automatic Grading (LLM-as-judge)
+// ============================================
+
+function setTestGradingOptions(options = {}) {
+    if (typeof options.enabled === 'boolean') {
+        testPromptState.grading.enabled = options.enabled;
     }
-    if (streamLine.cursor) {
-        streamLine.cursor.remove();
+    if (options.judgeModel && MODEL_DISPLAY_NAMES[options.judgeModel]) {
+        testPromptState.grading.judgeModel = options.judgeModel;
     }
-    elements.testStatusStream.scrollTop = elements.testStatusStream.scrollHeight;
+    syncTestGradingControls();
 }
 
-function showTestRunningScreen() {
-    if (elements.testRunningScreen) {
-        elements.testRunningScreen.classList.remove('hidden');
+function syncTestGradingControls() {
+    if (elements.testAutoGradeToggle) {
+        elements.testAutoGradeToggle.checked = testPromptState.grading.enabled;
     }
-}
-
-function hideTestRunningScreen() {
-    if (elements.testRunningScreen) {
-        elements.testRunningScreen.classList.add('hidden');
+    if (elements.testJudgeModelSelect) {
+        elements.testJudgeModelSelect.value = testPromptState.grading.judgeModel;
+        elements.testJudgeModelSelect.disabled = !testPromptState.grading.enabled;
     }
 }
 
-function closeTestAnalyticsModal() {
-    if (elements.testAnalyticsModal) {
-        elements.testAnalyticsModal.classList.add('hidden');
-    }
+function buildJudgeSources(citations) {
+    return (citations || []).map(citation => ({
+        n: citation.n,
+        label: `${citation.agentName} (${formatCitationLocation(citation)})`,
+        text: citation.text
+    }));
 }
 
-function showTestAnalyticsModal() {
-    if (elements.testAnalyticsModal) {
-        elements.testAnalyticsModal.classList.remove('hidden');
-    }
-}
+/**
+ * Grade a test run's responses against EVAL_RUBRIC with the judge model
+ * Errored or empty responses are skipped, as are responses that already
+ * have an evaluation unless `regrade` is set. All judge calls share one
+ * prompt-log entry so they stay out of the per-configuration totals.
+ * @param {Object} run - testPromptState.run
+ * @param {Object} options - { judgeModel, regrade, onProgress(done, total) }
+ * @returns {Promise<{graded: number, failed: number, skipped: number, cost: number}>}
+ */
+async function gradeTestRun(run, options = {}) {
+    const judgeModel = options.judgeModel || testPromptState.grading.judgeModel;
+    const results = getTestRunResults(run);
+    const pending = results.filter(result => result.log?.id && !result.error && result.response
+        && (options.regrade || !result.log.evaluation));
+    const summary = { graded: 0, failed: 0, skipped: results.length - pending.length, cost: 0 };
+    if (pending.length === 0) return summary;
 
-function deployTestAgent() {
-    const selectedPrompts = getSelectedTestPrompts();
-    if (selectedPrompts.length === 0) {
-        setTestPromptError('Select at least one prompt to deploy the test agent.');
-        return;
-    }
-    if (selectedPrompts.length > TEST_PROMPT_LIMIT) {
-        setTestPromptError(`You can select up to ${TEST_PROMPT_LIMIT} prompts.`);
-        return;
-    }
-    const emptyPrompt = selectedPrompts.find(prompt => !prompt.text);
-    if (emptyPrompt) {
-        setTestPromptError('All selected prompts must include text.');
-        return;
-    }
-    if (!state.apiKey.trim()) {
-        setTestPromptError('Enter your API key before deploying a test agent.');
-        return;
-    }
-    const activeAgents = state.agents.filter(a => a.enabled);
-    if (activeAgents.length === 0) {
-        setTestPromptError('Upload and enable at least one agent before running tests.');
-        return;
-    }
+    testPromptState.grading.inProgress = true;
+    startPromptGroup(`Judge: ${pending.length} test response${pending.length === 1 ? '' : 's'}`);
 
-    // Multi-config validation
-    const enabledConfigs = getEnabledConfigurations();
-    if (enabledConfigs.length === 0) {
-        setTestPromptError('Enable at least one configuration to run tests.');
-        return;
-    }
+    try {
+        for (let i = 0; i < pending.length; i++) {
+            const result = pending[i];
+            const usage = { cost: 0, input: 0, output: 0 };
+            const judgeCall = (systemPrompt, userPrompt) => callGPTWithMessages([
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt }
+            ], `Judge: ${truncateText(result.prompt, 30)}`, {
+                modelOverride: judgeModel,
+                effortOverride: JUDGE_CONFIG.effort,
+                maxTokens: JUDGE_CONFIG.maxOutputTokens,
+                onCallData: (callData) => {
+                    usage.cost += callData.cost?.total || 0;
+                    usage.input += callData.tokens?.input || 0;
+                    usage.output += callData.tokens?.output || 0;
+                }
+            });
 
-    closeTestPromptingModal();
-    runTestSequenceMultiConfig(selectedPrompts, enabledConfigs);
-}
+            try {
+                const grade = await gradeResponse({
+                    query: result.prompt,
+                    response: result.response,
+                    reference: result.reference,
+                    sources: buildJudgeSources(result.log.citations)
+                }, judgeCall);
+                applyEvaluationToPromptLog(result.log.id, grade.scores, grade.notes, 'judge', {
+                    rationale: grade.rationale,
+                    judge: {
+                        model: judgeModel,
+                        cost: usage.cost,
+                        tokens: { input: usage.input, output: usage.output }
+                    }
+                });
+                delete result.gradeError;
+                summary.graded++;
+            } catch (error) {
+                result.gradeError = error.message || 'Judge call failed';
+                summary.failed++;
+                console.warn('[Eval] Grading failed:', result.gradeError);
+            }
 
-function getPromptProcessingMode(promptText) {
-    const rlmEnabled = state.settings.useRLM;
-    const rlmAuto = state.settings.rlmAuto;
-    const useREPL = rlmEnabled && rlmPipeline.shouldUseREPL && rlmPipeline.shouldUseREPL(promptText, { auto: rlmAuto });
-    const useRLM = rlmEnabled && !useREPL && rlmPipeline.shouldUseRLM(promptText, { auto: rlmAuto });
-    // Return full processing mode for CSV/metrics (rlm-swm, rlm-hybrid) instead of generic 'rlm'
-    const processingMode = useREPL ? 'repl' : (useRLM ? state.settings.processingMode : 'direct');
+            summary.cost += usage.cost;
+            options.onProgress?.(i + 1, pending.length);
+        }
+    } finally {
+        endPromptGroup();
+        testPromptState.grading.inProgress = false;
+    }
 
-    return { useREPL, useRLM, processingMode };
+    return summary;
 }
 
-async function runPromptWithMetrics(promptText, labelPrefix = 'Test', streamHandlers = null) {
-    const queryPreview = promptText.substring(0, 50) + (promptText.length > 50 ? '...' : '');
-    const { useREPL, useRLM, processingMode } = getPromptProcessingMode(promptText);
+function formatGradingSummary(summary) {
+    const parts = [`Graded ${summary.graded} response${summary.graded === 1 ? '' : 's'}`];
+    if (summary.failed > 0) parts.push(`${summary.failed} failed`);
+    if (summary.skipped > 0) parts.push(`${summary.skipped} skipped`);
+    return `${parts.join(', ')} (judge cost ${formatCost(summary.cost)}).`;
+}
 
-    startPromptGroup(`${labelPrefix}: ${queryPreview}`, useRLM || useREPL, processingMode);
-    if (activePromptGroup) {
-        activePromptGroup.prompt = promptText;
-        activePromptGroup.promptPreview = queryPreview;
+async function handleGradeTestRun() {
+    const button = elements.gradeTestRunBtn;
+    if (!testPromptState.run || testPromptState.grading.inProgress || state.isProcessing) return;
+    if (!hasApiAccess()) {
+        showToast('Enter your API key before grading responses.', 'error');
+        return;
     }
 
+    const originalText = button?.textContent || '';
+    state.isProcessing = true;
+    updateButtonStates();
+    if (button) button.disabled = true;
+
     try {
-        // chatWithAgents now returns { response, depthInfo }
-        const result = await chatWithAgents(promptText, null, streamHandlers);
-        const responseText = result.response;
-        if (activePromptGroup) {
-            activePromptGroup.promptPreview = queryPreview;
-            activePromptGroup.response = responseText;
-        }
-        return responseText;
-    } catch (error) {
-        if (activePromptGroup) {
-            activePromptGroup.promptPreview = queryPreview;
-            activePromptGroup.response = `Error: ${error.message}`;
-        }
-        throw error;
+        const summary = await gradeTestRun(testPromptState.run, {
+            onProgress: (done, total) => {
+                if (button) button.textContent = `Grading ${done}/${total}...`;
+            }
+        });
+        renderTestAnalytics();
+        showToast(formatGradingSummary(summary), summary.failed > 0 ? 'warning' : 'success');
     } finally {
-        endPromptGroup();
+        state.isProcessing = false;
+        updateButtonStates();
+        if (button) {
+            button.disabled = false;
+            button.textContent = originalText;
+        }
     }
 }
 
-async function runTestSequenceMultiConfig(prompts, configurations) {
-    // Save original settings to restore after all configs are run
-    const previousSettings = {
-        ...getTestSettingsSnapshot(),
-        model: state.settings.model,
-        effort: state.settings.effort
+/**
+ * Average judge/manual quality over a set of test results
+ * @param {Array} results - Test run results
+ * @returns {{graded: number, avgQuality: number|null, judgeCost: number}}
+ */
+function summarizeTestQuality(results) {
+    const scores = [];
+    let judgeCost = 0;
+    (results || []).forEach(result => {
+        const evaluation = result.log?.evaluation;
+        if (Number.isFinite(evaluation?.qualityScore)) {
+            scores.push(evaluation.qualityScore);
+        }
+        judgeCost += evaluation?.judge?.cost || 0;
+    });
+    return {
+        graded: scores.length,
+        avgQuality: scores.length > 0 ? Math.round(scores.reduce((sum, value) => sum + value, 0) / scores.length) : null,
+        judgeCost
     };
+}
 
-    state.isProcessing = true;
-    updateButtonStates();
-    showTestRunningScreen();
+function buildEvalRationaleHtml(evaluation, label = 'Judge rationale') {
+    if (!evaluation?.rationale) return '';
+    const items = EVAL_KEYS.map(key => {
+        const rubric = EVAL_RUBRIC[key];
+        const value = Number.isFinite(evaluation.scores?.[key]) ? evaluation.scores[key] : '–';
+        const reason = evaluation.rationale[key] || '';
+        return `<li><strong>${escapeHtml(rubric.label)} ${value}/${rubric.maxScore}</strong>${reason ? ` — ${escapeHtml(reason)}` : ''}</li>`;
+    }).join('');
+    const judgeModel = evaluation.judge?.model ? ` by ${escapeHtml(formatModelName(evaluation.judge.model))}` : '';
+    return `
+        <details class="test-eval-rationale">
+            <summary>${escapeHtml(label)}${judgeModel}${evaluation.notes ? `: ${escapeHtml(evaluation.notes)}` : ''}</summary>
+            <ul>${items}</ul>
+        </details>
+    `;
+}
 
-    const totalPrompts = prompts.length;
-    const totalConfigs = configurations.length;
-    const totalRuns = totalPrompts * totalConfigs;
+// ============================================
+// Configuration Statistics (repeated trials)
+// ============================================
 
-    resetTestRunningScreenMultiConfig(totalConfigs, totalPrompts);
-    addTestStatusLine(`Starting test suite with ${totalConfigs} configuration(s) × ${totalPrompts} prompt(s)...`, 'Setup');
+const TEST_STAT_METRICS = [
+    { key: 'quality', label: 'Quality', higherIsBetter: true },
+    { key: 'tokens', label: 'Tokens', higherIsBetter: false },
+    { key: 'cost', label: 'Cost', higherIsBetter: false },
+    { key: 'latency', label: 'Latency', higherIsBetter: false }
+];
 
-    testPromptState.run = {
-        startedAt: new Date(),
-        prompts,
-        promptSet: resolvePromptSetMeta(prompts),
-        startIndex: currentMetrics.promptLogs.length,
-        configurations: [],
-        currentConfigIndex: 0,
-        isMultiConfig: true
+function getTestResultMetrics(result) {
+    const log = result.log;
+    const quality = log?.evaluation?.qualityScore;
+    return {
+        quality: Number.isFinite(quality) ? quality : null,
+        tokens: (log?.tokens?.input || 0) + (log?.tokens?.output || 0),
+        cost: log?.cost?.total || 0,
+        latency: log?.responseTime || 0
     };
+}
 
-    // Recommendation B: Enable batch mode to reset focus between prompts
-    if (rlmPipeline?.updateConfig) {
-        rlmPipeline.updateConfig({ focusBatchMode: true });
-    }
-
-    let overallPromptIndex = 0;
-
-    for (let configIndex = 0; configIndex < totalConfigs; configIndex++) {
-        const config = configurations[configIndex];
-        testPromptState.run.currentConfigIndex = configIndex;
+/**
+ * Group a configuration's results by prompt (one array of trials per prompt)
+ * @param {Array} results - Results with `promptIndex` (falls back to position)
+ * @returns {Array<Array<Object>>} Indexed by prompt
+ */
+function groupTestResultsByPrompt(results) {
+    const groups = [];
+    (results || []).forEach((result, index) => {
+        const key = Number.isInteger(result.promptIndex) ? result.promptIndex : index;
+        (groups[key] = groups[key] || []).push(result);
+    });
+    return Array.from(groups, group => group || []);
+}
 
-        addTestStatusLine(`Starting configuration: ${config.name}`, `Config ${configIndex + 1}/${totalConfigs}`);
+/**
+ * Confidence intervals per configuration and metric, significance tests
+ * against the first configuration, and the recommended configuration
+ * @param {Object} run - Multi-config test run
+ * @returns {{trials: number, configs: Array<Object>, recommendation: Object|null}}
+ */
+function buildTestRunStatistics(run) {
+    const configs = (run?.configurations || []).map(configRun => {
+        const byPrompt = groupTestResultsByPrompt(configRun.results)
+            .map(trials => trials.map(getTestResultMetrics));
+        const metrics = {};
+        TEST_STAT_METRICS.forEach(({ key }) => {
+            const samples = byPrompt.flat().map(metric => metric[key]);
+            // Per-prompt trial means pair the configurations prompt by prompt
+            const perPrompt = byPrompt.map(trials => {
+                const values = trials.map(metric => metric[key]).filter(Number.isFinite);
+                return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+            });
+            metrics[key] = { ...summarizeSamples(samples), samples, perPrompt };
+        });
+        return { id: configRun.configId, name: configRun.configName, metrics, comparisons: {} };
+    });
 
-        // Apply this configuration's settings
-        applyTestSettings(config.settings);
+    const reference = configs[0];
+    configs.slice(1).forEach(config => {
+        TEST_STAT_METRICS.forEach(({ key }) => {
+            config.comparisons[key] = compareMetric(reference.metrics[key], config.metrics[key]);
+        });
+    });
 
-        const configRunData = {
-            configId: config.id,
-            configName: config.name,
-            settings: { ...config.settings },
-            startIndex: currentMetrics.promptLogs.length,
-            results: []
-        };
+    const recommendation = configs.length > 1
+        ? recommendConfiguration(configs.map(config => ({
+            id: config.id,
+            name: config.name,
+            quality: config.metrics.quality,
+            cost: config.metrics.cost,
+            latency: config.metrics.latency
+        })))
+        : null;
 
-        for (let promptIndex = 0; promptIndex < totalPrompts; promptIndex++) {
-            const prompt = prompts[promptIndex];
-            overallPromptIndex++;
+    return { trials: run?.trials || 1, promptCount: run?.prompts?.length || 0, configs, recommendation };
+}
 
-            const progressLabel = `Config ${configIndex + 1}/${totalConfigs}: Prompt ${promptIndex + 1}/${totalPrompts}`;
-            updateTestProgressMultiConfig(configIndex + 1, totalConfigs, promptIndex + 1, totalPrompts, progressLabel);
+function formatStatValue(key, value) {
+    if (!Number.isFinite(value)) return 'N/A';
+    if (key === 'quality') return `${Math.round(value)}%`;
+    if (key === 'cost') return `$${value.toFixed(4)}`;
+    if (key === 'latency') return formatTime(Math.round(value));
+    return formatTokens(Math.round(value));
+}
 
-            const streamLine = addTestStreamingLine(prompt.text, progressLabel);
-            const streamHandlers = streamLine
-                ? {
-                    onStart: () => updateTestStreamStatus(streamLine, 'Streaming response...'),
-                    onToken: (chunk) => updateTestStreamingLine(streamLine, chunk),
-                    onComplete: () => finalizeTestStreamingLine(streamLine, { status: 'complete' })
-                }
-                : null;
+function formatStatDelta(key, delta) {
+    if (!Number.isFinite(delta)) return 'N/A';
+    const sign = delta < 0 ? '−' : '+';
+    if (key === 'quality') return `${sign}${Math.abs(Math.round(delta))} pts`;
+    return `${sign}${formatStatValue(key, Math.abs(delta))}`;
+}
 
-            try {
-                const response = await runPromptWithMetrics(prompt.text, `${config.name}`, streamHandlers);
-                const logEntry = currentMetrics.promptLogs[currentMetrics.promptLogs.length - 1] || null;
-                configRunData.results.push({
-                    prompt: prompt.text,
-                    promptId: prompt.id,
-                    response,
-                    log: logEntry
-                });
-                addTestStatusLine('Response received.', progressLabel);
-            } catch (error) {
-                const logEntry = currentMetrics.promptLogs[currentMetrics.promptLogs.length - 1] || null;
-                configRunData.results.push({
-                    prompt: prompt.text,
-                    promptId: prompt.id,
-                    response: '',
-                    error: error.message || 'Unknown error',
-                    log: logEntry
-                });
-                if (streamLine) {
-                    finalizeTestStreamingLine(streamLine, { status: 'error', message: error.message || 'Unknown error' });
-                }
-                addTestStatusLine(`Error: ${error.message || 'Unknown error'}`, progressLabel);
-            }
-        }
+function formatPValue(pValue) {
+    if (!Number.isFinite(pValue)) return 'p N/A';
+    return pValue < 0.001 ? 'p<0.001' : `p=${pValue.toFixed(3)}`;
+}
 
-        testPromptState.run.configurations.push(configRunData);
-        addTestStatusLine(`Completed configuration: ${config.name}`, `Config ${configIndex + 1}/${totalConfigs}`);
+/**
+ * Statistics table (mean ± CI, Δ and p-value vs the first configuration)
+ * plus the Pareto recommendation; shared by the dashboard and HTML report
+ * @param {Object} stats - buildTestRunStatistics output
+ * @returns {string} HTML ('' for a single configuration run once)
+ */
+function buildTestStatisticsHtml(stats) {
+    if (!stats || stats.configs.length === 0) return '';
+    if (stats.configs.length < 2 && stats.trials < 2) return '';
+
+    const front = new Set(stats.recommendation?.front || []);
+    const reference = stats.configs[0];
+    const headers = stats.configs.map(config => `
+        <th>${escapeHtml(config.name)}${front.has(config.id) ? ' <span class="stat-pareto" title="Pareto-optimal on quality, cost and latency">★</span>' : ''}</th>
+    `).join('');
 
-        // Clear chat window between configurations (but not after the last one)
-        if (configIndex < totalConfigs - 1) {
-            // Clear chat history and RLM cache for clean slate
-            rlmPipeline.clearCache();
-            state.chatHistory = [];
-            resetSignalMemory();
-
-            // Clear chat UI
-            if (elements.chatMessages) {
-                elements.chatMessages.innerHTML = '';
+    const rows = TEST_STAT_METRICS.map(({ key, label, higherIsBetter }) => {
+        const cells = stats.configs.map((config, index) => {
+            const summary = config.metrics[key];
+            const interval = Number.isFinite(summary.halfWidth) ? ` ± ${formatStatValue(key, summary.halfWidth)}` : '';
+            const comparison = index > 0 ? config.comparisons[key] : null;
+            let comparisonHtml = '';
+            if (comparison) {
+                const improved = higherIsBetter ? comparison.meanDiff > 0 : comparison.meanDiff < 0;
+                const className = comparison.significant ? (improved ? 'delta-negative' : 'delta-positive') : 'stat-not-significant';
+                comparisonHtml = `<small class="stat-comparison ${className}">${formatStatDelta(key, comparison.meanDiff)} · ${escapeHtml(formatPValue(comparison.pValue))}${comparison.significant ? '' : ' (n.s.)'}</small>`;
+            } else if (index > 0) {
+                comparisonHtml = '<small class="stat-comparison stat-not-significant">too few samples to test</small>';
             }
+            return `<td>${formatStatValue(key, summary.mean)}${interval}${summary.n > 0 ? ` <small>(n=${summary.n})</small>` : ''}${comparisonHtml}</td>`;
+        }).join('');
+        return `<tr><td class="metric-label">${label}</td>${cells}</tr>`;
+    }).join('');
 
-            addTestStatusLine('Chat cleared for next configuration', `Config ${configIndex + 1}/${totalConfigs}`);
-        }
-    }
-
-    updateTestProgressMultiConfig(totalConfigs, totalConfigs, totalPrompts, totalPrompts, 'Test suite complete');
-    addTestStatusLine('All configurations complete. Generating analytics...', 'Complete');
+    const confidencePercent = Math.round(STATS_CONFIG.confidence * 100);
+    const recommendation = stats.recommendation
+        ? `<p class="stat-recommendation"><strong>Recommended: ${escapeHtml(stats.recommendation.name)}</strong> — ${escapeHtml(stats.recommendation.reason)}</p>`
+        : '';
 
-    // Recommendation B: Disable batch mode after test completes
-    if (rlmPipeline?.updateConfig) {
-        rlmPipeline.updateConfig({ focusBatchMode: false });
-    }
+    return `
+        ${recommendation}
+        <div class="test-comparison-table-wrapper">
+            <table class="test-comparison-table test-stats-table">
+                <thead>
+                    <tr>
+                        <th>Metric</th>
+                        ${headers}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        </div>
+        <p class="test-config-note">Mean ± ${confidencePercent}% confidence interval per response (${stats.promptCount} prompt(s) × ${stats.trials} trial(s)). Δ and p-values compare each configuration with ${escapeHtml(reference.name)}: paired t-test on per-prompt means, or Welch's t-test when only one prompt was run; n.s. = not significant at α=${STATS_CONFIG.alpha}. ★ = Pareto-optimal on quality, cost and latency.</p>
+    `;
+}
 
-    // Restore original settings
-    applyTestSettings(previousSettings);
-    state.isProcessing = false;
-    updateButtonStates();
-    hideTestRunningScreen();
+// ============================================
+// Golden Baseline (regression runs)
+// ============================================
 
-    renderTestAnalytics();
-    showTestAnalyticsModal();
+function isValidTestBaseline(baseline) {
+    return Boolean(baseline && Array.isArray(baseline.entries) && baseline.entries.length > 0);
+}
+
+/**
+ * Reduce test results to the per-prompt entries a baseline stores
+ * Repeated trials of a prompt are averaged into one entry; the response and
+ * rubric scores come from the first trial that succeeded.
+ * @param {Array} results - Results of one configuration run
+ * @returns {Array<Object>} Entries for compareToBaseline
+ */
+function buildBaselineEntries(results) {
+    return groupTestResultsByPrompt(results).filter(trials => trials.length > 0).map(trials => {
+        const succeeded = trials.filter(result => !result.error);
+        const sample = succeeded[0] || trials[0];
+        const metrics = trials.map(getTestResultMetrics);
+        const average = (key) => {
+            const values = metrics.map(metric => metric[key]).filter(Number.isFinite);
+            return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        };
+        const qualityScore = average('quality');
+        return {
+            prompt: sample.prompt,
+            reference: sample.reference || '',
+            response: truncateText(sample.response || '', TEST_BASELINE_RESPONSE_CHARS),
+            error: succeeded.length === 0 ? (sample.error || 'Unknown error') : null,
+            qualityScore: qualityScore === null ? null : Math.round(qualityScore),
+            scores: sample.log?.evaluation?.scores || null,
+            cost: average('cost') || 0,
+            tokens: Math.round(average('tokens') || 0),
+            responseTime: Math.round(average('latency') || 0),
+            trials: trials.length
+        };
+    });
 }
 
-function resetTestRunningScreenMultiConfig(totalConfigs, totalPrompts) {
-    if (elements.testProgressFill) {
-        elements.testProgressFill.style.width = '0%';
-    }
-    if (elements.testProgressLabel) {
-        elements.testProgressLabel.textContent = `Preparing ${totalConfigs} config(s) × ${totalPrompts} prompt(s)...`;
-    }
-    if (elements.testProgressCount) {
-        elements.testProgressCount.textContent = `Config 0/${totalConfigs} | Prompt 0/${totalPrompts}`;
-    }
-    if (elements.testStatusStream) {
-        elements.testStatusStream.innerHTML = '';
+function persistTestBaseline() {
+    try {
+        if (testPromptState.baseline) {
+            localStorage.setItem(TEST_BASELINE_STORAGE_KEY, JSON.stringify(testPromptState.baseline));
+        } else {
+            localStorage.removeItem(TEST_BASELINE_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('[Test] Failed to save baseline:', error.message);
     }
 }
 
-function updateTestProgressMultiConfig(currentConfig, totalConfigs, currentPrompt, totalPrompts, label) {
-    const totalRuns = totalConfigs * totalPrompts;
-    const completedRuns = (currentConfig - 1) * totalPrompts + currentPrompt;
-    const percent = totalRuns > 0 ? Math.round((completedRuns / totalRuns) * 100) : 0;
-
-    if (elements.testProgressFill) {
-        elements.testProgressFill.style.width = `${percent}%`;
-    }
-    if (elements.testProgressLabel) {
-        elements.testProgressLabel.textContent = label;
-    }
-    if (elements.testProgressCount) {
-        elements.testProgressCount.textContent = `Config ${currentConfig}/${totalConfigs} | Prompt ${currentPrompt}/${totalPrompts}`;
+function loadTestBaseline() {
+    try {
+        const saved = localStorage.getItem(TEST_BASELINE_STORAGE_KEY);
+        const baseline = saved ? JSON.parse(saved) : null;
+        testPromptState.baseline = isValidTestBaseline(baseline) ? baseline : null;
+    } catch (error) {
+        console.warn('[Test] Failed to load baseline:', error.message);
+        testPromptState.baseline = null;
     }
 }
 
-// Legacy single-config function (kept for backwards compatibility)
-async function runTestSequence(prompts, testSettings) {
-    const previousSettings = getTestSettingsSnapshot();
-
-    state.isProcessing = true;
-    updateButtonStates();
-    showTestRunningScreen();
-    resetTestRunningScreen(prompts.length);
-    addTestStatusLine('Initializing test run...', 'Setup');
+/**
+ * Save one configuration of the current run as the golden baseline
+ * @param {number} configIndex - Index into testPromptState.run.configurations
+ */
+function saveTestBaseline(configIndex) {
+    const run = testPromptState.run;
+    const configRun = run?.configurations?.[configIndex];
+    if (!configRun) return;
+
+    testPromptState.baseline = {
+        version: 1,
+        name: `${configRun.configName} (${run.startedAt.toLocaleString()})`,
+        savedAt: new Date().toISOString(),
+        runStartedAt: run.startedAt.toISOString(),
+        configId: configRun.configId,
+        configName: configRun.configName,
+        settings: { ...configRun.settings },
+        promptSet: run.promptSet || null,
+        entries: buildBaselineEntries(configRun.results)
+    };
+    persistTestBaseline();
+    renderTestAnalytics();
 
-    const normalizedTestSettings = normalizeTestSettings(testSettings || getTestSettingsSnapshot());
-    applyTestSettings(normalizedTestSettings);
+    const ungraded = testPromptState.baseline.entries.filter(entry => !Number.isFinite(entry.qualityScore)).length;
+    showToast(ungraded > 0
+        ? `Saved "${configRun.configName}" as the baseline; ${ungraded} response(s) have no quality score to compare against.`
+        : `Saved "${configRun.configName}" as the baseline.`, ungraded > 0 ? 'warning' : 'success');
+}
 
-    testPromptState.run = {
-        startedAt: new Date(),
-        settings: normalizedTestSettings,
-        prompts,
-        promptSet: resolvePromptSetMeta(prompts),
-        startIndex: currentMetrics.promptLogs.length,
-        results: []
-    };
+function clearTestBaseline() {
+    testPromptState.baseline = null;
+    persistTestBaseline();
+    renderTestBaselineStatus();
+}
 
-    // Recommendation B: Enable batch mode to reset focus between prompts
-    if (rlmPipeline?.updateConfig) {
-        rlmPipeline.updateConfig({ focusBatchMode: true });
+function renderTestBaselineStatus() {
+    if (!elements.testBaselineLabel) return;
+    const baseline = testPromptState.baseline;
+    elements.testBaselineLabel.textContent = baseline
+        ? `${baseline.name} · ${baseline.entries.length} prompt(s)`
+        : 'None saved';
+    if (elements.testBaselineClearBtn) {
+        elements.testBaselineClearBtn.classList.toggle('hidden', !baseline);
     }
+}
 
-    for (let i = 0; i < prompts.length; i += 1) {
-        const prompt = prompts[i];
-        const promptLabel = `Prompt ${i + 1}`;
-        updateTestProgress(i + 1, prompts.length, `Running ${promptLabel}`);
-        const streamLine = addTestStreamingLine(prompt.text, promptLabel);
-        const streamHandlers = streamLine
-            ? {
-                onStart: () => updateTestStreamStatus(streamLine, 'Streaming response...'),
-                onToken: (chunk) => updateTestStreamingLine(streamLine, chunk),
-                onComplete: () => finalizeTestStreamingLine(streamLine, { status: 'complete' })
-            }
-            : null;
+function isBaselineConfigRun(configRun, run = testPromptState.run) {
+    const baseline = testPromptState.baseline;
+    return Boolean(baseline && run?.startedAt
+        && baseline.runStartedAt === run.startedAt.toISOString()
+        && baseline.configId === configRun.configId);
+}
 
-        try {
-            const response = await runPromptWithMetrics(prompt.text, 'Test', streamHandlers);
-            const logEntry = currentMetrics.promptLogs[currentMetrics.promptLogs.length - 1] || null;
-            testPromptState.run.results.push({
-                prompt: prompt.text,
-                response,
-                log: logEntry
-            });
-            addTestStatusLine('Response received.', promptLabel);
-        } catch (error) {
-            const logEntry = currentMetrics.promptLogs[currentMetrics.promptLogs.length - 1] || null;
-            testPromptState.run.results.push({
-                prompt: prompt.text,
-                response: '',
-                error: error.message || 'Unknown error',
-                log: logEntry
-            });
-            if (streamLine) {
-                finalizeTestStreamingLine(streamLine, { status: 'error', message: error.message || 'Unknown error' });
-            }
-            addTestStatusLine(`Error: ${error.message || 'Unknown error'}`, promptLabel);
-        }
-    }
+/**
+ * Diff one configuration run against the golden baseline
+ * @returns {Object|null} compareToBaseline output, or null when there is no
+ *   baseline or this configuration run is the baseline itself
+ */
+function compareConfigRunToBaseline(configRun, run = testPromptState.run) {
+    const baseline = testPromptState.baseline;
+    if (!baseline || isBaselineConfigRun(configRun, run)) return null;
+    return compareToBaseline(baseline.entries, buildBaselineEntries(configRun.results));
+}
 
-    updateTestProgress(prompts.length, prompts.length, 'Test complete');
-    addTestStatusLine('All prompts complete. Generating analytics...', 'Complete');
+function formatSignedPoints(delta) {
+    if (!Number.isFinite(delta)) return 'N/A';
+    return `${delta > 0 ? '+' : ''}${delta} pts`;
+}
 
-    // Recommendation B: Disable batch mode after test completes
-    if (rlmPipeline?.updateConfig) {
-        rlmPipeline.updateConfig({ focusBatchMode: false });
-    }
+function formatSignedRatio(ratio) {
+    if (!Number.isFinite(ratio)) return 'N/A';
+    const percent = Math.round(ratio * 100);
+    return `${percent > 0 ? '+' : ''}${percent}%`;
+}
 
-    applyTestSettings(previousSettings);
-    state.isProcessing = false;
-    updateButtonStates();
-    hideTestRunningScreen();
+function formatSignedCost(delta) {
+    if (!Number.isFinite(delta)) return 'N/A';
+    return `${delta < 0 ? '−' : '+'}${formatCost(Math.abs(delta))}`;
+}
 
-    renderTestAnalytics();
-    showTestAnalyticsModal();
+function formatSignedTime(delta) {
+    if (!Number.isFinite(delta)) return 'N/A';
+    return `${delta < 0 ? '−' : '+'}${formatTime(Math.abs(delta))}`;
+}
+
+function describeBaselineRow(row) {
+    if (!row) return '';
+    if (row.status === 'new') return 'Not in baseline';
+    const parts = [
+        `Quality ${formatSignedPoints(row.qualityDelta)}`,
+        `Cost ${formatSignedRatio(row.costRatio)}`,
+        `Time ${formatSignedTime(row.timeDelta)}`
+    ];
+    if (row.regressions.length > 0) parts.push(`Regressed: ${row.regressions.join(', ')}`);
+    else if (row.improvements.length > 0) parts.push(`Improved: ${row.improvements.join(', ')}`);
+    return parts.join(' · ');
 }
 
 function renderTestAnalytics() {
@@ -5510,7 +7726,7 @@ function renderTestAnalytics() {
                     ${log?.id ? `
                         <div class="test-eval" data-log-id="${log.id}">
                             <div class="test-eval-header">
-                                <span class="test-eval-title">Rubric Scores</span>
+                                <span class="test-eval-title">Rubric Scores${evaluation?.evaluator === 'judge' ? ' (auto-graded)' : ''}</span>
                                 <span class="test-eval-score">Quality: ${qualityDisplay}</span>
                                 <button class="btn-secondary btn-sm eval-save-btn" data-log-id="${log.id}">Save</button>
                             </div>
@@ -5518,6 +7734,8 @@ function renderTestAnalytics() {
                                 ${evalFields}
                             </div>
                             <textarea class="test-eval-notes" data-eval-notes placeholder="Notes (optional)">${escapeHtml(evalNotes)}</textarea>
+                            ${buildEvalRationaleHtml(evaluation)}
+                            ${result.gradeError ? `<p class="test-eval-error">Grading failed: ${escapeHtml(result.gradeError)}</p>` : ''}
                         </div>
                     ` : ''}
                 </div>
@@ -5551,6 +7769,9 @@ function renderTestAnalyticsMultiConfig() {
         return {
             ...configRun,
             totals,
+            quality: summarizeTestQuality(configRun.results),
+            isBaseline: isBaselineConfigRun(configRun, run),
+            baselineComparison: compareConfigRunToBaseline(configRun, run),
             avgTime: promptCount > 0 ? Math.round(totals.totalTime / promptCount) : 0
         };
     });
@@ -5562,22 +7783,37 @@ function renderTestAnalyticsMultiConfig() {
         acc.totalCost += cs.totals.totalCost;
         acc.totalTime += cs.totals.totalTime;
         acc.promptCount += cs.results.length;
+        acc.gradedCount += cs.quality.graded;
+        acc.judgeCost += cs.quality.judgeCost;
         return acc;
-    }, { inputTokens: 0, outputTokens: 0, totalCost: 0, totalTime: 0, promptCount: 0 });
+    }, { inputTokens: 0, outputTokens: 0, totalCost: 0, totalTime: 0, promptCount: 0, gradedCount: 0, judgeCost: 0 });
+    const formatQuality = (value) => (Number.isFinite(value) ? `${value}%` : 'N/A');
+    const statisticsHtml = buildTestStatisticsHtml(buildTestRunStatistics(run));
 
     // Build comparative summary table
     if (elements.testAnalyticsSummary) {
-        const configHeaders = configs.map(c => `<th>${escapeHtml(c.configName)}</th>`).join('');
+        const configHeaders = configStats.map((cs, index) => `
+            <th>
+                ${escapeHtml(cs.configName)}
+                ${cs.isBaseline
+                    ? '<span class="baseline-badge" title="Saved as the golden baseline">★ Baseline</span>'
+                    : `<button class="btn-text btn-sm baseline-save-btn" data-config-index="${index}" title="Save this configuration's results as the golden baseline">☆ Set baseline</button>`}
+            </th>
+        `).join('');
         const deltaHeader = configs.length === 2 ? '<th>Δ Change</th>' : '';
 
-        const buildRow = (label, valueGetter, formatFn = (v) => v) => {
+        // higherIsBetter flips the delta colouring (quality up is good, cost up is bad)
+        const buildRow = (label, valueGetter, formatFn = (v) => v, higherIsBetter = false) => {
             const values = configStats.map(cs => valueGetter(cs));
             const cells = values.map(v => `<td>${formatFn(v)}</td>`).join('');
             let deltaCell = '';
-            if (configs.length === 2 && values[0] !== 0) {
+            if (configs.length === 2 && values[0] !== 0 && values.every(Number.isFinite)) {
                 const delta = ((values[1] - values[0]) / values[0]) * 100;
                 const sign = delta >= 0 ? '+' : '';
-                deltaCell = `<td class="${delta < 0 ? 'delta-negative' : 'delta-positive'}">${sign}${delta.toFixed(0)}%</td>`;
+                const improved = higherIsBetter ? delta > 0 : delta < 0;
+                deltaCell = `<td class="${improved ? 'delta-negative' : 'delta-positive'}">${sign}${delta.toFixed(0)}%</td>`;
+            } else if (configs.length === 2) {
+                deltaCell = '<td></td>';
             }
             return `<tr><td class="metric-label">${label}</td>${cells}${deltaCell}</tr>`;
         };
@@ -5593,6 +7829,8 @@ function renderTestAnalyticsMultiConfig() {
                         </tr>
                     </thead>
                     <tbody>
+                        ${buildRow('Avg Quality', cs => cs.quality.avgQuality, formatQuality, true)}
+                        ${buildRow('Graded', cs => cs.quality.graded, v => `${v}/${prompts.length * (run.trials || 1)}`, true)}
                         ${buildRow('Tokens', cs => cs.totals.inputTokens + cs.totals.outputTokens, formatTokens)}
                         ${buildRow('Cost', cs => cs.totals.totalCost, formatCost)}
                         ${buildRow('Avg Time', cs => cs.avgTime, formatTime)}
@@ -5623,6 +7861,11 @@ function renderTestAnalyticsMultiConfig() {
                 <h4>Total Cost</h4>
                 <p>${formatCost(overallTotals.totalCost)}</p>
             </div>
+            <div class="test-summary-card">
+                <h4>Graded</h4>
+                <p>${overallTotals.gradedCount}/${overallTotals.promptCount}</p>
+                ${overallTotals.judgeCost > 0 ? `<small>Judge cost ${formatCost(overallTotals.judgeCost)}</small>` : ''}
+            </div>
             <div class="test-summary-card">
                 <h4>Prompt Set</h4>
                 <p>${escapeHtml(promptSetLabel)}</p>
@@ -5631,6 +7874,13 @@ function renderTestAnalyticsMultiConfig() {
                 <h4>Configuration Comparison</h4>
                 ${comparisonTable}
             </div>
+            ${statisticsHtml ? `
+                <div class="test-summary-card test-summary-card-wide">
+                    <h4>Statistical Comparison</h4>
+                    ${statisticsHtml}
+                </div>
+            ` : ''}
+            ${buildBaselineSummaryHtml(configStats)}
         `;
     }
 
@@ -5638,15 +7888,32 @@ function renderTestAnalyticsMultiConfig() {
     if (elements.testAnalyticsList) {
         const promptComparisonHtml = prompts.map((prompt, promptIndex) => {
             const configResults = configs.map((configRun, configIndex) => {
-                const result = configRun.results[promptIndex];
-                if (!result) return null;
-
-                const log = result.log;
-                const tokens = log?.tokens || { input: 0, output: 0 };
-                const cost = log?.cost || { total: 0 };
-                const responseTime = log?.responseTime || 0;
-                const status = result.error ? 'Error' : 'OK';
-                const statusClass = result.error ? 'status-error' : 'status-ok';
+                const trialResults = configRun.results.filter(result => result.promptIndex === promptIndex);
+                if (trialResults.length === 0) return null;
+
+                // Repeated trials show averages, with each trial's quality listed
+                const metrics = trialResults.map(getTestResultMetrics);
+                const average = (key) => {
+                    const values = metrics.map(metric => metric[key]).filter(Number.isFinite);
+                    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+                };
+                const errorCount = trialResults.filter(result => result.error).length;
+                const status = trialResults.length > 1
+                    ? `${trialResults.length - errorCount}/${trialResults.length} OK`
+                    : (errorCount > 0 ? 'Error' : 'OK');
+                const statusClass = errorCount > 0 ? 'status-error' : 'status-ok';
+                const avgQuality = average('quality');
+                const trialQualities = trialResults.length > 1
+                    ? ` (${metrics.map(metric => formatQuality(metric.quality)).join(' / ')})`
+                    : '';
+                const baselineRow = configStats[configIndex].baselineComparison?.rows[promptIndex] || null;
+                const rationaleHtml = trialResults.map(result => {
+                    const label = trialResults.length > 1 ? `Trial ${result.trial} rationale` : 'Judge rationale';
+                    return `
+                        ${buildEvalRationaleHtml(result.log?.evaluation, label)}
+                        ${result.gradeError ? `<p class="test-eval-error">Grading failed: ${escapeHtml(result.gradeError)}</p>` : ''}
+                    `;
+                }).join('');
 
                 return `
                     <div class="config-result-card">
@@ -5655,10 +7922,13 @@ function renderTestAnalyticsMultiConfig() {
                             <span class="result-status ${statusClass}">${status}</span>
                         </div>
                         <div class="config-result-metrics">
-                            <span>Tokens: ${formatTokens(tokens.input + tokens.output)}</span>
-                            <span>Cost: ${formatCost(cost.total)}</span>
-                            <span>Time: ${formatTime(responseTime)}</span>
+                            <span>Quality: ${formatQuality(avgQuality === null ? null : Math.round(avgQuality))}${trialQualities}</span>
+                            <span>Tokens: ${formatTokens(Math.round(average('tokens') || 0))}</span>
+                            <span>Cost: ${formatCost(average('cost') || 0)}</span>
+                            <span>Time: ${formatTime(Math.round(average('latency') || 0))}</span>
                         </div>
+                        ${baselineRow ? `<div class="baseline-delta baseline-${baselineRow.status}">vs baseline: ${escapeHtml(describeBaselineRow(baselineRow))}</div>` : ''}
+                        ${rationaleHtml}
                     </div>
                 `;
             }).filter(Boolean).join('');
@@ -5666,6 +7936,7 @@ function renderTestAnalyticsMultiConfig() {
             return `
                 <div class="test-analytics-item prompt-comparison">
                     <h5>Prompt ${promptIndex + 1}: ${escapeHtml(prompt.text)}</h5>
+                    ${prompt.reference ? `<p class="test-reference-answer"><strong>Reference:</strong> ${escapeHtml(truncateText(prompt.reference, 240))}</p>` : ''}
                     <div class="config-results-grid">
                         ${configResults}
                     </div>
@@ -5677,6 +7948,54 @@ function renderTestAnalyticsMultiConfig() {
     }
 }
 
+function buildBaselineSummaryHtml(configStats) {
+    const baseline = testPromptState.baseline;
+    if (!baseline) return '';
+
+    const compared = configStats.filter(cs => cs.baselineComparison);
+    const rows = compared.map(cs => {
+        const summary = cs.baselineComparison.summary;
+        return `
+            <tr>
+                <td class="metric-label">${escapeHtml(cs.configName)}</td>
+                <td>${summary.matched}</td>
+                <td class="${summary.regressed > 0 ? 'delta-positive' : ''}">${summary.regressed}</td>
+                <td class="${summary.improved > 0 ? 'delta-negative' : ''}">${summary.improved}</td>
+                <td>${formatSignedPoints(summary.avgQualityDelta)}</td>
+                <td>${formatSignedCost(summary.costDelta)}</td>
+                <td>${formatSignedTime(summary.avgTimeDelta)}</td>
+            </tr>
+        `;
+    }).join('');
+    const unmatched = compared.some(cs => cs.baselineComparison.summary.matched === 0);
+
+    return `
+        <div class="test-summary-card test-summary-card-wide">
+            <h4>Regression vs Baseline</h4>
+            <p class="baseline-summary-name">${escapeHtml(baseline.name)} · ${baseline.entries.length} prompt(s)</p>
+            ${compared.length > 0 ? `
+                <div class="test-comparison-table-wrapper">
+                    <table class="test-comparison-table">
+                        <thead>
+                            <tr>
+                                <th>Configuration</th>
+                                <th>Matched</th>
+                                <th>Regressed</th>
+                                <th>Improved</th>
+                                <th>Δ Quality</th>
+                                <th>Δ Cost</th>
+                                <th>Δ Avg Time</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${unmatched ? '<p class="test-config-note">Prompts are matched to the baseline by text; re-run the same program to compare.</p>' : ''}
+            ` : '<p class="test-config-note">This run is the baseline. Re-run the program with a new configuration to compare.</p>'}
+        </div>
+    `;
+}
+
 function buildTestReportHtml() {
     if (!testPromptState.run) return '';
 
@@ -5821,9 +8140,12 @@ function buildTestReportHtmlMultiConfig() {
         return {
             ...configRun,
             totals,
+            quality: summarizeTestQuality(configRun.results),
+            baselineComparison: compareConfigRunToBaseline(configRun, run),
             avgTime: promptCount > 0 ? Math.round(totals.totalTime / promptCount) : 0
         };
     });
+    const formatQuality = (value) => (Number.isFinite(value) ? `${value}%` : 'N/A');
 
     // Overall totals
     const overallTotals = configStats.reduce((acc, cs) => {
@@ -5838,15 +8160,18 @@ function buildTestReportHtmlMultiConfig() {
     const configHeaders = configs.map(c => `<th>${escapeHtml(c.configName)}</th>`).join('');
     const deltaHeader = configs.length === 2 ? '<th>Δ Change</th>' : '';
 
-    const buildCompRow = (label, valueGetter, formatFn = (v) => v) => {
+    const buildCompRow = (label, valueGetter, formatFn = (v) => v, higherIsBetter = false) => {
         const values = configStats.map(cs => valueGetter(cs));
         const cells = values.map(v => `<td>${formatFn(v)}</td>`).join('');
         let deltaCell = '';
-        if (configs.length === 2 && values[0] !== 0) {
+        if (configs.length === 2 && values[0] !== 0 && values.every(Number.isFinite)) {
             const delta = ((values[1] - values[0]) / values[0]) * 100;
             const sign = delta >= 0 ? '+' : '';
-            const color = delta < 0 ? '#16a34a' : '#dc2626';
+            const improved = higherIsBetter ? delta > 0 : delta < 0;
+            const color = improved ? '#16a34a' : '#dc2626';
             deltaCell = `<td style="color: ${color}; font-weight: 600;">${sign}${delta.toFixed(0)}%</td>`;
+        } else if (configs.length === 2) {
+            deltaCell = '<td></td>';
         }
         return `<tr><td><strong>${label}</strong></td>${cells}${deltaCell}</tr>`;
     };
@@ -5861,6 +8186,7 @@ function buildTestReportHtmlMultiConfig() {
                 </tr>
             </thead>
             <tbody>
+                ${buildCompRow('Avg Quality', cs => cs.quality.avgQuality, formatQuality, true)}
                 ${buildCompRow('Tokens', cs => cs.totals.inputTokens + cs.totals.outputTokens, formatTokens)}
                 ${buildCompRow('Cost', cs => cs.totals.totalCost, formatCost)}
                 ${buildCompRow('Avg Time', cs => cs.avgTime, formatTime)}
@@ -5878,10 +8204,15 @@ function buildTestReportHtmlMultiConfig() {
             const cost = log?.cost || { total: 0 };
             const responseTime = log?.responseTime || 0;
             const status = result.error ? `Error: ${result.error}` : 'Complete';
+            const evaluation = log?.evaluation || null;
+            const rowNumber = Number.isInteger(result.promptIndex)
+                ? `${result.promptIndex + 1}${run.trials > 1 ? `.${result.trial}` : ''}`
+                : `${index + 1}`;
             return `
                 <tr>
-                    <td>${index + 1}</td>
+                    <td>${rowNumber}</td>
                     <td>${escapeHtml(result.prompt)}</td>
+                    <td title="${escapeAttribute(evaluation?.notes || '')}">${formatQuality(evaluation?.qualityScore)}</td>
                     <td>${formatTokens(tokens.input + tokens.output)}</td>
                     <td>${formatCost(cost.total)}</td>
                     <td>${formatTime(responseTime)}</td>
@@ -5898,6 +8229,7 @@ function buildTestReportHtmlMultiConfig() {
                     <tr>
                         <th>#</th>
                         <th>Prompt</th>
+                        <th>Quality</th>
                         <th>Tokens</th>
                         <th>Cost</th>
                         <th>Time</th>
@@ -5911,6 +8243,9 @@ function buildTestReportHtmlMultiConfig() {
         `;
     }).join('\n');
 
+    const regressionSection = buildBaselineReportHtml(configStats);
+    const statisticsHtml = buildTestStatisticsHtml(buildTestRunStatistics(run));
+
     return `
         <!DOCTYPE html>
         <html lang="en">
@@ -5928,6 +8263,16 @@ function buildTestReportHtmlMultiConfig() {
                 th, td { text-align: left; border-bottom: 1px solid #e0d6c3; padding: 12px; vertical-align: top; }
                 th { background: #f1e9dc; }
                 .comparison-section { background: #fef9f0; padding: 24px; border-radius: 12px; margin: 24px 0; border: 1px solid #d4a853; }
+                .delta-negative { color: #16a34a; font-weight: 600; }
+                .delta-positive { color: #dc2626; font-weight: 600; }
+                .stat-comparison { display: block; color: #6b7280; }
+                .stat-comparison.delta-negative { color: #16a34a; }
+                .stat-comparison.delta-positive { color: #dc2626; }
+                .stat-pareto { color: #b17d1b; }
+                tr.regressed td { background: #fdecec; }
+                tr.improved td { background: #ecfdf3; }
+                .regression-response { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin: 8px 0 24px; }
+                .regression-response pre { white-space: pre-wrap; font-family: inherit; background: #f8f4ee; padding: 12px; border-radius: 8px; margin: 4px 0 0; }
             </style>
         </head>
         <body>
@@ -5964,12 +8309,84 @@ function buildTestReportHtmlMultiConfig() {
                 ${comparisonTable}
             </div>
 
+            ${statisticsHtml ? `
+                <div class="comparison-section">
+                    <h2 style="margin-top: 0; border: none;">Statistical Comparison</h2>
+                    ${statisticsHtml}
+                </div>
+            ` : ''}
+
+            ${regressionSection}
+
             ${configDetails}
         </body>
         </html>
     `;
 }
 
+function buildBaselineReportHtml(configStats) {
+    const baseline = testPromptState.baseline;
+    if (!baseline) return '';
+
+    const sections = configStats.filter(cs => cs.baselineComparison).map(cs => {
+        const { rows, summary } = cs.baselineComparison;
+        const thresholds = summary.thresholds;
+        const tableRows = rows.map((row, index) => {
+            const baselineQuality = Number.isFinite(row.baseline?.qualityScore) ? `${row.baseline.qualityScore}%` : 'N/A';
+            const currentQuality = Number.isFinite(row.current.qualityScore) ? `${row.current.qualityScore}%` : 'N/A';
+            const status = row.status === 'regressed'
+                ? `Regressed (${row.regressions.join(', ')})`
+                : (row.status === 'improved' ? `Improved (${row.improvements.join(', ')})` : (row.status === 'new' ? 'Not in baseline' : 'Unchanged'));
+            return `
+                <tr class="${row.status}">
+                    <td>${index + 1}</td>
+                    <td>${escapeHtml(row.prompt)}</td>
+                    <td>${row.baseline ? `${baselineQuality} → ${currentQuality} (${formatSignedPoints(row.qualityDelta)})` : currentQuality}</td>
+                    <td>${row.baseline ? formatSignedRatio(row.costRatio) : 'N/A'}</td>
+                    <td>${row.baseline ? formatSignedTime(row.timeDelta) : 'N/A'}</td>
+                    <td>${escapeHtml(status)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const regressedResponses = rows.filter(row => row.status === 'regressed' && row.baseline).map(row => `
+            <h4>${escapeHtml(row.prompt)}</h4>
+            <div class="regression-response">
+                <div><strong>Baseline</strong><pre>${escapeHtml(row.baseline.error ? `Error: ${row.baseline.error}` : row.baseline.response || '')}</pre></div>
+                <div><strong>${escapeHtml(cs.configName)}</strong><pre>${escapeHtml(row.current.error ? `Error: ${row.current.error}` : row.current.response || '')}</pre></div>
+            </div>
+        `).join('');
+
+        return `
+            <h3>${escapeHtml(cs.configName)}: ${summary.regressed} regressed, ${summary.improved} improved of ${summary.matched} matched</h3>
+            <p>Δ quality ${formatSignedPoints(summary.avgQualityDelta)} · Δ cost ${formatSignedCost(summary.costDelta)} · Δ avg time ${formatSignedTime(summary.avgTimeDelta)}${summary.missing.length > 0 ? ` · ${summary.missing.length} baseline prompt(s) not run` : ''}</p>
+            <p>Regression thresholds: quality −${thresholds.qualityDropPoints} pts, cost +${Math.round(thresholds.costIncreaseRatio * 100)}%, latency +${Math.round(thresholds.latencyIncreaseRatio * 100)}%.</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Prompt</th>
+                        <th>Quality (baseline → run)</th>
+                        <th>Δ Cost</th>
+                        <th>Δ Time</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${tableRows}
+                </tbody>
+            </table>
+            ${regressedResponses ? `<h3>Regressed responses</h3>${regressedResponses}` : ''}
+        `;
+    }).join('\n');
+
+    return `
+        <h2>Regression vs Baseline</h2>
+        <p><strong>Baseline:</strong> ${escapeHtml(baseline.name)}, saved ${escapeHtml(new Date(baseline.savedAt).toLocaleString())} (${escapeHtml(formatTestSettingsSummary(baseline.settings))})</p>
+        ${sections || '<p>This run is the baseline.</p>'}
+    `;
+}
+
 function exportTestReportHtml() {
     const html = buildTestReportHtml();
     if (!html) return;
@@ -6722,6 +9139,15 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Escape text for a quoted HTML attribute (escapeHtml leaves quotes as they are)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 // ============================================
 // Cross-Meeting Insights Generation
 // ============================================
@@ -6731,7 +9157,7 @@ async function generateCrossInsights() {
     const activeAgents = state.agents.filter(a => a.enabled);
     console.log('[generateCrossInsights] Active agents:', activeAgents.length);
 
-    if (activeAgents.length < 2 || !state.apiKey) {
+    if (activeAgents.length < 2 || !hasApiAccess()) {
         showError('Please enable at least 2 agents and enter your API key.');
         return;
     }
@@ -6870,39 +9296,297 @@ function displayInsights(insights) {
     if (elements.insightRecommendations) {
         elements.insightRecommendations.innerHTML = formatInsightList(insights.recommendations);
     }
-    if (elements.insightActions) {
-        elements.insightActions.innerHTML = formatInsightList(insights.actions);
+    if (elements.insightActions) {
+        elements.insightActions.innerHTML = formatInsightList(insights.actions);
+    }
+    
+    // Scroll to insights section
+    elements.insightsSection?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function formatInsightList(items) {
+    if (!items || items.length === 0) {
+        return '<p class="no-data">No data available</p>';
+    }
+    return `<ul class="insight-list">${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+}
+
+// ============================================
+// Cost Ceilings
+// ============================================
+
+const COST_PHASE_LABELS = {
+    subQuery: 'sub-queries',
+    aggregate: 'synthesis',
+    direct: 'answer',
+    replCode: 'code generation',
+    replSubLm: 'sub_lm calls'
+};
+
+function getCostCaps() {
+    return {
+        perQuery: Number(state.settings.costCapPerQuery) || 0,
+        perSession: Number(state.settings.costCapPerSession) || 0
+    };
+}
+
+/**
+ * Model tiers the RLM pipeline would use right now (phase -> model)
+ */
+function getActiveModelTiers() {
+    const { enableModelTiering, modelTiering } = buildModelTieringConfig();
+    if (!enableModelTiering) return {};
+    return Object.fromEntries(Object.entries(modelTiering).filter(([, model]) => model));
+}
+
+/**
+ * Describe the model calls a chat query is expected to make, with estimated
+ * input tokens, for the cost guard
+ * @param {string} message - User query
+ * @param {string} route - 'direct', 'rlm' or 'repl'
+ * @param {Object} options - { depthOverride, signal }
+ * @returns {Promise<{calls: Array<Object>}>}
+ */
+async function buildQueryCostPlan(message, route, options = {}) {
+    const contextStore = rlmPipeline.contextStore;
+    const systemTokens = estimateMessageTokens({ role: 'system', content: RLM_SUBQUERY_SYSTEM_PROMPT });
+
+    if (route === 'rlm' && contextStore && rlmPipeline.decomposer) {
+        const decomposition = await rlmPipeline.decomposer.decompose(message, {
+            depthOverride: options.depthOverride ?? null,
+            signal: options.signal || null
+        });
+        const subQueries = (decomposition?.subQueries || []).filter(Boolean);
+        if (subQueries.length > 0) {
+            const calls = [];
+            const reduceQueries = [];
+            subQueries.forEach(subQuery => {
+                const queryText = subQuery.query || message;
+                if (subQuery.type === 'reduce') {
+                    reduceQueries.push(queryText);
+                    return;
+                }
+                const targetAgents = Array.isArray(subQuery.targetAgents) ? subQuery.targetAgents : [];
+                const agentContext = contextStore.getCombinedContext(targetAgents, subQuery.contextLevel || 'standard');
+                const userPrompt = buildRlmUserPrompt(agentContext, queryText);
+                const history = getHistoryForPrompt(RLM_SUBQUERY_SYSTEM_PROMPT, userPrompt);
+                calls.push({
+                    phase: 'subQuery',
+                    inputTokens: systemTokens + estimateMessagesTokens(history) + estimateMessageTokens({ role: 'user', content: userPrompt }),
+                    fanOut: true
+                });
+            });
+
+            // Reduce and synthesis calls read every sub-query answer
+            const mapOutputTokens = calls.length * COST_GUARD_CONFIG.outputTokens.subQuery;
+            reduceQueries.forEach(queryText => {
+                calls.push({
+                    phase: 'subQuery',
+                    inputTokens: systemTokens + estimateTokens(queryText) + mapOutputTokens,
+                    scalesWithFanOut: true
+                });
+            });
+            if (calls.length > 1) {
+                calls.push({ phase: 'aggregate', inputTokens: systemTokens + mapOutputTokens, scalesWithFanOut: true });
+            }
+            return { calls };
+        }
+    }
+
+    if (route === 'repl') {
+        const usage = estimateReplContextUsage(message);
+        const calls = [{ phase: 'replCode', inputTokens: usage.currentTokens }];
+        if (usage.details.subLmEstimated) {
+            calls.push({ phase: 'replSubLm', inputTokens: usage.currentTokens });
+        }
+        return { calls };
+    }
+
+    return { calls: [{ phase: 'direct', inputTokens: estimateDirectContextUsage(message).currentTokens }] };
+}
+
+/**
+ * Summarize a budget downgrade for the user, e.g.
+ * "sub-queries on GPT-5-nano, 4 of 9 sub-queries"
+ */
+function describeCostDowngrade(fit, baseTiers) {
+    const parts = [];
+    Object.entries(fit.tiers || {}).forEach(([phase, model]) => {
+        if (model !== (baseTiers[phase] || state.settings.model)) {
+            parts.push(`${COST_PHASE_LABELS[phase] || phase} on ${formatModelName(model)}`);
+        }
+    });
+    if (fit.depth) {
+        parts.push(`${fit.depth} of ${fit.original.fanOut} sub-queries`);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Pre-flight cost check against the per-query and session caps. Near a cap
+ * the query is downgraded (cheaper model tiers, then fewer sub-queries);
+ * over it, the user is asked before anything is spent.
+ * @param {string} message - User query
+ * @param {string} route - 'direct', 'rlm' or 'repl'
+ * @param {Object} options - { depthOverride, allowDepthCut, signal }
+ * @returns {Promise<{proceed: boolean, overrides: Object, ceiling: Object|null, budget: Object|null}>}
+ *   `overrides` feed chatWithAgents ({ modelTiering, depthOverride, modelOverride });
+ *   `ceiling` is the hard stop to enforce while the query runs
+ */
+async function checkQueryBudget(message, route, options = {}) {
+    const limit = resolveCostLimit(getCostCaps(), currentMetrics.totalCost);
+    if (!limit) {
+        return { proceed: true, overrides: {}, ceiling: null, budget: null };
+    }
+
+    let plan;
+    try {
+        plan = await buildQueryCostPlan(message, route, options);
+    } catch (error) {
+        if (isCancellationError(error)) throw error;
+        console.warn('[Budget] Cost estimate failed:', error.message);
+        return { proceed: true, overrides: {}, ceiling: limit, budget: null };
+    }
+
+    const baseTiers = route === 'direct' ? {} : getActiveModelTiers();
+    const fit = fitPlanToBudget(plan, {
+        pricing: PRICING,
+        baseModel: state.settings.model,
+        tiers: baseTiers,
+        limit,
+        allowDepthCut: options.allowDepthCut !== false && route === 'rlm'
+    });
+
+    const overrides = {};
+    if (fit.tiers) {
+        if (route === 'direct') {
+            overrides.modelOverride = fit.tiers.direct;
+        } else {
+            overrides.modelTiering = fit.tiers;
+        }
+    }
+    if (fit.depth) {
+        overrides.depthOverride = fit.depth;
+    }
+
+    const downgrade = describeCostDowngrade(fit, baseTiers);
+    const limitLabel = limit.scope === 'query'
+        ? `per-query limit of ${formatCost(limit.amount)}`
+        : `session limit (${formatCost(limit.amount)} of ${formatCost(limit.cap)} left)`;
+    const budget = {
+        scope: limit.scope,
+        limit: limit.amount,
+        estimatedCost: fit.estimate.cost,
+        originalEstimate: fit.original.cost,
+        downgrade: downgrade || null,
+        confirmedOverLimit: false
+    };
+    console.log('[Budget] Pre-flight estimate:', {
+        route,
+        estimate: fit.estimate.cost,
+        original: fit.original.cost,
+        limit,
+        steps: fit.steps
+    });
+
+    if (fit.exceedsLimit) {
+        const confirmed = confirm(
+            `This query is estimated at ${formatCost(fit.estimate.cost)}, over your ${limitLabel}.` +
+            (downgrade ? `\n\nThat already uses ${downgrade}.` : '') +
+            `\n\nRun it anyway?`
+        );
+        if (!confirmed) {
+            console.log('[Budget] Query declined over cost limit');
+            return { proceed: false, overrides, ceiling: null, budget };
+        }
+        // The user accepted the overrun, so no hard stop for this query
+        budget.confirmedOverLimit = true;
+        return { proceed: true, overrides, ceiling: null, budget };
+    }
+
+    if (downgrade) {
+        showToast(`Near your ${limitLabel}: using ${downgrade}.`, 'warning', 6000);
     }
-    
-    // Scroll to insights section
-    elements.insightsSection?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return { proceed: true, overrides, ceiling: limit, budget };
 }
 
-function formatInsightList(items) {
-    if (!items || items.length === 0) {
-        return '<p class="no-data">No data available</p>';
-    }
-    return `<ul class="insight-list">${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+/**
+ * Hard stop: abort the in-flight chat query once its spend reaches the
+ * ceiling from the pre-flight check (calls already made stay in the metrics)
+ * @param {Object} group - Active prompt group
+ */
+function enforceCostCeiling(group) {
+    const ceiling = group?.costCeiling;
+    if (!ceiling || !activeChatController || activeChatController.signal.aborted) return;
+    if (group.cost.total < ceiling.amount) return;
+
+    console.warn(`[Budget] ${ceiling.scope} cost limit reached (${formatCost(group.cost.total)} of ${formatCost(ceiling.amount)}), stopping query`);
+    group.stopReason = 'cost-limit';
+    activeChatController.abort();
 }
 
 // ============================================
 // Chat Functionality
 // ============================================
 
+/**
+ * Hold the chat while a query (or its pre-flight check) runs, so Enter or a
+ * second click can't start another one
+ * @param {boolean} busy
+ */
+function setChatBusy(busy) {
+    state.isProcessing = busy;
+    elements.chatInput.disabled = busy;
+    elements.chatSendBtn.disabled = busy;
+    updateButtonStates();
+}
+
 async function sendChatMessage() {
     const message = elements.chatInput.value.trim();
     if (!message || state.isProcessing || state.agents.length === 0) return;
 
+    // Claimed before the pre-flight check, which can wait on embeddings or a confirm()
+    setChatBusy(true);
+
+    // Stop button aborts everything downstream of this controller
+    activeChatController = new AbortController();
+    const { signal } = activeChatController;
+    setChatStopVisible(true);
+
+    try {
+        // Pre-flight cost check: may downgrade the query, or ask before going over a limit
+        const costCheck = await checkQueryBudget(message, resolveContextGaugeMode(message).mode, { signal });
+        if (!costCheck.proceed) return;
+        await runChatQuery(message, costCheck, signal);
+    } catch (error) {
+        if (isCancellationError(error)) {
+            console.log('[Chat] Stopped during the pre-flight cost check');
+        } else {
+            console.error('[Chat] Could not send message:', error);
+            showError(`Could not send the message: ${error.message}`);
+        }
+    } finally {
+        activeChatController = null;
+        setChatStopVisible(false);
+        setChatBusy(false);
+        elements.chatInput.focus();
+    }
+}
+
+/**
+ * Run a chat query that passed the pre-flight cost check
+ * @param {string} message - User query
+ * @param {Object} costCheck - Result of checkQueryBudget
+ * @param {AbortSignal} signal - Stop button / cost ceiling
+ */
+async function runChatQuery(message, costCheck, signal) {
     // Set defer flag to prevent SW updates during processing
     if (window.deferSWUpdate !== undefined) {
         window.deferSWUpdate = true;
         console.log('[Chat] Deferring SW updates during processing');
     }
 
-    // Clear input and disable while processing
     elements.chatInput.value = '';
-    elements.chatInput.disabled = true;
-    elements.chatSendBtn.disabled = true;
 
     // Add user message to UI
     appendChatMessage('user', message);
@@ -6933,6 +9617,8 @@ async function sendChatMessage() {
         if (activePromptGroup) {
             activePromptGroup.prompt = message;
             activePromptGroup.promptPreview = queryPreview;
+            activePromptGroup.costCeiling = costCheck.ceiling;
+            activePromptGroup.budget = costCheck.budget;
         }
 
         // Update title based on mode
@@ -6972,7 +9658,7 @@ async function sendChatMessage() {
             onComplete: () => {
                 updateStreamingStatus(streamState, 'Finalizing response...');
             }
-        });
+        }, { ...costCheck.overrides, signal });
 
         // Extract response and depthInfo from result
         const response = result.response;
@@ -6991,7 +9677,7 @@ async function sendChatMessage() {
         if (document.getElementById(thinkingId)) {
             removeThinkingIndicator(thinkingId);
         }
-        const messageContainer = finalizeStreamingMessage(streamState, response);
+        const messageContainer = finalizeStreamingMessage(streamState, response, { citations: result.citations });
 
         // Render depth controls if depthInfo is available (RLM mode only)
         if (depthInfo && messageContainer) {
@@ -6999,13 +9685,19 @@ async function sendChatMessage() {
             renderDepthControls(messageContainer, messageId, message, depthInfo);
         }
     } catch (error) {
+        if (document.getElementById(thinkingId)) {
+            removeThinkingIndicator(thinkingId);
+        }
+
+        if (isCancellationError(error)) {
+            handleChatStopped(streamState, error);
+            return;
+        }
+
         // Store error response in active group if available
         if (activePromptGroup) {
             activePromptGroup.response = `Error: ${error.message}`;
         }
-        if (document.getElementById(thinkingId)) {
-            removeThinkingIndicator(thinkingId);
-        }
         
         // Enhanced error messages with model-specific guidance
         let errorMessage = `Sorry, I encountered an error: ${error.message}`;
@@ -7028,10 +9720,6 @@ async function sendChatMessage() {
     } finally {
         // End prompt group and finalize metrics
         endPromptGroup();
-        
-        elements.chatInput.disabled = false;
-        elements.chatSendBtn.disabled = false;
-        elements.chatInput.focus();
 
         // Clear defer flag after processing complete
         if (window.deferSWUpdate !== undefined) {
@@ -7050,21 +9738,88 @@ async function sendChatMessage() {
     }
 }
 
+/**
+ * Abort the in-flight chat query (Stop button)
+ */
+function stopChatMessage() {
+    if (!activeChatController || activeChatController.signal.aborted) return;
+    console.log('[Chat] Stop requested');
+    if (activePromptGroup) {
+        activePromptGroup.stopReason = 'user';
+    }
+    activeChatController.abort();
+    if (elements.chatStopBtn) {
+        elements.chatStopBtn.disabled = true;
+    }
+}
+
+function setChatStopVisible(visible) {
+    if (!elements.chatStopBtn) return;
+    elements.chatStopBtn.classList.toggle('hidden', !visible);
+    elements.chatStopBtn.disabled = !visible;
+    elements.chatSendBtn.classList.toggle('hidden', visible);
+}
+
+/**
+ * Finish a chat turn the user stopped. Shows whatever completed before the
+ * stop and marks the prompt group as cancelled (calls that finished are
+ * already in its cost). Nothing is written to chat history, signal memory or
+ * the query cache, so the next turn doesn't build on a half answer.
+ * @param {Object} streamState - Streaming message state
+ * @param {Error} error - QueryCancelledError or AbortError
+ */
+function handleChatStopped(streamState, error) {
+    const partialResults = (error.partialResults || []).filter(result => result?.response);
+    const streamedText = streamState?.text?.textContent?.trim() || '';
+    const stopReason = activePromptGroup?.stopReason || 'user';
+    const lines = [stopReason === 'cost-limit'
+        ? `_Stopped: this query reached its cost limit (${formatCost(activePromptGroup.costCeiling?.amount)})._`
+        : '_Stopped before the answer was complete._'];
+
+    if (streamedText) {
+        lines.push('', streamedText);
+    } else if (partialResults.length > 0) {
+        const label = partialResults.length === 1 ? 'sub-query' : 'sub-queries';
+        lines.push('', `Partial findings from ${partialResults.length} ${label} that finished before the stop:`);
+        partialResults.forEach(result => {
+            lines.push('', `**${result.agentName || 'Meeting'}:**`, String(result.response).trim());
+        });
+    }
+
+    if (activePromptGroup) {
+        activePromptGroup.cancelled = true;
+        activePromptGroup.stopReason = stopReason;
+        activePromptGroup.partialResults = partialResults.length;
+        activePromptGroup.response = `Stopped (${partialResults.length} partial results)`;
+        if (error.metadata?.timings) {
+            activePromptGroup.timings = error.metadata.timings;
+        }
+        if (error.metadata?.trace) {
+            activePromptGroup.trace = error.metadata.trace;
+        }
+    }
+
+    finalizeStreamingMessage(streamState, lines.join('\n'));
+    streamState?.container?.classList.add('chat-message-stopped');
+    console.log(`[Chat] Query stopped with ${partialResults.length} partial results`);
+}
+
 /**
  * Process chat with agents using the appropriate pipeline
  * @param {string} userMessage - The user's query
  * @param {string} thinkingId - ID for thinking indicator updates
  * @param {Object} streamHandlers - Optional streaming handlers
- * @param {Object} options - Optional settings: { depthOverride }
- * @returns {Promise<{response: string, depthInfo: Object|null}>}
+ * @param {Object} options - Optional settings: { depthOverride, signal, modelTiering, modelOverride }
+ *   (modelTiering / modelOverride come from the cost guard's downgrade)
+ * @returns {Promise<{response: string, depthInfo: Object|null, citations?: Array}>}
  */
 async function chatWithAgents(userMessage, thinkingId = null, streamHandlers = null, options = {}) {
-    const { depthOverride = null } = options;
+    const { depthOverride = null, signal = null, modelTiering = null, modelOverride = null } = options;
 
     // Check if RLM is enabled in settings
     if (!state.settings.useRLM) {
         console.log('[Chat] RLM disabled via settings, using legacy processing');
-        const response = await chatWithAgentsLegacy(userMessage, streamHandlers);
+        const response = await chatWithAgentsLegacy(userMessage, streamHandlers, { signal, modelOverride });
         return { response, depthInfo: null };
     }
 
@@ -7073,7 +9828,7 @@ async function chatWithAgents(userMessage, thinkingId = null, streamHandlers = n
 
     if (useREPL) {
         console.log('[Chat] Using REPL-assisted processing for query');
-        const response = await chatWithREPL(userMessage, thinkingId);
+        const response = await chatWithREPL(userMessage, thinkingId, { signal, modelTiering });
         if (streamHandlers) {
             await simulateStreamingResponse(response, streamHandlers);
         }
@@ -7086,14 +9841,14 @@ async function chatWithAgents(userMessage, thinkingId = null, streamHandlers = n
 
     if (useRLM) {
         console.log('[Chat] Using RLM pipeline for query');
-        const result = await chatWithRLM(userMessage, thinkingId, { depthOverride });
+        const result = await chatWithRLM(userMessage, thinkingId, { depthOverride, signal, modelTiering });
         if (streamHandlers) {
             await simulateStreamingResponse(result.response, streamHandlers);
         }
         return result;
     } else {
         console.log('[Chat] Using legacy processing for query');
-        const response = await chatWithAgentsLegacy(userMessage, streamHandlers);
+        const response = await chatWithAgentsLegacy(userMessage, streamHandlers, { signal, modelOverride });
         return { response, depthInfo: null };
     }
 }
@@ -7101,7 +9856,9 @@ async function chatWithAgents(userMessage, thinkingId = null, streamHandlers = n
 /**
  * Process chat using REPL-based code execution
  */
-async function chatWithREPL(userMessage, thinkingId = null) {
+async function chatWithREPL(userMessage, thinkingId = null, options = {}) {
+    const { signal = null, modelTiering = null } = options;
+
     // Create a wrapper for the LLM call
     const llmCallWrapper = async (systemPrompt, userContent, context) => {
         const messages = [
@@ -7117,7 +9874,9 @@ async function chatWithREPL(userMessage, thinkingId = null) {
         return callGPTWithMessages(messages, `REPL: ${userMessage.substring(0, 20)}...`, {
             maxTokens: RLM_CONFIG.maxOutputTokens,
             modelOverride: context?.modelOverride,
-            effortOverride: context?.effortOverride
+            effortOverride: context?.effortOverride,
+            signal: context?.signal,
+            onCallData: (callData) => recordTraceCall(context?.traceParent, callData)
         });
     };
 
@@ -7135,13 +9894,17 @@ async function chatWithREPL(userMessage, thinkingId = null) {
         recordFocusTelemetry(details);
     });
 
-    // Process through REPL pipeline
-    const result = await rlmPipeline.processWithREPL(userMessage, llmCallWrapper, {
-        apiKey: state.apiKey
-    });
-
-    // Clear progress callback
-    rlmPipeline.setProgressCallback(null);
+    // Process through REPL pipeline (clear the progress callback even when stopped)
+    let result;
+    try {
+        result = await rlmPipeline.processWithREPL(userMessage, resolvePipelineLlmCall(llmCallWrapper), {
+            apiKey: state.apiKey,
+            signal,
+            modelTiering
+        });
+    } finally {
+        rlmPipeline.setProgressCallback(null);
+    }
 
     if (activePromptGroup && result?.metadata) {
         if (result.metadata.cached) {
@@ -7150,6 +9913,9 @@ async function chatWithREPL(userMessage, thinkingId = null) {
         if (result.metadata.timings) {
             activePromptGroup.timings = result.metadata.timings;
         }
+        if (result.metadata.trace) {
+            activePromptGroup.trace = result.metadata.trace;
+        }
         if (result.metadata.replUsed) {
             activePromptGroup.mode = 'repl';
             activePromptGroup.usesRLM = true;
@@ -7181,15 +9947,66 @@ async function chatWithREPL(userMessage, thinkingId = null) {
     return result.response;
 }
 
+/**
+ * Route RLM pipeline LLM calls through the mock backend when one is active.
+ * Record mode wraps the live call; replay/scripted modes replace it.
+ * @param {Function} liveCall - Live llmCall(systemPrompt, userPrompt, context)
+ * @returns {Function} llmCall to hand to the pipeline
+ */
+function resolvePipelineLlmCall(liveCall) {
+    if (!mockLLMBackend) {
+        return liveCall;
+    }
+    mockLLMBackend.fallback = liveCall;
+    return mockLLMBackend.llmCall;
+}
+
+window.northstarMockLLM = {
+    record(options = {}) {
+        mockLLMBackend = rlmPipeline.createMockLLM({ ...options, mode: MOCK_LLM_MODES.RECORD });
+        rlmPipeline.clearCache();
+        rlmPipeline.setEmbedder(null); // Mock runs stay offline: keyword retrieval only
+        return mockLLMBackend.getStats();
+    },
+    replay(recordings, options = {}) {
+        mockLLMBackend = rlmPipeline.createMockLLM({ ...options, recordings, mode: MOCK_LLM_MODES.REPLAY });
+        rlmPipeline.clearCache();
+        rlmPipeline.setEmbedder(null); // Mock runs stay offline: keyword retrieval only
+        return mockLLMBackend.getStats();
+    },
+    script(rules = [], options = {}) {
+        mockLLMBackend = rlmPipeline.createMockLLM({ ...options, rules, mode: MOCK_LLM_MODES.SCRIPTED });
+        rlmPipeline.clearCache();
+        rlmPipeline.setEmbedder(null); // Mock runs stay offline: keyword retrieval only
+        return mockLLMBackend.getStats();
+    },
+    disable() {
+        mockLLMBackend = null;
+        rlmPipeline.clearCache();
+        rlmPipeline.setEmbedder(embedTexts, { getEmbeddingSpace });
+    },
+    stats() {
+        return mockLLMBackend ? mockLLMBackend.getStats() : null;
+    },
+    exportRecordings() {
+        if (!mockLLMBackend) return null;
+        const recording = mockLLMBackend.exportRecordings();
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        downloadTextFile(JSON.stringify(recording, null, 2), `northstar-llm-recording-${timestamp}.json`, 'application/json');
+        return recording;
+    }
+};
+
 /**
  * Process chat using RLM pipeline (decompose → parallel → aggregate)
  * @param {string} userMessage - The user's query
  * @param {string} thinkingId - ID for thinking indicator updates
- * @param {Object} options - Optional settings: { depthOverride }
- * @returns {Promise<{response: string, depthInfo: Object|null}>}
+ * @param {Object} options - Optional settings: { depthOverride, signal, modelTiering, recordHistory }
+ *   recordHistory: false keeps the exchange out of the chat history (voice tool calls)
+ * @returns {Promise<{response: string, depthInfo: Object|null, citations: Array}>}
  */
 async function chatWithRLM(userMessage, thinkingId = null, options = {}) {
-    const { depthOverride = null } = options;
+    const { depthOverride = null, signal = null, modelTiering = null, recordHistory = true } = options;
 
     // Create a wrapper for the LLM call that the RLM pipeline can use
     const llmCallWrapper = async (systemPrompt, userContent, context) => {
@@ -7207,7 +10024,9 @@ async function chatWithRLM(userMessage, thinkingId = null, options = {}) {
         return callGPTWithMessages(messages, `RLM: ${userMessage.substring(0, 20)}...`, {
             maxTokens: RLM_CONFIG.maxOutputTokens,
             modelOverride: context?.modelOverride,
-            effortOverride: context?.effortOverride
+            effortOverride: context?.effortOverride,
+            signal: context?.signal,
+            onCallData: (callData) => recordTraceCall(context?.traceParent, callData)
         });
     };
 
@@ -7226,13 +10045,18 @@ async function chatWithRLM(userMessage, thinkingId = null, options = {}) {
     });
 
     // Process through RLM pipeline with optional depth override
-    const result = await rlmPipeline.process(userMessage, llmCallWrapper, {
-        apiKey: state.apiKey,
-        depthOverride
-    });
-
-    // Clear progress callback
-    rlmPipeline.setProgressCallback(null);
+    // (clear the progress callback even when stopped)
+    let result;
+    try {
+        result = await rlmPipeline.process(userMessage, resolvePipelineLlmCall(llmCallWrapper), {
+            apiKey: state.apiKey,
+            depthOverride,
+            signal,
+            modelTiering
+        });
+    } finally {
+        rlmPipeline.setProgressCallback(null);
+    }
 
     if (activePromptGroup && result?.metadata) {
         if (result.metadata.cached) {
@@ -7241,6 +10065,9 @@ async function chatWithRLM(userMessage, thinkingId = null, options = {}) {
         if (result.metadata.timings) {
             activePromptGroup.timings = result.metadata.timings;
         }
+        if (result.metadata.trace) {
+            activePromptGroup.trace = result.metadata.trace;
+        }
         if (result.metadata.rlmEnabled === false || result.metadata.legacy) {
             activePromptGroup.mode = 'direct';
             activePromptGroup.usesRLM = false;
@@ -7252,9 +10079,16 @@ async function chatWithRLM(userMessage, thinkingId = null, options = {}) {
     attachShadowPromptTelemetry(userMessage);
     attachRetrievalPromptTelemetry(userMessage);
 
-    // Store in history
-    state.chatHistory.push({ role: 'user', content: userMessage });
-    state.chatHistory.push({ role: 'assistant', content: result.response });
+    // Store in history (citations ride along so footnotes survive reloads and exports)
+    const citations = result.citations || [];
+    if (recordHistory) {
+        state.chatHistory.push({ role: 'user', content: userMessage });
+        state.chatHistory.push({
+            role: 'assistant',
+            content: result.response,
+            ...(citations.length > 0 ? { citations } : {})
+        });
+    }
     recordSignalMemory(userMessage, result.response);
 
     // Log RLM metadata for debugging
@@ -7270,14 +10104,16 @@ async function chatWithRLM(userMessage, thinkingId = null, options = {}) {
     // Return both response and depthInfo for progressive depth feature
     return {
         response: result.response,
-        depthInfo: result.metadata?.depthInfo || null
+        depthInfo: result.metadata?.depthInfo || null,
+        citations
     };
 }
 
 /**
  * Legacy chat processing (non-RLM fallback)
  */
-async function chatWithAgentsLegacy(userMessage, streamHandlers = null) {
+async function chatWithAgentsLegacy(userMessage, streamHandlers = null, options = {}) {
+    const { signal = null, modelOverride = null } = options;
     const activeAgentCount = state.agents.filter(a => a.enabled).length;
 
     // Build context with all agents - buildChatContext handles dynamic sizing
@@ -7311,8 +10147,8 @@ async function chatWithAgentsLegacy(userMessage, streamHandlers = null) {
 
     try {
         const response = streamHandlers
-            ? await callGPTWithMessagesStream(messages, `Chat: ${userMessage.substring(0, 30)}...`, streamHandlers)
-            : await callGPTWithMessages(messages, `Chat: ${userMessage.substring(0, 30)}...`);
+            ? await callGPTWithMessagesStream(messages, `Chat: ${userMessage.substring(0, 30)}...`, streamHandlers, { signal, modelOverride })
+            : await callGPTWithMessages(messages, `Chat: ${userMessage.substring(0, 30)}...`, { signal, modelOverride });
 
         // Store in history
         state.chatHistory.push({ role: 'user', content: userMessage });
@@ -7460,7 +10296,7 @@ ${extendedSection}
     }).join('\n\n');
 }
 
-function appendChatMessage(role, content, shouldSave = true) {
+function appendChatMessage(role, content, shouldSave = true, citations = null) {
     // Remove welcome card on first message
     const welcomeCard = elements.chatMessages.querySelector('.chat-welcome-card');
     if (welcomeCard) {
@@ -7483,6 +10319,9 @@ function appendChatMessage(role, content, shouldSave = true) {
         <div class="chat-message-avatar">${avatar}</div>
         <div class="chat-message-content">${messageContent}</div>
     `;
+    if (role === 'assistant' && citations?.length) {
+        renderCitations(messageDiv.querySelector('.chat-message-content'), citations);
+    }
 
     elements.chatMessages.appendChild(messageDiv);
     elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
@@ -7543,7 +10382,7 @@ function updateStreamingMessage(streamState, chunk) {
 
 function finalizeStreamingMessage(streamState, fullText, options = {}) {
     if (!streamState?.content) return;
-    const { isError = false, conflictAnalysis = null, sources = null } = options;
+    const { isError = false, conflictAnalysis = null, sources = null, citations = null } = options;
     if (typeof marked !== 'undefined' && !isError) {
         streamState.content.innerHTML = marked.parse(fullText || '');
     } else {
@@ -7551,6 +10390,11 @@ function finalizeStreamingMessage(streamState, fullText, options = {}) {
     }
     streamState.container?.classList.toggle('streaming-error', isError);
 
+    // Turn [n] markers into clickable footnotes that open the quoted source
+    if (citations?.length && !isError) {
+        renderCitations(streamState.content, citations);
+    }
+
     // Append conflict summary if conflicts were detected (SoT enhancement)
     if (conflictAnalysis?.hasConflicts && !isError) {
         const conflictSummary = renderConflictSummary(conflictAnalysis);
@@ -7651,6 +10495,291 @@ function renderSourcePerspectives(sources) {
     return container;
 }
 
+/**
+ * Turn [n] citation markers in a rendered answer into clickable footnotes
+ * and append the numbered source list
+ * @param {HTMLElement} contentEl - Rendered message content
+ * @param {Array} citations - Resolved citations from the RLM aggregator
+ */
+function renderCitations(contentEl, citations) {
+    if (!contentEl || !citations?.length) return;
+
+    // Walk text nodes so markers inside code blocks and links stay literal
+    const walker = document.createTreeWalker(contentEl, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => (node.parentElement?.closest('code, pre, a')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT)
+    });
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (/\[\d+\]/.test(walker.currentNode.nodeValue)) {
+            textNodes.push(walker.currentNode);
+        }
+    }
+
+    textNodes.forEach(node => {
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        node.nodeValue.replace(/\[(\d+)\]/g, (match, number, offset) => {
+            const citation = citations[Number(number) - 1];
+            if (!citation) return match;
+            fragment.appendChild(document.createTextNode(node.nodeValue.slice(lastIndex, offset)));
+            fragment.appendChild(createCitationMarker(citation));
+            lastIndex = offset + match.length;
+            return match;
+        });
+        if (lastIndex === 0) return;
+        fragment.appendChild(document.createTextNode(node.nodeValue.slice(lastIndex)));
+        node.parentNode.replaceChild(fragment, node);
+    });
+
+    const list = document.createElement('ol');
+    list.className = 'chat-citations';
+    citations.forEach(citation => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'chat-citation-link';
+        button.textContent = `${citation.agentName} · ${formatCitationLocation(citation)}`;
+        button.title = citation.text;
+        button.addEventListener('click', () => openCitationModal(citation));
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+    contentEl.appendChild(list);
+}
+
+function createCitationMarker(citation) {
+    const marker = document.createElement('sup');
+    marker.className = 'citation-ref';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = citation.n;
+    button.title = `${citation.agentName} (${formatCitationLocation(citation)})`;
+    button.addEventListener('click', () => openCitationModal(citation));
+    marker.appendChild(button);
+    return marker;
+}
+
+function setupCitationEventListeners() {
+    if (!elements.citationModal) return;
+
+    elements.citationCloseBtn.addEventListener('click', closeCitationModal);
+    elements.citationDoneBtn.addEventListener('click', closeCitationModal);
+
+    // Close on backdrop click
+    elements.citationModal.addEventListener('click', (e) => {
+        if (e.target === elements.citationModal) {
+            closeCitationModal();
+        }
+    });
+}
+
+/**
+ * Show the quoted source text behind a citation
+ * @param {Object} citation - { n, agentName, date, passageIndex, startLabel, text }
+ */
+function openCitationModal(citation) {
+    if (!elements.citationModal) return;
+    elements.citationModalTitle.textContent = `[${citation.n}] ${citation.agentName}`;
+    elements.citationModalMeta.textContent = [
+        citation.date,
+        citation.passageIndex ? `Passage ${formatCitationLocation(citation)}` : 'Meeting summary'
+    ].filter(Boolean).join(' · ');
+    elements.citationModalQuote.textContent = citation.text || 'No source text was captured for this citation.';
+    elements.citationModal.classList.remove('hidden');
+}
+
+function closeCitationModal() {
+    elements.citationModal.classList.add('hidden');
+}
+
+// ============================================
+// Pipeline Traces
+// ============================================
+
+let traceModalLogId = null;
+
+/**
+ * Add a provider call's reported usage to its 'llm.chat' trace span
+ * (retries and model fallbacks add to the same span's totals)
+ * @param {Object|null} span - TraceSpan passed down as context.traceParent
+ * @param {Object} callData - From buildCallDataFromResponse
+ */
+function recordTraceCall(span, callData) {
+    if (!span || !callData) return;
+    span.setAttributes({
+        'gen_ai.response.model': callData.actualModel,
+        'gen_ai.response.finish_reasons': callData.finishReason ? [callData.finishReason] : null,
+        'northstar.effort': callData.effort !== 'N/A' ? callData.effort : null
+    });
+    span.addToAttributes({
+        'gen_ai.usage.input_tokens': callData.tokens?.input || 0,
+        'gen_ai.usage.output_tokens': callData.tokens?.output || 0,
+        'northstar.cost_usd': callData.cost?.total || 0,
+        'northstar.provider_calls': 1
+    });
+}
+
+function setupTraceEventListeners() {
+    if (!elements.traceModal) return;
+
+    elements.traceCloseBtn.addEventListener('click', closeTraceModal);
+    elements.traceDoneBtn.addEventListener('click', closeTraceModal);
+    elements.traceDownloadBtn.addEventListener('click', () => downloadPromptLogTrace(traceModalLogId));
+
+    // Close on backdrop click
+    elements.traceModal.addEventListener('click', (e) => {
+        if (e.target === elements.traceModal) {
+            closeTraceModal();
+        }
+    });
+
+    // "View waterfall" buttons are re-rendered with the prompt logs
+    elements.metricsContent?.addEventListener('click', (e) => {
+        const button = e.target.closest('.trace-view-btn');
+        if (button) {
+            openTraceModal(button.dataset.logId);
+        }
+    });
+}
+
+/**
+ * Show a prompt log's pipeline trace as a waterfall
+ * @param {string} logId - Prompt log id
+ */
+function openTraceModal(logId) {
+    const log = resolvePromptLog(logId);
+    if (!elements.traceModal || !log?.trace) return;
+
+    const trace = log.trace;
+    const usage = rollupTraceUsage(trace);
+    const totals = usage.get(trace.spans[0]?.spanId) || { inputTokens: 0, outputTokens: 0, cost: 0, llmCalls: 0 };
+
+    traceModalLogId = logId;
+    elements.traceModalTitle.textContent = `Trace: ${truncateText(log.prompt || log.name || 'Query', 60)}`;
+    elements.traceModalMeta.textContent = [
+        formatTime(Math.round(trace.durationMs)),
+        `${trace.spans.length} spans`,
+        `${totals.llmCalls} model ${totals.llmCalls === 1 ? 'call' : 'calls'}`,
+        `${formatTokens(totals.inputTokens + totals.outputTokens)} tokens`,
+        formatCost(totals.cost),
+        `trace ${trace.traceId.substring(0, 8)}`
+    ].join(' · ');
+    elements.traceWaterfall.innerHTML = buildTraceWaterfallHtml(trace, usage);
+    elements.traceModal.classList.remove('hidden');
+}
+
+function closeTraceModal() {
+    elements.traceModal.classList.add('hidden');
+    traceModalLogId = null;
+}
+
+/**
+ * Spans in tree order (each parent followed by its children by start time)
+ * with their nesting depth
+ */
+function orderTraceSpans(trace) {
+    const children = new Map();
+    trace.spans.forEach(span => {
+        const key = span.parentSpanId || null;
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(span);
+    });
+    children.forEach(list => list.sort((a, b) => a.startTime - b.startTime));
+
+    const ordered = [];
+    const visit = (parentId, depth) => {
+        (children.get(parentId) || []).forEach(span => {
+            ordered.push({ span, depth });
+            visit(span.spanId, depth + 1);
+        });
+    };
+    visit(null, 0);
+    return ordered;
+}
+
+function describeTraceSpan(span, totals) {
+    const attrs = span.attributes || {};
+    const parts = [];
+    if (attrs['rlm.agent']) parts.push(attrs['rlm.agent']);
+    if (attrs['rlm.strategy'] && span.parentSpanId === null) parts.push(attrs['rlm.strategy']);
+    if (attrs['rlm.retrieval.source']) parts.push(attrs['rlm.retrieval.source']);
+    if (span.kind === 'client') {
+        parts.push(formatModelName(attrs['gen_ai.response.model'] || attrs['gen_ai.request.model'] || state.settings.model));
+    }
+    if (Number.isFinite(attrs['rlm.context_tokens'])) {
+        parts.push(`${formatTokens(attrs['rlm.context_tokens'])} ctx tokens`);
+    }
+    if (totals && totals.inputTokens + totals.outputTokens > 0) {
+        parts.push(`${formatTokens(totals.inputTokens)} in / ${formatTokens(totals.outputTokens)} out`);
+    }
+    if (attrs['rlm.attempts'] > 1) parts.push(`${attrs['rlm.attempts']} attempts`);
+    if (attrs['northstar.provider_calls'] > 1) parts.push(`${attrs['northstar.provider_calls']} provider calls`);
+    return parts.join(' · ');
+}
+
+/**
+ * Build the waterfall rows: one per span, indented by depth, with a bar
+ * placed on the query's timeline. Token and cost figures on a parent span
+ * are the totals of the model calls beneath it.
+ */
+function buildTraceWaterfallHtml(trace, usage) {
+    const traceStart = trace.startTime;
+    const traceEnd = Math.max(trace.endTime, ...trace.spans.map(span => span.endTime));
+    const total = Math.max(1, traceEnd - traceStart);
+
+    return orderTraceSpans(trace).map(({ span, depth }) => {
+        const totals = usage.get(span.spanId);
+        const offset = ((span.startTime - traceStart) / total) * 100;
+        const width = Math.max(0.5, ((span.endTime - span.startTime) / total) * 100);
+        const attributeLines = Object.entries(span.attributes || {})
+            .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+        if (span.statusMessage) attributeLines.push(`status: ${span.status} (${span.statusMessage})`);
+        const detail = describeTraceSpan(span, totals);
+
+        return `
+            <div class="trace-row trace-status-${escapeAttribute(span.status)}" title="${escapeAttribute(attributeLines.join('\n'))}">
+                <div class="trace-row-label" style="padding-left: ${depth * 12}px;">
+                    <span class="trace-span-name">${escapeHtml(span.name)}</span>
+                    ${detail ? `<span class="trace-span-detail">${escapeHtml(detail)}</span>` : ''}
+                </div>
+                <div class="trace-row-track">
+                    <div class="trace-row-bar trace-kind-${escapeHtml(span.kind)}" style="left: ${offset.toFixed(2)}%; width: ${Math.min(width, 100 - offset).toFixed(2)}%;"></div>
+                </div>
+                <div class="trace-row-stats">
+                    <span>${formatTime(Math.round(span.durationMs))}</span>
+                    ${totals?.cost > 0 ? `<span class="trace-row-cost">${formatCost(totals.cost)}</span>` : ''}
+                </div>
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Download one prompt log's trace as OTLP/JSON
+ * @param {string} logId - Prompt log id
+ */
+function downloadPromptLogTrace(logId) {
+    const log = resolvePromptLog(logId);
+    if (!log?.trace) return;
+    const otlp = toOTLP([log.trace], { 'northstar.prompt_log_id': log.id });
+    downloadTextFile(JSON.stringify(otlp, null, 2), `northstar-trace-${log.trace.traceId.substring(0, 8)}.json`, 'application/json');
+}
+
+/**
+ * Download every traced query of the session as one OTLP/JSON export
+ */
+function downloadAllTraces() {
+    const traces = currentMetrics.promptLogs.map(log => log?.trace).filter(Boolean);
+    if (traces.length === 0) {
+        showError('No pipeline traces to download');
+        return;
+    }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    downloadTextFile(JSON.stringify(toOTLP(traces), null, 2), `northstar-traces-${timestamp}.json`, 'application/json');
+    console.log('[Metrics] Traces downloaded:', traces.length, 'queries');
+}
+
 /**
  * Render depth controls on an assistant message
  * Shows "Queried X of Y agents" indicator and "Go Deeper" button when applicable
@@ -7722,40 +10851,65 @@ async function handleGoDeeper(messageId) {
         console.error('[Depth] No tracking data for message:', messageId);
         return;
     }
+    if (state.isProcessing) return;
 
     const { query, depthInfo } = tracking;
     const newDepth = depthInfo.nextDepth;
 
-    console.log(`[Depth] Going deeper: ${depthInfo.agentsQueried} → ${newDepth} agents for query: "${query.substring(0, 40)}..."`);
-
-    // Disable the button and show loading state
+    // Disable the button before the pre-flight check so a double click can't start two runs
     const depthControls = document.querySelector(`.depth-controls[data-message-id="${messageId}"]`);
-    if (depthControls) {
-        const btn = depthControls.querySelector('.go-deeper-btn');
+    const btn = depthControls?.querySelector('.go-deeper-btn');
+    const restoreButton = () => {
         if (btn) {
-            btn.disabled = true;
-            btn.innerHTML = '<span class="go-deeper-icon">⏳</span> Expanding...';
+            btn.disabled = false;
+            btn.innerHTML = `<span class="go-deeper-icon">🔍</span> Go Deeper (+${depthInfo.depthIncrement} agents)`;
         }
-    }
+    };
+    if (btn) btn.disabled = true;
+    setChatBusy(true);
 
-    // Show thinking indicator
-    const thinkingId = showThinkingIndicator();
-    updateThinkingTitle(thinkingId, 'Going Deeper...');
-    addThinkingStep(thinkingId, `Expanding from ${depthInfo.agentsQueried} to ${newDepth} agents`, 'info');
+    // Stoppable like any chat query, by the Stop button or the cost ceiling
+    activeChatController = new AbortController();
+    const { signal } = activeChatController;
+    setChatStopVisible(true);
 
+    let thinkingId = null;
     try {
+        // Going deeper is an explicit request for more sub-queries: only models may be downgraded
+        const costCheck = await checkQueryBudget(query, 'rlm', { depthOverride: newDepth, allowDepthCut: false, signal });
+        if (!costCheck.proceed) {
+            restoreButton();
+            return;
+        }
+
+        console.log(`[Depth] Going deeper: ${depthInfo.agentsQueried} → ${newDepth} agents for query: "${query.substring(0, 40)}..."`);
+        if (btn) btn.innerHTML = '<span class="go-deeper-icon">⏳</span> Expanding...';
+
+        // Show thinking indicator
+        thinkingId = showThinkingIndicator();
+        updateThinkingTitle(thinkingId, 'Going Deeper...');
+        addThinkingStep(thinkingId, `Expanding from ${depthInfo.agentsQueried} to ${newDepth} agents`, 'info');
+
         // Start a new prompt group for the expanded query
         startPromptGroup(`Go Deeper: ${query.substring(0, 30)}...`, true, state.settings.processingMode);
+        if (activePromptGroup) {
+            activePromptGroup.costCeiling = costCheck.ceiling;
+            activePromptGroup.budget = costCheck.budget;
+        }
 
         // Re-run the query with the new depth
-        const result = await chatWithAgents(query, thinkingId, null, { depthOverride: newDepth });
+        const result = await chatWithAgents(query, thinkingId, null, {
+            depthOverride: newDepth,
+            modelTiering: costCheck.overrides.modelTiering,
+            signal
+        });
 
         // Remove thinking indicator
         removeThinkingIndicator(thinkingId);
 
         // Create new streaming message for the expanded response
         const streamState = createStreamingMessage();
-        finalizeStreamingMessage(streamState, result.response);
+        finalizeStreamingMessage(streamState, result.response, { citations: result.citations });
 
         // Render depth controls on the new message
         const newMessageId = 'depth-' + Date.now();
@@ -7768,25 +10922,26 @@ async function handleGoDeeper(messageId) {
             depthControls.remove();
         }
 
-        endPromptGroup();
         saveState();
 
     } catch (error) {
-        console.error('[Depth] Error going deeper:', error);
-        removeThinkingIndicator(thinkingId);
-
-        // Restore the button
-        if (depthControls) {
-            const btn = depthControls.querySelector('.go-deeper-btn');
-            if (btn) {
-                btn.disabled = false;
-                btn.innerHTML = `<span class="go-deeper-icon">🔍</span> Go Deeper (+${depthInfo.depthIncrement} agents)`;
-            }
+        if (thinkingId && document.getElementById(thinkingId)) {
+            removeThinkingIndicator(thinkingId);
         }
+        restoreButton();
 
-        // Show error in chat
-        appendChatMessage('assistant', `Error expanding query: ${error.message}`);
+        if (isCancellationError(error)) {
+            handleChatStopped(createStreamingMessage(), error);
+        } else {
+            console.error('[Depth] Error going deeper:', error);
+            // Show error in chat
+            appendChatMessage('assistant', `Error expanding query: ${error.message}`);
+        }
+    } finally {
         endPromptGroup();
+        activeChatController = null;
+        setChatStopVisible(false);
+        setChatBusy(false);
     }
 }
 
@@ -7952,8 +11107,22 @@ function resetChatHistory() {
 // Error Handling & Retry Logic
 // ============================================
 
-async function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+async function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
 }
 
 async function callAPIWithRetry(fn, maxRetries = 3, operation = 'API call') {
@@ -8109,14 +11278,7 @@ async function callGPT(systemPrompt, userContent, callName = 'API Call') {
             // Track request start time
             const startTime = performance.now();
             
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${state.apiKey}`
-                },
-                body: JSON.stringify(buildAPIRequestBody(messages))
-            });
+            const response = await fetchProvider('chat', buildAPIRequestBody(messages));
 
             // Calculate response time
             const responseTime = Math.round(performance.now() - startTime);
@@ -8215,7 +11377,7 @@ async function callGPTWithMessages(messages, callName = 'Chat Query', options =
     const canFallbackToBase = Boolean(options.modelOverride && fallbackModel && fallbackModel !== model);
     let usedFallbackModel = false;
     const effort = options.effortOverride ?? state.settings.effort;
-    const { maxTokens = null } = options;
+    const { maxTokens = null, signal = null } = options;
     
     let lastError = null;
     let retryAttempt = 0;
@@ -8226,14 +11388,7 @@ async function callGPTWithMessages(messages, callName = 'Chat Query', options =
             // Track request start time
             const startTime = performance.now();
             
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${state.apiKey}`
-                },
-                body: JSON.stringify(buildAPIRequestBody(messages, maxTokens, { model, effort }))
-            });
+            const response = await fetchProvider('chat', buildAPIRequestBody(messages, maxTokens, { model, effort }), { signal });
 
             // Calculate response time
             const responseTime = Math.round(performance.now() - startTime);
@@ -8278,6 +11433,7 @@ async function callGPTWithMessages(messages, callName = 'Chat Query', options =
 
             if (callData) {
                 addAPICallToMetrics(callData);
+                options.onCallData?.(callData);
             }
             
             // Check if we have valid content first
@@ -8330,10 +11486,14 @@ async function callGPTWithMessages(messages, callName = 'Chat Query', options =
             // Exponential backoff for retries
             if (retryAttempt < maxRetries - 1) {
                 const delay = Math.min(1000 * Math.pow(2, retryAttempt), 5000); // Max 5 seconds
-                await sleep(delay);
+                await sleep(delay, signal);
             }
             
         } catch (error) {
+            // A stopped query is not a failure; never retry it
+            if (isCancellationError(error)) {
+                throw error;
+            }
             if (isCorsError(error)) {
                 throw new Error(buildCorsErrorMessage());
             }
@@ -8348,7 +11508,7 @@ async function callGPTWithMessages(messages, callName = 'Chat Query', options =
             if (retryAttempt < maxRetries - 1) {
                 const delay = Math.min(2000 * Math.pow(2, retryAttempt), 16000); // Max 16 seconds
                 console.warn(`[API] ${callName} failed (attempt ${retryAttempt + 1}/${maxRetries}), retrying in ${delay}ms...`, error.message);
-                await sleep(delay);
+                await sleep(delay, signal);
             }
         }
         
@@ -8364,7 +11524,7 @@ async function callGPTWithMessagesStream(messages, callName = 'Chat Query', stre
     const model = options.modelOverride || state.settings.model;
     const effort = options.effortOverride ?? state.settings.effort;
     const { onStart, onToken, onComplete } = streamHandlers || {};
-    const { maxTokens = null } = options;
+    const { maxTokens = null, signal = null } = options;
     let lastError = null;
     let retryAttempt = 0;
     const maxRetries = 3;
@@ -8373,17 +11533,9 @@ async function callGPTWithMessagesStream(messages, callName = 'Chat Query', stre
         try {
             const startTime = performance.now();
             const requestBody = buildAPIRequestBody(messages, maxTokens, { model, effort });
-            requestBody.stream = true;
             requestBody.stream_options = { include_usage: true };
 
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${state.apiKey}`
-                },
-                body: JSON.stringify(requestBody)
-            });
+            const response = await fetchProvider('chatStream', requestBody, { signal });
 
             if (!response.ok) {
                 const error = await response.json().catch(() => ({}));
@@ -8476,9 +11628,13 @@ async function callGPTWithMessagesStream(messages, callName = 'Chat Query', stre
             lastError = new Error(`${model} returned empty response`);
             if (retryAttempt < maxRetries - 1) {
                 const delay = Math.min(1000 * Math.pow(2, retryAttempt), 5000);
-                await sleep(delay);
+                await sleep(delay, signal);
             }
         } catch (error) {
+            // A stopped query is not a failure; never retry it
+            if (isCancellationError(error)) {
+                throw error;
+            }
             if (isCorsError(error)) {
                 throw new Error(buildCorsErrorMessage());
             }
@@ -8490,7 +11646,7 @@ async function callGPTWithMessagesStream(messages, callName = 'Chat Query', stre
             if (retryAttempt < maxRetries - 1) {
                 const delay = Math.min(2000 * Math.pow(2, retryAttempt), 16000);
                 console.warn(`[API] ${callName} failed (attempt ${retryAttempt + 1}/${maxRetries}), retrying in ${delay}ms...`, error.message);
-                await sleep(delay);
+                await sleep(delay, signal);
             }
         }
 
@@ -9129,6 +12285,9 @@ function buildPromptLogsHtml(promptLogs) {
         const cacheDisplay = log.cached
             ? `<span class="cache-badge">Cached</span>`
             : '';
+        const stoppedDisplay = log.cancelled
+            ? `<span class="stopped-badge">Stopped</span>`
+            : '';
         const shadowPrompt = log.shadowPrompt || null;
         const shadowPromptStats = shadowPrompt?.retrievalStats
             ? escapeHtml(JSON.stringify(shadowPrompt.retrievalStats, null, 2))
@@ -9180,6 +12339,7 @@ function buildPromptLogsHtml(promptLogs) {
                         ${effortDisplay}
                         ${subCallsDisplay}
                         ${cacheDisplay}
+                        ${stoppedDisplay}
                     </span>
                 </div>
                 ${log.actualModels && log.actualModels.length > 1 ? `
@@ -9204,6 +12364,16 @@ function buildPromptLogsHtml(promptLogs) {
                     <span class="log-label">Cache:</span>
                     <span class="log-value">Hit (no API calls)</span>
                 </div>` : ''}
+                ${log.cancelled ? `
+                <div class="prompt-log-row">
+                    <span class="log-label">⏹ Stopped:</span>
+                    <span class="log-value">${log.stopReason === 'cost-limit' ? 'Cost limit reached' : 'By user'}; ${log.partialResults || 0} partial results kept, cost covers completed calls</span>
+                </div>` : ''}
+                ${log.budget ? `
+                <div class="prompt-log-row">
+                    <span class="log-label">💲 Budget:</span>
+                    <span class="log-value">Est. ${formatCost(log.budget.estimatedCost)} against ${formatCost(log.budget.limit)} ${log.budget.scope === 'query' ? 'query' : 'session'} limit${log.budget.downgrade ? `; downgraded to ${escapeHtml(log.budget.downgrade)}` : ''}${log.budget.confirmedOverLimit ? '; run over the limit by choice' : ''}</span>
+                </div>` : ''}
                 ${isGpt52Model(log.model) ? `
                 <div class="prompt-log-row">
                     <span class="log-label">🧠 Effort:</span>
@@ -9232,6 +12402,14 @@ function buildPromptLogsHtml(promptLogs) {
                     <span class="log-label">⏳ Stages:</span>
                     <span class="log-value">${timingSummary}</span>
                 </div>` : ''}
+                ${log.trace ? `
+                <div class="prompt-log-row">
+                    <span class="log-label">🕒 Trace:</span>
+                    <span class="log-value">
+                        ${log.trace.spans.length} spans
+                        <button type="button" class="trace-view-btn" data-log-id="${escapeAttribute(log.id || '')}">View waterfall</button>
+                    </span>
+                </div>` : ''}
                 <div class="prompt-log-row">
                     <span class="log-label">💰 Cost:</span>
                     <span class="log-value cost-highlight">${formatCost(cost.total)}</span>
@@ -9526,6 +12704,7 @@ function downloadMetricsCSV() {
         'Method',
         'Uses RLM',
         'Cached',
+        'Stopped',
         'Input Tokens',
         'Output Tokens',
         'Total Tokens',
@@ -9602,6 +12781,7 @@ function downloadMetricsCSV() {
             escapeCSV(formatMethod(log.mode)),
             escapeCSV(log.usesRLM ? 'Yes' : 'No'),
             escapeCSV(log.cached ? 'Yes' : 'No'),
+            escapeCSV(log.cancelled ? 'Yes' : 'No'),
             escapeCSV(log.tokens?.input || 0),
             escapeCSV(log.tokens?.output || 0),
             escapeCSV(log.tokens?.total || 0),
@@ -9827,19 +13007,12 @@ Write the script now:`;
         // gpt-4o-mini-tts supports affect control via the input text
         const voiceInstructions = `[Read the following in an upbeat, warm, and engaging tone. Be enthusiastic and conversational, like a friendly podcast host sharing exciting news with a colleague. Vary your pace - speed up slightly for exciting parts, slow down for important points. Add natural energy and warmth to your voice.]\n\n`;
 
-        const ttsResponse = await fetch('https://api.openai.com/v1/audio/speech', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${state.apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini-tts',
-                voice: 'nova', // Friendly, warm, expressive voice
-                input: voiceInstructions + script,
-                response_format: 'mp3',
-                speed: 1.0 // Normal speed, let the voice carry the energy
-            })
+        const ttsResponse = await fetchProvider('speech', {
+            model: 'gpt-4o-mini-tts',
+            voice: 'nova', // Friendly, warm, expressive voice
+            input: voiceInstructions + script,
+            response_format: 'mp3',
+            speed: 1.0 // Normal speed, let the voice carry the energy
         });
 
         if (!ttsResponse.ok) {
@@ -9954,18 +13127,11 @@ ${state.insights.recommendations?.slice(0, 3).map((r, i) => `${i + 1}. ${r}`).jo
 
         console.log('[Infographic] Generating image...');
 
-        const response = await fetch('https://api.openai.com/v1/images/generations', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${state.apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: 'gpt-image-1.5',
-                prompt: dallePrompt,
-                n: 1,
-                size: '1536x1024'
-            })
+        const response = await fetchProvider('image', {
+            model: 'gpt-image-1.5',
+            prompt: dallePrompt,
+            n: 1,
+            size: '1536x1024'
         });
 
         if (!response.ok) {
@@ -10033,6 +13199,26 @@ function downloadGeneratedInfographic() {
 // Weekly Agenda Generation
 // ============================================
 
+/**
+ * Real names attached to an agent: labelled speakers first, then keyEntities.people
+ * @param {Object} agent - Loaded agent
+ * @returns {string[]} Unique names (speaker placeholders excluded)
+ */
+function getAgentPeople(agent) {
+    const names = [
+        ...(agent.speakers || []).map(speaker => speaker.name),
+        ...(agent.sotMetadata?.keyEntities?.people || [])
+    ];
+    const seen = new Set();
+    return names.filter(name => {
+        if (isGenericSpeakerName(name)) return false;
+        const key = name.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
 /**
  * Generate next week's agenda with per-person task lists
  */
@@ -10056,12 +13242,13 @@ async function generateWeeklyAgenda() {
 
         // Build context from all active agents
         let agentSummaries = activeAgents.map(agent => {
-            const summary = agent.payload?.results?.summary || '';
-            const actions = agent.payload?.results?.actionItems || '';
-            const keyPoints = agent.payload?.results?.keyPoints || '';
+            const summary = agent.summary || '';
+            const actions = agent.actionItems || '';
+            const keyPoints = agent.keyPoints || '';
+            const people = getAgentPeople(agent);
             return `
-### ${agent.name}
-Summary: ${summary.substring(0, 300)}...
+### ${agent.displayName || agent.title}
+${people.length > 0 ? `People: ${people.join(', ')}\n` : ''}Summary: ${summary.substring(0, 300)}...
 Action Items: ${actions.substring(0, 300)}...
 Key Points: ${keyPoints.substring(0, 300)}...`;
         }).join('\n\n');
@@ -10082,7 +13269,7 @@ Key Points: ${keyPoints.substring(0, 300)}...`;
         if (state.groups && state.groups.length > 0) {
             groupsContext = state.groups.map(g => {
                 const groupAgents = activeAgents.filter(a => a.groupId === g.id);
-                return `- ${g.name}: ${groupAgents.map(a => a.name).join(', ') || 'No agents'}`;
+                return `- ${g.name}: ${groupAgents.map(a => a.displayName || a.title).join(', ') || 'No agents'}`;
             }).join('\n');
         }
 
@@ -10092,7 +13279,7 @@ Key Points: ${keyPoints.substring(0, 300)}...`;
 
 Begin the agenda with a brief narrative (2-3 paragraphs) explaining HOW this agenda was developed:
 
-1. **Multi-Agent Analysis**: Explain that this agenda synthesizes insights from ${activeAgents.length} distinct meeting agents, each representing a different meeting or work session. Name the agents: ${activeAgents.map(a => a.name).join(', ')}.
+1. **Multi-Agent Analysis**: Explain that this agenda synthesizes insights from ${activeAgents.length} distinct meeting agents, each representing a different meeting or work session. Name the agents: ${activeAgents.map(a => a.displayName || a.title).join(', ')}.
 
 2. **Societies of Thought Approach**: Describe how different perspectives were considered:
    - Each agent brought unique context from their respective meetings
@@ -10113,6 +13300,8 @@ If an action item involves someone OUTSIDE the core team (external stakeholders,
 
 Example: Instead of "Sarah (VP Sales) - Review proposal", write "Mike - Follow up with Sarah (VP Sales) on proposal review"
 
+Use each meeting's People list for attribution: those names come from labelled speakers, and action items written as "Name: task" were committed to by that speaker. Never assign a task to a placeholder such as "Speaker 2".
+
 ${insightsContext}
 
 ## Meeting Data from ${activeAgents.length} Agent(s):
@@ -10162,7 +13351,7 @@ Remember: Keep task ownership with CORE team members only. External dependencies
         const systemPrompt = `You are an expert executive assistant who creates sophisticated weekly agendas using multi-agent intelligence synthesis.
 
 You have access to ${activeAgents.length} meeting agents in your context store:
-${activeAgents.map((a, i) => `${i + 1}. "${a.name}" - ${a.payload?.results?.summary?.substring(0, 100) || 'Meeting data available'}...`).join('\n')}
+${activeAgents.map((a, i) => `${i + 1}. "${a.displayName || a.title}" - ${a.summary?.substring(0, 100) || 'Meeting data available'}...`).join('\n')}
 
 You understand the "Societies of Thought" methodology where multiple AI agents analyze different meetings and their perspectives are reconciled into unified recommendations.
 
@@ -10626,7 +13815,8 @@ function buildOrchestratorExportPayload() {
         chatHistory: state.chatHistory.map(msg => ({
             role: msg.role,
             content: msg.content,
-            timestamp: msg.timestamp || null
+            timestamp: msg.timestamp || null,
+            ...(msg.citations?.length ? { citations: msg.citations } : {})
         })),
         settings: {
             model: state.settings.model,
@@ -10708,7 +13898,7 @@ function formatChatHistoryForMarkdown(chatHistory) {
         const role = msg.role === 'user' ? '👤 User' : '🤖 Assistant';
         const timestamp = msg.timestamp ? ` (${new Date(msg.timestamp).toLocaleString()})` : '';
         md += `**${role}**${timestamp}\n\n`;
-        md += `${msg.content}\n\n`;
+        md += `${formatCitedMarkdown(msg.content, msg.citations)}\n\n`;
         if (index < chatHistory.length - 1) {
             md += '---\n\n';
         }
@@ -10998,7 +14188,8 @@ async function importOrchestratorSession(data) {
         state.chatHistory = data.chatHistory.map(msg => ({
             role: msg.role,
             content: msg.content,
-            timestamp: msg.timestamp || null
+            timestamp: msg.timestamp || null,
+            ...(Array.isArray(msg.citations) && msg.citations.length ? { citations: msg.citations } : {})
         }));
     }
 
@@ -11078,6 +14269,9 @@ function renderChatHistory() {
             <div class="message-avatar">${roleIcon}</div>
             <div class="message-content">${renderedContent}</div>
         `;
+        if (msg.citations?.length) {
+            renderCitations(messageDiv.querySelector('.message-content'), msg.citations);
+        }
 
         elements.chatMessages.appendChild(messageDiv);
     });
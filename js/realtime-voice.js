@@ -0,0 +1,558 @@
+/**
+ * northstar.LM - Realtime Voice
+ *
+ * Continuous voice conversation over the OpenAI Realtime API, shared by
+ * the Agent Builder and the Orchestrator. The session streams microphone
+ * audio through the PCM16 worklet (gated by its local voice-activity
+ * detector, so silence is not uploaded), plays the model's audio back, and
+ * registers function tools so spoken questions can reach past the session
+ * instructions: the page supplies one handler per tool (transcript search,
+ * RLM query, action items), the session runs it when the model calls it
+ * and returns the result to the conversation before the model answers.
+ */
+
+export const REALTIME_CONFIG = {
+    model: 'gpt-4o-realtime-preview-2024-12-17',
+    voice: 'marin',
+    sampleRate: 24000,
+    costPerMinute: 0.30,         // $0.06/min input + $0.24/min output
+    silenceTimeoutMs: 5000,      // Auto-stop after this long with nobody talking
+    vadHangoverMs: 800,          // Audio sent after local speech-end; must exceed the server VAD's silence_duration_ms
+    configureDelayMs: 500,       // Let session.update land before streaming audio
+    maxToolOutputChars: 6000     // Tool results are truncated to this length
+};
+
+/**
+ * Function tools registered on every Realtime session
+ * Pages describe their scope (one meeting or all loaded agents) in the
+ * session instructions; the tool contracts are the same on both.
+ */
+export const REALTIME_TOOLS = [
+    {
+        type: 'function',
+        name: 'search_transcript',
+        description: 'Search meeting transcripts for passages matching a query. Use for exact wording, who said what, numbers, or any detail not in the summary.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Words or phrase to look for' },
+                limit: { type: 'integer', description: 'Maximum passages to return (default 5)' }
+            },
+            required: ['query']
+        }
+    },
+    {
+        type: 'function',
+        name: 'query_meetings',
+        description: 'Answer a question by analyzing the full meeting data (transcripts, decisions, action items) with the RLM pipeline. Use for questions that need reasoning, comparison or synthesis. Slower than search_transcript.',
+        parameters: {
+            type: 'object',
+            properties: {
+                question: { type: 'string', description: 'The question to answer, phrased as a complete sentence' }
+            },
+            required: ['question']
+        }
+    },
+    {
+        type: 'function',
+        name: 'list_action_items',
+        description: 'List action items with owner, due date and status. Optionally filter by owner name or status.',
+        parameters: {
+            type: 'object',
+            properties: {
+                owner: { type: 'string', description: 'Owner name or part of it' },
+                status: { type: 'string', enum: ['open', 'in-progress', 'done', 'dropped', 'stale'], description: 'Only items with this status' }
+            }
+        }
+    }
+];
+
+// ============================================
+// Helpers
+// ============================================
+
+export function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+export function base64ToArrayBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+/**
+ * Serialize a tool result for function_call_output
+ * @param {*} result - String or JSON-serializable value
+ * @returns {string}
+ */
+export function formatToolOutput(result) {
+    const text = typeof result === 'string' ? result : JSON.stringify(result ?? null);
+    const limit = REALTIME_CONFIG.maxToolOutputChars;
+    return text.length > limit ? `${text.slice(0, limit)}… [truncated]` : text;
+}
+
+/**
+ * User-facing message for a Realtime API error event
+ * @param {Object} error - message.error from the API
+ * @returns {string}
+ */
+export function describeRealtimeError(error) {
+    const errorMsg = error?.message || error?.code || 'Unknown error';
+    const errorCode = error?.code || '';
+
+    if (errorCode === 'invalid_api_key' || errorMsg.includes('authentication')) {
+        return 'Realtime API authentication failed. Please check your API key has Realtime API access.';
+    }
+    if (errorCode === 'model_not_found' || errorMsg.includes('model')) {
+        return 'Realtime API model not available. Please ensure your API key has access to gpt-4o-realtime-preview.';
+    }
+    if (errorMsg.includes('audio') || errorMsg.includes('format')) {
+        return 'Audio format error. Please try again or use Push-to-Talk mode.';
+    }
+    return `Realtime API error: ${errorMsg}`;
+}
+
+// ============================================
+// Session
+// ============================================
+
+/**
+ * One realtime voice conversation
+ *
+ * Callbacks (all optional):
+ * - onStatus(text, isActive, isError)
+ * - onUserTranscript(text), onAssistantTranscript(text)
+ * - onToolCall(name, args) before a tool runs
+ * - onCost(dollars) every second while active
+ * - onError(message) for API errors (the session stops itself)
+ * - onStop(totalCost) once the session has ended, for any reason
+ */
+export class RealtimeVoiceSession {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Realtime WebSocket URL from the provider
+     * @param {string} options.apiKey
+     * @param {string} options.instructions - Session system prompt
+     * @param {Object<string, Function>} options.toolHandlers - Tool name -> async (args) => result
+     * @param {Array<Object>} options.tools - Tool definitions (defaults to REALTIME_TOOLS)
+     */
+    constructor(options = {}) {
+        this.url = options.url;
+        this.apiKey = options.apiKey;
+        this.instructions = options.instructions || '';
+        this.toolHandlers = options.toolHandlers || {};
+        this.tools = (options.tools || REALTIME_TOOLS)
+            .filter(tool => typeof this.toolHandlers[tool.name] === 'function');
+        this.callbacks = options;
+
+        this.ws = null;
+        this.audioContext = null;
+        this.mediaStream = null;
+        this.workletNode = null;
+        this.active = false;
+        this.cost = 0;
+        this.startTime = null;
+        this.pendingToolCalls = 0;
+        this.userSpeaking = false;
+        this.costInterval = null;
+        this.silenceTimeout = null;
+        this.playbackQueue = [];
+        this.isPlaying = false;
+    }
+
+    /**
+     * Open the microphone and the WebSocket, configure the session and
+     * start streaming. Resolves once the conversation is live.
+     */
+    async start() {
+        if (this.active) return;
+        if (!this.url) {
+            throw new Error('This provider does not support real-time voice. Use push-to-talk or switch the provider in Settings.');
+        }
+
+        try {
+            this._status('Requesting microphone...', false);
+            this.mediaStream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    sampleRate: REALTIME_CONFIG.sampleRate,
+                    channelCount: 1,
+                    echoCancellation: true,
+                    noiseSuppression: true
+                }
+            });
+
+            this._status('Connecting to OpenAI...', false);
+            this.audioContext = new AudioContext({ sampleRate: REALTIME_CONFIG.sampleRate });
+            if (this.audioContext.sampleRate !== REALTIME_CONFIG.sampleRate) {
+                console.warn('[Realtime] Warning: Browser using', this.audioContext.sampleRate, 'Hz instead of', REALTIME_CONFIG.sampleRate, 'Hz');
+            }
+
+            await this._connect();
+            this._status('Configuring session...', false);
+            this._send(this._buildSessionConfig());
+
+            // Wait briefly for session to configure before starting audio
+            await new Promise(resolve => setTimeout(resolve, REALTIME_CONFIG.configureDelayMs));
+            await this._startAudioStream();
+
+            this.active = true;
+            this.cost = 0;
+            this.startTime = Date.now();
+            this.costInterval = setInterval(() => this._updateCost(), 1000);
+            this._armSilenceTimer();
+
+            this._status('Listening... speak now!', true);
+            console.log('[Realtime] Session started with tools:', this.tools.map(tool => tool.name).join(', ') || 'none');
+        } catch (error) {
+            this._cleanup();
+            throw error;
+        }
+    }
+
+    /**
+     * End the conversation and release the microphone
+     * @param {string} statusText - Final status line
+     */
+    stop(statusText = 'Conversation ended') {
+        const wasActive = this.active;
+        this.active = false;
+        this._cleanup();
+        this._status(statusText, false);
+        if (wasActive) {
+            console.log(`[Realtime] Session ended. Total cost: $${this.cost.toFixed(4)}`);
+            this.callbacks.onStop?.(this.cost);
+        }
+    }
+
+    _status(text, isActive, isError = false) {
+        this.callbacks.onStatus?.(text, isActive, isError);
+    }
+
+    _send(payload) {
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(payload));
+        }
+    }
+
+    _connect() {
+        return new Promise((resolve, reject) => {
+            this.ws = new WebSocket(this.url, [
+                'realtime',
+                `openai-insecure-api-key.${this.apiKey}`
+            ]);
+            this.ws.onopen = () => {
+                console.log('[Realtime] WebSocket connected');
+                resolve();
+            };
+            this.ws.onmessage = (event) => this.handleRealtimeMessage(event);
+            this.ws.onerror = (error) => {
+                console.error('[Realtime] WebSocket error:', error);
+                if (!this.active) {
+                    reject(new Error('Could not connect to the Realtime API'));
+                    return;
+                }
+                this._status('Connection error', false, true);
+                this.stop('Connection error');
+            };
+            this.ws.onclose = (event) => {
+                console.log('[Realtime] WebSocket closed:', event.code, event.reason);
+                if (this.active) {
+                    this.stop();
+                }
+            };
+        });
+    }
+
+    // Note: GA Realtime API uses nested audio.input/output structure
+    _buildSessionConfig() {
+        return {
+            type: 'session.update',
+            session: {
+                type: 'realtime',
+                output_modalities: ['audio'],
+                instructions: this.instructions,
+                tools: this.tools,
+                tool_choice: this.tools.length ? 'auto' : 'none',
+                audio: {
+                    input: {
+                        format: { type: 'audio/pcm', rate: REALTIME_CONFIG.sampleRate },
+                        // Transcribe the user's turns so they appear in the chat
+                        transcription: { model: 'whisper-1' },
+                        turn_detection: {
+                            type: 'server_vad',
+                            threshold: 0.5,
+                            prefix_padding_ms: 300,
+                            silence_duration_ms: 500,
+                            create_response: true
+                        }
+                    },
+                    output: {
+                        format: { type: 'audio/pcm', rate: REALTIME_CONFIG.sampleRate },
+                        voice: REALTIME_CONFIG.voice
+                    }
+                }
+            }
+        };
+    }
+
+    async _startAudioStream() {
+        // Load audio worklet
+        await this.audioContext.audioWorklet.addModule('js/audio-worklet-processor.js');
+
+        const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+        // Gated: the worklet only posts audio while someone is speaking
+        this.workletNode = new AudioWorkletNode(this.audioContext, 'pcm16-processor', {
+            processorOptions: { vad: { hangoverMs: REALTIME_CONFIG.vadHangoverMs }, gate: true }
+        });
+
+        this.workletNode.port.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'audio') {
+                this._send({
+                    type: 'input_audio_buffer.append',
+                    audio: arrayBufferToBase64(message.data)
+                });
+            } else if (message.type === 'speech-start') {
+                this.userSpeaking = true;
+                this._clearSilenceTimer();
+            } else if (message.type === 'speech-end') {
+                this.userSpeaking = false;
+                this._armSilenceTimer();
+            }
+        };
+
+        // Connect: mic → worklet
+        source.connect(this.workletNode);
+        console.log('[Realtime] Audio streaming started');
+    }
+
+    /**
+     * Handle one server event
+     * @param {MessageEvent} event
+     */
+    handleRealtimeMessage(event) {
+        const message = JSON.parse(event.data);
+
+        switch (message.type) {
+            case 'session.created':
+                console.log('[Realtime] Session created:', message.session?.id);
+                break;
+
+            case 'session.updated':
+                console.log('[Realtime] Session updated');
+                break;
+
+            case 'input_audio_buffer.speech_started':
+                this._status('You are speaking...', true);
+                break;
+
+            case 'input_audio_buffer.speech_stopped':
+                this._status('Processing...', true);
+                break;
+
+            case 'conversation.item.input_audio_transcription.completed':
+                if (message.transcript) {
+                    this.callbacks.onUserTranscript?.(message.transcript);
+                }
+                break;
+
+            case 'response.output_audio.delta':
+            case 'response.audio.delta': // Keep beta event name for compatibility
+                this._playAudioChunk(message.delta);
+                this._status('Assistant speaking...', true);
+                this._clearSilenceTimer();
+                break;
+
+            case 'response.done':
+                this._handleResponseDone(message.response);
+                break;
+
+            case 'error':
+                console.error('[Realtime] API error:', JSON.stringify(message.error, null, 2));
+                this._status(`Error: ${message.error?.message || message.error?.code || 'Unknown error'}`, false, true);
+                this.callbacks.onError?.(describeRealtimeError(message.error));
+                this.stop('Stopped after an error');
+                break;
+
+            default:
+                if (message.type && !message.type.startsWith('response.')) {
+                    console.log('[Realtime] Message:', message.type);
+                }
+        }
+    }
+
+    _handleResponseDone(response) {
+        const output = response?.output || [];
+
+        // Spoken (or text) answer
+        output
+            .filter(item => item.type === 'message')
+            .forEach(item => {
+                const audioContent = item.content?.find(c => c.type === 'output_audio' || c.type === 'audio');
+                const textContent = item.content?.find(c => c.type === 'output_text' || c.type === 'text');
+                const transcript = audioContent?.transcript || textContent?.text;
+                if (transcript) {
+                    this.callbacks.onAssistantTranscript?.(transcript);
+                }
+            });
+
+        const calls = output.filter(item => item.type === 'function_call');
+        if (calls.length > 0) {
+            this._runToolCalls(calls);
+            return;
+        }
+
+        this._status('Listening...', true);
+        this._armSilenceTimer();
+    }
+
+    /**
+     * Run the model's function calls, return their output to the
+     * conversation, then ask for the spoken answer
+     */
+    async _runToolCalls(calls) {
+        this.pendingToolCalls += calls.length;
+        this._clearSilenceTimer();
+
+        for (const call of calls) {
+            let args = {};
+            try {
+                args = call.arguments ? JSON.parse(call.arguments) : {};
+            } catch {
+                // Leave args empty; the handler reports what is missing
+            }
+
+            this._status(`Looking up: ${call.name.replace(/_/g, ' ')}...`, true);
+            this.callbacks.onToolCall?.(call.name, args);
+
+            let output;
+            try {
+                const handler = this.toolHandlers[call.name];
+                if (!handler) throw new Error(`Unknown tool: ${call.name}`);
+                output = formatToolOutput(await handler(args));
+            } catch (error) {
+                console.warn('[Realtime] Tool failed:', call.name, error.message);
+                output = formatToolOutput({ error: error.message });
+            }
+
+            this.pendingToolCalls--;
+            if (!this.active) return;
+            this._send({
+                type: 'conversation.item.create',
+                item: { type: 'function_call_output', call_id: call.call_id, output }
+            });
+        }
+
+        this._send({ type: 'response.create' });
+    }
+
+    _playAudioChunk(base64Audio) {
+        if (!this.audioContext || this.audioContext.state === 'closed') return;
+
+        try {
+            this.playbackQueue.push(base64ToArrayBuffer(base64Audio));
+            if (!this.isPlaying) {
+                this._playNextChunk();
+            }
+        } catch (error) {
+            console.error('[Realtime] Audio playback error:', error);
+        }
+    }
+
+    _playNextChunk() {
+        if (this.playbackQueue.length === 0 || !this.audioContext || this.audioContext.state === 'closed') {
+            this.isPlaying = false;
+            this._armSilenceTimer();
+            return;
+        }
+
+        this.isPlaying = true;
+        const audioData = this.playbackQueue.shift();
+
+        try {
+            // Convert PCM16 to AudioBuffer
+            const int16Array = new Int16Array(audioData);
+            const audioBuffer = this.audioContext.createBuffer(1, int16Array.length, REALTIME_CONFIG.sampleRate);
+            const channelData = audioBuffer.getChannelData(0);
+            for (let i = 0; i < int16Array.length; i++) {
+                channelData[i] = int16Array[i] / 32768;
+            }
+
+            const source = this.audioContext.createBufferSource();
+            source.buffer = audioBuffer;
+            source.connect(this.audioContext.destination);
+            source.onended = () => this._playNextChunk();
+            source.start();
+        } catch (error) {
+            console.error('[Realtime] Chunk playback error:', error);
+            this._playNextChunk(); // Try next chunk
+        }
+    }
+
+    /**
+     * Start the auto-stop countdown, unless someone is talking, the answer
+     * is still playing, or a tool (an RLM query can take a while) is running
+     */
+    _armSilenceTimer() {
+        if (!this.active || this.userSpeaking || this.isPlaying || this.pendingToolCalls > 0) return;
+
+        this._clearSilenceTimer();
+        this.silenceTimeout = setTimeout(() => {
+            console.log('[Realtime] Silence timeout - stopping conversation');
+            this.stop(`Stopped (${REALTIME_CONFIG.silenceTimeoutMs / 1000}s silence)`);
+        }, REALTIME_CONFIG.silenceTimeoutMs);
+    }
+
+    _clearSilenceTimer() {
+        if (this.silenceTimeout) {
+            clearTimeout(this.silenceTimeout);
+            this.silenceTimeout = null;
+        }
+    }
+
+    _updateCost() {
+        if (!this.active || !this.startTime) return;
+        const elapsedMinutes = (Date.now() - this.startTime) / 60000;
+        this.cost = elapsedMinutes * REALTIME_CONFIG.costPerMinute;
+        this.callbacks.onCost?.(this.cost);
+    }
+
+    _cleanup() {
+        this._clearSilenceTimer();
+        if (this.costInterval) {
+            clearInterval(this.costInterval);
+            this.costInterval = null;
+        }
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            ws.onclose = null;
+            if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+                ws.close();
+            }
+        }
+        if (this.workletNode) {
+            this.workletNode.disconnect();
+            this.workletNode = null;
+        }
+        if (this.audioContext && this.audioContext.state !== 'closed') {
+            this.audioContext.close();
+        }
+        this.audioContext = null;
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+        this.playbackQueue = [];
+        this.isPlaying = false;
+    }
+}
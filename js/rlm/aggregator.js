@@ -7,11 +7,16 @@
  * Enhanced with Societies of Thought (SoT) conflict detection for
  * surfacing disagreements between perspectives during synthesis.
  *
+ * Synthesized answers carry numbered citations ([n]) that resolve to the
+ * agent and transcript passage each claim came from (see citations.js).
+ *
  * Future RLM expansion: This will support hierarchical aggregation from
  * recursive sub-calls at different depths.
  */
 
 import { createConflictDetector } from './conflict-detector.js';
+import { buildCitationCatalog, formatSourceNumbers, formatSourcesForPrompt, resolveCitations } from './citations.js';
+import { QueryCancelledError, isCancellationError } from './cancellation.js';
 
 export class ResponseAggregator {
     constructor(options = {}) {
@@ -52,9 +57,11 @@ export class ResponseAggregator {
         // Check for reduce result (already aggregated by map-reduce)
         const reduceResult = results.find(r => r.type === 'reduce' && r.isAggregation);
         if (reduceResult && reduceResult.response) {
+            const cited = resolveCitations(reduceResult.response, reduceResult.citationSources);
             return {
                 success: true,
-                response: reduceResult.response,
+                response: cited.text,
+                citations: cited.citations,
                 aggregationType: 'map-reduce',
                 sources: results.filter(r => r.type !== 'reduce').map(r => ({
                     agentName: r.agentName,
@@ -164,18 +171,23 @@ export class ResponseAggregator {
         }
 
         // Build context from all results (with perspective labels if available)
-        const resultsContext = results.map((r, i) => {
+        const catalog = buildCitationCatalog(results);
+        let resultsContext = results.map((r, i) => {
             const source = r.agentName || `Source ${i + 1}`;
             const perspective = r.perspective?.roleLabel ? ` [${r.perspective.roleLabel}]` : '';
-            return `[${source}${perspective}]:\n${r.response}`;
+            return `[${source}${perspective}${formatSourceNumbers(catalog.byResult.get(r))}]:\n${r.response}`;
         }).join('\n\n---\n\n');
+        if (catalog.sources.length > 0) {
+            resultsContext += `\n\n---\n\n${formatSourcesForPrompt(catalog.sources)}`;
+        }
 
         // Build synthesis prompt (includes conflict context if present)
         const synthesisPrompt = this._buildEnhancedSynthesisPrompt(
             originalQuery,
             classification,
             conflictContext,
-            conflictAnalysis
+            conflictAnalysis,
+            catalog.sources.length > 0
         );
 
         try {
@@ -185,9 +197,12 @@ export class ResponseAggregator {
                 context
             );
 
+            const cited = resolveCitations(synthesizedResponse, catalog.sources);
+
             return {
                 success: true,
-                response: synthesizedResponse,
+                response: cited.text,
+                citations: cited.citations,
                 aggregationType: 'llm-synthesis',
                 sources: results.map(r => ({
                     agentName: r.agentName,
@@ -198,6 +213,10 @@ export class ResponseAggregator {
                 metadata: this._buildMetadata(executionResult, decomposition)
             };
         } catch (error) {
+            // A stopped query keeps its sub-query answers but skips the fallback merge
+            if (isCancellationError(error)) {
+                throw new QueryCancelledError(results);
+            }
             // Fallback to simple aggregation
             console.warn('LLM synthesis failed, falling back to simple aggregation:', error.message);
             return this._simpleAggregate(results, originalQuery, executionResult, decomposition);
@@ -233,7 +252,7 @@ Instructions:
      * Build enhanced synthesis prompt with conflict awareness (SoT)
      * @private
      */
-    _buildEnhancedSynthesisPrompt(originalQuery, classification, conflictContext, conflictAnalysis) {
+    _buildEnhancedSynthesisPrompt(originalQuery, classification, conflictContext, conflictAnalysis, hasSources = false) {
         let prompt = `You are synthesizing diverse perspectives to answer: "${originalQuery}"
 
 The responses below come from different analytical perspectives analyzing meeting data.
@@ -246,6 +265,10 @@ Instructions:
 - Cite which meeting/perspective insights came from
 - Use bullet points for lists`;
 
+        if (hasSources) {
+            prompt += '\n- Back each claim with its number from NUMBERED SOURCES in square brackets, e.g. [2] or [1][3]';
+        }
+
         // Add intent-specific guidance
         const intentSpecific = {
             'factual': '\n- Focus on factual consensus; note any factual disagreements',
@@ -274,17 +297,21 @@ Instructions:
         // Deduplicate and format results
         const deduped = this._deduplicateResults(results);
 
-        // Format as structured response
+        // Format as structured response; each block cites the sources in its context
+        const catalog = buildCitationCatalog(deduped);
         const formattedParts = deduped.map(r => {
             const source = r.agentName || 'Meeting';
-            return `**From ${source}:**\n${r.response}`;
+            const markers = (catalog.byResult.get(r) || []).map(n => `[${n}]`).join('');
+            return `**From ${source}:**${markers ? ` ${markers}` : ''}\n${r.response}`;
         });
 
         const response = `Based on ${results.length} meetings:\n\n${formattedParts.join('\n\n---\n\n')}`;
+        const cited = resolveCitations(this._truncateIfNeeded(response), catalog.sources);
 
         return {
             success: true,
-            response: this._truncateIfNeeded(response),
+            response: cited.text,
+            citations: cited.citations,
             aggregationType: 'simple-merge',
             sources: results.map(r => ({
                 agentName: r.agentName,
@@ -0,0 +1,71 @@
+/**
+ * RLM Cancellation
+ *
+ * A query is cancelled through a standard AbortSignal passed in the pipeline
+ * context (`context.signal`). The same context reaches every llmCall, so the
+ * orchestrator's fetch sees the signal too; the helpers here let the
+ * pipeline stages stop between steps and carry what already finished.
+ *
+ * - QueryCancelledError is thrown once a stage notices the abort; it holds
+ *   the sub-query results that completed before the stop
+ * - Fetch aborts surface as DOMException 'AbortError'; isCancellationError
+ *   treats both the same so retry loops can bail out instead of retrying
+ */
+
+/**
+ * Error raised when an in-flight query is stopped by the user
+ */
+export class QueryCancelledError extends Error {
+    constructor(partialResults = [], message = 'Query cancelled') {
+        super(message);
+        this.name = 'QueryCancelledError';
+        this.partialResults = partialResults;
+    }
+}
+
+/**
+ * Whether an error means "the user stopped this query"
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isCancellationError(error) {
+    return error?.name === 'QueryCancelledError' || error?.name === 'AbortError';
+}
+
+/**
+ * Throw QueryCancelledError if the signal has been aborted
+ * @param {AbortSignal|null} signal
+ * @param {Array} partialResults - Results completed so far
+ */
+export function throwIfCancelled(signal, partialResults = []) {
+    if (signal?.aborted) {
+        throw new QueryCancelledError(partialResults);
+    }
+}
+
+/**
+ * Settle with the promise, or reject as soon as the signal aborts.
+ * The underlying work is not stopped; use it for waits that cannot take a
+ * signal themselves (timers, worker round-trips).
+ * @param {Promise} promise
+ * @param {AbortSignal|null} signal
+ * @returns {Promise}
+ */
+export function raceWithSignal(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(new QueryCancelledError());
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new QueryCancelledError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(
+            value => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            error => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
+}
@@ -0,0 +1,170 @@
+/**
+ * RLM Citations
+ *
+ * Numbered citations that tie claims in a synthesized answer back to the
+ * meeting text they came from. Sub-query results record which agents and
+ * transcript passages were in their context; those become a numbered source
+ * list that the synthesis prompt cites as [n], and the parser resolves the
+ * markers back to agent + passage (or the agent's summary when no passage
+ * was used).
+ *
+ * Citations carry their quoted text so they stay readable in chat history
+ * and exports after the agents are unloaded.
+ */
+
+import { getContextStore } from './context-store.js';
+
+export const CITATION_CONFIG = {
+    maxSources: 20,            // Cap on numbered sources offered to the synthesis prompt
+    promptExcerptChars: 240,   // Excerpt length shown per source in the prompt
+    quoteChars: 1200           // Max quoted text stored on a citation
+};
+
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g;
+
+function truncate(text, maxChars) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > maxChars ? `${clean.substring(0, maxChars - 3)}...` : clean;
+}
+
+/**
+ * Build the numbered source catalog for a set of sub-query results
+ * Each result's `contextSources` ({ agentId, passageIds }) contributes one
+ * source per passage, or one summary-level source when no passage was used.
+ * @param {Array} results - Successful sub-query results
+ * @param {Object} options - { store: ContextStore, maxSources }
+ * @returns {{sources: Array<Object>, byResult: Map<Object, Array<number>>}}
+ */
+export function buildCitationCatalog(results, options = {}) {
+    const store = options.store || getContextStore();
+    const maxSources = options.maxSources || CITATION_CONFIG.maxSources;
+    const sources = [];
+    const byKey = new Map();
+    const byResult = new Map();
+
+    const addSource = (agentId, passageId) => {
+        const key = passageId || `${agentId}#summary`;
+        if (byKey.has(key)) return byKey.get(key);
+        if (sources.length >= maxSources) return null;
+
+        const agent = store.getAgent(agentId);
+        if (!agent) return null;
+        const passage = passageId ? store.passageIndex?.getPassage(passageId) : null;
+        if (passageId && !passage) return null;
+
+        const source = {
+            n: sources.length + 1,
+            agentId,
+            agentName: agent.displayName || agent.title || 'Meeting',
+            date: agent.date || null,
+            passageId: passage?.id || null,
+            passageIndex: passage?.index || null,
+            startLabel: passage?.startLabel || null,
+            text: truncate(passage ? passage.text : agent.summary, CITATION_CONFIG.quoteChars)
+        };
+        sources.push(source);
+        byKey.set(key, source.n);
+        return source.n;
+    };
+
+    (results || []).forEach(result => {
+        const numbers = [];
+        (result.contextSources || []).forEach(({ agentId, passageIds = [] }) => {
+            const ids = passageIds.length > 0 ? passageIds : [null];
+            ids.forEach(passageId => {
+                const n = addSource(agentId, passageId);
+                if (n && !numbers.includes(n)) numbers.push(n);
+            });
+        });
+        byResult.set(result, numbers);
+    });
+
+    return { sources, byResult };
+}
+
+/**
+ * Short location label for a source: "p12 @ 41:07", "p3" or "summary"
+ * @param {Object} source - Catalog source or parsed citation
+ * @returns {string}
+ */
+export function formatCitationLocation(source) {
+    if (!source?.passageIndex) return 'summary';
+    return source.startLabel ? `p${source.passageIndex} @ ${source.startLabel}` : `p${source.passageIndex}`;
+}
+
+/**
+ * Render the catalog as a prompt block the synthesis call can cite from
+ * @param {Array} sources - Catalog sources
+ * @returns {string} Prompt text ('' when there are no sources)
+ */
+export function formatSourcesForPrompt(sources) {
+    if (!sources?.length) return '';
+    const lines = sources.map(source => (
+        `[${source.n}] ${source.agentName} (${formatCitationLocation(source)}): "${truncate(source.text, CITATION_CONFIG.promptExcerptChars)}"`
+    ));
+    return `NUMBERED SOURCES - cite each claim with its source number in square brackets, e.g. [2]. Use only these numbers:\n${lines.join('\n')}`;
+}
+
+/**
+ * Source-number suffix for a result label, e.g. " (sources [1] [4])"
+ * @param {Array<number>} numbers - Source numbers for one result
+ * @returns {string}
+ */
+export function formatSourceNumbers(numbers) {
+    if (!numbers?.length) return '';
+    return ` (sources ${numbers.map(n => `[${n}]`).join(' ')})`;
+}
+
+/**
+ * Resolve [n] markers in an answer against the catalog
+ * Markers are renumbered 1..k in order of first use and grouped markers
+ * ("[1, 3]") are split into "[1][3]". Numbers that match no source are
+ * dropped from a group; a bracket with no valid number (e.g. "[2024]") is
+ * left as plain text.
+ * @param {string} text - Answer text with [n] markers
+ * @param {Array} sources - Catalog sources
+ * @returns {{text: string, citations: Array<Object>}}
+ */
+export function resolveCitations(text, sources) {
+    if (!text || !sources?.length) return { text: text || '', citations: [] };
+
+    const byNumber = new Map(sources.map(source => [source.n, source]));
+    const renumbered = new Map();
+    const citations = [];
+
+    const assignNumber = (n) => {
+        if (!renumbered.has(n)) {
+            renumbered.set(n, citations.length + 1);
+            citations.push({ ...byNumber.get(n), n: citations.length + 1 });
+        }
+        return renumbered.get(n);
+    };
+
+    const resolved = text.replace(MARKER_PATTERN, (match, group) => {
+        const numbers = group.split(',').map(value => Number(value.trim())).filter(n => byNumber.has(n));
+        if (numbers.length === 0) return match;
+        return numbers.map(n => `[${assignNumber(n)}]`).join('');
+    });
+
+    return { text: resolved, citations };
+}
+
+/**
+ * Turn a cited answer into Markdown with footnotes ([n] -> [^n] plus a
+ * footnote per citation quoting its source), e.g. for chat exports
+ * @param {string} text - Answer text with resolved [n] markers
+ * @param {Array} citations - Resolved citations
+ * @returns {string}
+ */
+export function formatCitedMarkdown(text, citations) {
+    if (!citations?.length) return text || '';
+    const body = String(text || '').replace(MARKER_PATTERN, (match, group) => {
+        const n = Number(group);
+        return n >= 1 && n <= citations.length ? `[^${n}]` : match;
+    });
+    const footnotes = citations.map(citation => {
+        const date = citation.date ? `, ${citation.date}` : '';
+        return `[^${citation.n}]: ${citation.agentName}${date} (${formatCitationLocation(citation)}): "${citation.text}"`;
+    });
+    return `${body}\n\n${footnotes.join('\n')}`;
+}
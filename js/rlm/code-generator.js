@@ -12,6 +12,8 @@
  * - Enhanced few-shot examples
  */
 
+import { isCancellationError } from './cancellation.js';
+
 /**
  * Query types for classification
  */
@@ -611,6 +613,7 @@ Please fix this issue in your code generation.`;
                 console.warn(`[CodeGenerator] Attempt ${attempts} failed: ${lastError}`);
                 
             } catch (error) {
+                if (isCancellationError(error)) throw error;
                 lastError = error.message;
                 console.warn(`[CodeGenerator] Attempt ${attempts} exception: ${lastError}`);
             }
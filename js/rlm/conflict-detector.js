@@ -33,6 +33,23 @@ export class ConflictDetector {
                 'echoes', 'mirrors', 'matches', 'concurs'
             ],
 
+            // Word overlap at which two decisions are about the same subject
+            decisionSubjectThreshold: 0.2,
+
+            // Wording that marks a decision as undoing an earlier one
+            reversalMarkers: [
+                'reverse', 'reversed', 'revert', 'reverted', 'overturn', 'overturned',
+                'cancel', 'cancelled', 'canceled', 'scrap', 'scrapped', 'abandon',
+                'abandoned', 'drop', 'dropped', 'no longer', 'instead', 'rather than',
+                'roll back', 'rollback', 'undo', 'withdraw', 'retract', 'postpone',
+                'postponed', 'delay', 'delayed', 'push back', 'pushed back', 'pause', 'paused'
+            ],
+
+            // Negations used to tell opposite decisions on one subject apart
+            negationMarkers: [
+                'not', 'no', 'never', "won't", "don't", "doesn't", 'without', 'against', 'stop'
+            ],
+
             ...options
         };
     }
@@ -246,6 +263,105 @@ export class ConflictDetector {
         return parts.join('; ');
     }
 
+    /**
+     * Find earlier decisions that a later decision reverses or contradicts
+     * Decisions must be oldest first; pairs from the same source (meeting)
+     * are skipped. A later decision reverses an earlier one when its
+     * `reverses` note names it, or when it covers the same subject with
+     * reversal wording ("postpone", "instead", ...). It contradicts one when
+     * the two cover the same subject with opposite polarity or compare as a
+     * conflict.
+     * @param {Array} decisions - { id, text, reverses, source }, oldest first
+     * @returns {Array} { earlierId, laterId, type: 'reversed'|'contradicted', confidence, reason }
+     */
+    findDecisionReversals(decisions) {
+        const findings = [];
+        if (!decisions || decisions.length < 2) return findings;
+
+        const threshold = this.options.decisionSubjectThreshold;
+        const words = decisions.map(decision => this._subjectWords(decision.text));
+
+        for (let j = 1; j < decisions.length; j++) {
+            const later = decisions[j];
+            const laterText = (later.text || '').toLowerCase();
+            const reversalMarker = this.options.reversalMarkers.find(marker => this._countMarkers(laterText, [marker]) > 0);
+            const reversesWords = later.reverses ? this._subjectWords(later.reverses) : null;
+
+            for (let i = 0; i < j; i++) {
+                const earlier = decisions[i];
+                if (earlier.source && earlier.source === later.source) continue;
+
+                if (reversesWords) {
+                    const noted = this._overlap(reversesWords, words[i]);
+                    if (noted >= threshold) {
+                        findings.push({
+                            earlierId: earlier.id,
+                            laterId: later.id,
+                            type: 'reversed',
+                            confidence: Math.min(1.0, 0.6 + noted * 0.4),
+                            reason: `Recorded as changing "${this._extractKeyExcerpt(later.reverses, 80)}"`
+                        });
+                        continue;
+                    }
+                }
+
+                const similarity = this._overlap(words[i], words[j]);
+                if (similarity < threshold) continue;
+
+                const earlierText = (earlier.text || '').toLowerCase();
+                if (reversalMarker) {
+                    findings.push({
+                        earlierId: earlier.id,
+                        laterId: later.id,
+                        type: 'reversed',
+                        confidence: Math.min(1.0, 0.5 + similarity * 0.3),
+                        reason: `Same subject, later decision says "${reversalMarker}"`
+                    });
+                } else if ((this._countMarkers(earlierText, this.options.negationMarkers) > 0)
+                    !== (this._countMarkers(laterText, this.options.negationMarkers) > 0)) {
+                    findings.push({
+                        earlierId: earlier.id,
+                        laterId: later.id,
+                        type: 'contradicted',
+                        confidence: Math.min(1.0, 0.4 + similarity * 0.3),
+                        reason: 'Same subject with opposite wording'
+                    });
+                } else if (this._compareResponses({ response: earlier.text }, { response: later.text }).type === 'conflict') {
+                    findings.push({
+                        earlierId: earlier.id,
+                        laterId: later.id,
+                        type: 'contradicted',
+                        confidence: Math.min(1.0, 0.3 + similarity * 0.3),
+                        reason: 'Same subject with conflicting wording'
+                    });
+                }
+            }
+        }
+
+        return findings;
+    }
+
+    /**
+     * Content words of a short text (punctuation stripped, longer than 3 chars)
+     * @private
+     */
+    _subjectWords(text) {
+        return new Set((text || '').toLowerCase()
+            .replace(/[^a-z0-9\s-]/g, ' ')
+            .split(/\s+/)
+            .filter(w => w.length > 3 && !this._isStopWord(w)));
+    }
+
+    /**
+     * Jaccard overlap of two word sets
+     * @private
+     */
+    _overlap(words1, words2) {
+        if (words1.size === 0 || words2.size === 0) return 0;
+        const intersection = [...words1].filter(w => words2.has(w)).length;
+        return intersection / (words1.size + words2.size - intersection);
+    }
+
     /**
      * Format conflicts for inclusion in synthesis prompt
      * @param {Object} analysis - Result from analyze()
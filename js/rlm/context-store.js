@@ -9,6 +9,9 @@
  * context can be manipulated via generated code.
  */
 
+import { PassageIndex } from './passage-index.js';
+import { EntityIndex } from './entity-index.js';
+
 export class ContextStore {
     constructor() {
         this.agents = new Map();
@@ -19,6 +22,22 @@ export class ContextStore {
             activeAgents: 0,
             lastUpdated: null
         };
+        // Optional semantic index (see embedding-index.js); keyword-only when null
+        this.embeddingIndex = null;
+        this.lastRetrievalMode = 'keyword';
+        // BM25 index over transcript passages, rebuilt lazily after loadAgents
+        this.passageIndex = new PassageIndex();
+        this.passageIndexStale = true;
+        // People / projects / organizations across agents, rebuilt by loadAgents
+        this.entityIndex = new EntityIndex();
+    }
+
+    /**
+     * Attach an embedding index for hybrid keyword + vector retrieval
+     * @param {EmbeddingIndex|null} index
+     */
+    setEmbeddingIndex(index) {
+        this.embeddingIndex = index || null;
     }
 
     /**
@@ -42,6 +61,10 @@ export class ContextStore {
         this.metadata.totalAgents = agents.length;
         this.metadata.activeAgents = agents.filter(a => a.enabled).length;
         this.metadata.lastUpdated = new Date();
+        this.passageIndexStale = true;
+        this.entityIndex.build(Array.from(this.agents.values()));
+
+        this.embeddingIndex?.prune(new Set(this.agents.keys()));
     }
 
     /**
@@ -105,6 +128,25 @@ export class ContextStore {
         return this.agents.get(id) || null;
     }
 
+    /**
+     * Compute semantic similarity scores for a query (async, uses the embedding index)
+     * @param {string} query - User's search query
+     * @param {Object} options - { activeOnly, agentFilter, signal }
+     * @returns {Promise<Map<string, {similarity: number, section: string}>|null>}
+     *   Scores by agent id, or null when embeddings are unavailable (keyword fallback)
+     */
+    async getSemanticScores(query, options = {}) {
+        const { activeOnly = true, agentFilter = null, signal = null } = options;
+        if (!this.embeddingIndex?.isAvailable()) return null;
+
+        let candidates = activeOnly ? this.getActiveAgents() : Array.from(this.agents.values());
+        if (agentFilter && Array.isArray(agentFilter) && agentFilter.length > 0) {
+            const filterSet = new Set(agentFilter);
+            candidates = candidates.filter(agent => filterSet.has(agent.id));
+        }
+        return this.embeddingIndex.scoreAgents(query, candidates, { signal });
+    }
+
     /**
      * Query agents by relevance to a search query
      * @param {string} query - User's search query
@@ -117,11 +159,14 @@ export class ContextStore {
             activeOnly = true,
             minScore = 0,
             agentFilter = null, // Array of agent IDs to restrict to (for group filtering)
-            groupFilter = null  // Array of group IDs (alternative to agentFilter)
+            groupFilter = null, // Array of group IDs (alternative to agentFilter)
+            entityFilter = null, // Array of entity IDs; restricts to agents mentioning any of them
+            semanticScores = null // From getSemanticScores(); enables hybrid scoring
         } = options;
 
         const queryKeywords = this._extractKeywords(query.toLowerCase());
         let candidates = activeOnly ? this.getActiveAgents() : Array.from(this.agents.values());
+        this.lastRetrievalMode = semanticScores ? 'hybrid' : 'keyword';
 
         // Apply agent filter if specified (from group filtering)
         if (agentFilter && Array.isArray(agentFilter) && agentFilter.length > 0) {
@@ -135,16 +180,35 @@ export class ContextStore {
             candidates = candidates.filter(agent => agent.groupId && groupSet.has(agent.groupId));
         }
 
+        // Apply entity filter if specified ("what has Priya been assigned?")
+        const hasEntityFilter = Array.isArray(entityFilter) && entityFilter.length > 0;
+        if (hasEntityFilter) {
+            const entityAgentIds = this.entityIndex.getAgentIdsForEntities(entityFilter);
+            const filtered = candidates.filter(agent => entityAgentIds.has(agent.id));
+            // Entity only mentioned in inactive or filtered-out agents: keep the unfiltered ranking
+            if (filtered.length > 0) candidates = filtered;
+        }
+
         const scored = candidates.map(agent => {
-            const score = this._calculateRelevanceScore(agent, queryKeywords, query.toLowerCase());
-            return { agent, score };
+            const entityMatches = hasEntityFilter ? this.entityIndex.countEntityMatches(agent.id, entityFilter) : 0;
+            const keywordScore = this._calculateRelevanceScore(agent, queryKeywords, query.toLowerCase())
+                + entityMatches * this.entityIndex.config.queryBoost;
+            const semantic = semanticScores?.get(agent.id) || null;
+            const semanticScore = semantic ? this.embeddingIndex.toScoreBoost(semantic.similarity) : 0;
+            return { agent, score: keywordScore + semanticScore, keywordScore, semantic };
         });
 
         return scored
             .filter(s => s.score >= minScore)
             .sort((a, b) => b.score - a.score)
             .slice(0, maxResults)
-            .map(s => ({ ...s.agent, _relevanceScore: s.score }));
+            .map(s => ({
+                ...s.agent,
+                _relevanceScore: s.score,
+                _keywordScore: s.keywordScore,
+                _semanticSimilarity: s.semantic?.similarity ?? null,
+                _semanticSection: s.semantic?.section ?? null
+            }));
     }
 
     /**
@@ -162,7 +226,9 @@ export class ContextStore {
             diversityFields = ['sourceType', 'meetingType', 'temporalQuarter'],  // Fields to diversify on
             activeOnly = true,
             agentFilter = null,
-            groupFilter = null
+            groupFilter = null,
+            entityFilter = null,
+            semanticScores = null
         } = options;
 
         // Get initial relevance-ranked results (more than needed)
@@ -171,7 +237,9 @@ export class ContextStore {
             minScore,
             activeOnly,
             agentFilter,
-            groupFilter
+            groupFilter,
+            entityFilter,
+            semanticScores
         });
 
         if (candidates.length <= maxResults) {
@@ -355,14 +423,16 @@ Action Items: ${agent.actionItems || 'N/A'}`;
      * Get combined context with a token budget by falling back to smaller slices.
      * @param {Array} agentIds - Array of agent IDs
      * @param {number} tokenBudget - Maximum tokens to use
-     * @param {Object} options - Options
+     * @param {Object} options - Options; pass `query` to add the top BM25
+     *   transcript passages to slices that leave the transcript out
      * @returns {Object} Context bundle with budget stats
      */
     getCombinedContextWithBudget(agentIds, tokenBudget, options = {}) {
         const {
             preferredLevel = 'standard',
             separator = '\n\n---\n\n',
-            minRemainingTokens = 0
+            minRemainingTokens = 0,
+            query = ''
         } = options;
 
         const ids = agentIds?.length
@@ -375,6 +445,7 @@ Action Items: ${agent.actionItems || 'N/A'}`;
                 tokenEstimate: 0,
                 levelsUsed: [],
                 skippedAgents: ids || [],
+                passagesUsed: [],
                 remainingBudget: Math.max(0, tokenBudget || 0)
             };
         }
@@ -389,17 +460,32 @@ Action Items: ${agent.actionItems || 'N/A'}`;
         const sections = [];
         const levelsUsed = [];
         const skippedAgents = [];
+        const passagesUsed = [];
         let remainingBudget = tokenBudget;
         let tokenEstimate = 0;
 
-        ids.forEach(agentId => {
+        ids.forEach((agentId, position) => {
             let accepted = false;
             for (const level of levelOrder) {
-                const slice = this.getContextSlice(agentId, level);
-                const sliceTokens = this.estimateTokens(slice);
+                let slice = this.getContextSlice(agentId, level);
+                let sliceTokens = this.estimateTokens(slice);
                 if (sliceTokens <= remainingBudget) {
+                    // Below 'full' the transcript is left out: pull the passages that
+                    // answer the query instead, sharing what's left with later agents
+                    let passageIds = [];
+                    if (query && level !== 'full') {
+                        const agentsLeft = ids.length - position;
+                        const share = Math.floor((remainingBudget - sliceTokens) / agentsLeft);
+                        const passages = this.getPassageContext(agentId, query, share);
+                        if (passages.context) {
+                            slice = `${slice}\n${passages.context}`;
+                            sliceTokens += passages.tokenEstimate;
+                            passageIds = passages.passageIds;
+                            passagesUsed.push(...passageIds);
+                        }
+                    }
                     sections.push(slice);
-                    levelsUsed.push({ agentId, level, tokens: sliceTokens });
+                    levelsUsed.push({ agentId, level, tokens: sliceTokens, passages: passageIds });
                     remainingBudget -= sliceTokens;
                     tokenEstimate += sliceTokens;
                     accepted = true;
@@ -420,10 +506,85 @@ Action Items: ${agent.actionItems || 'N/A'}`;
             tokenEstimate,
             levelsUsed,
             skippedAgents,
+            passagesUsed,
             remainingBudget
         };
     }
 
+    /**
+     * Rank an agent's transcript passages against a query (BM25)
+     * @param {string} agentId - Agent ID
+     * @param {string} query - Natural-language query
+     * @param {number} limit - Max passages to return
+     * @returns {Array<Object>} Passages ({ id, index, text, startLabel, score }), best first
+     */
+    getTopPassages(agentId, query, limit = this.passageIndex.config.maxPassagesPerAgent) {
+        return this.searchPassages(query, { agentIds: [agentId], limit });
+    }
+
+    /**
+     * Rank transcript passages across agents against a query (BM25)
+     * @param {string} query - Natural-language query
+     * @param {Object} options - { agentIds: restrict to agents, perAgent, limit }
+     * @returns {Array<Object>} Passages ({ id, agentId, index, text, startLabel, score }), best first
+     */
+    searchPassages(query, options = {}) {
+        this._ensurePassageIndex();
+        return this.passageIndex.search(query, options);
+    }
+
+    /**
+     * Format an agent's top passages for a prompt, within a token budget
+     * Passages are listed in transcript order so the excerpt reads naturally.
+     * @param {string} agentId - Agent ID
+     * @param {string} query - Natural-language query
+     * @param {number} tokenBudget - Maximum tokens for the excerpt block
+     * @returns {{context: string, tokenEstimate: number, passageIds: Array<string>}}
+     */
+    getPassageContext(agentId, query, tokenBudget) {
+        const empty = { context: '', tokenEstimate: 0, passageIds: [] };
+        if (!query || !tokenBudget || tokenBudget <= 0) return empty;
+
+        const heading = 'Relevant Transcript Passages:';
+        let remaining = tokenBudget - this.estimateTokens(heading);
+        const selected = [];
+        for (const passage of this.getTopPassages(agentId, query)) {
+            const line = this._formatPassage(passage);
+            const lineTokens = this.estimateTokens(line);
+            if (lineTokens > remaining) continue;
+            selected.push({ passage, line });
+            remaining -= lineTokens;
+        }
+        if (selected.length === 0) return empty;
+
+        selected.sort((a, b) => a.passage.index - b.passage.index);
+        const context = [heading, ...selected.map(item => item.line)].join('\n');
+        return {
+            context,
+            tokenEstimate: this.estimateTokens(context),
+            passageIds: selected.map(item => item.passage.id)
+        };
+    }
+
+    /**
+     * Prompt line for a passage: "[p12 @ 41:07] text"
+     * @private
+     */
+    _formatPassage(passage) {
+        const stamp = passage.startLabel ? ` @ ${passage.startLabel}` : '';
+        return `[p${passage.index}${stamp}] ${passage.text}`;
+    }
+
+    /**
+     * Rebuild the passage index if agents changed since the last build
+     * @private
+     */
+    _ensurePassageIndex() {
+        if (!this.passageIndexStale) return;
+        this.passageIndex.build(Array.from(this.agents.values()));
+        this.passageIndexStale = false;
+    }
+
     /**
      * Get store statistics
      * @returns {Object} Store metadata and stats
@@ -431,7 +592,9 @@ Action Items: ${agent.actionItems || 'N/A'}`;
     getStats() {
         return {
             ...this.metadata,
-            agentIds: Array.from(this.agents.keys())
+            entities: this.entityIndex.entities.size,
+            agentIds: Array.from(this.agents.keys()),
+            passages: this.passageIndexStale ? null : this.passageIndex.getStats()
         };
     }
 
@@ -0,0 +1,393 @@
+/**
+ * RLM Embedding Index
+ *
+ * Optional semantic retrieval for the context store. Keyword scoring misses
+ * paraphrases ("budget overrun" vs "cost blowout"), so each agent is split
+ * into sections (summary, key points, action items, transcript windows),
+ * every section is embedded once, and a query scores an agent by its
+ * best-matching section.
+ *
+ * - Vectors are cached in IndexedDB keyed by embedding space (provider +
+ *   effective model) + content hash, so reloading the same agents costs no
+ *   further embedding calls and switching provider never mixes vector spaces
+ * - Embeddings come from an injected `embed(texts, model, { signal })`
+ *   function, keeping the index provider-agnostic; without one the store
+ *   stays keyword-only
+ * - A failed embedding call disables the index for a cool-down period so
+ *   queries fall back to keyword scoring instead of retrying every time
+ */
+
+import { isCancellationError } from './cancellation.js';
+
+export const EMBEDDING_CONFIG = {
+    model: 'text-embedding-3-small',
+    sectionChars: 3000,            // Max characters per embedded section
+    maxTranscriptSections: 40,     // Cap on transcript windows per agent
+    batchSize: 64,                 // Inputs per embeddings request
+    similarityFloor: 0.2,          // Cosine at or below this counts as unrelated
+    semanticWeight: 20,            // Hybrid boost at similarity 1.0 (keyword-score units)
+    retryAfterMs: 5 * 60 * 1000,   // Cool-down after a failed embedding call
+    dbName: 'northstar.LM_embeddings'
+};
+
+const VECTOR_STORE = 'vectors';
+
+/**
+ * Cosine similarity between two vectors
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number} Similarity in [-1, 1] (0 for empty or mismatched vectors)
+ */
+export function cosineSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Stable content hash for cache keys (FNV-1a, 32-bit)
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${(hash >>> 0).toString(36)}-${text.length}`;
+}
+
+/**
+ * Split long text into windows, preferring sentence boundaries
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function splitIntoWindows(text, maxChars) {
+    const windows = [];
+    let remaining = text.trim();
+    while (remaining.length > maxChars) {
+        const slice = remaining.slice(0, maxChars);
+        const cut = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('\n'));
+        const end = cut > maxChars * 0.5 ? cut + 1 : maxChars;
+        windows.push(remaining.slice(0, end).trim());
+        remaining = remaining.slice(end).trim();
+    }
+    if (remaining) windows.push(remaining);
+    return windows;
+}
+
+/**
+ * Split an agent into embeddable sections
+ * @param {Object} agent - Context store agent
+ * @param {Object} config - EMBEDDING_CONFIG overrides
+ * @returns {Array<{section: string, text: string}>}
+ */
+export function buildAgentSections(agent, config = EMBEDDING_CONFIG) {
+    const title = agent.displayName || agent.title || '';
+    const sections = [];
+    const add = (section, text) => {
+        const trimmed = String(text || '').trim();
+        if (!trimmed) return;
+        // Prefix the title so short sections keep their meeting context
+        sections.push({ section, text: `${title}\n${trimmed}`.slice(0, config.sectionChars) });
+    };
+
+    add('summary', agent.summary);
+    add('keyPoints', agent.keyPoints);
+    add('actionItems', agent.actionItems);
+    splitIntoWindows(agent.transcript || '', config.sectionChars)
+        .slice(0, config.maxTranscriptSections)
+        .forEach((windowText, index) => add(`transcript:${index}`, windowText));
+
+    return sections;
+}
+
+/**
+ * Vector cache in IndexedDB, with an in-memory map in front (and as the
+ * only layer when IndexedDB is unavailable)
+ */
+export class EmbeddingCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || EMBEDDING_CONFIG.dbName;
+        this.idb = options.indexedDB === undefined ? (globalThis.indexedDB || null) : options.indexedDB;
+        this.memory = new Map();
+        this.dbPromise = null;
+    }
+
+    _open() {
+        if (!this.idb) return Promise.resolve(null);
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                try {
+                    const request = this.idb.open(this.dbName, 1);
+                    request.onupgradeneeded = () => {
+                        if (!request.result.objectStoreNames.contains(VECTOR_STORE)) {
+                            request.result.createObjectStore(VECTOR_STORE, { keyPath: 'key' });
+                        }
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(null);
+                    request.onblocked = () => resolve(null);
+                } catch (error) {
+                    resolve(null);
+                }
+            }).then(db => {
+                if (!db) console.warn('[Embeddings] IndexedDB unavailable, caching vectors in memory only');
+                return db;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Look up cached vectors
+     * @param {string[]} keys
+     * @returns {Promise<Map<string, Float32Array>>}
+     */
+    async getMany(keys) {
+        const found = new Map();
+        const missing = [];
+        keys.forEach(key => {
+            if (this.memory.has(key)) {
+                found.set(key, this.memory.get(key));
+            } else {
+                missing.push(key);
+            }
+        });
+
+        const db = missing.length > 0 ? await this._open() : null;
+        if (db) {
+            await new Promise(resolve => {
+                const store = db.transaction(VECTOR_STORE, 'readonly').objectStore(VECTOR_STORE);
+                let pending = missing.length;
+                missing.forEach(key => {
+                    const request = store.get(key);
+                    request.onsuccess = () => {
+                        if (request.result) {
+                            const vector = Float32Array.from(request.result.vector);
+                            this.memory.set(key, vector);
+                            found.set(key, vector);
+                        }
+                        if (--pending === 0) resolve();
+                    };
+                    request.onerror = () => {
+                        if (--pending === 0) resolve();
+                    };
+                });
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Store vectors (IndexedDB write failures such as quota are non-fatal)
+     * @param {Array<{key: string, vector: ArrayLike<number>}>} entries
+     */
+    async putMany(entries) {
+        entries.forEach(({ key, vector }) => this.memory.set(key, Float32Array.from(vector)));
+        const db = await this._open();
+        if (!db || entries.length === 0) return;
+        await new Promise(resolve => {
+            const tx = db.transaction(VECTOR_STORE, 'readwrite');
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => {
+                console.warn('[Embeddings] Failed to persist vectors:', tx.error?.message);
+                resolve();
+            };
+            tx.onabort = tx.onerror;
+            const store = tx.objectStore(VECTOR_STORE);
+            entries.forEach(({ key, vector }) => store.put({ key, vector: Float32Array.from(vector) }));
+        });
+    }
+
+    clearMemory() {
+        this.memory.clear();
+    }
+}
+
+/**
+ * Per-agent section vectors with cosine search
+ */
+export class EmbeddingIndex {
+    constructor(options = {}) {
+        this.config = { ...EMBEDDING_CONFIG, ...(options.config || {}) };
+        this.embed = options.embed || null;
+        this.cache = options.cache || new EmbeddingCache({ dbName: this.config.dbName });
+        this.enabled = options.enabled !== false;
+        this.getEmbeddingSpace = null;
+        this.agentVectors = new Map(); // agentId -> { signature, sections: [{ section, vector }] }
+        this.disabledUntil = 0;
+        this.lastError = null;
+        this.stats = { embeddedTexts: 0, cacheHits: 0, queries: 0, failures: 0 };
+    }
+
+    /**
+     * Set the embedding function
+     * @param {Function|null} embed - async (texts: string[], model: string, options: { signal }) => number[][]
+     * @param {Object} options - { getEmbeddingSpace: (model) => string } names the provider + model
+     *   that actually produces the vectors; cache keys and agent signatures include it
+     */
+    setEmbedder(embed, options = {}) {
+        this.embed = typeof embed === 'function' ? embed : null;
+        this.getEmbeddingSpace = typeof options.getEmbeddingSpace === 'function' ? options.getEmbeddingSpace : null;
+        this.disabledUntil = 0;
+    }
+
+    /**
+     * Identify the vector space embeddings currently come from
+     * @returns {string} e.g. "openai:text-embedding-3-small"; the configured model without a resolver
+     */
+    embeddingSpace() {
+        return this.getEmbeddingSpace?.(this.config.model) || this.config.model;
+    }
+
+    /**
+     * Whether semantic scoring can run right now
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.enabled && Boolean(this.embed) && Date.now() >= this.disabledUntil;
+    }
+
+    /**
+     * Embed texts, serving repeats from the cache
+     * @param {string[]} texts
+     * @param {Object} options - { signal } aborts the embedding requests
+     * @returns {Promise<Float32Array[]>} Vectors in input order
+     */
+    async _embedTexts(texts, options = {}) {
+        const space = this.embeddingSpace();
+        const keys = texts.map(text => `${space}:${hashText(text)}`);
+        const cached = await this.cache.getMany([...new Set(keys)]);
+        this.stats.cacheHits += keys.filter(key => cached.has(key)).length;
+
+        const missing = [];
+        const seen = new Set();
+        keys.forEach((key, index) => {
+            if (!cached.has(key) && !seen.has(key)) {
+                seen.add(key);
+                missing.push({ key, text: texts[index] });
+            }
+        });
+
+        for (let start = 0; start < missing.length; start += this.config.batchSize) {
+            const batch = missing.slice(start, start + this.config.batchSize);
+            const vectors = await this.embed(batch.map(item => item.text), this.config.model, { signal: options.signal });
+            if (!Array.isArray(vectors) || vectors.length !== batch.length) {
+                throw new Error(`Embedding provider returned ${vectors?.length ?? 0} vectors for ${batch.length} inputs`);
+            }
+            const entries = batch.map((item, index) => ({ key: item.key, vector: vectors[index] }));
+            await this.cache.putMany(entries);
+            entries.forEach(entry => cached.set(entry.key, Float32Array.from(entry.vector)));
+            this.stats.embeddedTexts += batch.length;
+        }
+
+        return keys.map(key => cached.get(key));
+    }
+
+    /**
+     * Make sure every agent has up-to-date section vectors
+     * @param {Array} agents - Context store agents
+     * @param {Object} options - { signal }
+     */
+    async indexAgents(agents, options = {}) {
+        const pending = [];
+        const space = this.embeddingSpace();
+        agents.forEach(agent => {
+            const sections = buildAgentSections(agent, this.config);
+            // Vectors from another provider/model are not comparable, so a space change re-indexes
+            const signature = [space, ...sections.map(section => hashText(section.text))].join('|');
+            if (this.agentVectors.get(agent.id)?.signature !== signature) {
+                pending.push({ agent, sections, signature });
+            }
+        });
+        if (pending.length === 0) return;
+
+        const texts = pending.flatMap(item => item.sections.map(section => section.text));
+        const vectors = await this._embedTexts(texts, options);
+        let offset = 0;
+        pending.forEach(({ agent, sections, signature }) => {
+            this.agentVectors.set(agent.id, {
+                signature,
+                sections: sections.map(section => ({ section: section.section, vector: vectors[offset++] }))
+            });
+        });
+        console.log(`[Embeddings] Indexed ${pending.length} agent(s), ${texts.length} section(s)`);
+    }
+
+    /**
+     * Score agents against a query by their best-matching section
+     * @param {string} query - User query
+     * @param {Array} agents - Agents to score
+     * @param {Object} options - { signal }; an abort is rethrown, not treated as a failure
+     * @returns {Promise<Map<string, {similarity: number, section: string}>|null>} null when unavailable
+     */
+    async scoreAgents(query, agents, options = {}) {
+        if (!this.isAvailable() || !query || agents.length === 0) return null;
+
+        try {
+            await this.indexAgents(agents, options);
+            const [queryVector] = await this._embedTexts([query], options);
+            this.stats.queries++;
+
+            const scores = new Map();
+            agents.forEach(agent => {
+                let best = { similarity: 0, section: null };
+                (this.agentVectors.get(agent.id)?.sections || []).forEach(({ section, vector }) => {
+                    const similarity = cosineSimilarity(queryVector, vector);
+                    if (similarity > best.similarity) best = { similarity, section };
+                });
+                scores.set(agent.id, best);
+            });
+            this.lastError = null;
+            return scores;
+        } catch (error) {
+            if (isCancellationError(error)) throw error;
+            this.stats.failures++;
+            this.lastError = error.message;
+            this.disabledUntil = Date.now() + this.config.retryAfterMs;
+            console.warn('[Embeddings] Falling back to keyword retrieval:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Convert a similarity into a hybrid score boost (keyword-score units)
+     * @param {number} similarity - Cosine similarity
+     * @returns {number}
+     */
+    toScoreBoost(similarity) {
+        const floor = this.config.similarityFloor;
+        const normalized = Math.max(0, (similarity - floor) / (1 - floor));
+        return normalized * this.config.semanticWeight;
+    }
+
+    /**
+     * Drop vectors for agents no longer loaded
+     * @param {Set<string>} agentIds - Ids to keep
+     */
+    prune(agentIds) {
+        [...this.agentVectors.keys()].forEach(id => {
+            if (!agentIds.has(id)) this.agentVectors.delete(id);
+        });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            available: this.isAvailable(),
+            indexedAgents: this.agentVectors.size,
+            lastError: this.lastError
+        };
+    }
+}
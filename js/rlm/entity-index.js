@@ -0,0 +1,482 @@
+/**
+ * RLM Entity Index
+ *
+ * Cross-meeting index of the people, projects, organizations and products
+ * each agent's analysis extracted (sotMetadata.keyEntities), plus speaker
+ * names and decision participants. Names that refer to the same entity are
+ * merged into one record with aliases:
+ *   - people: "Bob" / "Robert Smith" / "R. Smith" / "Smith" (nicknames,
+ *     first names, initials and last names that fit exactly one full name)
+ *   - everything else: case, punctuation, "the" and suffixes such as
+ *     "Inc" / "Corp" / "team" / "project" are ignored
+ *
+ * The context store uses the index to restrict retrieval to meetings that
+ * mention an entity named in the query ("what has Priya been assigned?"),
+ * and the orchestrator renders one page per entity from getEntityPage().
+ */
+
+export const ENTITY_INDEX_CONFIG = {
+    queryBoost: 8,            // Relevance added per queried entity a meeting mentions
+    minAliasLength: 2,        // Shorter names are ignored
+    maxNameLength: 80         // Longer "names" are extraction noise
+};
+
+// keyEntities field -> entity type
+export const ENTITY_TYPES = {
+    people: 'person',
+    projects: 'project',
+    organizations: 'organization',
+    products: 'product'
+};
+
+// Nickname -> formal first names
+const NICKNAMES = {
+    bob: ['robert'], bobby: ['robert'], rob: ['robert'], robbie: ['robert'],
+    bill: ['william'], billy: ['william'], will: ['william'], liam: ['william'],
+    jim: ['james'], jimmy: ['james'], jamie: ['james'],
+    mike: ['michael'], mick: ['michael'], dave: ['david'], dan: ['daniel'], danny: ['daniel'],
+    chris: ['christopher', 'christine', 'christina'], kate: ['katherine', 'kathryn'],
+    katie: ['katherine', 'kathryn'], kathy: ['katherine', 'kathryn'],
+    liz: ['elizabeth'], beth: ['elizabeth'], betty: ['elizabeth'],
+    jen: ['jennifer'], jenny: ['jennifer'], sam: ['samuel', 'samantha'],
+    alex: ['alexander', 'alexandra'], tom: ['thomas'], tommy: ['thomas'],
+    joe: ['joseph'], joey: ['joseph'], nick: ['nicholas'], matt: ['matthew'],
+    andy: ['andrew'], drew: ['andrew'], tony: ['anthony'], steve: ['steven', 'stephen'],
+    rick: ['richard'], rich: ['richard'], dick: ['richard'], ben: ['benjamin'],
+    pat: ['patrick', 'patricia'], sue: ['susan', 'suzanne'], meg: ['margaret'],
+    maggie: ['margaret'], peggy: ['margaret'], ed: ['edward'], eddie: ['edward'],
+    ted: ['edward', 'theodore'], greg: ['gregory'], jeff: ['jeffrey'], ken: ['kenneth'],
+    larry: ['lawrence'], tim: ['timothy'], vicky: ['victoria'], abby: ['abigail'],
+    becky: ['rebecca'], debbie: ['deborah'], cathy: ['catherine'], josh: ['joshua'],
+    zach: ['zachary'], nate: ['nathan', 'nathaniel'], jon: ['jonathan'], charlie: ['charles'],
+    fred: ['frederick'], frank: ['francis', 'franklin'], gabe: ['gabriel'], max: ['maximilian']
+};
+
+const PERSON_AFFIXES = /^(?:mr|mrs|ms|miss|dr|prof|sir)\s+|\s+(?:jr|sr|ii|iii|iv|phd|md)$/g;
+const ORGANIZATION_SUFFIXES = /\s+(?:inc|incorporated|corp|corporation|co|company|ltd|limited|llc|plc|gmbh|ag|team|dept|department|group)$/;
+const PROJECT_AFFIXES = /^project\s+|\s+(?:project|initiative|program|programme|workstream)$/;
+// Names that are also everyday words; in all-lowercase text they don't count as mentions
+const COMMON_WORD_NAMES = new Set([
+    'will', 'may', 'mark', 'bill', 'pat', 'rich', 'frank', 'grant', 'hope', 'joy', 'faith',
+    'max', 'june', 'april', 'august', 'sue', 'rob', 'art', 'ray', 'rose', 'dawn', 'summer',
+    'chase', 'hunter', 'drew', 'gene', 'jack', 'don', 'sky', 'page', 'lead', 'case'
+]);
+const GENERIC_SPEAKER = /^(?:speaker|participant|unknown|person)\s*[a-z0-9]?\d*$/i;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalize an entity name for alias matching
+ * @param {string} name - Name as extracted
+ * @param {string} type - Entity type ('person', 'project', ...)
+ * @returns {string} Lowercase key ('' when unusable)
+ */
+export function normalizeEntityName(name, type) {
+    let key = String(name || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’]s\b/g, '')
+        .replace(/[^a-z0-9&\s-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^the\s+/, '');
+
+    if (type === 'person') key = key.replace(PERSON_AFFIXES, '').trim();
+    if (type === 'organization') key = key.replace(ORGANIZATION_SUFFIXES, '').trim();
+    if (type === 'project') key = key.replace(PROJECT_AFFIXES, '').trim();
+    return key.length >= ENTITY_INDEX_CONFIG.minAliasLength ? key : '';
+}
+
+function firstNameForms(token) {
+    return new Set([token, ...(NICKNAMES[token] || [])]);
+}
+
+function firstNamesCompatible(a, b) {
+    if (a === b) return true;
+    // "r" (an initial) fits any first name starting with r
+    if (a.length === 1 || b.length === 1) return a[0] === b[0];
+    const formsA = firstNameForms(a);
+    return [...firstNameForms(b)].some(form => formsA.has(form));
+}
+
+// ============================================
+// Union-find over alias keys
+// ============================================
+
+class AliasGroups {
+    constructor() {
+        this.parent = new Map();
+    }
+
+    add(key) {
+        if (!this.parent.has(key)) this.parent.set(key, key);
+    }
+
+    find(key) {
+        let root = key;
+        while (this.parent.get(root) !== root) root = this.parent.get(root);
+        this.parent.set(key, root);
+        return root;
+    }
+
+    union(a, b) {
+        const rootA = this.find(a);
+        const rootB = this.find(b);
+        if (rootA !== rootB) this.parent.set(rootB, rootA);
+    }
+}
+
+/**
+ * Merge person keys that name the same person
+ * Full names merge on last name + compatible first name ("bob smith" /
+ * "robert smith" / "r smith"). A single name joins the one full name it
+ * fits as a first name or last name; when it fits several it stays apart.
+ * @private
+ */
+function mergePersonKeys(keys, groups) {
+    const full = keys.filter(key => key.includes(' '));
+    const single = keys.filter(key => !key.includes(' '));
+    const split = key => {
+        const tokens = key.split(' ');
+        return { first: tokens[0], last: tokens[tokens.length - 1] };
+    };
+
+    for (let i = 0; i < full.length; i++) {
+        for (let j = i + 1; j < full.length; j++) {
+            const a = split(full[i]);
+            const b = split(full[j]);
+            if (a.last === b.last && firstNamesCompatible(a.first, b.first)) groups.union(full[i], full[j]);
+        }
+    }
+
+    const unmatched = [];
+    for (const name of single) {
+        const byFirst = new Set(full.filter(key => firstNamesCompatible(name, split(key).first)).map(key => groups.find(key)));
+        const byLast = new Set(full.filter(key => name.length >= 3 && split(key).last === name).map(key => groups.find(key)));
+        const roots = byFirst.size > 0 ? byFirst : byLast;
+        if (roots.size === 1) {
+            groups.union([...roots][0], name);
+        } else if (roots.size === 0) {
+            unmatched.push(name);
+        }
+    }
+
+    // "Bob" and "Robert" with no full name to anchor them
+    for (let i = 0; i < unmatched.length; i++) {
+        for (let j = i + 1; j < unmatched.length; j++) {
+            if (unmatched[i].length > 1 && unmatched[j].length > 1 && firstNamesCompatible(unmatched[i], unmatched[j])) {
+                groups.union(unmatched[i], unmatched[j]);
+            }
+        }
+    }
+}
+
+// ============================================
+// Entity Index
+// ============================================
+
+export class EntityIndex {
+    constructor(config = {}) {
+        this.config = { ...ENTITY_INDEX_CONFIG, ...config };
+        this.clear();
+    }
+
+    clear() {
+        this.entities = new Map();    // entity id -> entity
+        this.aliasToId = new Map();   // `${type}|${key}` -> entity id
+        this.agents = new Map();      // agent id -> agent
+    }
+
+    /**
+     * Rebuild the index from agents
+     * @param {Array} agents - Agents with { id, sotMetadata.keyEntities, speakers, decisions, ... }
+     */
+    build(agents) {
+        this.clear();
+        const mentions = []; // { type, name, key, agentId, role }
+
+        const addMention = (type, name, agentId, role) => {
+            const display = String(name || '').replace(/\s+/g, ' ').trim();
+            if (!display || display.length > this.config.maxNameLength) return;
+            if (type === 'person' && GENERIC_SPEAKER.test(display)) return;
+            const key = normalizeEntityName(display, type);
+            if (key) mentions.push({ type, name: display, key, agentId, role });
+        };
+
+        (agents || []).forEach(agent => {
+            if (!agent?.id) return;
+            this.agents.set(agent.id, agent);
+            const keyEntities = agent.sotMetadata?.keyEntities || agent.keyEntities || {};
+            Object.entries(ENTITY_TYPES).forEach(([field, type]) => {
+                (Array.isArray(keyEntities[field]) ? keyEntities[field] : []).forEach(name => addMention(type, name, agent.id, 'mentioned'));
+            });
+            (agent.speakers || []).forEach(speaker => addMention('person', speaker?.name, agent.id, 'speaker'));
+            (agent.decisions || []).forEach(decision => {
+                (decision?.participants || []).forEach(name => addMention('person', name, agent.id, 'decided'));
+            });
+        });
+
+        // Merge aliases per type
+        const groups = new AliasGroups();
+        const keysByType = new Map();
+        mentions.forEach(mention => {
+            const scoped = `${mention.type}|${mention.key}`;
+            groups.add(scoped);
+            if (!keysByType.has(mention.type)) keysByType.set(mention.type, new Set());
+            keysByType.get(mention.type).add(mention.key);
+        });
+        const personKeys = [...(keysByType.get('person') || [])];
+        const personGroups = new AliasGroups();
+        personKeys.forEach(key => personGroups.add(key));
+        mergePersonKeys(personKeys, personGroups);
+        personKeys.forEach(key => groups.union(`person|${personGroups.find(key)}`, `person|${key}`));
+
+        // One entity per alias group
+        const byRoot = new Map();
+        mentions.forEach(mention => {
+            const root = groups.find(`${mention.type}|${mention.key}`);
+            if (!byRoot.has(root)) {
+                byRoot.set(root, { type: mention.type, keys: new Set(), names: new Map(), roles: new Map() });
+            }
+            const group = byRoot.get(root);
+            group.keys.add(mention.key);
+            group.names.set(mention.name, (group.names.get(mention.name) || 0) + 1);
+            if (!group.roles.has(mention.agentId)) group.roles.set(mention.agentId, new Set());
+            group.roles.get(mention.agentId).add(mention.role);
+        });
+
+        // A first or last name of one person only also finds that person in text
+        const shortFormOwners = new Map();
+        byRoot.forEach((group, root) => {
+            if (group.type !== 'person') return;
+            [...group.names.keys()].filter(name => name.includes(' ')).forEach(name => {
+                const tokens = name.split(' ');
+                [tokens[0], tokens[tokens.length - 1]].forEach(token => {
+                    if (token.replace(/\W/g, '').length < 3) return;
+                    if (!shortFormOwners.has(token)) shortFormOwners.set(token, new Set());
+                    shortFormOwners.get(token).add(root);
+                });
+            });
+        });
+
+        byRoot.forEach((group, root) => {
+            // Canonical name: most words, then most mentions, then longest
+            const name = [...group.names.entries()].sort((a, b) =>
+                (b[0].split(' ').length - a[0].split(' ').length) || (b[1] - a[1]) || (b[0].length - a[0].length)
+            )[0][0];
+            const id = `${group.type}:${normalizeEntityName(name, group.type).replace(/\s+/g, '-')}`;
+            const entity = {
+                id,
+                type: group.type,
+                name,
+                aliases: [...group.names.keys()],
+                keys: [...group.keys],
+                agentRoles: group.roles
+            };
+            const shortForms = [...shortFormOwners.entries()]
+                .filter(([, roots]) => roots.size === 1 && roots.has(root))
+                .map(([token]) => token);
+            entity.matchers = this._buildMatchers(entity, shortForms);
+            this.entities.set(id, entity);
+            group.keys.forEach(key => this.aliasToId.set(`${group.type}|${key}`, id));
+        });
+
+        // Meetings that mention an entity without having extracted it
+        this.agents.forEach(agent => {
+            const text = [agent.summary, agent.keyPoints, agent.actionItems, ...(agent.decisions || []).map(d => `${d.decision} ${d.rationale || ''}`)]
+                .filter(Boolean).join('\n');
+            if (!text) return;
+            this.entities.forEach(entity => {
+                if (!entity.agentRoles.has(agent.id) && this._matches(entity, text)) {
+                    entity.agentRoles.set(agent.id, new Set(['mentioned']));
+                }
+            });
+        });
+    }
+
+    /**
+     * Regexes that find an entity in text. Multi-word aliases match in any
+     * case; single words must be capitalized ("Will", not "will") unless the
+     * text is all lowercase.
+     * @private
+     */
+    _buildMatchers(entity, shortForms = []) {
+        const multi = new Set();
+        const single = new Set();
+        [...entity.aliases, ...shortForms].forEach(alias => {
+            const cleaned = alias.replace(/\s+/g, ' ').trim();
+            if (cleaned.includes(' ')) {
+                multi.add(escapeRegExp(cleaned.toLowerCase()));
+            } else {
+                single.add(escapeRegExp(cleaned));
+                single.add(escapeRegExp(cleaned.charAt(0).toUpperCase() + cleaned.slice(1)));
+                single.add(escapeRegExp(cleaned.toUpperCase()));
+            }
+        });
+        const build = (patterns, flags) => (patterns.size > 0
+            ? new RegExp(`(?:^|[^\\w])(?:${[...patterns].sort((a, b) => b.length - a.length).join('|')})(?![\\w])`, flags)
+            : null);
+        return {
+            multi: build(multi, 'i'),
+            single: build(single, ''),
+            singleLower: build(new Set([...single].map(pattern => pattern.toLowerCase()).filter(word => !COMMON_WORD_NAMES.has(word))), 'i')
+        };
+    }
+
+    /**
+     * @private
+     */
+    _matches(entity, text) {
+        const { multi, single, singleLower } = entity.matchers;
+        if (multi?.test(text)) return true;
+        const lowercaseOnly = text === text.toLowerCase();
+        return Boolean((lowercaseOnly ? singleLower : single)?.test(text));
+    }
+
+    /**
+     * All entities, most-mentioned first
+     * @param {Object} options - { type } to restrict to one entity type
+     * @returns {Array<{id, type, name, aliases, meetingCount}>}
+     */
+    getEntities(options = {}) {
+        return [...this.entities.values()]
+            .filter(entity => !options.type || entity.type === options.type)
+            .map(entity => this._describe(entity))
+            .sort((a, b) => (b.meetingCount - a.meetingCount) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} id - Entity id
+     * @returns {Object|null}
+     */
+    getEntity(id) {
+        const entity = this.entities.get(id);
+        return entity ? this._describe(entity) : null;
+    }
+
+    /**
+     * @private
+     */
+    _describe(entity) {
+        return {
+            id: entity.id,
+            type: entity.type,
+            name: entity.name,
+            aliases: entity.aliases,
+            meetingCount: entity.agentRoles.size
+        };
+    }
+
+    /**
+     * Look up an entity by any of its names
+     * @param {string} name - Name or alias
+     * @param {string|null} type - Entity type, or null to search all types
+     * @returns {Object|null}
+     */
+    resolve(name, type = null) {
+        const types = type ? [type] : Object.values(ENTITY_TYPES);
+        for (const candidate of types) {
+            const id = this.aliasToId.get(`${candidate}|${normalizeEntityName(name, candidate)}`);
+            if (id) return this.getEntity(id);
+        }
+        return null;
+    }
+
+    /**
+     * Entities named in a piece of text (e.g. a chat query)
+     * @param {string} text
+     * @returns {Array<Object>} Matching entities
+     */
+    findInText(text) {
+        if (!text || this.entities.size === 0) return [];
+        return [...this.entities.values()]
+            .filter(entity => this._matches(entity, text))
+            .map(entity => this._describe(entity));
+    }
+
+    /**
+     * Agents that mention any of the given entities
+     * @param {Array<string>} entityIds
+     * @returns {Set<string>} Agent ids
+     */
+    getAgentIdsForEntities(entityIds) {
+        const agentIds = new Set();
+        (entityIds || []).forEach(id => {
+            this.entities.get(id)?.agentRoles.forEach((roles, agentId) => agentIds.add(agentId));
+        });
+        return agentIds;
+    }
+
+    /**
+     * Number of the given entities an agent mentions
+     * @param {string} agentId
+     * @param {Array<string>} entityIds
+     * @returns {number}
+     */
+    countEntityMatches(agentId, entityIds) {
+        return (entityIds || []).filter(id => this.entities.get(id)?.agentRoles.has(agentId)).length;
+    }
+
+    /**
+     * Everything the loaded meetings say about one entity
+     * @param {string} id - Entity id
+     * @returns {{entity: Object, meetings: Array, actionItems: Array, decisions: Array}|null}
+     *   Meetings carry their roles ('mentioned', 'speaker', 'decided');
+     *   action items flag `isOwner` when the line is assigned to the entity
+     */
+    getEntityPage(id) {
+        const entity = this.entities.get(id);
+        if (!entity) return null;
+
+        const meetings = [];
+        const actionItems = [];
+        const decisions = [];
+
+        entity.agentRoles.forEach((roles, agentId) => {
+            const agent = this.agents.get(agentId);
+            if (!agent) return;
+            const meetingName = agent.displayName || agent.title || agentId;
+            meetings.push({ agentId, name: meetingName, date: agent.date || null, roles: [...roles] });
+
+            String(agent.actionItems || '').split('\n').forEach(line => {
+                const text = line.replace(/^\s*(?:[-•*▸☐]|\[[ xX]\])\s*/, '').trim();
+                if (!text || !this._matches(entity, text)) return;
+                const owner = text.match(/^([^:]{2,60}?)(?::\s|\s+(?:to|will|is to|needs to|agreed to)\s)/)?.[1];
+                actionItems.push({
+                    agentId,
+                    meetingName,
+                    date: agent.date || null,
+                    text,
+                    isOwner: Boolean(owner && this._matches(entity, owner))
+                });
+            });
+
+            (agent.decisions || []).forEach(decision => {
+                const participant = (decision.participants || []).some(name => this._matches(entity, name));
+                if (!participant && !this._matches(entity, `${decision.decision} ${decision.rationale || ''}`)) return;
+                decisions.push({
+                    agentId,
+                    meetingName,
+                    date: agent.date || null,
+                    decision: decision.decision,
+                    rationale: decision.rationale || null,
+                    participants: decision.participants || [],
+                    isParticipant: participant
+                });
+            });
+        });
+
+        return { entity: this._describe(entity), meetings, actionItems, decisions };
+    }
+}
+
+/**
+ * Factory function for creating an entity index
+ * @param {Object} config - ENTITY_INDEX_CONFIG overrides
+ * @returns {EntityIndex}
+ */
+export function createEntityIndex(config = {}) {
+    return new EntityIndex(config);
+}
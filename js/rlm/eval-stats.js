@@ -0,0 +1,295 @@
+/**
+ * RLM Evaluation Statistics
+ *
+ * Small-sample statistics for comparing test configurations: mean with a
+ * Student-t confidence interval, paired and Welch t-tests, and a Pareto
+ * front over quality / cost / latency with a recommended configuration.
+ *
+ * Test runs are small (a handful of prompts, a few trials each), so
+ * intervals use the t distribution rather than a normal approximation.
+ * Configurations answer the same prompts, which makes the paired test on
+ * per-prompt means the primary significance test; Welch's test on the raw
+ * samples covers the single-prompt case.
+ */
+
+export const STATS_CONFIG = {
+    confidence: 0.95,       // Confidence level for intervals
+    alpha: 0.05,            // Significance threshold for p-values
+    maxTrials: 5            // Upper bound on repeated trials per prompt
+};
+
+// ============================================
+// Distribution helpers
+// ============================================
+
+// Lanczos approximation of ln(Γ(x))
+function logGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const coefficient of coefficients) {
+        y += 1;
+        series += coefficient / y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction for the regularized incomplete beta function
+function betaContinuedFraction(x, a, b) {
+    const maxIterations = 200;
+    const epsilon = 3e-14;
+    const tiny = 1e-300;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let result = d;
+
+    for (let m = 1; m <= maxIterations; m++) {
+        const m2 = 2 * m;
+        let step = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + step * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + step / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        result *= d * c;
+
+        step = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + step * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + step / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        result *= delta;
+        if (Math.abs(delta - 1) < epsilon) break;
+    }
+    return result;
+}
+
+function regularizedBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaContinuedFraction(x, a, b) / a
+        : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Two-sided p-value of a t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number}
+ */
+export function studentTTwoSidedP(t, df) {
+    if (!Number.isFinite(t)) return 0;
+    if (!(df > 0)) return 1;
+    return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Critical t value for a two-sided interval (e.g. 2.776 for 95%, df 4)
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @param {number} df - Degrees of freedom
+ * @returns {number}
+ */
+export function studentTCritical(confidence, df) {
+    const target = 1 - confidence;
+    let low = 0;
+    let high = 1000;
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (studentTTwoSidedP(mid, df) > target) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+// ============================================
+// Sample statistics and tests
+// ============================================
+
+function finiteValues(values) {
+    return (values || []).filter(Number.isFinite);
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function variance(values, sampleMean) {
+    if (values.length < 2) return 0;
+    return values.reduce((sum, value) => sum + (value - sampleMean) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Mean, standard deviation and t-based confidence interval
+ * @param {Array<number>} values - Samples (non-finite values are ignored)
+ * @param {number} confidence - Confidence level
+ * @returns {{n: number, mean: number|null, sd: number|null, ciLow: number|null, ciHigh: number|null, halfWidth: number|null}}
+ */
+export function summarizeSamples(values, confidence = STATS_CONFIG.confidence) {
+    const samples = finiteValues(values);
+    if (samples.length === 0) {
+        return { n: 0, mean: null, sd: null, ciLow: null, ciHigh: null, halfWidth: null };
+    }
+
+    const sampleMean = mean(samples);
+    const sd = Math.sqrt(variance(samples, sampleMean));
+    // One sample has no spread estimate, so no interval
+    const halfWidth = samples.length > 1
+        ? studentTCritical(confidence, samples.length - 1) * sd / Math.sqrt(samples.length)
+        : null;
+
+    return {
+        n: samples.length,
+        mean: sampleMean,
+        sd,
+        ciLow: halfWidth === null ? null : sampleMean - halfWidth,
+        ciHigh: halfWidth === null ? null : sampleMean + halfWidth,
+        halfWidth
+    };
+}
+
+/**
+ * Paired t-test on matched samples (b - a)
+ * @param {Array<number>} a - Reference samples
+ * @param {Array<number>} b - Candidate samples, same order as `a`
+ * @returns {{test: string, n: number, meanDiff: number, t: number, df: number, pValue: number}|null}
+ *   null when fewer than two complete pairs exist
+ */
+export function pairedTTest(a, b) {
+    const diffs = [];
+    const length = Math.min(a?.length || 0, b?.length || 0);
+    for (let i = 0; i < length; i++) {
+        if (Number.isFinite(a[i]) && Number.isFinite(b[i])) diffs.push(b[i] - a[i]);
+    }
+    if (diffs.length < 2) return null;
+
+    const meanDiff = mean(diffs);
+    const sd = Math.sqrt(variance(diffs, meanDiff));
+    const df = diffs.length - 1;
+    if (sd === 0) {
+        return { test: 'paired-t', n: diffs.length, meanDiff, t: meanDiff === 0 ? 0 : Infinity, df, pValue: meanDiff === 0 ? 1 : 0 };
+    }
+    const t = meanDiff / (sd / Math.sqrt(diffs.length));
+    return { test: 'paired-t', n: diffs.length, meanDiff, t, df, pValue: studentTTwoSidedP(t, df) };
+}
+
+/**
+ * Welch's unequal-variance t-test (b - a)
+ * @param {Array<number>} a - Reference samples
+ * @param {Array<number>} b - Candidate samples
+ * @returns {{test: string, n: number, meanDiff: number, t: number, df: number, pValue: number}|null}
+ *   null when either side has fewer than two samples
+ */
+export function welchTTest(a, b) {
+    const left = finiteValues(a);
+    const right = finiteValues(b);
+    if (left.length < 2 || right.length < 2) return null;
+
+    const meanA = mean(left);
+    const meanB = mean(right);
+    const varA = variance(left, meanA) / left.length;
+    const varB = variance(right, meanB) / right.length;
+    const meanDiff = meanB - meanA;
+    const n = left.length + right.length;
+    if (varA + varB === 0) {
+        return { test: 'welch-t', n, meanDiff, t: meanDiff === 0 ? 0 : Infinity, df: n - 2, pValue: meanDiff === 0 ? 1 : 0 };
+    }
+
+    const t = meanDiff / Math.sqrt(varA + varB);
+    const df = (varA + varB) ** 2 / ((varA ** 2) / (left.length - 1) + (varB ** 2) / (right.length - 1));
+    return { test: 'welch-t', n, meanDiff, t, df, pValue: studentTTwoSidedP(t, df) };
+}
+
+/**
+ * Compare a candidate configuration with a reference on one metric
+ * Uses the paired test on per-prompt means when at least two prompts are
+ * shared, otherwise Welch's test on the raw samples.
+ * @param {Object} reference - { perPrompt: Array<number>, samples: Array<number> }
+ * @param {Object} candidate - Same shape; perPrompt aligned by prompt index
+ * @param {number} alpha - Significance threshold
+ * @returns {Object|null} Test result plus `significant`
+ */
+export function compareMetric(reference, candidate, alpha = STATS_CONFIG.alpha) {
+    const result = pairedTTest(reference.perPrompt, candidate.perPrompt)
+        || welchTTest(reference.samples, candidate.samples);
+    if (!result) return null;
+    return { ...result, significant: result.pValue < alpha };
+}
+
+// ============================================
+// Pareto front and recommendation
+// ============================================
+
+/**
+ * Configurations not dominated on any objective
+ * @param {Array<Object>} items - { id, values: { [key]: number|null } }
+ * @param {Array<Object>} objectives - { key, direction: 'max'|'min' }
+ * @returns {Array<string>} Ids on the Pareto front
+ */
+export function paretoFront(items, objectives) {
+    const usable = objectives.filter(objective => items.every(item => Number.isFinite(item.values[objective.key])));
+    if (usable.length === 0) return items.map(item => item.id);
+
+    const better = (x, y, objective) => (objective.direction === 'max' ? x > y : x < y);
+    const dominates = (a, b) => usable.every(objective => !better(b.values[objective.key], a.values[objective.key], objective))
+        && usable.some(objective => better(a.values[objective.key], b.values[objective.key], objective));
+
+    return items
+        .filter(item => !items.some(other => other !== item && dominates(other, item)))
+        .map(item => item.id);
+}
+
+/**
+ * Pick the configuration to recommend from the Pareto front
+ * Among front members whose quality is within the best member's confidence
+ * interval (statistically indistinguishable from the best), the cheapest
+ * wins, then the fastest. Without quality scores the cheapest front member
+ * wins.
+ * @param {Array<Object>} configs - { id, name, quality, cost, latency }, each a summarizeSamples result
+ * @returns {{id: string, name: string, front: Array<string>, reason: string}|null}
+ */
+export function recommendConfiguration(configs) {
+    if (!configs?.length) return null;
+
+    const hasQuality = configs.every(config => Number.isFinite(config.quality?.mean));
+    const items = configs.map(config => ({
+        id: config.id,
+        values: {
+            quality: config.quality?.mean ?? null,
+            cost: config.cost?.mean ?? null,
+            latency: config.latency?.mean ?? null
+        }
+    }));
+    const front = paretoFront(items, [
+        { key: 'quality', direction: 'max' },
+        { key: 'cost', direction: 'min' },
+        { key: 'latency', direction: 'min' }
+    ]);
+    const frontConfigs = configs.filter(config => front.includes(config.id));
+    const byCostThenLatency = (a, b) => ((a.cost?.mean ?? Infinity) - (b.cost?.mean ?? Infinity))
+        || ((a.latency?.mean ?? Infinity) - (b.latency?.mean ?? Infinity));
+
+    if (!hasQuality) {
+        const pick = [...frontConfigs].sort(byCostThenLatency)[0];
+        return { id: pick.id, name: pick.name, front, reason: 'Cheapest Pareto-optimal configuration on cost and latency (no quality scores to compare).' };
+    }
+
+    const best = frontConfigs.reduce((top, config) => (config.quality.mean > top.quality.mean ? config : top), frontConfigs[0]);
+    const floor = Number.isFinite(best.quality.ciLow) ? best.quality.ciLow : best.quality.mean;
+    const contenders = frontConfigs.filter(config => config.quality.mean >= floor);
+    const pick = [...contenders].sort(byCostThenLatency)[0];
+
+    const reason = pick.id === best.id
+        ? 'Highest quality on the Pareto front; no cheaper configuration comes within its confidence interval.'
+        : `Quality within the confidence interval of the best (${best.name}) at lower cost.`;
+    return { id: pick.id, name: pick.name, front, reason };
+}
@@ -31,7 +31,15 @@ import { CodeGenerator, createCodeGenerator, generateCodePrompt, parseCodeOutput
 import { QueryCache, getQueryCache, resetQueryCache, CACHE_CONFIG } from './query-cache.js';
 import { MemoryStore, getMemoryStore, resetMemoryStore } from './memory-store.js';
 import { buildShadowPrompt, buildRetrievalPromptSections } from './prompt-builder.js';
-import { EVAL_RUBRIC, scoreEvaluation, buildEvalReport } from './eval-harness.js';
+import { EVAL_RUBRIC, scoreEvaluation, buildEvalReport, JUDGE_CONFIG, JudgeOutputError, buildJudgePrompt, parseJudgeOutput, gradeResponse, REGRESSION_CONFIG, normalizePromptKey, compareToBaseline } from './eval-harness.js';
+import { MockLLMBackend, MockLLMMissError, MOCK_LLM_MODES, MOCK_LLM_CONFIG } from './mock-llm.js';
+import { EmbeddingIndex, EMBEDDING_CONFIG, cosineSimilarity } from './embedding-index.js';
+import { PassageIndex, PASSAGE_CONFIG, chunkTranscript } from './passage-index.js';
+import { CITATION_CONFIG, formatCitationLocation, formatCitedMarkdown } from './citations.js';
+import { QueryCancelledError, isCancellationError, throwIfCancelled } from './cancellation.js';
+import { PipelineTrace, TRACE_CONFIG, SpanStatus, startChildSpan, withSpan, traceAsync, toOTLP, rollupTraceUsage } from './trace.js';
+import { STATS_CONFIG, summarizeSamples, pairedTTest, welchTTest, compareMetric, paretoFront, recommendConfiguration } from './eval-stats.js';
+import { EntityIndex, ENTITY_INDEX_CONFIG, ENTITY_TYPES, normalizeEntityName, createEntityIndex } from './entity-index.js';
 
 /**
  * RLM Configuration
@@ -73,6 +81,9 @@ export const RLM_CONFIG = {
     fallbackToLegacy: true,    // Fall back to legacy if RLM fails
     enableSyncSubLm: true,     // Enable synchronous sub_lm (requires SharedArrayBuffer)
 
+    // Semantic retrieval (hybrid keyword + embeddings; needs setEmbedder())
+    enableEmbeddings: true,
+
     // Cache settings (Phase 3.1)
     enableCache: true,         // Enable query result caching
     cacheMaxEntries: 50,       // Maximum cache entries
@@ -156,6 +167,8 @@ export class RLMPipeline {
 
         this.contextStore = getContextStore();
         this.memoryStore = getMemoryStore();
+        this.embeddingIndex = new EmbeddingIndex({ enabled: this.config.enableEmbeddings });
+        this.contextStore.setEmbeddingIndex(this.embeddingIndex);
         this.decomposer = createDecomposer({
             maxSubQueries: this.config.maxSubQueries,
             defaultSubQueryDepth: this.config.defaultSubQueryDepth,
@@ -220,7 +233,8 @@ export class RLMPipeline {
             subLmCalls: 0,
             subLmErrors: 0,
             cacheHits: 0,
-            cacheMisses: 0
+            cacheMisses: 0,
+            cancelledQueries: 0
         };
 
         // Progress callback for train-of-thought UI updates
@@ -395,16 +409,18 @@ If the information is not available in the provided context, say so briefly.`;
                 ? `Context:\n${contextSlice}\n\nQuestion: ${query}`
                 : `Question: ${query}`;
 
-            const response = await this._callWithPromptGuardrails(
+            const response = await traceAsync(this._currentContext, 'repl.sub_lm', {
+                'repl.sub_lm.sync': true
+            }, spanContext => this._callWithPromptGuardrails(
                 this._currentLlmCall,
                 systemPrompt,
                 userPrompt,
                 this._buildCallContext(
-                    this._currentContext,
-                    this._resolveModelTier(null, 'replSubLm')
+                    spanContext,
+                    this._resolveModelTier(null, 'replSubLm', this._currentContext)
                 ),
                 'sub-lm'
-            );
+            ));
             return response;
             
         } catch (error) {
@@ -450,6 +466,15 @@ If the information is not available in the provided context, say so briefly.`;
         }
     }
 
+    /**
+     * Set the embedding function used for semantic agent retrieval
+     * @param {Function|null} embed - async (texts, model) => number[][]; null for keyword-only
+     * @param {Object} options - { getEmbeddingSpace } see EmbeddingIndex.setEmbedder
+     */
+    setEmbedder(embed, options = {}) {
+        this.embeddingIndex.setEmbedder(embed, options);
+    }
+
     /**
      * Set groups data for group-aware queries
      * @param {Array} groups - Groups array from orchestrator state
@@ -465,13 +490,15 @@ If the information is not available in the provided context, say so briefly.`;
      * Process a user query through the RLM pipeline
      * @param {string} query - User's natural language query
      * @param {Function} llmCall - Function to call LLM
-     * @param {Object} context - Additional context (apiKey, etc.)
-     * @returns {Promise<Object>} Processed result
+     * @param {Object} context - Additional context (apiKey, signal, depthOverride, modelTiering: per-query phase -> model)
+     * @returns {Promise<Object>} Processed result (metadata.trace holds the pipeline trace)
      */
     async process(query, llmCall, context = {}) {
         const startTime = Date.now();
         const timingStart = this._nowMs();
         const timings = this._initTimings();
+        const tracing = this._beginTrace(query, 'rlm', context);
+        context = tracing.context;
 
         // Recommendation B: Reset focus state when batch mode is enabled
         if (this.config.focusBatchMode) {
@@ -480,7 +507,7 @@ If the information is not available in the provided context, say so briefly.`;
 
         if (!this.config.enableRLM) {
             console.log('[RLM] RLM disabled, using legacy processing');
-            return this._legacyProcess(query, llmCall, context);
+            return this._traceResult(tracing, await this._legacyProcess(query, llmCall, context));
         }
 
         // Phase 3.1: Check cache for existing result
@@ -489,7 +516,7 @@ If the information is not available in the provided context, say so briefly.`;
             this.stats.cacheHits++;
             this._emitProgress('Cache hit - returning cached result', 'success');
             this._finalizeTimings(timings, timingStart, query);
-            return {
+            return this._traceResult(tracing, {
                 ...cachedResult,
                 metadata: {
                     ...cachedResult.metadata,
@@ -497,7 +524,7 @@ If the information is not available in the provided context, say so briefly.`;
                     cacheTime: Date.now() - startTime,
                     timings
                 }
-            };
+            });
         }
         this.stats.cacheMisses++;
 
@@ -511,8 +538,19 @@ If the information is not available in the provided context, say so briefly.`;
             console.log('[RLM] Step 1: Decomposing query...');
             this._emitProgress('Analyzing query structure and intent', 'decompose');
             const decomposeStart = this._nowMs();
-            const decomposition = await this.decomposer.decompose(query, context);
+            const decomposition = await traceAsync(context, 'rlm.decompose', {}, async (spanContext, span) => {
+                const decomposed = await this.decomposer.decompose(query, spanContext);
+                span?.setAttributes({
+                    'rlm.strategy': decomposed.strategy?.type,
+                    'rlm.intent': decomposed.classification?.intent,
+                    'rlm.complexity': decomposed.classification?.complexity,
+                    'rlm.agents_selected': decomposed.relevantAgents?.length || 0,
+                    'rlm.sub_query_count': decomposed.subQueries?.length || 0
+                });
+                return decomposed;
+            });
             timings.decomposeMs = Math.round(this._nowMs() - decomposeStart);
+            throwIfCancelled(context.signal);
             console.log(`[RLM] Decomposed into ${decomposition.subQueries.length} sub-queries using ${decomposition.strategy.type} strategy`);
             this._emitProgress(`Strategy: ${decomposition.strategy.type} (${decomposition.subQueries.length} sub-queries)`, 'decompose');
             this._appendFocusEvent(
@@ -538,7 +576,9 @@ If the information is not available in the provided context, say so briefly.`;
                     routing: routingPlan,
                     earlyStop: earlyStopCheck
                 });
-                const earlyResult = await this._processDirectRetrieval(query, llmCall, context, routingPlan, timings);
+                const earlyResult = await traceAsync(context, 'rlm.direct_retrieval', {
+                    'rlm.retrieval.selected': earlyStopCheck.selectedCount
+                }, spanContext => this._processDirectRetrieval(query, llmCall, spanContext, routingPlan, timings));
                 this._finalizeTimings(timings, timingStart, query);
                 const result = {
                     ...earlyResult,
@@ -559,7 +599,7 @@ If the information is not available in the provided context, say so briefly.`;
                 this._queueFocusReason('phase_complete');
                 this._completeFocusIfReady();
                 this._storeInCache(query, result, 'rlm');
-                return result;
+                return this._traceResult(tracing, result);
             }
 
             // Step 2: Execute sub-queries
@@ -567,19 +607,33 @@ If the information is not available in the provided context, say so briefly.`;
             this._emitProgress(`Executing ${decomposition.subQueries.length} sub-queries in parallel`, 'execute');
             const guardedSubQueryCall = this._wrapLLMCall(llmCall, routingPlan, timings);
             const executeStart = this._nowMs();
-            const executionResult = await this.executor.execute(
-                decomposition,
-                guardedSubQueryCall,
-                {
-                    ...context,
-                    routing: routingPlan
+            const executionResult = await traceAsync(context, 'rlm.execute', {
+                'rlm.strategy': decomposition.strategy.type,
+                'rlm.sub_query_count': decomposition.subQueries.length
+            }, async (spanContext, span) => {
+                const executed = await this.executor.execute(
+                    decomposition,
+                    guardedSubQueryCall,
+                    {
+                        ...spanContext,
+                        routing: routingPlan
+                    }
+                );
+                span?.setAttributes({
+                    'rlm.results': executed.results?.length || 0,
+                    'rlm.results_failed': (executed.results || []).filter(r => !r.success).length
+                });
+                if (!executed.success) {
+                    span?.end({}, executed.error || 'Execution failed');
                 }
-            );
+                return executed;
+            });
             timings.executeMs = Math.round(this._nowMs() - executeStart);
 
             if (!executionResult.success) {
                 throw new Error(executionResult.error || 'Execution failed');
             }
+            throwIfCancelled(context.signal, executionResult.results.filter(r => r.success && r.response));
 
             console.log(`[RLM] Executed ${executionResult.results.length} sub-queries in ${executionResult.executionTime}ms`);
             this._emitProgress(`Completed ${executionResult.results.length} sub-queries (${executionResult.executionTime}ms)`, 'success');
@@ -597,16 +651,22 @@ If the information is not available in the provided context, say so briefly.`;
                 llmCall,
                 systemPrompt,
                 userPrompt,
-                this._buildCallContext(callContext, this._resolveModelTier(routingPlan, 'aggregate')),
+                this._buildCallContext(callContext, this._resolveModelTier(routingPlan, 'aggregate', context)),
                 'aggregate'
             );
             const aggregateStart = this._nowMs();
-            const aggregation = await this.aggregator.aggregate(
-                executionResult,
-                decomposition,
-                guardedAggregationCall,
-                context
-            );
+            const aggregation = await traceAsync(context, 'rlm.aggregate', {
+                'rlm.results': executionResult.results.length
+            }, async (spanContext, span) => {
+                const aggregated = await this.aggregator.aggregate(
+                    executionResult,
+                    decomposition,
+                    guardedAggregationCall,
+                    spanContext
+                );
+                span?.setAttributes({ 'rlm.citations': aggregated.citations?.length || 0 });
+                return aggregated;
+            });
             timings.aggregateMs = Math.round(this._nowMs() - aggregateStart);
             this._appendFocusEvent('Aggregated sub-query results into final response.', { step: 'aggregate' });
             this._queueFocusReason('phase_complete');
@@ -623,6 +683,7 @@ If the information is not available in the provided context, say so briefly.`;
             const result = {
                 success: true,
                 response: finalResponse,
+                citations: aggregation.citations || [],
                 metadata: {
                     ...aggregation.metadata,
                     rlmEnabled: true,
@@ -643,20 +704,27 @@ If the information is not available in the provided context, say so briefly.`;
             // Phase 3.1: Store result in cache
             this._storeInCache(query, result, 'rlm');
 
-            return result;
+            return this._traceResult(tracing, result);
 
         } catch (error) {
+            if (isCancellationError(error)) {
+                throw this._traceError(
+                    tracing,
+                    this._handleCancellation(error, 'rlm', startTime, this._finalizeTimings(timings, timingStart, query))
+                );
+            }
             console.error('[RLM] Pipeline error:', error);
             this._appendFocusEvent(`Pipeline error: ${error.message}`, { step: 'error' });
             this._queueFocusReason('termination');
             this._completeFocusIfReady();
 
+            tracing.span.addEvent('exception', { 'exception.message': error.message });
             if (this.config.fallbackToLegacy) {
                 console.log('[RLM] Falling back to legacy processing');
-                return this._legacyProcess(query, llmCall, context);
+                return this._traceResult(tracing, await this._legacyProcess(query, llmCall, context));
             }
 
-            return {
+            return this._traceResult(tracing, {
                 success: false,
                 response: `Error processing query: ${error.message}`,
                 metadata: {
@@ -665,10 +733,87 @@ If the information is not available in the provided context, say so briefly.`;
                     pipelineTime: Date.now() - startTime,
                     timings: this._finalizeTimings(timings, timingStart, query)
                 }
-            };
+            });
         }
     }
 
+    /**
+     * Open the trace for a pipeline run. A run that is itself a fallback of
+     * another (REPL -> RLM) records a child span in the caller's trace
+     * instead of starting a new one.
+     * @private
+     * @returns {{trace: PipelineTrace, span: TraceSpan, owned: boolean, context: Object}}
+     */
+    _beginTrace(query, mode, context = {}) {
+        const attributes = {
+            'rlm.mode': mode,
+            'rlm.query': query
+        };
+        if (context.trace) {
+            const span = startChildSpan(context, `rlm.fallback.${mode}`, attributes);
+            return { trace: context.trace, span, owned: false, context: withSpan(context, span) };
+        }
+        const trace = new PipelineTrace('rlm.query', attributes);
+        return { trace, span: trace.root, owned: true, context: { ...context, trace, traceParent: trace.root } };
+    }
+
+    /**
+     * End the run's span and, for the run that owns the trace, attach the
+     * trace snapshot as `metadata.trace`
+     * @private
+     */
+    _traceResult(tracing, result) {
+        tracing.span.end({
+            'rlm.cached': Boolean(result?.metadata?.cached),
+            'rlm.strategy': result?.metadata?.strategy
+        }, result?.success === false ? (result.metadata?.error || 'Query failed') : null);
+        if (!tracing.owned || !result) return result;
+        return {
+            ...result,
+            metadata: {
+                ...result.metadata,
+                trace: tracing.trace.toJSON()
+            }
+        };
+    }
+
+    /**
+     * End the run's span as failed and attach the trace to the error metadata
+     * @private
+     */
+    _traceError(tracing, error) {
+        tracing.span.end({}, error);
+        if (tracing.owned) {
+            error.metadata = { ...(error.metadata || {}), trace: tracing.trace.toJSON() };
+        }
+        return error;
+    }
+
+    /**
+     * Record a user-stopped query and return the error to rethrow.
+     * Nothing is cached or captured to memory; the focus episode is closed
+     * as a termination so the memory store only ever sees finished turns.
+     * @private
+     */
+    _handleCancellation(error, mode, startTime, timings = null) {
+        const cancelled = error instanceof QueryCancelledError ? error : new QueryCancelledError();
+        this.stats.cancelledQueries++;
+        console.log(`[RLM] ${mode.toUpperCase()} query cancelled after ${Date.now() - startTime}ms (${cancelled.partialResults.length} partial results)`);
+        this._emitProgress('Query stopped', 'warning');
+        this._appendFocusEvent('Query cancelled by user.', { step: 'error', mode });
+        this._queueFocusReason('termination');
+        this._completeFocusIfReady();
+        cancelled.metadata = {
+            rlmEnabled: true,
+            cancelled: true,
+            mode,
+            partialResults: cancelled.partialResults.length,
+            pipelineTime: Date.now() - startTime,
+            timings
+        };
+        return cancelled;
+    }
+
     _nowMs() {
         if (typeof performance !== 'undefined' && performance.now) {
             return performance.now();
@@ -738,6 +883,31 @@ If the information is not available in the provided context, say so briefly.`;
         return `${type}:${stamp}:${this._hashText(String(query || ''))}:${this._hashText(String(contextText || ''))}:${extraHash}`;
     }
 
+    /**
+     * Build a deterministic replay key for an LLM prompt pair.
+     * Same hash as _buildPromptCacheKey, minus the corpus/memory stamp,
+     * so recordings stay valid across sessions.
+     * @param {string} systemPrompt - System prompt sent to llmCall
+     * @param {string} userPrompt - User prompt sent to llmCall
+     * @returns {string} Replay key
+     */
+    buildReplayKey(systemPrompt, userPrompt) {
+        return `replay:${this._hashText(String(systemPrompt || ''))}:${this._hashText(String(userPrompt || ''))}`;
+    }
+
+    /**
+     * Create a mock LLM backend keyed by this pipeline's prompt hash.
+     * Pass backend.llmCall to process() / processWithREPL() for offline runs.
+     * @param {Object} options - Mock options ({ mode, recordings, rules, fallback, missPolicy })
+     * @returns {MockLLMBackend}
+     */
+    createMockLLM(options = {}) {
+        return new MockLLMBackend({
+            ...options,
+            keyFn: (systemPrompt, userPrompt) => this.buildReplayKey(systemPrompt, userPrompt)
+        });
+    }
+
     _getPromptBudget() {
         const budget = this.config.promptTokenBudget || 0;
         const reserve = this.config.promptTokenReserve || this.config.maxOutputTokens || 0;
@@ -788,7 +958,12 @@ If the information is not available in the provided context, say so briefly.`;
         return presets.hybrid || {};
     }
 
-    _resolveModelTier(routingPlan, phase) {
+    _resolveModelTier(routingPlan, phase, context = null) {
+        // Per-query tiering (e.g. a cost-ceiling downgrade) wins over the configured tiers
+        const queryTier = context?.modelTiering?.[phase];
+        if (queryTier) {
+            return queryTier;
+        }
         if (!this.config.enableModelTiering) {
             return null;
         }
@@ -900,7 +1075,7 @@ Provide a focused answer based only on the context above.`;
             + this._estimateTokens(basePrompts.userPrompt);
         const availableForContext = Math.max(0, guardrail.maxInputTokens - baseTokens);
 
-        const retrievalData = this._buildRetrievalPromptContext(query, context?.localContext || '', {
+        const retrievalData = this._buildRetrievalPromptContextTraced(context, query, context?.localContext || '', {
             maxInputTokens: availableForContext,
             maxResults: routingPlan?.retrieval?.maxResults,
             maxPerTag: routingPlan?.retrieval?.maxPerTag,
@@ -919,7 +1094,7 @@ Provide a focused answer based only on the context above.`;
         const { userPrompt } = this._buildLegacyPrompts(query, retrievalData.contextText);
         const callContext = this._buildCallContext(
             context,
-            this._resolveModelTier(routingPlan, 'direct')
+            this._resolveModelTier(routingPlan, 'direct', context)
         );
 
         const response = await this._callWithPromptGuardrails(
@@ -1211,7 +1386,37 @@ Use the following meeting data to answer questions accurately and comprehensivel
             metadata
         );
 
-        return llmCall(systemPrompt, finalUserPrompt, context);
+        return this._callModelTraced(llmCall, systemPrompt, finalUserPrompt, context, mode, promptEstimate);
+    }
+
+    /**
+     * Make one model call inside an 'llm.chat' span. The caller's llmCall
+     * receives the span as `context.traceParent` and may add the provider's
+     * reported usage (gen_ai.usage.*, northstar.cost_usd) to it.
+     * @private
+     */
+    _callModelTraced(llmCall, systemPrompt, userPrompt, context, mode, promptEstimate) {
+        return traceAsync(context, 'llm.chat', {
+            'gen_ai.operation.name': 'chat',
+            'gen_ai.request.model': context?.modelOverride,
+            'rlm.call_mode': mode,
+            'rlm.prompt_tokens_est': promptEstimate
+        }, spanContext => llmCall(systemPrompt, userPrompt, spanContext), 'client');
+    }
+
+    /**
+     * Retrieval prompt context inside an 'rlm.retrieve' span
+     * @private
+     */
+    _buildRetrievalPromptContextTraced(context, query, localContext = '', options = {}) {
+        const span = startChildSpan(context, 'rlm.retrieve', { 'rlm.retrieval.source': 'memory' });
+        const retrievalData = this._buildRetrievalPromptContext(query, localContext, options);
+        span?.end({
+            'rlm.retrieval.slices': retrievalData.retrievedSlices?.length || 0,
+            'rlm.retrieval.dropped': retrievalData.reduction?.dropped || 0,
+            'rlm.context_tokens': retrievalData.tokenEstimate
+        });
+        return retrievalData;
     }
 
     /**
@@ -1239,7 +1444,7 @@ Use the following meeting data to answer questions accurately and comprehensivel
 
             if (this.config.enableRetrievalPrompt && this.memoryStore) {
                 const availableForContext = Math.max(0, guardrail.maxInputTokens - baseTokens);
-                const retrievalData = this._buildRetrievalPromptContext(subQuery, agentContext, {
+                const retrievalData = this._buildRetrievalPromptContextTraced(context, subQuery, agentContext, {
                     maxInputTokens: availableForContext,
                     ...retrievalOverrides,
                     intentTags,
@@ -1287,7 +1492,7 @@ Use the following meeting data to answer questions accurately and comprehensivel
             userPrompt = this._buildSubQueryPrompts(queryText, finalContext).userPrompt;
             const callContext = this._buildCallContext(
                 context,
-                this._resolveModelTier(activeRouting, 'subQuery')
+                this._resolveModelTier(activeRouting, 'subQuery', context)
             );
 
             const promptEstimate = this._estimateTokens(systemPrompt) + this._estimateTokens(userPrompt);
@@ -1305,7 +1510,7 @@ Use the following meeting data to answer questions accurately and comprehensivel
                 }
             );
 
-            return llmCall(systemPrompt, userPrompt, callContext);
+            return this._callModelTraced(llmCall, systemPrompt, userPrompt, callContext, 'subquery', promptEstimate);
         };
     }
 
@@ -1327,7 +1532,8 @@ Use the following meeting data to answer questions accurately and comprehensivel
             const contextTokens = this._estimateTokens(combinedContext);
             if (contextTokens > availableForContext) {
                 const budgeted = this.contextStore.getCombinedContextWithBudget(agentIds, availableForContext, {
-                    preferredLevel: 'standard'
+                    preferredLevel: 'standard',
+                    query
                 });
                 combinedContext = budgeted.context;
             }
@@ -1366,7 +1572,7 @@ Use the following meeting data to answer questions accurately and comprehensivel
             llmCall,
             systemPrompt,
             userPrompt,
-            this._buildCallContext(context, this._resolveModelTier(null, 'direct')),
+            this._buildCallContext(context, this._resolveModelTier(null, 'direct', context)),
             'legacy',
             {
                 swmFallbackUsed,
@@ -1405,11 +1611,13 @@ Use the following meeting data to answer questions accurately and comprehensivel
      * @param {string} query - User's natural language query
      * @param {Function} llmCall - Function to call LLM
      * @param {Object} context - Additional context
-     * @returns {Promise<Object>} Processed result
+     * @returns {Promise<Object>} Processed result (metadata.trace holds the pipeline trace)
      */
     async processWithREPL(query, llmCall, context = {}) {
         const startTime = Date.now();
         const timingStart = this._nowMs();
+        const tracing = this._beginTrace(query, 'repl', context);
+        context = tracing.context;
         const timings = {
             codeGenMs: 0,
             execMs: 0,
@@ -1424,7 +1632,7 @@ Use the following meeting data to answer questions accurately and comprehensivel
             this.stats.cacheHits++;
             this._emitProgress('Cache hit - returning cached result', 'success');
             timings.pipelineMs = Math.round(this._nowMs() - timingStart);
-            return {
+            return this._traceResult(tracing, {
                 ...cachedResult,
                 metadata: {
                     ...cachedResult.metadata,
@@ -1432,7 +1640,7 @@ Use the following meeting data to answer questions accurately and comprehensivel
                     cacheTime: Date.now() - startTime,
                     timings
                 }
-            };
+            });
         }
         this.stats.cacheMisses++;
 
@@ -1471,27 +1679,34 @@ Use the following meeting data to answer questions accurately and comprehensivel
             // Step 2: Call LLM to generate code (with retry support)
             console.log('[RLM:REPL] Generating Python code...');
             this._emitProgress('Calling GPT to generate Python analysis code', 'code');
-            const replCodeContext = this._buildCallContext(context, this._resolveModelTier(null, 'replCode'));
-            const guardedCodeCall = (systemPrompt, userPrompt, callContext) => this._callWithPromptGuardrails(
-                llmCall,
-                systemPrompt,
-                userPrompt,
-                this._buildCallContext(callContext || replCodeContext, this._resolveModelTier(null, 'replCode')),
-                'repl-code'
-            );
             const codeGenStart = this._nowMs();
-            const codeResult = await this.codeGenerator.generateWithRetry(
-                query,
-                { activeAgents: stats.activeAgents, agentNames },
-                guardedCodeCall
-            );
+            const codeResult = await traceAsync(context, 'repl.codegen', {
+                'rlm.classification': classification.type
+            }, async (spanContext, span) => {
+                const replCodeContext = this._buildCallContext(spanContext, this._resolveModelTier(null, 'replCode', context));
+                const guardedCodeCall = (systemPrompt, userPrompt, callContext) => this._callWithPromptGuardrails(
+                    llmCall,
+                    systemPrompt,
+                    userPrompt,
+                    this._buildCallContext({ ...callContext, ...replCodeContext }, this._resolveModelTier(null, 'replCode', context)),
+                    'repl-code'
+                );
+                const generated = await this.codeGenerator.generateWithRetry(
+                    query,
+                    { activeAgents: stats.activeAgents, agentNames },
+                    guardedCodeCall
+                );
+                span?.end({ 'repl.code_attempts': generated.attempts }, generated.success ? null : (generated.error || 'Code generation failed'));
+                return generated;
+            });
             timings.codeGenMs = Math.round(this._nowMs() - codeGenStart);
+            throwIfCancelled(context.signal);
 
             if (!codeResult.success) {
                 console.warn('[RLM:REPL] Code generation failed after retries:', codeResult.error);
                 this._emitProgress('Code generation failed, falling back to RLM', 'warning');
                 // Fallback to standard processing
-                return this.process(query, llmCall, context);
+                return this._traceResult(tracing, await this.process(query, llmCall, context));
             }
 
             console.log(`[RLM:REPL] Code generated (${codeResult.attempts} attempt(s)):`, codeResult.code.substring(0, 100) + '...');
@@ -1501,7 +1716,21 @@ Use the following meeting data to answer questions accurately and comprehensivel
             // Step 3: Execute the code in REPL
             this._emitProgress('Executing Python in Pyodide sandbox', 'execute');
             const execStart = this._nowMs();
-            const execResult = await this.repl.execute(codeResult.code, this.config.replTimeout);
+            const execResult = await traceAsync(context, 'repl.exec', {
+                'repl.code_chars': codeResult.code.length
+            }, async (spanContext, span) => {
+                // Synchronous sub_lm() calls made while the code runs nest under this span
+                this._currentContext = spanContext;
+                try {
+                    const executed = await this.repl.execute(codeResult.code, this.config.replTimeout, {
+                        signal: context.signal
+                    });
+                    span?.end({ 'repl.sync_enabled': Boolean(executed.syncEnabled) }, executed.success ? null : (executed.error || 'Execution failed'));
+                    return executed;
+                } finally {
+                    this._currentContext = context;
+                }
+            });
             timings.execMs = Math.round(this._nowMs() - execStart);
 
             if (!execResult.success) {
@@ -1509,7 +1738,7 @@ Use the following meeting data to answer questions accurately and comprehensivel
                 this.stats.replErrors++;
                 this._emitProgress('Python execution failed, falling back to RLM', 'warning');
                 // Fallback to standard processing
-                return this.process(query, llmCall, context);
+                return this._traceResult(tracing, await this.process(query, llmCall, context));
             }
 
             this._emitProgress('Python code executed successfully', 'success');
@@ -1518,7 +1747,9 @@ Use the following meeting data to answer questions accurately and comprehensivel
             // Step 4: Parse the final answer
             this._emitProgress('Extracting FINAL answer from output', 'aggregate');
             const parseStart = this._nowMs();
+            const parseSpan = startChildSpan(context, 'repl.parse');
             const finalAnswer = parseFinalAnswer(execResult);
+            parseSpan?.end({ 'repl.pending_sub_lm_calls': finalAnswer.subLmCalls?.length || 0 });
             timings.parseMs = Math.round(this._nowMs() - parseStart);
 
             this.stats.replExecutions++;
@@ -1600,21 +1831,32 @@ Use the following meeting data to answer questions accurately and comprehensivel
             // Phase 3.1: Store result in cache
             this._storeInCache(query, result, 'repl');
 
-            return result;
+            return this._traceResult(tracing, result);
 
         } catch (error) {
+            if (isCancellationError(error)) {
+                // A stop during the RLM fallback was already recorded by process()
+                const cancelled = error.metadata?.cancelled
+                    ? error
+                    : this._handleCancellation(error, 'repl', startTime, {
+                        ...timings,
+                        pipelineMs: Math.round(this._nowMs() - timingStart)
+                    });
+                throw this._traceError(tracing, cancelled);
+            }
             console.error('[RLM:REPL] Error:', error);
             this.stats.replErrors++;
             this._appendFocusEvent(`REPL pipeline error: ${error.message}`, { step: 'error' });
             this._queueFocusReason('termination');
             this._completeFocusIfReady();
 
+            tracing.span.addEvent('exception', { 'exception.message': error.message });
             if (this.config.fallbackToLegacy) {
                 console.log('[RLM:REPL] Falling back to standard processing');
-                return this.process(query, llmCall, context);
+                return this._traceResult(tracing, await this.process(query, llmCall, context));
             }
 
-            return {
+            return this._traceResult(tracing, {
                 success: false,
                 response: `Error: ${error.message}`,
                 metadata: {
@@ -1627,7 +1869,7 @@ Use the following meeting data to answer questions accurately and comprehensivel
                         pipelineMs: Math.round(this._nowMs() - timingStart)
                     }
                 }
-            };
+            });
         } finally {
             // Clear the current LLM callback
             this._currentLlmCall = null;
@@ -1651,13 +1893,16 @@ Be concise and focus only on information relevant to the question.`;
                     ? `Context:\n${call.context}\n\nQuestion: ${call.query}`
                     : `Question: ${call.query}`;
 
-                const response = await this._callWithPromptGuardrails(
+                const response = await traceAsync(context, 'repl.sub_lm', {
+                    'repl.sub_lm.id': call.id,
+                    'repl.sub_lm.sync': false
+                }, spanContext => this._callWithPromptGuardrails(
                     llmCall,
                     systemPrompt,
                     userPrompt,
-                    this._buildCallContext(context, this._resolveModelTier(null, 'replSubLm')),
+                    this._buildCallContext(spanContext, this._resolveModelTier(null, 'replSubLm', context)),
                     'sub-lm'
-                );
+                ));
                 results.push({
                     id: call.id,
                     success: true,
@@ -1665,6 +1910,9 @@ Be concise and focus only on information relevant to the question.`;
                 });
 
             } catch (error) {
+                if (isCancellationError(error)) {
+                    throw new QueryCancelledError(results.filter(r => r.success));
+                }
                 results.push({
                     id: call.id,
                     success: false,
@@ -2277,6 +2525,7 @@ Be concise and focus only on information relevant to the question.`;
         return {
             ...this.stats,
             contextStore: this.contextStore.getStats(),
+            embeddings: this.embeddingIndex.getStats(),
             memoryStore: this.memoryStore.getStats(),
             shadowPrompt: this.shadowPrompt,
             routing: this.lastRoutingPlan,
@@ -2293,6 +2542,7 @@ Be concise and focus only on information relevant to the question.`;
      */
     updateConfig(overrides = {}) {
         this.config = { ...this.config, ...overrides };
+        this.embeddingIndex.enabled = this.config.enableEmbeddings !== false;
 
         if (this.executor?.updateOptions) {
             this.executor.updateOptions({
@@ -2399,6 +2649,7 @@ Be concise and focus only on information relevant to the question.`;
     reset() {
         resetContextStore();
         this.contextStore = getContextStore();
+        this.contextStore.setEmbeddingIndex(this.embeddingIndex);
         resetMemoryStore();
         this.memoryStore = getMemoryStore();
         this.shadowPrompt = null;
@@ -2428,7 +2679,8 @@ Be concise and focus only on information relevant to the question.`;
             subLmCalls: 0,
             subLmErrors: 0,
             cacheHits: 0,
-            cacheMisses: 0
+            cacheMisses: 0,
+            cancelledQueries: 0
         };
     }
 
@@ -2522,5 +2774,53 @@ export {
     // Evaluation Harness (Reviewer plan)
     EVAL_RUBRIC,
     scoreEvaluation,
-    buildEvalReport
+    buildEvalReport,
+    JUDGE_CONFIG,
+    JudgeOutputError,
+    buildJudgePrompt,
+    parseJudgeOutput,
+    gradeResponse,
+    REGRESSION_CONFIG,
+    normalizePromptKey,
+    compareToBaseline,
+    // Evaluation statistics (config comparison)
+    STATS_CONFIG,
+    summarizeSamples,
+    pairedTTest,
+    welchTTest,
+    compareMetric,
+    paretoFront,
+    recommendConfiguration,
+    // Entity index (people / projects / organizations)
+    EntityIndex,
+    ENTITY_INDEX_CONFIG,
+    ENTITY_TYPES,
+    normalizeEntityName,
+    createEntityIndex,
+    // Mock LLM backend (offline / deterministic runs)
+    MockLLMBackend,
+    MockLLMMissError,
+    MOCK_LLM_MODES,
+    MOCK_LLM_CONFIG,
+    // Semantic retrieval
+    EmbeddingIndex,
+    EMBEDDING_CONFIG,
+    cosineSimilarity,
+    // Cancellation
+    QueryCancelledError,
+    isCancellationError,
+    // Transcript passage retrieval
+    PassageIndex,
+    PASSAGE_CONFIG,
+    chunkTranscript,
+    // Inline citations
+    CITATION_CONFIG,
+    formatCitationLocation,
+    formatCitedMarkdown,
+    // Pipeline traces
+    PipelineTrace,
+    TRACE_CONFIG,
+    SpanStatus,
+    toOTLP,
+    rollupTraceUsage
 };
@@ -0,0 +1,317 @@
+/**
+ * RLM Mock LLM Backend
+ *
+ * Deterministic stand-in for the `llmCall(systemPrompt, userPrompt, context)`
+ * function that RLMPipeline.process / processWithREPL receive, so the full
+ * decomposition → SubExecutor → ResponseAggregator chain can run offline.
+ *
+ * Modes:
+ * - scripted: responses come from ordered match rules
+ * - replay:   responses come from a recording, keyed by prompt hash
+ * - record:   a live llmCall is wrapped and every response is captured
+ *
+ * Recordings are plain JSON ({ version, entries }) so they can be exported
+ * after a live run and replayed later in demos or regression runs. Keys
+ * come from RLMPipeline.buildReplayKey so they share the prompt cache hash.
+ */
+
+export const MOCK_LLM_MODES = {
+    SCRIPTED: 'scripted',
+    REPLAY: 'replay',
+    RECORD: 'record'
+};
+
+export const MOCK_RECORDING_VERSION = 1;
+
+/**
+ * Mock backend defaults
+ */
+export const MOCK_LLM_CONFIG = {
+    mode: MOCK_LLM_MODES.REPLAY,
+    missPolicy: 'error',       // 'error' | 'fallback' | 'placeholder'
+    normalizePrompts: true,    // Strip volatile values (timestamps) before hashing
+    latencyMs: 0,              // Simulated latency per call
+    previewLength: 120,        // Prompt preview length stored with recordings
+    logEnabled: true
+};
+
+const ISO_TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?/g;
+const EPOCH_MS_PATTERN = /\b1\d{12}\b/g;
+
+/**
+ * Error thrown when replay has no recorded response for a prompt
+ */
+export class MockLLMMissError extends Error {
+    constructor(key, userPreview) {
+        super(`[MockLLM] No recorded response for prompt ${key}: "${userPreview}"`);
+        this.name = 'MockLLMMissError';
+        this.key = key;
+    }
+}
+
+/**
+ * Mock LLM backend class
+ */
+export class MockLLMBackend {
+    constructor(config = {}) {
+        const { keyFn, rules, recordings, fallback, ...rest } = config;
+        this.config = { ...MOCK_LLM_CONFIG, ...rest };
+        if (typeof keyFn !== 'function') {
+            throw new Error('[MockLLM] keyFn is required (use RLMPipeline.createMockLLM)');
+        }
+        this.keyFn = keyFn;
+        this.fallback = fallback || null;
+        this.rules = [];
+        this.entries = new Map();
+        this.cursors = new Map();
+        this.callLog = [];
+        this.stats = {
+            calls: 0,
+            hits: 0,
+            misses: 0,
+            recorded: 0,
+            scripted: 0
+        };
+
+        (rules || []).forEach(rule => this.addRule(rule));
+        if (recordings) {
+            this.loadRecordings(recordings);
+        }
+    }
+
+    /**
+     * The llmCall function to hand to RLMPipeline.process / processWithREPL
+     * @returns {Function} (systemPrompt, userPrompt, context) => Promise<string>
+     */
+    get llmCall() {
+        return (systemPrompt, userPrompt, context) => this.call(systemPrompt, userPrompt, context);
+    }
+
+    /**
+     * Add a scripted rule. Rules are checked in insertion order.
+     * @param {Object} rule - { match, response, once }
+     *   match: string (substring of system+user prompt), RegExp, or fn(system, user, context)
+     *   response: string or fn(system, user, context) => string
+     */
+    addRule(rule) {
+        if (!rule || rule.response === undefined) {
+            throw new Error('[MockLLM] Rule requires a response');
+        }
+        this.rules.push({ match: rule.match ?? null, response: rule.response, once: Boolean(rule.once), used: false });
+        return this;
+    }
+
+    /**
+     * Build the replay key for a prompt pair
+     */
+    buildKey(systemPrompt, userPrompt) {
+        return this.keyFn(this._normalize(systemPrompt), this._normalize(userPrompt));
+    }
+
+    async call(systemPrompt, userPrompt, context = {}) {
+        this.stats.calls++;
+        const key = this.buildKey(systemPrompt, userPrompt);
+        let response = null;
+        let source = null;
+
+        if (this.config.mode === MOCK_LLM_MODES.RECORD) {
+            if (!this.fallback) {
+                throw new Error('[MockLLM] Record mode requires a live llmCall fallback');
+            }
+            response = await this.fallback(systemPrompt, userPrompt, context);
+            this._record(key, systemPrompt, userPrompt, response);
+            source = 'live';
+        } else {
+            if (this.config.mode === MOCK_LLM_MODES.SCRIPTED) {
+                response = this._matchRule(systemPrompt, userPrompt, context);
+                if (response !== null) {
+                    this.stats.scripted++;
+                    source = 'script';
+                }
+            }
+            if (response === null) {
+                response = this._nextRecorded(key);
+                if (response !== null) {
+                    this.stats.hits++;
+                    source = 'recording';
+                }
+            }
+            if (response === null) {
+                this.stats.misses++;
+                response = await this._handleMiss(key, systemPrompt, userPrompt, context);
+                source = 'miss';
+            }
+        }
+
+        if (this.config.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.config.latencyMs));
+        }
+
+        this.callLog.push({
+            key,
+            source,
+            modelOverride: context?.modelOverride || null,
+            userPreview: this._preview(userPrompt)
+        });
+
+        return response;
+    }
+
+    /**
+     * Load a recording produced by exportRecordings()
+     * @param {Object|string} recordings - Recording JSON or object
+     */
+    loadRecordings(recordings) {
+        const data = typeof recordings === 'string' ? JSON.parse(recordings) : recordings;
+        if (!data || typeof data.entries !== 'object') {
+            throw new Error('[MockLLM] Invalid recording: missing entries');
+        }
+        if (data.version > MOCK_RECORDING_VERSION) {
+            throw new Error(`[MockLLM] Unsupported recording version ${data.version}`);
+        }
+        Object.entries(data.entries).forEach(([key, entry]) => {
+            const responses = Array.isArray(entry.responses) ? entry.responses : [entry.response];
+            this.entries.set(key, {
+                responses: responses.filter(value => typeof value === 'string'),
+                systemPreview: entry.systemPreview || '',
+                userPreview: entry.userPreview || ''
+            });
+        });
+        this.resetCursors();
+        this._log(`Loaded ${this.entries.size} recorded prompts`);
+        return this;
+    }
+
+    /**
+     * Export captured responses as a replayable recording
+     * @returns {Object} Recording JSON
+     */
+    exportRecordings() {
+        const entries = {};
+        this.entries.forEach((entry, key) => {
+            entries[key] = {
+                responses: [...entry.responses],
+                systemPreview: entry.systemPreview,
+                userPreview: entry.userPreview
+            };
+        });
+        return {
+            version: MOCK_RECORDING_VERSION,
+            createdAt: new Date().toISOString(),
+            entryCount: this.entries.size,
+            entries
+        };
+    }
+
+    /**
+     * Rewind replay so repeated prompts start from their first response again
+     */
+    resetCursors() {
+        this.cursors.clear();
+        this.rules.forEach(rule => { rule.used = false; });
+    }
+
+    setMode(mode) {
+        if (!Object.values(MOCK_LLM_MODES).includes(mode)) {
+            throw new Error(`[MockLLM] Unknown mode: ${mode}`);
+        }
+        this.config.mode = mode;
+        this.resetCursors();
+        return this;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            mode: this.config.mode,
+            entries: this.entries.size,
+            rules: this.rules.length
+        };
+    }
+
+    _record(key, systemPrompt, userPrompt, response) {
+        if (typeof response !== 'string') return;
+        const entry = this.entries.get(key) || {
+            responses: [],
+            systemPreview: this._preview(systemPrompt),
+            userPreview: this._preview(userPrompt)
+        };
+        entry.responses.push(response);
+        this.entries.set(key, entry);
+        this.stats.recorded++;
+    }
+
+    _nextRecorded(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.responses.length === 0) return null;
+        // Repeated prompts replay their responses in order, then stick to the last one
+        const cursor = this.cursors.get(key) || 0;
+        this.cursors.set(key, cursor + 1);
+        return entry.responses[Math.min(cursor, entry.responses.length - 1)];
+    }
+
+    _matchRule(systemPrompt, userPrompt, context) {
+        for (const rule of this.rules) {
+            if (rule.once && rule.used) continue;
+            if (!this._ruleMatches(rule.match, systemPrompt, userPrompt, context)) continue;
+            rule.used = true;
+            return typeof rule.response === 'function'
+                ? String(rule.response(systemPrompt, userPrompt, context))
+                : String(rule.response);
+        }
+        return null;
+    }
+
+    _ruleMatches(match, systemPrompt, userPrompt, context) {
+        if (match === null) return true;
+        const combined = `${systemPrompt || ''}\n${userPrompt || ''}`;
+        if (typeof match === 'string') return combined.includes(match);
+        if (match instanceof RegExp) return match.test(combined);
+        if (typeof match === 'function') return Boolean(match(systemPrompt, userPrompt, context));
+        return false;
+    }
+
+    async _handleMiss(key, systemPrompt, userPrompt, context) {
+        const userPreview = this._preview(userPrompt);
+        if (this.config.missPolicy === 'fallback' && this.fallback) {
+            this._log(`Miss ${key}, using live fallback`);
+            const response = await this.fallback(systemPrompt, userPrompt, context);
+            this._record(key, systemPrompt, userPrompt, response);
+            return response;
+        }
+        if (this.config.missPolicy === 'placeholder') {
+            return `[mock response ${key}]`;
+        }
+        throw new MockLLMMissError(key, userPreview);
+    }
+
+    _normalize(text) {
+        const value = String(text || '');
+        if (!this.config.normalizePrompts) return value;
+        return value
+            .replace(ISO_TIMESTAMP_PATTERN, '<ts>')
+            .replace(EPOCH_MS_PATTERN, '<epoch>');
+    }
+
+    _preview(text) {
+        const value = String(text || '').replace(/\s+/g, ' ').trim();
+        return value.length > this.config.previewLength
+            ? `${value.substring(0, this.config.previewLength)}...`
+            : value;
+    }
+
+    _log(message) {
+        if (this.config.logEnabled) {
+            console.log(`[MockLLM] ${message}`);
+        }
+    }
+}
+
+/**
+ * Create a mock LLM backend
+ * @param {Object} config - Mock configuration (see MOCK_LLM_CONFIG) plus keyFn
+ * @returns {MockLLMBackend}
+ */
+export function createMockLLM(config = {}) {
+    return new MockLLMBackend(config);
+}
@@ -0,0 +1,289 @@
+/**
+ * RLM Passage Index
+ *
+ * Sub-agent retrieval over transcripts. Context slices are all-or-nothing
+ * per agent (summary / standard / full), so a question about one sentence in
+ * a long transcript either misses it or ships the whole transcript. This
+ * index chunks each transcript into addressable passages and ranks them with
+ * BM25, so only the few passages that answer the question enter the prompt.
+ *
+ * - Passage ids are stable per agent and content: `${agentId}#p${n}`
+ * - Chunks follow speaker turns and sentences, with a one-sentence overlap
+ *   so an answer split across a boundary still lands in one passage
+ * - Speaker-labelled transcripts keep their `[m:ss]` stamps; the first stamp
+ *   in a passage becomes its `startLabel`
+ */
+
+export const PASSAGE_CONFIG = {
+    targetWords: 120,          // Words per passage before a new one starts
+    maxWords: 200,             // Hard cap when a single sentence runs long
+    overlapSentences: 1,       // Sentences repeated at the start of the next passage
+    minTranscriptChars: 400,   // Shorter transcripts fit whole; no need to chunk
+    k1: 1.2,                   // BM25 term-frequency saturation
+    b: 0.75,                   // BM25 length normalisation
+    maxPassagesPerAgent: 6     // Upper bound on passages pulled into one agent's context
+};
+
+const STOP_WORDS = new Set([
+    'the', 'is', 'at', 'which', 'on', 'a', 'an', 'and', 'or', 'but', 'in',
+    'with', 'to', 'for', 'of', 'as', 'by', 'from', 'what', 'where', 'when',
+    'why', 'how', 'who', 'about', 'can', 'could', 'should', 'would', 'will',
+    'are', 'was', 'were', 'been', 'be', 'have', 'has', 'had', 'do', 'does',
+    'did', 'this', 'that', 'these', 'those', 'there', 'here', 'it', 'its',
+    'we', 'you', 'they', 'i', 'he', 'she', 'our', 'your', 'their', 'me',
+    'so', 'then', 'than', 'too', 'very', 'just', 'also', 'um', 'uh', 'yeah'
+]);
+
+const TIMESTAMP_PATTERN = /^\[(\d+(?::\d{2}){1,2})\]\s*/;
+
+/**
+ * Split text into lowercase BM25 terms
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenizeForBM25(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^\w\s]/g, ' ')
+        .split(/\s+/)
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Break a transcript into sentence units, keeping turn timestamps
+ * @private
+ */
+function splitIntoSentences(transcript) {
+    const units = [];
+    String(transcript || '').split(/\n+/).forEach(line => {
+        const text = line.trim();
+        if (!text) return;
+        const stamp = text.match(TIMESTAMP_PATTERN);
+        const label = stamp ? stamp[1] : null;
+        const sentences = text.match(/[^.!?]+(?:[.!?]+|$)/g) || [text];
+        sentences.forEach((sentence, index) => {
+            const trimmed = sentence.trim();
+            if (!trimmed) return;
+            units.push({ text: trimmed, label: index === 0 ? label : null, startsTurn: index === 0 });
+        });
+    });
+    return units;
+}
+
+/**
+ * Chunk a transcript into passages of roughly `targetWords` words
+ * @param {string} agentId - Owning agent id (used in passage ids)
+ * @param {string} transcript - Transcript text
+ * @param {Object} config - Passage settings (defaults to PASSAGE_CONFIG)
+ * @returns {Array<{id: string, agentId: string, index: number, text: string, startLabel: string|null}>}
+ */
+export function chunkTranscript(agentId, transcript, config = PASSAGE_CONFIG) {
+    const units = splitIntoSentences(transcript);
+    const passages = [];
+    let current = [];
+    let words = 0;
+    let fresh = 0;   // Units in `current` not carried over from the previous passage
+
+    const flush = () => {
+        if (fresh === 0) return;
+        const index = passages.length + 1;
+        passages.push({
+            id: `${agentId}#p${index}`,
+            agentId,
+            index,
+            text: current.map(unit => unit.text).join(' '),
+            startLabel: current.find(unit => unit.label)?.label || null
+        });
+        const overlap = config.overlapSentences > 0 ? current.slice(-config.overlapSentences) : [];
+        // Don't carry an overlap that would dominate the next passage
+        current = overlap.filter(unit => countWords(unit.text) < config.targetWords / 2);
+        words = current.reduce((sum, unit) => sum + countWords(unit.text), 0);
+        fresh = 0;
+    };
+
+    units.forEach(unit => {
+        const unitWords = countWords(unit.text);
+        const atTurnBoundary = unit.startsTurn && words >= config.targetWords * 0.6;
+        if (fresh > 0 && (words + unitWords > config.maxWords || words >= config.targetWords || atTurnBoundary)) {
+            flush();
+        }
+        current.push(unit);
+        words += unitWords;
+        fresh++;
+    });
+    flush();
+
+    return passages;
+}
+
+/**
+ * BM25 index over transcript passages for all loaded agents
+ */
+export class PassageIndex {
+    constructor(config = {}) {
+        this.config = { ...PASSAGE_CONFIG, ...config };
+        this.passages = new Map();       // passage id -> passage
+        this.byAgent = new Map();        // agent id -> [passage ids]
+        this.termFreqs = new Map();      // passage id -> Map(term -> count)
+        this.docFreq = new Map();        // term -> number of passages containing it
+        this.avgLength = 0;
+        this.totalLength = 0;
+    }
+
+    /**
+     * Rebuild the index from agents (agents without long transcripts are skipped)
+     * @param {Array} agents - Agents with { id, transcript }
+     */
+    build(agents) {
+        this.clear();
+        (agents || []).forEach(agent => this.addAgent(agent));
+    }
+
+    /**
+     * Index one agent's transcript
+     * @param {Object} agent - { id, transcript }
+     * @returns {number} Passages added
+     */
+    addAgent(agent) {
+        const transcript = agent?.transcript || '';
+        if (!agent?.id || transcript.length < this.config.minTranscriptChars) return 0;
+        if (this.byAgent.has(agent.id)) this.removeAgent(agent.id);
+
+        const passages = chunkTranscript(agent.id, transcript, this.config);
+        passages.forEach(passage => {
+            const terms = tokenizeForBM25(passage.text);
+            const freqs = new Map();
+            terms.forEach(term => freqs.set(term, (freqs.get(term) || 0) + 1));
+            freqs.forEach((_, term) => this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1));
+
+            passage.length = terms.length;
+            this.passages.set(passage.id, passage);
+            this.termFreqs.set(passage.id, freqs);
+            this.totalLength += terms.length;
+        });
+        this.byAgent.set(agent.id, passages.map(passage => passage.id));
+        this._updateAverageLength();
+        return passages.length;
+    }
+
+    /**
+     * Drop an agent's passages from the index
+     * @param {string} agentId
+     */
+    removeAgent(agentId) {
+        const ids = this.byAgent.get(agentId) || [];
+        ids.forEach(id => {
+            const freqs = this.termFreqs.get(id);
+            freqs?.forEach((_, term) => {
+                const count = (this.docFreq.get(term) || 1) - 1;
+                if (count > 0) this.docFreq.set(term, count);
+                else this.docFreq.delete(term);
+            });
+            this.totalLength -= this.passages.get(id)?.length || 0;
+            this.passages.delete(id);
+            this.termFreqs.delete(id);
+        });
+        this.byAgent.delete(agentId);
+        this._updateAverageLength();
+    }
+
+    clear() {
+        this.passages.clear();
+        this.byAgent.clear();
+        this.termFreqs.clear();
+        this.docFreq.clear();
+        this.avgLength = 0;
+        this.totalLength = 0;
+    }
+
+    /**
+     * Whether an agent has indexed passages
+     * @param {string} agentId
+     * @returns {boolean}
+     */
+    hasAgent(agentId) {
+        return (this.byAgent.get(agentId)?.length || 0) > 0;
+    }
+
+    /**
+     * Look up a passage by id
+     * @param {string} passageId
+     * @returns {Object|null}
+     */
+    getPassage(passageId) {
+        return this.passages.get(passageId) || null;
+    }
+
+    /**
+     * Rank passages for a query with BM25
+     * @param {string} query - Natural-language query
+     * @param {Object} options - { agentIds: restrict to agents, perAgent: max per agent, limit: max overall }
+     * @returns {Array<Object>} Passages with `score`, best first (zero-score passages omitted)
+     */
+    search(query, options = {}) {
+        const { agentIds = null, perAgent = Infinity, limit = Infinity } = options;
+        const queryTerms = [...new Set(tokenizeForBM25(query))];
+        if (queryTerms.length === 0 || this.passages.size === 0) return [];
+
+        const agentSet = agentIds ? new Set(agentIds) : null;
+        const scored = [];
+        this.byAgent.forEach((ids, agentId) => {
+            if (agentSet && !agentSet.has(agentId)) return;
+            ids.forEach(id => {
+                const score = this._scorePassage(id, queryTerms);
+                if (score > 0) scored.push({ ...this.passages.get(id), score });
+            });
+        });
+
+        scored.sort((a, b) => b.score - a.score);
+        const perAgentCounts = new Map();
+        const results = [];
+        for (const passage of scored) {
+            if (results.length >= limit) break;
+            const count = perAgentCounts.get(passage.agentId) || 0;
+            if (count >= perAgent) continue;
+            perAgentCounts.set(passage.agentId, count + 1);
+            results.push(passage);
+        }
+        return results;
+    }
+
+    getStats() {
+        return {
+            agents: this.byAgent.size,
+            passages: this.passages.size,
+            terms: this.docFreq.size,
+            avgPassageTerms: Math.round(this.avgLength)
+        };
+    }
+
+    /**
+     * BM25 score of one passage
+     * @private
+     */
+    _scorePassage(passageId, queryTerms) {
+        const freqs = this.termFreqs.get(passageId);
+        const length = this.passages.get(passageId)?.length || 0;
+        if (!freqs || !length) return 0;
+
+        const { k1, b } = this.config;
+        const total = this.passages.size;
+        let score = 0;
+        queryTerms.forEach(term => {
+            const tf = freqs.get(term);
+            if (!tf) return;
+            const df = this.docFreq.get(term) || 0;
+            const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+            score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * length / this.avgLength));
+        });
+        return score;
+    }
+
+    _updateAverageLength() {
+        this.avgLength = this.passages.size > 0 ? this.totalLength / this.passages.size : 0;
+    }
+}
@@ -54,6 +54,7 @@ export class QueryDecomposer {
             roleAssignmentStrategy: options.roleAssignmentStrategy || RoleAssignmentStrategy.ROTATING,
             minAgentsForSoT: options.minAgentsForSoT || 2,
             minAgentsForGroupDecomposition: options.minAgentsForGroupDecomposition || 6,
+            enableEntityFilter: options.enableEntityFilter !== false,
             ...options
         };
         this.groups = []; // Groups data from state
@@ -103,6 +104,19 @@ export class QueryDecomposer {
             queryOptions.agentFilter = this.getAgentIdsForGroups(groupReferences.groupFilterIds);
         }
 
+        // Restrict to meetings that mention people / projects named in the query
+        const entities = store.entityIndex?.findInText(query) || [];
+        classification.entities = entities.map(entity => entity.name);
+        if (entities.length > 0 && this.options.enableEntityFilter) {
+            queryOptions.entityFilter = entities.map(entity => entity.id);
+        }
+
+        // Hybrid keyword + vector ranking when embeddings are available
+        queryOptions.semanticScores = await store.getSemanticScores(query, {
+            agentFilter: queryOptions.agentFilter || null,
+            signal: context.signal || null
+        });
+
         const relevantAgents = store.queryAgents(query, queryOptions);
 
         // Determine decomposition strategy
@@ -141,6 +155,7 @@ export class QueryDecomposer {
                 totalAgents: stats.totalAgents,
                 activeAgents: stats.activeAgents,
                 selectedAgents: relevantAgents.length,
+                retrievalMode: store.lastRetrievalMode,
                 decomposedAt: new Date().toISOString()
             }
         };
@@ -17,6 +17,8 @@
  *   const result = await repl.execute('print(list_agents())');
  */
 
+import { isCancellationError, raceWithSignal, throwIfCancelled } from './cancellation.js';
+
 /**
  * Configuration for the REPL environment
  */
@@ -253,16 +255,30 @@ export class REPLEnvironment {
      * Execute Python code
      * @param {string} code - Python code to execute
      * @param {number} timeout - Execution timeout in ms
+     * @param {Object} options - { signal: AbortSignal that stops the run }
      * @returns {Promise<Object>} Execution result
      */
-    async execute(code, timeout = this.config.defaultTimeout) {
+    async execute(code, timeout = this.config.defaultTimeout, options = {}) {
+        const { signal = null } = options;
+        throwIfCancelled(signal);
         if (!this.isInitialized) {
             await this.initialize();
         }
         
         console.log('[REPL] Executing code:', code.substring(0, 100) + (code.length > 100 ? '...' : ''));
         
-        const result = await this._sendMessage('execute', { code, timeout }, timeout + 5000);
+        let result;
+        try {
+            result = await raceWithSignal(this._sendMessage('execute', { code, timeout }, timeout + 5000), signal);
+        } catch (error) {
+            if (isCancellationError(error)) {
+                // Pyodide can't be interrupted mid-run: drop the worker and let
+                // the next REPL query initialize a fresh one
+                console.log('[REPL] Execution cancelled, terminating worker');
+                this.terminate();
+            }
+            throw error;
+        }
         
         // Log output if callback is set
         if (this.onOutput && (result.stdout || result.stderr)) {
@@ -13,6 +13,9 @@
 
 import { getContextStore } from './context-store.js';
 import { PerspectiveRoles } from './perspective-roles.js';
+import { buildCitationCatalog, formatSourceNumbers, formatSourcesForPrompt } from './citations.js';
+import { QueryCancelledError, isCancellationError, raceWithSignal, throwIfCancelled } from './cancellation.js';
+import { startChildSpan, withSpan } from './trace.js';
 
 export class SubExecutor {
     constructor(options = {}) {
@@ -36,6 +39,8 @@ export class SubExecutor {
 
         this.currentDepth = 0;
         this.executionLog = [];
+        // AbortSignal for the query being executed (context.signal)
+        this.signal = null;
     }
 
     /**
@@ -53,8 +58,9 @@ export class SubExecutor {
      * Execute sub-queries based on decomposition result
      * @param {Object} decomposition - Result from QueryDecomposer
      * @param {Function} llmCall - Function to call LLM (injected from orchestrator)
-     * @param {Object} context - Additional context (apiKey, etc.)
+     * @param {Object} context - Additional context (apiKey, signal, etc.)
      * @returns {Promise<Object>} Execution results
+     * @throws {QueryCancelledError} When context.signal aborts; carries completed results
      */
     async execute(decomposition, llmCall, context = {}) {
         const { subQueries, strategy } = decomposition;
@@ -62,6 +68,7 @@ export class SubExecutor {
 
         this.executionLog = [];
         this.currentDepth = context.depth || 0;
+        this.signal = context.signal || null;
 
         // Check depth limit
         if (this.currentDepth >= this.options.maxDepth) {
@@ -112,6 +119,11 @@ export class SubExecutor {
             };
 
         } catch (error) {
+            if (isCancellationError(error)) {
+                const cancelled = this._toCancelledError(error, []);
+                this._log(strategy.type, 'pool', `cancelled (${cancelled.partialResults.length} results kept)`);
+                throw cancelled;
+            }
             return {
                 success: false,
                 error: error.message,
@@ -120,6 +132,8 @@ export class SubExecutor {
                 executionLog: this.executionLog,
                 depth: this.currentDepth
             };
+        } finally {
+            this.signal = null;
         }
     }
 
@@ -132,7 +146,7 @@ export class SubExecutor {
         if (!query) return [];
 
         const store = getContextStore();
-        const { agentContext, budgetInfo } = this._resolveContext(store, query);
+        const { agentContext, budgetInfo, contextSources } = this._resolveContext(store, query, context);
 
         this._log('direct', query.id, 'started');
         if (budgetInfo) {
@@ -140,8 +154,9 @@ export class SubExecutor {
         }
 
         const result = await this._executeWithRetry(
-            () => llmCall(query.query, agentContext, context),
-            query.id
+            (callContext) => llmCall(query.query, agentContext, callContext),
+            query.id,
+            { context, spanAttributes: this._subQuerySpanAttributes(query, contextSources) }
         );
 
         this._log('direct', query.id, 'completed');
@@ -152,6 +167,7 @@ export class SubExecutor {
             response: result,
             targetAgents: query.targetAgents,
             agentName: query.agentName,
+            contextSources,
             success: true
         }];
     }
@@ -178,7 +194,7 @@ export class SubExecutor {
 
         const runQuery = async (query) => {
             try {
-                const { agentContext, budgetInfo } = this._resolveContext(store, query);
+                const { agentContext, budgetInfo, contextSources } = this._resolveContext(store, query, context);
 
                 this._log('parallel', query.id, 'executing');
                 if (budgetInfo) {
@@ -186,8 +202,9 @@ export class SubExecutor {
                 }
 
                 const response = await this._executeWithRetry(
-                    () => llmCall(query.query, agentContext, context),
-                    query.id
+                    (callContext) => llmCall(query.query, agentContext, callContext),
+                    query.id,
+                    { context, spanAttributes: this._subQuerySpanAttributes(query, contextSources) }
                 );
 
                 return {
@@ -196,6 +213,7 @@ export class SubExecutor {
                     response,
                     targetAgents: query.targetAgents,
                     agentName: query.agentName,
+                    contextSources,
                     success: true
                 };
             } catch (error) {
@@ -207,13 +225,15 @@ export class SubExecutor {
                     error: error.message,
                     targetAgents: query.targetAgents,
                     agentName: query.agentName,
+                    cancelled: isCancellationError(error),
                     success: false
                 };
             }
         };
 
         const worker = async () => {
-            while (cursor < parallelQueries.length) {
+            // Stop picking up queries once cancelled; in-flight ones abort via their fetch
+            while (cursor < parallelQueries.length && !this.signal?.aborted) {
                 const query = parallelQueries[cursor];
                 cursor += 1;
                 const result = await runQuery(query);
@@ -224,6 +244,7 @@ export class SubExecutor {
         this._log('parallel', 'pool', `started (${parallelQueries.length} queries, max ${maxConcurrent})`);
         const workers = Array.from({ length: maxConcurrent }, () => worker());
         await Promise.all(workers);
+        throwIfCancelled(this.signal, results.filter(r => r.success));
         this._log('parallel', 'pool', 'completed');
 
         return results;
@@ -247,10 +268,14 @@ export class SubExecutor {
         if (reduceQuery) {
             this._log('map-reduce', 'reduce-phase', 'started');
 
-            const mapContext = mapResults
-                .filter(r => r.success && r.response)
-                .map(r => `[From ${r.agentName || 'Meeting'}]:\n${r.response}`)
+            const successfulMaps = mapResults.filter(r => r.success && r.response);
+            const catalog = buildCitationCatalog(successfulMaps, { store: getContextStore() });
+            let mapContext = successfulMaps
+                .map(r => `[From ${r.agentName || 'Meeting'}${formatSourceNumbers(catalog.byResult.get(r))}]:\n${r.response}`)
                 .join('\n\n---\n\n');
+            if (catalog.sources.length > 0) {
+                mapContext += `\n\n---\n\n${formatSourcesForPrompt(catalog.sources)}`;
+            }
 
             if (this._shouldEnforcePromptBudget()) {
                 const contextTokens = this._estimatePromptTokens(mapContext);
@@ -261,11 +286,16 @@ export class SubExecutor {
                 }
             }
 
-            const reduceResult = await this._executeWithRetry(
-                () => llmCall(reduceQuery.query, mapContext, context),
-                reduceQuery.id,
-                { timeout: this.options.reduceTimeout }
-            );
+            let reduceResult;
+            try {
+                reduceResult = await this._executeWithRetry(
+                    (callContext) => llmCall(reduceQuery.query, mapContext, callContext),
+                    reduceQuery.id,
+                    { timeout: this.options.reduceTimeout, context, spanName: 'rlm.reduce' }
+                );
+            } catch (error) {
+                throw this._toCancelledError(error, successfulMaps);
+            }
 
             this._log('map-reduce', 'reduce-phase', 'completed');
 
@@ -276,7 +306,8 @@ export class SubExecutor {
                     type: 'reduce',
                     response: reduceResult,
                     success: true,
-                    isAggregation: true
+                    isAggregation: true,
+                    citationSources: catalog.sources
                 }
             ];
         }
@@ -310,7 +341,11 @@ export class SubExecutor {
             debateCandidates.length >= this.options.debateMinPerspectives) {
 
             this._log('map-reduce-debate', 'debate-phase', 'started');
-            debateResults = await this._executeDebate(debateCandidates, llmCall, context);
+            try {
+                debateResults = await this._executeDebate(debateCandidates, llmCall, context);
+            } catch (error) {
+                throw this._toCancelledError(error, debateCandidates);
+            }
             this._log('map-reduce-debate', 'debate-phase', 'completed');
         }
 
@@ -319,11 +354,12 @@ export class SubExecutor {
             this._log('map-reduce-debate', 'reduce-phase', 'started');
 
             // Build context with perspective labels
-            let mapContext = mapResults
-                .filter(r => r.success && r.response)
+            const successfulMaps = mapResults.filter(r => r.success && r.response);
+            const catalog = buildCitationCatalog(successfulMaps, { store: getContextStore() });
+            let mapContext = successfulMaps
                 .map(r => {
                     const label = r.perspective?.roleLabel || r.agentName || 'Meeting';
-                    return `[${label} - ${r.agentName || 'Source'}]:\n${r.response}`;
+                    return `[${label} - ${r.agentName || 'Source'}${formatSourceNumbers(catalog.byResult.get(r))}]:\n${r.response}`;
                 })
                 .join('\n\n---\n\n');
 
@@ -334,12 +370,20 @@ export class SubExecutor {
                     mapContext += `\n\n**KEY TENSIONS:**\n${debateResults.tensions.map(t => `- ${t}`).join('\n')}`;
                 }
             }
+            if (catalog.sources.length > 0) {
+                mapContext += `\n\n---\n\n${formatSourcesForPrompt(catalog.sources)}`;
+            }
 
-            const reduceResult = await this._executeWithRetry(
-                () => llmCall(reduceQuery.query, mapContext, context),
-                reduceQuery.id,
-                { timeout: this.options.reduceTimeout }
-            );
+            let reduceResult;
+            try {
+                reduceResult = await this._executeWithRetry(
+                    (callContext) => llmCall(reduceQuery.query, mapContext, callContext),
+                    reduceQuery.id,
+                    { timeout: this.options.reduceTimeout, context, spanName: 'rlm.reduce' }
+                );
+            } catch (error) {
+                throw this._toCancelledError(error, successfulMaps);
+            }
 
             this._log('map-reduce-debate', 'reduce-phase', 'completed');
 
@@ -358,7 +402,8 @@ export class SubExecutor {
                     response: reduceResult,
                     success: true,
                     isAggregation: true,
-                    hadDebatePhase: !!debateResults
+                    hadDebatePhase: !!debateResults,
+                    citationSources: catalog.sources
                 }
             ];
         }
@@ -415,9 +460,9 @@ Be concise (3-5 bullet points total).`;
 
                 try {
                     const debateResult = await this._executeWithRetry(
-                        () => llmCall(debatePrompt, '', context),
+                        (callContext) => llmCall(debatePrompt, '', callContext),
                         `debate-${role1}-vs-${role2}`,
-                        { timeout: this.options.debateTimeout }
+                        { timeout: this.options.debateTimeout, context, spanName: 'rlm.debate' }
                     );
 
                     debateInsights.push({
@@ -431,6 +476,7 @@ Be concise (3-5 bullet points total).`;
                         tensions.push(`${role1} vs ${role2}: See debate notes`);
                     }
                 } catch (error) {
+                    if (isCancellationError(error)) throw error;
                     this._log('debate', `${role1}-vs-${role2}`, `failed: ${error.message}`);
                 }
             }
@@ -465,20 +511,26 @@ Be concise (3-5 bullet points total).`;
 
         this._log('iterative', 'initial', 'started');
 
-        const { agentContext: initialContext, budgetInfo: initialBudget } = this._resolveContext(store, initialQuery);
+        const {
+            agentContext: initialContext,
+            budgetInfo: initialBudget,
+            contextSources: initialSources
+        } = this._resolveContext(store, initialQuery, context);
         if (initialBudget) {
             this._log('iterative', initialQuery.id, initialBudget);
         }
 
         const initialResult = await this._executeWithRetry(
-            () => llmCall(initialQuery.query, initialContext, context),
-            initialQuery.id
+            (callContext) => llmCall(initialQuery.query, initialContext, callContext),
+            initialQuery.id,
+            { context }
         );
 
         results.push({
             queryId: initialQuery.id,
             type: 'exploratory',
             response: initialResult,
+            contextSources: initialSources,
             success: true
         });
 
@@ -496,7 +548,11 @@ Be concise (3-5 bullet points total).`;
                 targetAgents: allActiveAgents.map(agent => agent.id),
                 contextLevel: 'full'
             };
-            const { agentContext: followupContext, budgetInfo: followupBudget } = this._resolveContext(store, followupQueryContext);
+            const {
+                agentContext: followupContext,
+                budgetInfo: followupBudget,
+                contextSources: followupSources
+            } = this._resolveContext(store, followupQueryContext, context);
             if (followupBudget) {
                 this._log('iterative', followupQuery.id, followupBudget);
             }
@@ -506,15 +562,22 @@ Be concise (3-5 bullet points total).`;
 
 Please provide more details and check all meetings for related information.`;
 
-            const followupResult = await this._executeWithRetry(
-                () => llmCall(dynamicFollowupQuery, followupContext, context),
-                followupQuery.id
-            );
+            let followupResult;
+            try {
+                followupResult = await this._executeWithRetry(
+                    (callContext) => llmCall(dynamicFollowupQuery, followupContext, callContext),
+                    followupQuery.id,
+                    { context }
+                );
+            } catch (error) {
+                throw this._toCancelledError(error, results);
+            }
 
             results.push({
                 queryId: followupQuery.id,
                 type: 'followup',
                 response: followupResult,
+                contextSources: followupSources,
                 success: true
             });
 
@@ -524,11 +587,51 @@ Please provide more details and check all meetings for related information.`;
         return results;
     }
 
-    _resolveContext(store, query) {
+    /**
+     * Build the agent context for a sub-query
+     * `contextSources` lists the agents (and transcript passages) that made
+     * it into the context, for citations in the synthesized answer.
+     * Recorded as an 'rlm.retrieve' span when the context carries a trace.
+     * @private
+     */
+    _resolveContext(store, query, context = null) {
+        const span = startChildSpan(context, 'rlm.retrieve', {
+            'rlm.retrieval.source': 'context-store',
+            'rlm.query_id': query.id,
+            'rlm.context_level': query.contextLevel
+        });
+        const resolved = this._buildAgentContext(store, query);
+        if (span) {
+            span.end({
+                'rlm.context_agents': resolved.contextSources.length,
+                'rlm.context_passages': resolved.contextSources.reduce((sum, source) => sum + source.passageIds.length, 0),
+                'rlm.context_tokens': store.estimateTokens(resolved.agentContext || '')
+            });
+        }
+        return resolved;
+    }
+
+    /**
+     * @private
+     */
+    _buildAgentContext(store, query) {
         if (!this._shouldEnforcePromptBudget()) {
+            // Unbudgeted: still attach the passages that answer this sub-query
+            if (query.targetAgents?.length && query.contextLevel !== 'full') {
+                const unbudgeted = store.getCombinedContextWithBudget(query.targetAgents, Infinity, {
+                    preferredLevel: query.contextLevel,
+                    query: query.query
+                });
+                return {
+                    agentContext: unbudgeted.context,
+                    budgetInfo: null,
+                    contextSources: this._toContextSources(unbudgeted.levelsUsed)
+                };
+            }
             return {
                 agentContext: store.getCombinedContext(query.targetAgents, query.contextLevel),
-                budgetInfo: null
+                budgetInfo: null,
+                contextSources: (query.targetAgents || []).map(agentId => ({ agentId, passageIds: [] }))
             };
         }
 
@@ -541,12 +644,14 @@ Please provide more details and check all meetings for related information.`;
         if (!availableForContext) {
             return {
                 agentContext: '',
-                budgetInfo: this._buildBudgetLog('context', maxInputTokens, 0, true)
+                budgetInfo: this._buildBudgetLog('context', maxInputTokens, 0, true),
+                contextSources: []
             };
         }
 
         const budgeted = store.getCombinedContextWithBudget(query.targetAgents, availableForContext, {
-            preferredLevel: query.contextLevel
+            preferredLevel: query.contextLevel,
+            query: query.query
         });
 
         return {
@@ -556,10 +661,24 @@ Please provide more details and check all meetings for related information.`;
                 maxInputTokens,
                 budgeted.tokenEstimate,
                 budgeted.skippedAgents?.length > 0
-            )
+            ),
+            contextSources: this._toContextSources(budgeted.levelsUsed)
         };
     }
 
+    _subQuerySpanAttributes(query, contextSources = []) {
+        return {
+            'rlm.query_type': query.type,
+            'rlm.agent': query.agentName,
+            'rlm.perspective': query.perspective?.roleId,
+            'rlm.context_agents': contextSources.length
+        };
+    }
+
+    _toContextSources(levelsUsed = []) {
+        return levelsUsed.map(entry => ({ agentId: entry.agentId, passageIds: entry.passages || [] }));
+    }
+
     _shouldEnforcePromptBudget() {
         return Boolean(this.options.enforcePromptBudget && this.options.promptTokenBudget);
     }
@@ -600,32 +719,64 @@ Please provide more details and check all meetings for related information.`;
     /**
      * Execute with retry logic
      * @private
-     * @param {Function} fn - Function to execute
+     * @param {Function} fn - Function to execute; receives the call context (traced under this call's span)
      * @param {string} queryId - Query identifier for logging
      * @param {Object} execOptions - Execution options
      * @param {number} execOptions.timeout - Override timeout for this execution
+     * @param {Object} execOptions.context - Pipeline context (carries the trace)
+     * @param {string} execOptions.spanName - Trace span name (default 'rlm.subquery')
+     * @param {Object} execOptions.spanAttributes - Extra span attributes
      */
     async _executeWithRetry(fn, queryId, execOptions = {}) {
         const timeout = execOptions.timeout || this.options.timeout;
+        const span = startChildSpan(execOptions.context, execOptions.spanName || 'rlm.subquery', {
+            'rlm.query_id': queryId,
+            ...execOptions.spanAttributes
+        });
+        const callContext = withSpan(execOptions.context, span);
         let lastError;
+        let attempts = 0;
 
-        for (let attempt = 0; attempt <= this.options.retryAttempts; attempt++) {
-            try {
-                return await Promise.race([
-                    fn(),
-                    this._timeout(timeout, queryId)
-                ]);
-            } catch (error) {
-                lastError = error;
-                this._log('retry', queryId, `attempt ${attempt + 1} failed: ${error.message}`);
-
-                if (attempt < this.options.retryAttempts) {
-                    await this._sleep(1000 * Math.pow(2, attempt)); // Exponential backoff
+        try {
+            for (let attempt = 0; attempt <= this.options.retryAttempts; attempt++) {
+                throwIfCancelled(this.signal);
+                attempts = attempt + 1;
+                try {
+                    const result = await raceWithSignal(Promise.race([
+                        fn(callContext),
+                        this._timeout(timeout, queryId)
+                    ]), this.signal);
+                    span?.end({ 'rlm.attempts': attempts });
+                    return result;
+                } catch (error) {
+                    // A stopped query must not be retried
+                    if (isCancellationError(error)) throw error;
+                    lastError = error;
+                    this._log('retry', queryId, `attempt ${attempt + 1} failed: ${error.message}`);
+                    span?.addEvent('retry', { 'rlm.attempt': attempts, 'exception.message': error.message });
+
+                    if (attempt < this.options.retryAttempts) {
+                        await raceWithSignal(this._sleep(1000 * Math.pow(2, attempt)), this.signal); // Exponential backoff
+                    }
                 }
             }
+
+            throw lastError;
+        } catch (error) {
+            span?.end({ 'rlm.attempts': attempts }, error);
+            throw error;
         }
+    }
 
-        throw lastError;
+    /**
+     * Wrap a cancellation with the results that completed before it;
+     * other errors pass through unchanged
+     * @private
+     */
+    _toCancelledError(error, partialResults) {
+        if (!isCancellationError(error)) return error;
+        if (error instanceof QueryCancelledError && error.partialResults.length > 0) return error;
+        return new QueryCancelledError((partialResults || []).filter(r => r.success && r.response));
     }
 
     /**
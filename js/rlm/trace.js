@@ -0,0 +1,375 @@
+/**
+ * RLM Pipeline Trace
+ *
+ * Records one trace per pipeline query as a tree of timed spans
+ * (decomposition, sub-queries, retrieval, REPL code-gen / exec / sub_lm,
+ * aggregation, and every model call), so a slow or expensive answer can
+ * be taken apart step by step.
+ *
+ * The pipeline threads the trace through its `context` object:
+ *   context.trace       - the PipelineTrace for the current query
+ *   context.traceParent - the span new child spans hang off
+ * Code that receives a context without a trace records nothing; every
+ * helper here is a no-op in that case.
+ *
+ * Traces serialize to plain JSON (stored with the prompt log) and convert
+ * to OTLP/JSON (`resourceSpans`) for any OpenTelemetry-compatible viewer.
+ */
+
+import { isCancellationError } from './cancellation.js';
+
+export const TRACE_CONFIG = {
+    serviceName: 'northstar.lm',   // OTLP resource service.name
+    scopeName: 'northstar.rlm',    // OTLP instrumentation scope
+    scopeVersion: '1.0.0',
+    maxAttributeLength: 500        // Longer string attributes are truncated
+};
+
+export const SpanStatus = {
+    UNSET: 'unset',
+    OK: 'ok',
+    ERROR: 'error',
+    CANCELLED: 'cancelled'
+};
+
+// OTLP enums (opentelemetry-proto trace.proto)
+const OTLP_SPAN_KIND = { internal: 1, server: 2, client: 3 };
+const OTLP_STATUS_CODE = { unset: 0, ok: 1, error: 2, cancelled: 2 };
+
+function nowEpochMs() {
+    if (typeof performance !== 'undefined' && performance.now && performance.timeOrigin) {
+        return performance.timeOrigin + performance.now();
+    }
+    return Date.now();
+}
+
+function randomHex(bytes) {
+    const values = new Uint8Array(bytes);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        crypto.getRandomValues(values);
+    } else {
+        for (let i = 0; i < bytes; i++) values[i] = Math.floor(Math.random() * 256);
+    }
+    return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+}
+
+function normalizeAttributeValue(value) {
+    if (typeof value === 'string') {
+        return value.length > TRACE_CONFIG.maxAttributeLength
+            ? `${value.substring(0, TRACE_CONFIG.maxAttributeLength)}...`
+            : value;
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value === 'boolean') return value;
+    if (Array.isArray(value)) {
+        return value.map(normalizeAttributeValue).filter(item => item !== null);
+    }
+    return null;
+}
+
+function normalizeAttributes(attributes = {}) {
+    const normalized = {};
+    Object.entries(attributes || {}).forEach(([key, value]) => {
+        const normalizedValue = normalizeAttributeValue(value);
+        if (normalizedValue !== null) {
+            normalized[key] = normalizedValue;
+        }
+    });
+    return normalized;
+}
+
+/**
+ * A timed step of a pipeline trace
+ */
+export class TraceSpan {
+    constructor(trace, name, attributes = {}, parentSpanId = null, kind = 'internal') {
+        this.trace = trace;
+        this.spanId = randomHex(8);
+        this.parentSpanId = parentSpanId;
+        this.name = name;
+        this.kind = kind;
+        this.startTime = nowEpochMs();
+        this.endTime = null;
+        this.attributes = {};
+        this.status = SpanStatus.UNSET;
+        this.statusMessage = '';
+        this.events = [];
+        this.setAttributes(attributes);
+    }
+
+    get ended() {
+        return this.endTime !== null;
+    }
+
+    /**
+     * Merge attributes; null / undefined / non-finite values are skipped
+     * @param {Object} attributes - key -> string | number | boolean | array
+     * @returns {TraceSpan}
+     */
+    setAttributes(attributes = {}) {
+        Object.assign(this.attributes, normalizeAttributes(attributes));
+        return this;
+    }
+
+    /**
+     * Add to numeric attributes (token and cost totals across retries)
+     * @param {Object} counters - key -> number
+     * @returns {TraceSpan}
+     */
+    addToAttributes(counters = {}) {
+        Object.entries(counters).forEach(([key, value]) => {
+            if (!Number.isFinite(value)) return;
+            this.attributes[key] = (this.attributes[key] || 0) + value;
+        });
+        return this;
+    }
+
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, time: nowEpochMs(), attributes: normalizeAttributes(attributes) });
+        return this;
+    }
+
+    /**
+     * End the span (later calls are ignored)
+     * @param {Object} attributes - Final attributes
+     * @param {Error|string|null} error - Marks the span failed; cancellations are marked cancelled
+     */
+    end(attributes = {}, error = null) {
+        if (this.ended) return this;
+        this.setAttributes(attributes);
+        if (error) {
+            this.status = isCancellationError(error) ? SpanStatus.CANCELLED : SpanStatus.ERROR;
+            this.statusMessage = typeof error === 'string' ? error : (error.message || String(error));
+        } else if (this.status === SpanStatus.UNSET) {
+            this.status = SpanStatus.OK;
+        }
+        this.endTime = nowEpochMs();
+        return this;
+    }
+
+    toJSON() {
+        const endTime = this.endTime ?? nowEpochMs();
+        return {
+            spanId: this.spanId,
+            parentSpanId: this.parentSpanId,
+            name: this.name,
+            kind: this.kind,
+            startTime: this.startTime,
+            endTime,
+            durationMs: Math.round((endTime - this.startTime) * 10) / 10,
+            attributes: this.ended ? { ...this.attributes } : { ...this.attributes, 'northstar.span.unfinished': true },
+            status: this.status,
+            statusMessage: this.statusMessage,
+            events: this.events.map(event => ({ ...event }))
+        };
+    }
+}
+
+/**
+ * All spans recorded for one pipeline query
+ */
+export class PipelineTrace {
+    /**
+     * @param {string} name - Root span name
+     * @param {Object} attributes - Root span attributes
+     */
+    constructor(name, attributes = {}) {
+        this.traceId = randomHex(16);
+        this.spans = [];
+        this.root = this.startSpan(name, attributes, null);
+    }
+
+    /**
+     * @param {string} name
+     * @param {Object} attributes
+     * @param {TraceSpan|null} parent - Defaults to the root span
+     * @param {'internal'|'client'} kind - 'client' for model calls
+     * @returns {TraceSpan}
+     */
+    startSpan(name, attributes = {}, parent = undefined, kind = 'internal') {
+        const parentSpan = parent === undefined ? this.root : parent;
+        const span = new TraceSpan(this, name, attributes, parentSpan?.spanId || null, kind);
+        this.spans.push(span);
+        return span;
+    }
+
+    /**
+     * Plain JSON snapshot (epoch-ms times); stored with the prompt log
+     * @returns {Object}
+     */
+    toJSON() {
+        const spans = this.spans.map(span => span.toJSON());
+        const root = spans[0];
+        return {
+            traceId: this.traceId,
+            name: root?.name || '',
+            startTime: root?.startTime || 0,
+            endTime: root?.endTime || 0,
+            durationMs: root?.durationMs || 0,
+            status: root?.status || SpanStatus.UNSET,
+            spans
+        };
+    }
+}
+
+// ============================================
+// Context helpers (no-ops without a trace)
+// ============================================
+
+/**
+ * Start a span under `context.traceParent` (or the trace root)
+ * @param {Object|null} context - Pipeline call context
+ * @param {string} name
+ * @param {Object} attributes
+ * @param {'internal'|'client'} kind
+ * @returns {TraceSpan|null} Null when the context carries no trace
+ */
+export function startChildSpan(context, name, attributes = {}, kind = 'internal') {
+    const trace = context?.trace;
+    if (!trace) return null;
+    return trace.startSpan(name, attributes, context.traceParent || trace.root, kind);
+}
+
+/**
+ * Context whose children hang off `span`
+ * @param {Object|null} context
+ * @param {TraceSpan|null} span
+ * @returns {Object|null}
+ */
+export function withSpan(context, span) {
+    return span ? { ...context, traceParent: span } : context;
+}
+
+/**
+ * Run an async step inside a child span, ending it with the outcome
+ * @param {Object|null} context - Pipeline call context
+ * @param {string} name
+ * @param {Object} attributes
+ * @param {Function} run - (spanContext, span|null) => Promise
+ * @param {'internal'|'client'} kind
+ * @returns {Promise<*>} Whatever `run` resolves to
+ */
+export async function traceAsync(context, name, attributes, run, kind = 'internal') {
+    const span = startChildSpan(context, name, attributes, kind);
+    try {
+        const value = await run(withSpan(context, span), span);
+        span?.end();
+        return value;
+    } catch (error) {
+        span?.end({}, error);
+        throw error;
+    }
+}
+
+// ============================================
+// Export
+// ============================================
+
+function epochMsToUnixNano(ms) {
+    const wholeMs = Math.floor(ms);
+    const fractionNs = Math.round((ms - wholeMs) * 1e6);
+    return (BigInt(wholeMs) * 1000000n + BigInt(fractionNs)).toString();
+}
+
+function toOTLPValue(value) {
+    if (Array.isArray(value)) {
+        return { arrayValue: { values: value.map(toOTLPValue) } };
+    }
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (typeof value === 'number') {
+        // int64 is a string in the proto3 JSON mapping
+        return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    return { stringValue: String(value) };
+}
+
+function toOTLPAttributes(attributes = {}) {
+    return Object.entries(attributes).map(([key, value]) => ({ key, value: toOTLPValue(value) }));
+}
+
+/**
+ * Convert stored traces to an OTLP/JSON trace export
+ * @param {Array<Object>} traces - PipelineTrace.toJSON() snapshots
+ * @param {Object} resourceAttributes - Extra resource attributes
+ * @returns {{resourceSpans: Array}} Body accepted by OTLP/HTTP `/v1/traces`
+ */
+export function toOTLP(traces, resourceAttributes = {}) {
+    const spans = [];
+    (traces || []).filter(Boolean).forEach(trace => {
+        trace.spans.forEach(span => {
+            const otlpSpan = {
+                traceId: trace.traceId,
+                spanId: span.spanId,
+                name: span.name,
+                kind: OTLP_SPAN_KIND[span.kind] || OTLP_SPAN_KIND.internal,
+                startTimeUnixNano: epochMsToUnixNano(span.startTime),
+                endTimeUnixNano: epochMsToUnixNano(span.endTime),
+                attributes: toOTLPAttributes(span.status === SpanStatus.CANCELLED
+                    ? { ...span.attributes, 'northstar.cancelled': true }
+                    : span.attributes),
+                events: (span.events || []).map(event => ({
+                    timeUnixNano: epochMsToUnixNano(event.time),
+                    name: event.name,
+                    attributes: toOTLPAttributes(event.attributes)
+                })),
+                status: {
+                    code: OTLP_STATUS_CODE[span.status] ?? 0,
+                    ...(span.statusMessage ? { message: span.statusMessage } : {})
+                }
+            };
+            if (span.parentSpanId) {
+                otlpSpan.parentSpanId = span.parentSpanId;
+            }
+            spans.push(otlpSpan);
+        });
+    });
+
+    return {
+        resourceSpans: [{
+            resource: {
+                attributes: toOTLPAttributes({ 'service.name': TRACE_CONFIG.serviceName, ...resourceAttributes })
+            },
+            scopeSpans: [{
+                scope: { name: TRACE_CONFIG.scopeName, version: TRACE_CONFIG.scopeVersion },
+                spans
+            }]
+        }]
+    };
+}
+
+/**
+ * Totals over a span and all of its descendants
+ * @param {Object} trace - PipelineTrace.toJSON() snapshot
+ * @returns {Map<string, {inputTokens: number, outputTokens: number, cost: number, llmCalls: number}>} spanId -> totals
+ */
+export function rollupTraceUsage(trace) {
+    const totals = new Map();
+    const byId = new Map();
+    (trace?.spans || []).forEach(span => {
+        byId.set(span.spanId, span);
+        totals.set(span.spanId, { inputTokens: 0, outputTokens: 0, cost: 0, llmCalls: 0 });
+    });
+    (trace?.spans || []).forEach(span => {
+        const attrs = span.attributes || {};
+        const isLlmCall = span.kind === 'client';
+        const own = {
+            inputTokens: attrs['gen_ai.usage.input_tokens'] || 0,
+            outputTokens: attrs['gen_ai.usage.output_tokens'] || 0,
+            cost: attrs['northstar.cost_usd'] || 0
+        };
+        let current = span;
+        const seen = new Set();
+        while (current && !seen.has(current.spanId)) {
+            seen.add(current.spanId);
+            const total = totals.get(current.spanId);
+            total.inputTokens += own.inputTokens;
+            total.outputTokens += own.outputTokens;
+            total.cost += own.cost;
+            if (isLlmCall) total.llmCalls++;
+            current = current.parentSpanId ? byId.get(current.parentSpanId) : null;
+        }
+    });
+    return totals;
+}
@@ -0,0 +1,444 @@
+/**
+ * northstar.LM - Transcript Import
+ *
+ * Parses transcripts exported by meeting platforms into the timestamped,
+ * speaker-labelled segments the builder otherwise gets from Whisper plus
+ * speaker labelling, so an existing transcript costs neither:
+ * - WebVTT and SRT captions; speakers come from Teams `<v Name>` voice
+ *   tags or Zoom-style "Name: text" cues
+ * - Zoom chat exports (.txt), public messages only
+ * - Teams transcripts saved as .docx ("Name   0:03" turn headers, or
+ *   cue timings with the speaker on its own line)
+ * - Google Meet transcripts (.txt / .docx: periodic timestamp lines
+ *   between "Name: text" turns; turn times are interpolated)
+ */
+
+import { readDocxParagraphs } from './office-documents.js';
+import { normalizeSegments } from './transcript-segments.js';
+
+export const TRANSCRIPT_IMPORT_CONFIG = {
+    extensions: ['vtt', 'srt', 'txt'], // .docx is document ingestion unless importTranscriptFile recognizes it
+    charsPerSecond: 15,          // Speaking rate used to estimate untimed turn lengths
+    maxSpeakerNameLength: 60,
+    maxSpeakerNameWords: 6,
+    minSpeakerCueRatio: 0.5,     // Share of cues that must start "Name:" to read it as a speaker
+    minSpeakerLineRatio: 0.5     // Share of lines that must belong to speaker turns to read it as a transcript
+};
+
+export const TRANSCRIPT_FORMAT_LABELS = {
+    'webvtt': 'WebVTT',
+    'zoom-vtt': 'Zoom VTT',
+    'teams-vtt': 'Teams VTT',
+    'srt': 'SRT',
+    'zoom-chat': 'Zoom chat',
+    'teams-transcript': 'Teams transcript',
+    'meet-transcript': 'Google Meet transcript'
+};
+
+const TIME_PATTERN = '\\d{1,2}:\\d{1,2}(?::\\d{1,2})?(?:[.,]\\d{1,3})?';
+const CUE_TIMING_PATTERN = new RegExp(`^\\s*(${TIME_PATTERN})\\s*-->\\s*(${TIME_PATTERN})`);
+const STANDALONE_TIME_PATTERN = new RegExp(`^\\(?(${TIME_PATTERN})\\)?$`);
+const TURN_HEADER_PATTERN = new RegExp(`^(.+?)(?:\\t+|\\s{2,})(${TIME_PATTERN})$`);
+const ZOOM_CHAT_PATTERN = /^(\d{1,2}:\d{2}:\d{2})\s+From\s+(.+?)(?:\s+to\s+(.+?))?\s*:\s?(.*)$/i;
+const MEET_BOILERPLATE_PATTERN = /^(meeting ended after|this editable transcript was computer generated)/i;
+
+/**
+ * Parse a caption or transcript timestamp
+ * Accepts "1:02:03.450", "02:03,450" (SRT), "0:0:3.45" (Teams) and "2:03"
+ * @param {string} value - Timestamp
+ * @returns {number|null} Seconds, or null when it is not a timestamp
+ */
+export function parseTimestamp(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2}):(\d{1,2})(?::(\d{1,2}))?(?:[.,](\d{1,3}))?$/);
+    if (!match) return null;
+
+    const [, first, second, third, fraction] = match;
+    const [hours, minutes, seconds] = third !== undefined
+        ? [Number(first), Number(second), Number(third)]
+        : [0, Number(first), Number(second)];
+    const millis = fraction ? Number(fraction.padEnd(3, '0')) : 0;
+    return hours * 3600 + minutes * 60 + seconds + millis / 1000;
+}
+
+function cleanCueText(text) {
+    return text
+        .replace(/<[^>]+>/g, '')
+        .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function looksLikeSpeakerName(name) {
+    const trimmed = name.trim();
+    return trimmed.length > 0 &&
+        trimmed.length <= TRANSCRIPT_IMPORT_CONFIG.maxSpeakerNameLength &&
+        trimmed.split(/\s+/).length <= TRANSCRIPT_IMPORT_CONFIG.maxSpeakerNameWords &&
+        !/https?:|[.?!]$/.test(trimmed);
+}
+
+function splitSpeakerPrefix(text) {
+    const match = text.match(/^([^:]+?):\s+(.+)$/);
+    return match && looksLikeSpeakerName(match[1]) ? { speaker: match[1].trim(), text: match[2] } : null;
+}
+
+// ============================================
+// Captions (WebVTT / SRT)
+// ============================================
+
+/**
+ * Parse WebVTT or SRT captions
+ * @param {string} text - File contents
+ * @param {Object} options - { speakerLine: true when the first cue line is the speaker (Teams .docx) }
+ * @returns {{turns: Array<{start: number, end: number, speaker: string|null, text: string}>, speakerSource: string|null}}
+ */
+export function parseCaptions(text, { speakerLine = false } = {}) {
+    const blocks = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+    const cues = [];
+
+    for (const block of blocks) {
+        const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+        const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line));
+        if (timingIndex === -1) continue; // Header, NOTE, STYLE, REGION
+
+        const [, startValue, endValue] = lines[timingIndex].match(CUE_TIMING_PATTERN);
+        const textLines = lines.slice(timingIndex + 1);
+        if (textLines.length === 0) continue;
+
+        // Teams: <v Speaker Name>text</v>
+        const voice = textLines.join(' ').match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+        let speakerLineName = null;
+        if (!voice && speakerLine && textLines.length > 1 && looksLikeSpeakerName(textLines[0])) {
+            speakerLineName = textLines.shift();
+        }
+
+        const cueText = cleanCueText(textLines.join(' '));
+        if (!cueText) continue;
+        cues.push({
+            start: parseTimestamp(startValue),
+            end: parseTimestamp(endValue),
+            voice: voice ? voice[1].trim() : speakerLineName,
+            text: cueText
+        });
+    }
+
+    const hasVoices = cues.some(cue => cue.voice);
+    // Zoom: "Name: text"; only trusted when most cues carry a prefix
+    const prefixed = hasVoices ? [] : cues.map(cue => splitSpeakerPrefix(cue.text));
+    const usePrefixes = !hasVoices && cues.length > 0 &&
+        prefixed.filter(Boolean).length / cues.length >= TRANSCRIPT_IMPORT_CONFIG.minSpeakerCueRatio;
+
+    let lastSpeaker = null;
+    const turns = cues.map((cue, index) => {
+        let speaker = cue.voice;
+        let cueText = cue.text;
+        if (usePrefixes) {
+            // Zoom only repeats the name when the speaker changes mid-cue
+            speaker = prefixed[index]?.speaker || lastSpeaker;
+            cueText = prefixed[index]?.text || cue.text;
+        }
+        lastSpeaker = speaker;
+        return { start: cue.start, end: cue.end, speaker: speaker || null, text: cueText };
+    });
+
+    return {
+        turns,
+        speakerSource: hasVoices ? (speakerLine ? 'line' : 'voice') : usePrefixes ? 'prefix' : null
+    };
+}
+
+// ============================================
+// Zoom chat
+// ============================================
+
+/**
+ * Whether text is a Zoom chat export
+ * @param {string} text - File contents
+ * @returns {boolean}
+ */
+export function isZoomChat(text) {
+    const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+    const matches = lines.filter(line => ZOOM_CHAT_PATTERN.test(line.trim())).length;
+    return matches > 0 && matches >= lines.length * 0.3;
+}
+
+/**
+ * Parse a Zoom chat export (messages to everyone; private messages are dropped)
+ * Message times are made relative to the first message.
+ * @param {string} text - File contents
+ * @returns {Array<{start: number, end: number, speaker: string, text: string}>}
+ */
+export function parseZoomChat(text) {
+    const messages = [];
+    let current = null;
+
+    for (const rawLine of String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        const match = line.match(ZOOM_CHAT_PATTERN);
+        if (match) {
+            const [, time, sender, recipient, message] = match;
+            const isPrivate = recipient && !/^everyone/i.test(recipient.trim());
+            current = isPrivate ? null : { time: parseTimestamp(time), speaker: sender.trim(), lines: [message] };
+            if (current) messages.push(current);
+        } else if (current && line) {
+            // Newer exports put the message on the following (indented) lines
+            current.lines.push(line);
+        }
+    }
+
+    const firstTime = messages[0]?.time || 0;
+    return messages
+        .map(message => {
+            // Chat exports use wall-clock time; a message after midnight wraps
+            let start = message.time - firstTime;
+            if (start < 0) start += 24 * 3600;
+            return { start, end: start, speaker: message.speaker, text: message.lines.join(' ').trim() };
+        })
+        .filter(message => message.text);
+}
+
+// ============================================
+// Speaker blocks (Teams .docx / Google Meet)
+// ============================================
+
+function isNameTimePair(line, nextLine) {
+    return Boolean(line && nextLine) &&
+        STANDALONE_TIME_PATTERN.test(nextLine) &&
+        !STANDALONE_TIME_PATTERN.test(line) &&
+        !line.includes(':') &&
+        looksLikeSpeakerName(line);
+}
+
+/**
+ * Parse paragraph-style transcripts: Teams "Name   0:03" headers followed
+ * by the turn's text, or Google Meet timestamp lines between "Name: text"
+ * turns. Notes with a few "Date:" / "Attendees:" lines are not transcripts:
+ * a style is only returned when the timestamps are there and most lines
+ * belong to speaker turns.
+ * @param {Array<string>} lines - Paragraphs / lines
+ * @returns {{turns: Array<{start: number|null, speaker: string|null, text: string}>, style: 'headers'|'prefix'|null}}
+ */
+export function parseSpeakerBlocks(lines) {
+    let body = lines.map(line => String(line).trim()).filter(Boolean);
+
+    // Meet puts the title and attendee list above a "Transcript" heading
+    const headingIndex = body.findIndex(line => /^transcript$/i.test(line));
+    if (headingIndex !== -1 && headingIndex < body.length - 1) {
+        body = body.slice(headingIndex + 1);
+    }
+
+    // Some Teams exports put the name and the time on separate lines
+    const pairCount = body.filter((line, i) => isNameTimePair(line, body[i + 1])).length;
+    if (pairCount > body.filter(line => splitSpeakerPrefix(line)).length) {
+        body = body.reduce((merged, line, i) => {
+            if (isNameTimePair(body[i - 1], line)) {
+                merged[merged.length - 1] += `\t${line}`;
+            } else {
+                merged.push(line);
+            }
+            return merged;
+        }, []);
+    }
+
+    const turns = [];
+    let currentTime = null;
+    let current = null;
+    let headerCount = 0;
+    let prefixCount = 0;
+    let timeCount = 0;
+    let contentLines = 0;
+    let speakerLines = 0;
+    let inHeaderTurn = false;
+
+    for (const line of body) {
+        if (MEET_BOILERPLATE_PATTERN.test(line)) continue;
+
+        const standalone = line.match(STANDALONE_TIME_PATTERN);
+        if (standalone) {
+            timeCount++;
+            currentTime = parseTimestamp(standalone[1]);
+            current = null;
+            continue;
+        }
+
+        contentLines++;
+        const header = line.match(TURN_HEADER_PATTERN);
+        if (header && looksLikeSpeakerName(header[1])) {
+            headerCount++;
+            speakerLines++;
+            inHeaderTurn = true;
+            current = { start: parseTimestamp(header[2]), speaker: header[1].trim(), text: '' };
+            turns.push(current);
+            continue;
+        }
+
+        const prefixed = splitSpeakerPrefix(line);
+        if (prefixed) {
+            prefixCount++;
+            speakerLines++;
+            inHeaderTurn = false;
+            current = { start: currentTime, speaker: prefixed.speaker, text: prefixed.text };
+            turns.push(current);
+            // Later turns in the same block have no time of their own
+            currentTime = null;
+            continue;
+        }
+
+        if (current) {
+            // A Teams turn's text follows its header; a Meet turn is a single line
+            if (inHeaderTurn) speakerLines++;
+            current.text = current.text ? `${current.text} ${line}` : line;
+        } else {
+            inHeaderTurn = false;
+            current = { start: currentTime, speaker: null, text: line };
+            turns.push(current);
+            currentTime = null;
+        }
+    }
+
+    const style = headerCount >= 2 && headerCount >= prefixCount ? 'headers'
+        : prefixCount >= 2 && timeCount > 0 ? 'prefix'
+        : null;
+    const speakerTurns = turns.filter(turn => turn.speaker && turn.text);
+    if (!style || speakerTurns.length < 2 ||
+        speakerLines < contentLines * TRANSCRIPT_IMPORT_CONFIG.minSpeakerLineRatio) {
+        return { turns: [], style: null };
+    }
+    // Untitled lines before the first speaker are headings (e.g. the meeting date)
+    const firstSpeakerIndex = turns.indexOf(speakerTurns[0]);
+    return {
+        turns: turns.slice(firstSpeakerIndex).filter(turn => turn.text),
+        style
+    };
+}
+
+/**
+ * Fill in missing turn times: turns between two known times are spread by
+ * their text length, turns after the last known time by speaking rate
+ * @param {Array<{start: number|null, text: string}>} turns
+ * @returns {Array<{start: number, end: number}>} Turns with start and end set
+ */
+export function interpolateTurnTimes(turns) {
+    const timed = turns.map(turn => ({ ...turn }));
+    const rate = TRANSCRIPT_IMPORT_CONFIG.charsPerSecond;
+    let index = 0;
+    let time = 0;
+
+    while (index < timed.length) {
+        if (timed[index].start !== null && timed[index].start !== undefined) {
+            time = Math.max(time, timed[index].start);
+        }
+        timed[index].start = time;
+
+        // Untimed run after this turn, up to the next known time
+        let next = index + 1;
+        while (next < timed.length && (timed[next].start === null || timed[next].start === undefined)) {
+            next++;
+        }
+        const run = timed.slice(index, next);
+        const chars = run.reduce((sum, turn) => sum + turn.text.length, 0);
+        const nextTime = next < timed.length ? timed[next].start : null;
+        const span = nextTime !== null && nextTime > time ? nextTime - time : chars / rate;
+
+        let offset = time;
+        run.forEach(turn => {
+            turn.start = offset;
+            offset += chars > 0 ? span * (turn.text.length / chars) : 0;
+            turn.end = offset;
+        });
+        time = offset;
+        index = next;
+    }
+
+    return timed;
+}
+
+// ============================================
+// Files
+// ============================================
+
+/**
+ * Turn parsed turns into builder segments with speaker ids
+ * @param {Array<{start: number, end: number, speaker: string|null, text: string}>} turns
+ * @param {string} format - Key of TRANSCRIPT_FORMAT_LABELS
+ * @returns {{format: string, text: string, segments: Array, speakers: Array<{id: string, name: string}>, durationSeconds: number}}
+ */
+export function buildImportedTranscript(turns, format) {
+    const speakerIds = new Map();
+    const speakers = [];
+    turns.forEach(turn => {
+        if (turn.speaker && !speakerIds.has(turn.speaker)) {
+            const id = `S${speakers.length + 1}`;
+            speakerIds.set(turn.speaker, id);
+            speakers.push({ id, name: turn.speaker });
+        }
+    });
+
+    const segments = normalizeSegments(turns.map(turn => ({
+        start: turn.start,
+        end: Math.max(turn.end ?? turn.start, turn.start),
+        text: turn.text,
+        speaker: turn.speaker ? speakerIds.get(turn.speaker) : undefined
+    })));
+
+    return {
+        format,
+        text: segments.map(segment => segment.text).join(' '),
+        segments,
+        speakers,
+        durationSeconds: segments.reduce((max, segment) => Math.max(max, segment.end), 0)
+    };
+}
+
+/**
+ * Whether a file should go through transcript import (.docx files are
+ * offered to importTranscriptFile by document ingestion instead)
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isTranscriptFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    return TRANSCRIPT_IMPORT_CONFIG.extensions.includes(extension) || file.type === 'text/vtt';
+}
+
+/**
+ * Parse a meeting-platform transcript file
+ * @param {File} file - .vtt, .srt, .txt or .docx
+ * @returns {Promise<Object|null>} See buildImportedTranscript, or null when
+ *   the file is not a recognized transcript (e.g. a plain-text note)
+ */
+export async function importTranscriptFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    if (extension === 'docx') {
+        const paragraphs = await readDocxParagraphs(file);
+        if (paragraphs.some(paragraph => CUE_TIMING_PATTERN.test(paragraph))) {
+            // Older Teams exports: cue timing, then speaker, then text; one cue per blank-line block
+            const cues = paragraphs.map(paragraph => CUE_TIMING_PATTERN.test(paragraph) ? `\n${paragraph}` : paragraph).join('\n');
+            const { turns } = parseCaptions(cues, { speakerLine: true });
+            return turns.length > 0 ? buildImportedTranscript(turns, 'teams-transcript') : null;
+        }
+        const { turns, style } = parseSpeakerBlocks(paragraphs.flatMap(paragraph => paragraph.split('\n')));
+        if (!style) return null;
+        return buildImportedTranscript(interpolateTurnTimes(turns), style === 'headers' ? 'teams-transcript' : 'meet-transcript');
+    }
+
+    const text = await file.text();
+
+    if (extension === 'vtt' || extension === 'srt' || text.includes('-->')) {
+        const { turns, speakerSource } = parseCaptions(text);
+        if (turns.length === 0) return null;
+        const format = extension === 'srt' || !/^\uFEFF?WEBVTT/.test(text)
+            ? 'srt'
+            : speakerSource === 'voice' ? 'teams-vtt' : speakerSource === 'prefix' ? 'zoom-vtt' : 'webvtt';
+        return buildImportedTranscript(turns, format);
+    }
+
+    if (isZoomChat(text)) {
+        const messages = parseZoomChat(text);
+        return messages.length > 0 ? buildImportedTranscript(messages, 'zoom-chat') : null;
+    }
+
+    const { turns, style } = parseSpeakerBlocks(text.split(/\r?\n/));
+    if (!style) return null;
+    return buildImportedTranscript(interpolateTurnTimes(turns), style === 'headers' ? 'teams-transcript' : 'meet-transcript');
+}
@@ -0,0 +1,234 @@
+/**
+ * northstar.LM - Transcript Segments
+ *
+ * Helpers for the timestamped transcript produced by Whisper's
+ * verbose_json response:
+ * - Normalizes segments to { start, end, text } in recording time
+ * - Finds the segment playing at a given time (for highlighting)
+ * - Links key points / action items back to the segment they came from
+ * - Carries speaker labels (diarization) and renders attributed transcripts
+ */
+
+export const SEGMENT_LINK_CONFIG = {
+    minMatchedWords: 2,     // Require at least this many shared words
+    minScore: 0.35,         // Share of the item's words found in the window
+    windowSize: 2           // Segments combined when matching (items often span lines)
+};
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'will', 'are', 'was',
+    'were', 'has', 'have', 'had', 'but', 'not', 'you', 'our', 'their', 'they',
+    'them', 'its', 'into', 'about', 'over', 'than', 'then', 'also', 'should',
+    'would', 'could', 'can', 'all', 'any', 'more', 'most', 'some', 'such',
+    'been', 'being', 'who', 'what', 'when', 'where', 'which', 'while', 'how',
+    'team', 'meeting', 'discussed', 'need', 'needs'
+]);
+
+/**
+ * Normalize Whisper segments and shift them into recording time
+ * @param {Array} segments - verbose_json segments ({ start, end, text, ... })
+ * @param {number} offsetSeconds - Start of the uploaded audio within the recording
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function normalizeSegments(segments, offsetSeconds = 0) {
+    if (!Array.isArray(segments)) return [];
+    return segments
+        .map(segment => ({
+            start: roundTime((Number(segment.start) || 0) + offsetSeconds),
+            end: roundTime((Number(segment.end) || 0) + offsetSeconds),
+            text: String(segment.text || '').trim(),
+            ...(segment.speaker ? { speaker: String(segment.speaker) } : {})
+        }))
+        .filter(segment => segment.text.length > 0 && segment.end >= segment.start);
+}
+
+function roundTime(seconds) {
+    return Math.round(seconds * 100) / 100;
+}
+
+/**
+ * Find the segment playing at a time
+ * @param {Array<{start: number, end: number}>} segments - Segments sorted by start
+ * @param {number} time - Playback position in seconds
+ * @returns {number} Segment index, or -1 before the first segment
+ */
+export function findActiveSegmentIndex(segments, time) {
+    let low = 0;
+    let high = segments.length - 1;
+    let found = -1;
+    // Last segment that started at or before `time` stays active through pauses
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (segments[mid].start <= time) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Find the transcript segment a summary line most likely came from
+ * @param {string} text - Key point or action item
+ * @param {Array<{start: number, end: number, text: string}>} segments - Transcript segments
+ * @param {Object} options - Overrides for SEGMENT_LINK_CONFIG
+ * @returns {{start: number, end: number, text: string, index: number, score: number}|null}
+ */
+export function findSegmentForText(text, segments, options = {}) {
+    const config = { ...SEGMENT_LINK_CONFIG, ...options };
+    const queryWords = [...new Set(tokenize(text))];
+    if (!Array.isArray(segments) || segments.length === 0 || queryWords.length === 0) {
+        return null;
+    }
+
+    const segmentWords = segments.map(segment => new Set(tokenize(segment.text)));
+    let best = null;
+
+    for (let i = 0; i < segments.length; i++) {
+        const windowWords = new Set();
+        for (let j = i; j < Math.min(segments.length, i + config.windowSize); j++) {
+            segmentWords[j].forEach(word => windowWords.add(word));
+        }
+        const matched = queryWords.filter(word => windowWords.has(word)).length;
+        const own = queryWords.filter(word => segmentWords[i].has(word)).length;
+        const score = matched / queryWords.length;
+        // The window must start on a matching line; prefer lines holding more of
+        // the words, then the earliest mention
+        if (own === 0 || matched < config.minMatchedWords || score < config.minScore) continue;
+        if (!best || score > best.score || (score === best.score && own > best.own)) {
+            best = { ...segments[i], index: i, score, own };
+        }
+    }
+
+    if (!best) return null;
+    const { own, ...match } = best;
+    return match;
+}
+
+// ============================================
+// Speaker Labels
+// ============================================
+
+const GENERIC_SPEAKER_PATTERN = /^speaker\s+\d+$/i;
+
+/**
+ * Whether a speaker name is still a placeholder ("Speaker 2")
+ * @param {string} name - Speaker display name
+ * @returns {boolean}
+ */
+export function isGenericSpeakerName(name) {
+    return !name || GENERIC_SPEAKER_PATTERN.test(String(name).trim());
+}
+
+/**
+ * Assign speaker ids to segments from turn ranges
+ * @param {Array} segments - Transcript segments
+ * @param {Array<{from: number, to: number, speaker: string}>} turns - Inclusive segment index ranges
+ * @returns {Array} New segments with `speaker` set (unassigned lines inherit the previous speaker)
+ */
+export function applySpeakerTurns(segments, turns) {
+    const assigned = new Array(segments.length).fill(null);
+    (turns || []).forEach(turn => {
+        const from = Math.max(0, Math.floor(Number(turn.from)));
+        const to = Math.min(segments.length - 1, Math.floor(Number(turn.to ?? turn.from)));
+        if (!turn.speaker || isNaN(from) || isNaN(to)) return;
+        for (let i = from; i <= to; i++) {
+            assigned[i] = String(turn.speaker);
+        }
+    });
+
+    let previous = assigned.find(Boolean) || null;
+    return segments.map((segment, index) => {
+        const speaker = assigned[index] || previous;
+        previous = speaker;
+        return speaker ? { ...segment, speaker } : { ...segment };
+    });
+}
+
+/**
+ * Build the speaker roster with talk-time stats
+ * @param {Array} segments - Speaker-labelled segments
+ * @param {Array<{id: string, name: string}>} speakers - Known speakers (names win over defaults)
+ * @returns {Array<{id: string, name: string, segmentCount: number, talkTimeSeconds: number}>}
+ */
+export function buildSpeakerRoster(segments, speakers = []) {
+    const known = new Map((speakers || []).map(speaker => [speaker.id, speaker]));
+    const roster = new Map();
+
+    segments.forEach(segment => {
+        if (!segment.speaker) return;
+        if (!roster.has(segment.speaker)) {
+            const existing = known.get(segment.speaker);
+            roster.set(segment.speaker, {
+                id: segment.speaker,
+                name: existing?.name || `Speaker ${roster.size + 1}`,
+                segmentCount: 0,
+                talkTimeSeconds: 0
+            });
+        }
+        const entry = roster.get(segment.speaker);
+        entry.segmentCount++;
+        entry.talkTimeSeconds = roundTime(entry.talkTimeSeconds + Math.max(0, segment.end - segment.start));
+    });
+
+    return [...roster.values()];
+}
+
+/**
+ * Render segments as a speaker-attributed transcript, one line per turn
+ * @param {Array} segments - Speaker-labelled segments
+ * @param {Array<{id: string, name: string}>} speakers - Speaker roster
+ * @param {Object} options - { timestamps: prefix each turn with [m:ss] }
+ * @returns {string} Attributed transcript, or '' when no speakers are assigned
+ */
+export function formatSpeakerTranscript(segments, speakers, { timestamps = true } = {}) {
+    if (!Array.isArray(segments) || !segments.some(segment => segment.speaker)) return '';
+    const names = new Map((speakers || []).map(speaker => [speaker.id, speaker.name]));
+    const turns = [];
+
+    segments.forEach(segment => {
+        const last = turns[turns.length - 1];
+        if (last && last.speaker === segment.speaker) {
+            last.text += ` ${segment.text}`;
+        } else {
+            turns.push({ speaker: segment.speaker, start: segment.start, text: segment.text });
+        }
+    });
+
+    return turns.map(turn => {
+        const name = names.get(turn.speaker) || turn.speaker || 'Unknown';
+        const prefix = timestamps ? `[${formatTimestamp(turn.start)}] ` : '';
+        return `${prefix}${name}: ${turn.text}`;
+    }).join('\n');
+}
+
+function formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const mins = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+}
+
+/**
+ * Replace a speaker name as a whole word (used when a speaker is renamed)
+ * @param {string} text - Text to update
+ * @param {string} oldName - Previous speaker name
+ * @param {string} newName - New speaker name
+ * @returns {string}
+ */
+export function replaceSpeakerName(text, oldName, newName) {
+    if (!text || !oldName || oldName === newName) return text;
+    const escaped = oldName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return text.replace(new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu'), (match, lead) => `${lead}${newName}`);
+}
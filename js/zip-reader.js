@@ -0,0 +1,107 @@
+/**
+ * northstar.LM - ZIP Reader
+ *
+ * Minimal reader for ZIP archives (Office documents are ZIP containers).
+ * Entries are listed from the central directory and inflated on demand
+ * with the browser's DecompressionStream, so no library is loaded.
+ * Stored and deflated entries are supported; encrypted and ZIP64
+ * archives are rejected.
+ */
+
+const SIGNATURES = {
+    endOfCentralDirectory: 0x06054b50,
+    centralDirectoryEntry: 0x02014b50,
+    localFileHeader: 0x04034b50
+};
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const MAX_COMMENT_BYTES = 0xffff;
+
+function findEndOfCentralDirectory(view) {
+    const minOffset = Math.max(0, view.byteLength - 22 - MAX_COMMENT_BYTES);
+    for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+        if (view.getUint32(offset, true) === SIGNATURES.endOfCentralDirectory) {
+            return offset;
+        }
+    }
+    return -1;
+}
+
+async function inflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * List the entries of a ZIP archive
+ * @param {Blob|ArrayBuffer|Uint8Array} source - Archive contents
+ * @returns {Promise<Map<string, {name: string, size: number, read: Function, readText: Function}>>}
+ *   Entries by path; read() resolves to the uncompressed bytes, readText() to UTF-8 text
+ */
+export async function readZipEntries(source) {
+    const buffer = source instanceof Blob
+        ? await source.arrayBuffer()
+        : source instanceof Uint8Array ? source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength) : source;
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    const eocd = view.byteLength >= 22 ? findEndOfCentralDirectory(view) : -1;
+    if (eocd === -1) {
+        throw new Error('Not a ZIP archive (the file may be damaged or in an older binary format)');
+    }
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (entryCount === 0xffff || offset === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== SIGNATURES.centralDirectoryEntry) {
+            throw new Error('ZIP central directory is damaged');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue; // Directory
+
+        const read = async () => {
+            if (flags & 0x1) {
+                throw new Error(`${name} is encrypted`);
+            }
+            if (view.getUint32(localOffset, true) !== SIGNATURES.localFileHeader) {
+                throw new Error(`ZIP entry ${name} is damaged`);
+            }
+            // The local header's own name/extra lengths can differ from the central directory's
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) +
+                view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === METHOD_STORED) return data.slice();
+            if (method === METHOD_DEFLATED) return inflateRaw(data);
+            throw new Error(`ZIP entry ${name} uses unsupported compression (method ${method})`);
+        };
+
+        entries.set(name, {
+            name,
+            size,
+            read,
+            readText: async () => decoder.decode(await read())
+        });
+    }
+
+    return entries;
+}
@@ -5,7 +5,7 @@
  * IMPORTANT: Increment CACHE_VERSION when deploying new changes!
  */
 
-const CACHE_VERSION = 9;
+const CACHE_VERSION = 10;
 const CACHE_NAME = `northstar-lm-v${CACHE_VERSION}`;
 
 /**
@@ -38,6 +38,19 @@ const CORE_FILES = [
     './css/styles.css',
     './js/app.js',
     './js/orchestrator.js',
+    './js/llm-provider.js',
+    './js/audio-chunker.js',
+    './js/transcript-segments.js',
+    './js/agent-library.js',
+    './js/agent-schema.js',
+    './js/cost-guard.js',
+    './js/action-items.js',
+    './js/decision-log.js',
+    './js/realtime-voice.js',
+    './js/live-capture.js',
+    './js/zip-reader.js',
+    './js/office-documents.js',
+    './js/transcript-import.js',
     './js/rlm/index.js',
     './js/rlm/context-store.js',
     './js/rlm/query-decomposer.js',
@@ -46,6 +59,14 @@ const CORE_FILES = [
     './js/rlm/repl-environment.js',
     './js/rlm/repl-worker.js',
     './js/rlm/code-generator.js',
+    './js/rlm/mock-llm.js',
+    './js/rlm/embedding-index.js',
+    './js/rlm/passage-index.js',
+    './js/rlm/citations.js',
+    './js/rlm/cancellation.js',
+    './js/rlm/trace.js',
+    './js/rlm/eval-stats.js',
+    './js/rlm/entity-index.js',
 ];
 
 // Install event - cache static assets